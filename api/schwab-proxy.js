@@ -5,6 +5,7 @@
 // Endpoints:
 //   GET  /api/schwab-proxy?action=accounts&user_id=UUID
 //   GET  /api/schwab-proxy?action=positions&user_id=UUID&account=HASH
+//   GET  /api/schwab-proxy?action=transactions&user_id=UUID&account=HASH&from=YYYY-MM-DD
 //   DELETE /api/schwab-proxy?action=unlink&user_id=UUID
 
 import { createClient } from '@supabase/supabase-js';
@@ -12,6 +13,17 @@ import { createClient } from '@supabase/supabase-js';
 const SCHWAB_API_BASE  = 'https://api.schwabapi.com/trader/v1';
 const SCHWAB_TOKEN_URL = 'https://api.schwabapi.com/v1/oauth/token';
 
+// Transaction types that move money into or out of the account — the
+// external cash flows for time- and money-weighted returns
+const CASH_FLOW_TYPES = [
+  'ACH_RECEIPT', 'ACH_DISBURSEMENT', 'CASH_RECEIPT', 'CASH_DISBURSEMENT',
+  'ELECTRONIC_FUND', 'WIRE_IN', 'WIRE_OUT', 'JOURNAL',
+];
+// Schwab caps each transactions request at one year
+const TRANSACTION_WINDOW_DAYS = 365;
+// Oldest `from` honoured — bounds one request to ~10 upstream calls
+const MAX_TRANSACTION_HISTORY_DAYS = 3653;
+
 function getSupabase() {
   const url = process.env.VITE_SUPABASE_URL || process.env.SUPABASE_URL;
   const key = process.env.SUPABASE_SERVICE_ROLE_KEY;
@@ -124,7 +136,7 @@ async function getAccessToken(supabase, userId) {
 }
 
 export default async function handler(req, res) {
-  const { action, user_id: userId, account } = req.query;
+  const { action, user_id: userId, account, from } = req.query;
 
   if (!action || !userId) {
     return res.status(400).json({ error: 'Missing action or user_id' });
@@ -269,6 +281,50 @@ export default async function handler(req, res) {
       return res.status(200).json({ totalValue, positions });
     }
 
+    // ── Transactions (external cash flows) ──────────────────────────────────
+    if (action === 'transactions') {
+      if (!account) {
+        return res.status(400).json({ error: 'Missing account hash' });
+      }
+      const end = new Date();
+      const earliest = new Date(end.getTime() - MAX_TRANSACTION_HISTORY_DAYS * 86_400_000);
+      const requested = from && /^\d{4}-\d{2}-\d{2}$/.test(from)
+        ? new Date(`${from}T00:00:00Z`)
+        : new Date(end.getTime() - TRANSACTION_WINDOW_DAYS * 86_400_000);
+      const start = requested < earliest ? earliest : requested;
+
+      const flows = [];
+      for (let lo = start; lo < end; lo = new Date(lo.getTime() + TRANSACTION_WINDOW_DAYS * 86_400_000)) {
+        const hi = new Date(Math.min(end.getTime(), lo.getTime() + TRANSACTION_WINDOW_DAYS * 86_400_000));
+        const qs = new URLSearchParams({
+          startDate: lo.toISOString(),
+          endDate: hi.toISOString(),
+          types: CASH_FLOW_TYPES.join(','),
+        });
+        const resp = await fetch(`${SCHWAB_API_BASE}/accounts/${encodeURIComponent(account)}/transactions?${qs}`, { headers });
+        if (!resp.ok) {
+          const body = await resp.text().catch(() => '');
+          logSchwabError(`Schwab transactions API error: ${resp.status}`, { userId, account, status: resp.status, body: body.slice(0, 500) });
+          return res.status(resp.status).json({ error: `Schwab API error: ${resp.status}` });
+        }
+        const txns = await resp.json();
+        for (const t of Array.isArray(txns) ? txns : []) {
+          if (!t.netAmount) continue;
+          flows.push({
+            id: String(t.activityId ?? `${t.time}:${t.netAmount}`),
+            date: (t.time || t.tradeDate || '').slice(0, 10),
+            amount: t.netAmount,
+            type: t.type,
+            description: t.description || '',
+          });
+        }
+      }
+
+      flows.sort((a, b) => a.date.localeCompare(b.date));
+      res.setHeader('Cache-Control', 's-maxage=300, stale-while-revalidate=300');
+      return res.status(200).json({ flows });
+    }
+
     return res.status(400).json({ error: `Unknown action: ${action}` });
   } catch (err) {
     console.error('[schwab-proxy] Error:', err);
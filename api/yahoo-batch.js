@@ -0,0 +1,87 @@
+// ─── Vercel serverless batch proxy for Yahoo Finance chart API ───────────────
+// Daily candles for many tickers over one range in a single round trip, so a
+// 30-holding portfolio costs one request instead of 31.  Tickers are fetched
+// server-side a few at a time and returned already normalized — the same
+// shape yahoo.js builds from /api/yahoo-chart.
+//
+// Usage:  /api/yahoo-batch?tickers=AAPL,MSFT,%5EGSPC&from=1706140800&to=1737763200
+//   - tickers: comma-separated Yahoo symbols, at most MAX_TICKERS (required)
+//   - from:    Unix timestamp start (required)
+//   - to:      Unix timestamp end (required)
+//
+// Response: { results: { [ticker]: [{ date, price, adjClose }] }, errors: { [ticker]: message } }
+// Answers 429 only when Yahoo rate-limited every ticker, so the client backs off.
+
+const MAX_TICKERS = 50;
+const CONCURRENCY = 6;
+
+async function fetchCandles(ticker, from, to) {
+  const url =
+    `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(ticker)}` +
+    `?period1=${from}&period2=${to}&interval=1d&includeAdjustedClose=true`;
+
+  const resp = await fetch(url, {
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (compatible; AJAWealth/1.0)',
+    },
+  });
+  const data = await resp.json().catch(() => null);
+  const result = data?.chart?.result?.[0];
+  if (!result?.timestamp?.length) {
+    throw new Error(data?.chart?.error?.description || `HTTP ${resp.status}`);
+  }
+
+  const closes    = result.indicators?.quote?.[0]?.close ?? [];
+  const adjCloses = result.indicators?.adjclose?.[0]?.adjclose ?? [];
+  return result.timestamp
+    .map((ts, i) => {
+      const d = new Date(ts * 1000);
+      return {
+        date:     isNaN(d.getTime()) ? '' : d.toISOString().slice(0, 10),
+        price:    closes[i],
+        adjClose: adjCloses[i] ?? closes[i],
+      };
+    })
+    .filter(d => d.date && d.price != null);
+}
+
+// Run fn over items with at most `limit` calls in flight
+async function forEachLimited(items, limit, fn) {
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) await fn(items[next++]);
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+}
+
+export default async function handler(req, res) {
+  const { tickers, from, to } = req.query;
+
+  if (!tickers || !from || !to) {
+    return res.status(400).json({ error: 'Missing required params: tickers, from, to' });
+  }
+
+  const symbols = [...new Set(tickers.split(',').map(t => t.trim()).filter(Boolean))];
+  if (!symbols.length || symbols.length > MAX_TICKERS) {
+    return res.status(400).json({ error: `Between 1 and ${MAX_TICKERS} tickers per request` });
+  }
+
+  const results = {};
+  const errors  = {};
+  await forEachLimited(symbols, CONCURRENCY, async (symbol) => {
+    try {
+      results[symbol] = await fetchCandles(symbol, from, to);
+    } catch (err) {
+      errors[symbol] = err.message;
+    }
+  });
+
+  const allRateLimited = !Object.keys(results).length && Object.values(errors).some(e => e.includes('429'));
+  if (Object.keys(errors).length) console.error('[yahoo-batch] Failed tickers:', errors);
+
+  // Cache for 5 minutes on Vercel CDN, serve stale for 1 minute while revalidating
+  if (!allRateLimited) res.setHeader('Cache-Control', 's-maxage=300, stale-while-revalidate=60');
+  const allowedOrigin = process.env.CORS_ORIGIN || 'https://www.ajawealthmanagement.com';
+  res.setHeader('Access-Control-Allow-Origin', allowedOrigin);
+  return res.status(allRateLimited ? 429 : 200).json({ results, errors });
+}
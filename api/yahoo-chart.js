@@ -3,20 +3,30 @@
 // candle data from Yahoo Finance for free.
 //
 // Usage:  /api/yahoo-chart?ticker=AAPL&from=1706140800&to=1737763200
-//   - ticker: stock symbol (required)
-//   - from:   Unix timestamp start (required)
-//   - to:     Unix timestamp end (required)
+//         /api/yahoo-chart?ticker=AAPL&interval=5m&range=1d
+//   - ticker:   stock symbol (required)
+//   - from:     Unix timestamp start (required unless range is given)
+//   - to:       Unix timestamp end (required unless range is given)
+//   - interval: bar size, 1d (default), 1h, 15m or 5m
+//   - range:    Yahoo range instead of from/to — 1d, 5d or 1mo (latest sessions)
+
+const INTERVALS = ['1d', '1h', '15m', '5m'];
+const RANGES = ['1d', '5d', '1mo'];
 
 export default async function handler(req, res) {
-  const { ticker, from, to } = req.query;
+  const { ticker, from, to, interval = '1d', range } = req.query;
 
-  if (!ticker || !from || !to) {
-    return res.status(400).json({ error: 'Missing required params: ticker, from, to' });
+  if (!ticker || (!range && (!from || !to))) {
+    return res.status(400).json({ error: 'Missing required params: ticker, and from + to or range' });
+  }
+  if (!INTERVALS.includes(interval) || (range && !RANGES.includes(range))) {
+    return res.status(400).json({ error: `interval must be one of ${INTERVALS.join(', ')}; range one of ${RANGES.join(', ')}` });
   }
 
+  const period = range ? `range=${range}` : `period1=${from}&period2=${to}`;
   const url =
     `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(ticker)}` +
-    `?period1=${from}&period2=${to}&interval=1d&includeAdjustedClose=true`;
+    `?${period}&interval=${interval}&includeAdjustedClose=true`;
 
   try {
     const resp = await fetch(url, {
@@ -27,8 +37,11 @@ export default async function handler(req, res) {
 
     const data = await resp.json();
 
-    // Cache for 5 minutes on Vercel CDN, serve stale for 1 minute while revalidating
-    res.setHeader('Cache-Control', 's-maxage=300, stale-while-revalidate=60');
+    // Cache for 5 minutes on Vercel CDN, serve stale for 1 minute while revalidating.
+    // Intraday bars move every few minutes, so those get one minute.
+    res.setHeader('Cache-Control', interval === '1d'
+      ? 's-maxage=300, stale-while-revalidate=60'
+      : 's-maxage=60, stale-while-revalidate=30');
     const allowedOrigin = process.env.CORS_ORIGIN || 'https://www.ajawealthmanagement.com';
     res.setHeader('Access-Control-Allow-Origin', allowedOrigin);
     return res.status(resp.ok ? 200 : resp.status).json(data);
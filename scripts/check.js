@@ -0,0 +1,103 @@
+// ─── Offline checks ───────────────────────────────────────────────────────────
+// Deterministic assertions over the pure analytics in src/lib, loaded through
+// Vite so extensionless imports and import.meta.glob resolve as in the app.
+// No network: everything runs on inline inputs or the committed fixtures in
+// src/fixtures/market/, replayed by the fixture provider.
+//
+//   npm run check
+
+import assert from 'node:assert/strict';
+import { createServer } from 'vite';
+
+// Market data never leaves the fixture provider, whatever .env says
+process.env.VITE_MARKET_DATA_PROVIDER = 'fixture';
+
+const checks = [];
+const check = (name, run) => checks.push({ name, run });
+
+const sum = xs => xs.reduce((s, x) => s + x, 0);
+
+// ── Allocation breakdowns ──
+
+check('allocation breakdown sums to 100 with cash', async (load) => {
+  const { allocationBreakdown, BREAKDOWN_DIMENSIONS } = await load('/src/lib/classification.js');
+  const holdings = [
+    { ticker: 'AAPL', weight_percent: 40 },
+    { ticker: 'SPY',  weight_percent: 35 },
+    { ticker: 'BND',  weight_percent: 25 },
+  ];
+  BREAKDOWN_DIMENSIONS.forEach(({ key }) => {
+    const rows = allocationBreakdown(holdings, key, 10);
+    assert.ok(Math.abs(sum(rows.map(r => r.weight)) - 100) < 0.05, `${key} sums to ${sum(rows.map(r => r.weight))}`);
+    assert.equal(rows.find(r => r.label === 'Cash')?.weight, 10, `${key} cash bucket`);
+  });
+});
+
+// ── Rolling analytics ──
+
+check('rolling volatility matches the risk-metrics card over the same window', async (load) => {
+  const { rollingStats } = await load('/src/lib/rollingStats.js');
+  const { computeMetrics } = await load('/src/lib/riskStats.js');
+  const n = 300, window = 252;
+  const dates = Array.from({ length: n }, (_, i) => `d${i}`);
+  const growth = [1];
+  for (let i = 1; i < n; i++) growth.push(growth[i - 1] * (1 + 0.01 * Math.sin(i * 1.7) + 0.0004));
+
+  const last = rollingStats(dates, growth, null, window).at(-1);
+  const { volatility } = computeMetrics(growth.slice(-(window + 1)), window);
+  assert.ok(Math.abs(last.volatility - volatility) < 0.01, `rolling ${last.volatility} vs card ${volatility}`);
+});
+
+// ── Fixture market data ──
+
+check('fixture provider replays the committed seed set', async (load) => {
+  const { marketData, marketNow } = await load('/src/lib/providers/index.js');
+  assert.equal(marketData.id, 'fixture');
+  assert.ok(marketData.isConfigured(), 'manifest.json loaded');
+  assert.equal(marketNow().toISOString().slice(0, 10), '2026-09-30');
+
+  const spy = await marketData.getCandles('SPY', '2025-01-01', '2025-12-31');
+  assert.equal(spy.length, 250);
+  assert.deepEqual(spy[0], { date: '2025-01-02', price: 446.4018, adjClose: 436.3446 });
+  assert.deepEqual(spy.at(-1), { date: '2025-12-31', price: 584.6799, adjClose: 578.9978 });
+
+  const quote = await marketData.getQuote('AAPL');
+  assert.equal(quote.price, 242.3);
+  assert.deepEqual(await marketData.getCandles('ZZZZ', '2025-01-01', '2025-12-31'), []);
+});
+
+check('risk metrics over fixture candles are reproducible', async (load) => {
+  const { marketData } = await load('/src/lib/providers/index.js');
+  const { computeMetrics } = await load('/src/lib/riskStats.js');
+  const candles = await marketData.getCandles('MSFT', '2025-09-30', '2026-09-30');
+  assert.deepEqual(
+    computeMetrics(candles.map(c => c.adjClose), candles.length - 1),
+    { volatility: 22.39, maxDrawdown: -14.68, sharpe: 0.7, sortino: 0.72, calmar: 1.4 },
+  );
+});
+
+async function main() {
+  const server = await createServer({
+    appType: 'custom',
+    logLevel: 'error',
+    server: { middlewareMode: true, hmr: false },
+  });
+  const load = path => server.ssrLoadModule(path);
+
+  let failed = 0;
+  for (const { name, run } of checks) {
+    try {
+      await run(load);
+      console.log(`✓ ${name}`);
+    } catch (err) {
+      failed++;
+      console.error(`✗ ${name}\n  ${err.message}`);
+    }
+  }
+  await server.close();
+
+  console.log(`\n${checks.length - failed}/${checks.length} checks passed`);
+  if (failed) process.exit(1);
+}
+
+main();
@@ -0,0 +1,114 @@
+// ─── Record market-data fixtures ──────────────────────────────────────────────
+// Writes the JSON files the fixture provider replays (see
+// src/lib/providers/fixtureProvider.js): daily candles with dividend-adjusted
+// closes, the latest quote, and the last session's 1-minute closes as a trade
+// tape replayed one bar per second.  Straight from Yahoo Finance, no proxy.
+//
+//   npm run record:fixtures                      # every instrument + benchmark
+//   npm run record:fixtures -- AAPL SPY --years 2
+//
+// Then set VITE_MARKET_DATA_PROVIDER=fixture.
+
+import { mkdir, writeFile } from 'node:fs/promises';
+import { INSTRUMENTS, BENCHMARKS, SECTOR_PROXIES } from '../src/lib/mockData.js';
+
+const OUT_DIR = new URL('../src/fixtures/market/', import.meta.url);
+const DEFAULT_YEARS = 5;
+const REQUEST_GAP_MS = 250;
+const TRADE_SPACING_MS = 1_000;
+
+// Index tickers used as benchmarks → Yahoo symbols
+const YAHOO_SYMBOLS = { SPX: '^GSPC', NDX: '^NDX', RUT: '^RUT', DJI: '^DJI', DJIA: '^DJI' };
+// T-bill ETFs for the risk-free rate (AccountSettings)
+const EXTRA_TICKERS = ['BIL', 'SGOV'];
+
+const round = v => (v == null ? null : parseFloat(v.toFixed(4)));
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+function parseArgs(argv) {
+  const tickers = [];
+  let years = DEFAULT_YEARS;
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--years') years = Number(argv[++i]) || DEFAULT_YEARS;
+    else tickers.push(argv[i].toUpperCase());
+  }
+  return { tickers, years };
+}
+
+async function fetchChart(ticker, params) {
+  const symbol = YAHOO_SYMBOLS[ticker] ?? ticker;
+  const url = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(symbol)}?${new URLSearchParams(params)}`;
+  const res = await fetch(url, { headers: { 'User-Agent': 'Mozilla/5.0 (compatible; AJAWealth/1.0)' } });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  const result = (await res.json()).chart?.result?.[0];
+  if (!result?.timestamp?.length) throw new Error('no data');
+  return result;
+}
+
+async function recordTicker(ticker, years) {
+  const to = Math.floor(Date.now() / 1000);
+  const from = to - Math.round(years * 365.25 * 86_400);
+  const daily = await fetchChart(ticker, { period1: from, period2: to, interval: '1d', includeAdjustedClose: true });
+  const q = daily.indicators?.quote?.[0] ?? {};
+  const adj = daily.indicators?.adjclose?.[0]?.adjclose ?? [];
+  const candles = daily.timestamp
+    .map((ts, i) => ({ date: new Date(ts * 1000).toISOString().slice(0, 10), price: round(q.close?.[i]), adjClose: round(adj[i] ?? q.close?.[i]) }))
+    .filter(c => c.price != null);
+  if (candles.length < 2) throw new Error('not enough candles');
+
+  const last = candles.length - 1;
+  const lastRaw = daily.timestamp.length - 1;
+  const quote = {
+    price:         candles[last].price,
+    change:        round(candles[last].price - candles[last - 1].price),
+    changePercent: round(((candles[last].price / candles[last - 1].price) - 1) * 100),
+    prevClose:     candles[last - 1].price,
+    high:          round(q.high?.[lastRaw]),
+    low:           round(q.low?.[lastRaw]),
+    open:          round(q.open?.[lastRaw]),
+  };
+
+  // Trade tape: the latest session's 1-minute closes (best effort)
+  let trades = [];
+  try {
+    await sleep(REQUEST_GAP_MS);
+    const intraday = await fetchChart(ticker, { range: '1d', interval: '1m' });
+    trades = (intraday.indicators?.quote?.[0]?.close ?? [])
+      .filter(p => p != null)
+      .map((price, i) => ({ offsetMs: i * TRADE_SPACING_MS, price: round(price) }));
+  } catch { /* no intraday data — quotes and candles only */ }
+
+  await writeFile(new URL(`${encodeURIComponent(ticker)}.json`, OUT_DIR), JSON.stringify({ ticker, quote, candles, trades }));
+  return { candles: candles.length, trades: trades.length, lastDate: candles[last].date };
+}
+
+async function main() {
+  const { tickers: requested, years } = parseArgs(process.argv.slice(2));
+  const tickers = requested.length ? requested : [...new Set([
+    ...INSTRUMENTS.map(i => i.ticker), ...BENCHMARKS, ...Object.values(SECTOR_PROXIES), ...EXTRA_TICKERS,
+  ])];
+  await mkdir(OUT_DIR, { recursive: true });
+
+  const recorded = [];
+  let recordedAt = null;
+  for (const ticker of tickers) {
+    try {
+      const r = await recordTicker(ticker, years);
+      recorded.push(ticker);
+      if (!recordedAt || r.lastDate > recordedAt) recordedAt = r.lastDate;
+      console.log(`${ticker.padEnd(6)} ${r.candles} candles, ${r.trades} trades`);
+    } catch (err) {
+      console.warn(`${ticker.padEnd(6)} skipped — ${err.message}`);
+    }
+    await sleep(REQUEST_GAP_MS);
+  }
+  if (!recorded.length) {
+    console.error('Nothing recorded.');
+    process.exit(1);
+  }
+
+  await writeFile(new URL('manifest.json', OUT_DIR), `${JSON.stringify({ recordedAt, tickers: recorded }, null, 2)}\n`);
+  console.log(`\n${recorded.length}/${tickers.length} tickers recorded as of ${recordedAt} → src/fixtures/market/`);
+}
+
+main();
@@ -2,6 +2,7 @@ import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom';
 import { AuthProvider } from './context/AuthContext';
 import { MarketDataProvider } from './context/MarketDataContext';
 import ErrorBoundary from './components/ErrorBoundary';
+import RequestDebugOverlay from './components/RequestDebugOverlay';
 import ProtectedRoute, { AdvisorRoute } from './components/ProtectedRoute';
 import Nav from './components/Nav';
 import Dashboard from './pages/Dashboard';
@@ -66,6 +67,7 @@ export default function App() {
             </Routes>
             </ErrorBoundary>
           </main>
+          <RequestDebugOverlay />
         </div>
       </BrowserRouter>
       </MarketDataProvider>
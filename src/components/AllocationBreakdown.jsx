@@ -0,0 +1,109 @@
+import { useState, useMemo } from 'react';
+import {
+  BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer,
+} from 'recharts';
+import { normalizeTicker } from '../lib/finnhub';
+import { BENCHMARK_META } from '../lib/mockData';
+import {
+  BREAKDOWN_DIMENSIONS, allocationBreakdown, benchmarkBreakdown, compareBreakdowns,
+} from '../lib/classification';
+
+const COLORS = { portfolio: '#3b82f6', benchmark: '#f59e0b' };
+const MAX_ROWS = 10;
+const ROW_HEIGHT = 26;
+
+/**
+ * Portfolio allocation by asset class, sector, industry, region or market
+ * cap, side by side with the primary benchmark's composition.
+ */
+export default function AllocationBreakdown({ holdings, benchmarkTicker, cashPercent = 0 }) {
+  const [dimension, setDimension] = useState('asset_class');
+
+  const benchKey = benchmarkTicker ? normalizeTicker(benchmarkTicker).toUpperCase() : null;
+  const benchLabel = String(BENCHMARK_META[benchmarkTicker]?.label ?? benchmarkTicker ?? 'Benchmark');
+
+  const rows = useMemo(() => compareBreakdowns(
+    allocationBreakdown(holdings, dimension, cashPercent),
+    benchmarkBreakdown(benchKey, dimension),
+    MAX_ROWS,
+  ), [holdings, dimension, cashPercent, benchKey]);
+
+  const hasBenchmark = rows.some((r) => r.benchmark != null);
+  const active = hasBenchmark ? rows.filter((r) => r.label !== 'Other' && r.active != null) : [];
+  const over = active.reduce((best, r) => (!best || r.active > best.active ? r : best), null);
+  const under = active.reduce((worst, r) => (!worst || r.active < worst.active ? r : worst), null);
+
+  if (!holdings?.length) return null;
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-1 mb-3">
+        {BREAKDOWN_DIMENSIONS.map((d) => (
+          <button
+            key={d.key}
+            onClick={() => setDimension(d.key)}
+            className={`px-2 sm:px-2.5 py-1 rounded text-xs font-medium transition-colors ${
+              dimension === d.key ? 'bg-blue-600 text-white' : 'text-slate-600 hover:bg-slate-100'
+            }`}
+          >
+            {d.label}
+          </button>
+        ))}
+      </div>
+
+      <div style={{ height: Math.max(120, rows.length * ROW_HEIGHT * (hasBenchmark ? 1.5 : 1) + 40) }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={rows} layout="vertical" margin={{ top: 4, right: 12, left: 0, bottom: 4 }} barGap={1}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" horizontal={false} />
+            <XAxis
+              type="number"
+              tickFormatter={(v) => `${Number(v).toFixed(0)}%`}
+              tick={{ fontSize: 11, fill: '#64748b' }}
+              axisLine={false}
+              tickLine={false}
+            />
+            <YAxis
+              type="category"
+              dataKey="label"
+              tick={{ fontSize: 11, fill: '#64748b' }}
+              axisLine={false}
+              tickLine={false}
+              width={150}
+            />
+            <Tooltip
+              formatter={(v, name) => [`${(Number(v) || 0).toFixed(1)}%`, String(name)]}
+              contentStyle={{ fontSize: 11 }}
+            />
+            {hasBenchmark && <Legend wrapperStyle={{ fontSize: 12, paddingTop: 8 }} />}
+            <Bar dataKey="portfolio" name="Portfolio" fill={COLORS.portfolio} radius={[0, 3, 3, 0]} isAnimationActive={false} />
+            {hasBenchmark && (
+              <Bar dataKey="benchmark" name={benchLabel} fill={COLORS.benchmark} radius={[0, 3, 3, 0]} isAnimationActive={false} />
+            )}
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+
+      {hasBenchmark && over && under && (
+        <div className="mt-2 flex flex-wrap items-center gap-x-4 gap-y-1 text-xs text-slate-500">
+          {over.active > 0 && (
+            <span>
+              Most overweight: <span className="font-semibold text-slate-700">{over.label}</span>{' '}
+              <span className="font-semibold text-green-600">+{over.active.toFixed(1)}%</span>
+            </span>
+          )}
+          {under.active < 0 && (
+            <span>
+              Most underweight: <span className="font-semibold text-slate-700">{under.label}</span>{' '}
+              <span className="font-semibold text-red-500">{under.active.toFixed(1)}%</span>
+            </span>
+          )}
+        </div>
+      )}
+      {benchmarkTicker && !hasBenchmark && (
+        <p className="mt-2 text-xs text-slate-400">
+          {dimension === 'industry' ? 'No industry-level benchmark data — portfolio only.' : `No composition data for ${benchmarkTicker}.`}
+        </p>
+      )}
+    </div>
+  );
+}
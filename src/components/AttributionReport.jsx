@@ -0,0 +1,222 @@
+import { useState, useEffect } from 'react';
+import { AlertTriangle } from 'lucide-react';
+import { isConfigured, getRealAttribution } from '../lib/finnhub';
+
+const TIMEFRAMES = ['1M', '3M', '6M', 'YTD', '1Y', '2Y'];
+const SLEEVE_COLORS = { Core: 'bg-blue-500', Tilt: 'bg-violet-500', Satellite: 'bg-amber-500' };
+
+function signClass(v) {
+  return v > 0 ? 'text-green-600' : v < 0 ? 'text-red-500' : 'text-slate-500';
+}
+
+function fmt(v, suffix = '%') {
+  if (v == null) return '--';
+  return `${v > 0 ? '+' : ''}${v.toFixed(2)}${suffix}`;
+}
+
+function Cell({ value, suffix, bold }) {
+  return (
+    <td className={`td text-right font-mono ${bold ? 'font-medium' : ''} ${value != null ? signClass(value) : 'text-slate-400'}`}>
+      {fmt(value, suffix)}
+    </td>
+  );
+}
+
+function SubTitle({ children, note }) {
+  return (
+    <h3 className="text-xs font-semibold text-slate-500 uppercase tracking-wider mb-2">
+      {children}
+      {note && <span className="ml-2 normal-case font-normal text-slate-400">{note}</span>}
+    </h3>
+  );
+}
+
+/**
+ * Return attribution for one timeframe: contribution by sleeve and holding,
+ * and a Brinson allocation/selection split by sector when the benchmark has
+ * sector weights.  Contributions are in percentage points of portfolio return.
+ */
+export default function AttributionReport({ holdings, benchmarkTicker, drip = true }) {
+  const [timeframe, setTimeframe] = useState('1Y');
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const usingReal = isConfigured();
+
+  useEffect(() => {
+    if (!usingReal || !holdings.length) return;
+    let cancelled = false;
+    setLoading(true);
+    getRealAttribution(holdings, benchmarkTicker, timeframe, { drip }).then((result) => {
+      if (!cancelled) setData(result);
+    }).catch(() => {
+      if (!cancelled) setData(null);
+    }).finally(() => {
+      if (!cancelled) setLoading(false);
+    });
+    return () => { cancelled = true; };
+  }, [holdings, benchmarkTicker, timeframe, drip, usingReal]);
+
+  if (!holdings.length) return null;
+
+  const hasBench = data?.benchmarkReturn != null;
+  const missing = data ? data.holdings.filter((h) => h.return == null) : [];
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-1 mb-3">
+        {TIMEFRAMES.map((t) => (
+          <button
+            key={t}
+            onClick={() => setTimeframe(t)}
+            className={`px-2 sm:px-2.5 py-1 rounded text-xs font-medium transition-colors ${
+              timeframe === t ? 'bg-blue-600 text-white' : 'text-slate-600 hover:bg-slate-100'
+            }`}
+          >
+            {t}
+          </button>
+        ))}
+        <span className="ml-auto text-[10px] sm:text-xs text-slate-400">
+          {loading ? 'Loading...' : data ? `${data.startDate} → ${data.endDate}` : 'Data unavailable'}
+        </span>
+      </div>
+
+      {data && (
+        <>
+          {/* Headline */}
+          <div className="flex flex-wrap gap-x-6 gap-y-1 text-xs text-slate-500 mb-4">
+            <span>Portfolio <span className={`font-mono font-semibold ${signClass(data.portfolioReturn)}`}>{fmt(data.portfolioReturn)}</span></span>
+            {hasBench && (
+              <>
+                <span>{benchmarkTicker} <span className={`font-mono font-semibold ${signClass(data.benchmarkReturn)}`}>{fmt(data.benchmarkReturn)}</span></span>
+                <span>Active <span className={`font-mono font-semibold ${signClass(data.portfolioReturn - data.benchmarkReturn)}`}>
+                  {fmt(data.portfolioReturn - data.benchmarkReturn, ' pts')}
+                </span></span>
+              </>
+            )}
+          </div>
+
+          {missing.length > 0 && (
+            <div className="mb-3 flex items-start gap-1.5 text-xs text-amber-700 bg-amber-50 border border-amber-200 rounded px-2.5 py-1.5">
+              <AlertTriangle className="w-3.5 h-3.5 mt-0.5 shrink-0" />
+              <div>
+                No price history for the whole window: {missing.map((h) => h.ticker).join(', ')} — left out of the totals
+                ({data.coverage.toFixed(1)}% of weight covered).
+              </div>
+            </div>
+          )}
+
+          {/* By sleeve */}
+          <div className="mb-4">
+            <SubTitle>By Sleeve</SubTitle>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-slate-100">
+                <thead className="bg-slate-50">
+                  <tr>
+                    <th className="th">Sleeve</th>
+                    <th className="th text-right">Weight</th>
+                    <th className="th text-right">Return</th>
+                    <th className="th text-right">Contribution</th>
+                    {hasBench && <th className="th text-right" title="Contribution to return above the benchmark">vs {benchmarkTicker}</th>}
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-100">
+                  {data.sleeves.map((s) => (
+                    <tr key={s.name}>
+                      <td className="td font-medium text-slate-700">
+                        <span className={`inline-block w-2 h-2 rounded-full mr-2 ${SLEEVE_COLORS[s.name]}`} />
+                        {s.name}
+                      </td>
+                      <td className="td text-right font-mono text-slate-600">{s.weight.toFixed(1)}%</td>
+                      <Cell value={s.return} />
+                      <Cell value={s.contribution} suffix=" pts" bold />
+                      {hasBench && <Cell value={s.excess} suffix=" pts" />}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          {/* By holding */}
+          <div className="mb-4">
+            <SubTitle>By Holding</SubTitle>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-slate-100">
+                <thead className="bg-slate-50">
+                  <tr>
+                    <th className="th">Ticker</th>
+                    <th className="th">Sleeve</th>
+                    <th className="th text-right">Weight</th>
+                    <th className="th text-right">Return</th>
+                    <th className="th text-right">Contribution</th>
+                    {hasBench && <th className="th text-right">vs {benchmarkTicker}</th>}
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-100">
+                  {[...data.holdings].sort((a, b) => (b.contribution ?? -Infinity) - (a.contribution ?? -Infinity)).map((h) => (
+                    <tr key={h.ticker}>
+                      <td className="td font-semibold text-slate-900">{h.ticker}</td>
+                      <td className="td text-xs text-slate-500">{h.category}</td>
+                      <td className="td text-right font-mono text-slate-600">{h.weight.toFixed(1)}%</td>
+                      <Cell value={h.return} />
+                      <Cell value={h.contribution} suffix=" pts" bold />
+                      {hasBench && <Cell value={h.excess} suffix=" pts" />}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          {/* Brinson by sector */}
+          {data.brinson ? (
+            <div>
+              <SubTitle note={`allocation ${fmt(data.brinson.allocation, ' pts')} · selection ${fmt(data.brinson.selection, ' pts')}`}>
+                By Sector (Brinson)
+              </SubTitle>
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-slate-100">
+                  <thead className="bg-slate-50">
+                    <tr>
+                      <th className="th">Sector</th>
+                      <th className="th text-right">Port. Wt</th>
+                      <th className="th text-right">Bench. Wt</th>
+                      <th className="th text-right">Port. Ret</th>
+                      <th className="th text-right">Sector Ret</th>
+                      <th className="th text-right" title="Effect of over/underweighting the sector">Allocation</th>
+                      <th className="th text-right" title="Effect of what was held inside the sector">Selection</th>
+                      <th className="th text-right">Total</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-slate-100">
+                    {data.brinson.sectors.map((s) => (
+                      <tr key={s.sector}>
+                        <td className="td font-medium text-slate-700">{s.sector}</td>
+                        <td className="td text-right font-mono text-slate-600">{s.portfolioWeight.toFixed(1)}%</td>
+                        <td className="td text-right font-mono text-slate-600">{s.benchmarkWeight.toFixed(1)}%</td>
+                        <Cell value={s.portfolioReturn} />
+                        <Cell value={s.benchmarkReturn} />
+                        <Cell value={s.allocation} suffix=" pts" />
+                        <Cell value={s.selection} suffix=" pts" />
+                        <Cell value={s.total} suffix=" pts" bold />
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <p className="text-xs text-slate-400 mt-2">
+                Sector returns use the SPDR sector ETFs; index fund holdings are split by their benchmark sector weights.
+                Against this sector-built benchmark ({fmt(data.brinson.benchmarkReturn)}) the invested portfolio
+                returned {fmt(data.brinson.portfolioReturn)}. Non-equity sleeves are measured against the benchmark as a whole.
+              </p>
+            </div>
+          ) : hasBench && (
+            <p className="text-xs text-slate-400">
+              Sector attribution needs a benchmark with published sector weights (S&amp;P 500, NASDAQ-100, Dow 30 or Russell 2000).
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,170 @@
+import { useState, useEffect, useMemo } from 'react';
+import { Download } from 'lucide-react';
+import { isConfigured, getRealCalendarReturns } from '../lib/finnhub';
+import { MONTH_LABELS, excessGrid } from '../lib/calendarReturns';
+import { RISK_FREE_RATE } from '../lib/riskStats';
+import { downloadCSV } from '../lib/csv';
+
+// Monthly moves past this many % get the deepest shade; annual totals use 4×
+const SATURATION = 8;
+
+// Green for gains, red for losses; opacity tracks magnitude
+function cellStyle(v, scale = SATURATION) {
+  if (v == null) return { backgroundColor: '#f8fafc', color: '#cbd5e1' };
+  const alpha = Math.min(1, Math.abs(v) / scale);
+  return {
+    backgroundColor: v >= 0 ? `rgba(34, 197, 94, ${alpha * 0.75})` : `rgba(239, 68, 68, ${alpha * 0.75})`,
+    color: alpha > 0.6 ? '#fff' : '#334155',
+  };
+}
+
+function fmtPct(v) {
+  return v != null ? `${v > 0 ? '+' : ''}${v.toFixed(1)}%` : '—';
+}
+
+function fmtCell(c) {
+  return c ? `${MONTH_LABELS[c.month]} ${c.year}: ${fmtPct(c.value)}` : '--';
+}
+
+/**
+ * Year × month heatmap of calendar returns for the portfolio, the benchmark,
+ * or the difference between them, with annual totals and the best and worst
+ * month.  Exports both series to CSV.  `label` names the first series — the
+ * Benchmarks page charts a single index as the "portfolio".
+ */
+export default function CalendarReturnsGrid({
+  holdings, benchmarkTicker, label = 'Portfolio', returnMode = 'total', drip = true, cashPercent = 0, cashRate = RISK_FREE_RATE,
+}) {
+  const [view, setView] = useState('portfolio');
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const usingReal = isConfigured();
+
+  useEffect(() => {
+    if (!usingReal || !holdings.length) return;
+    let cancelled = false;
+    setLoading(true);
+    getRealCalendarReturns(holdings, benchmarkTicker, { returnMode, drip, cashPercent, cashRate })
+      .then((result) => {
+        if (!cancelled) setData(result);
+      })
+      .catch(() => {
+        if (!cancelled) setData(null);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => { cancelled = true; };
+  }, [holdings, benchmarkTicker, returnMode, drip, cashPercent, cashRate, usingReal]);
+
+  const grids = useMemo(() => {
+    if (!data) return {};
+    return {
+      portfolio: data.portfolio,
+      benchmark: data.benchmark,
+      excess: data.benchmark ? excessGrid(data.portfolio, data.benchmark) : null,
+    };
+  }, [data]);
+
+  const views = [
+    { value: 'portfolio', label },
+    ...(grids.benchmark ? [{ value: 'benchmark', label: benchmarkTicker }, { value: 'excess', label: 'Excess' }] : []),
+  ];
+  const activeView = grids[view] ? view : 'portfolio';
+  const grid = grids[activeView];
+
+  function exportCSV() {
+    const series = [
+      [label, grids.portfolio],
+      ...(grids.benchmark ? [[benchmarkTicker, grids.benchmark], ['Excess', grids.excess]] : []),
+    ];
+    const rows = [['Series', 'Year', ...MONTH_LABELS, 'Year Total']];
+    series.forEach(([name, g]) => {
+      g.years.forEach((y) => {
+        rows.push([name, y.year, ...y.months.map((v) => (v != null ? v.toFixed(2) : '')), y.total != null ? y.total.toFixed(2) : '']);
+      });
+    });
+    downloadCSV('calendar-returns.csv', rows);
+  }
+
+  const selectorClass = (active) => `px-2 sm:px-2.5 py-1 rounded text-xs font-medium transition-colors ${
+    active ? 'bg-blue-600 text-white' : 'text-slate-600 hover:bg-slate-100'
+  }`;
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-1 mb-3">
+        {views.map((v) => (
+          <button key={v.value} onClick={() => setView(v.value)} className={selectorClass(activeView === v.value)}>
+            {v.label}
+          </button>
+        ))}
+        <span className="ml-auto text-[10px] sm:text-xs text-slate-400">
+          {loading ? 'Loading...' : data ? '● Live' : 'Data unavailable'}
+        </span>
+        {grid && (
+          <button onClick={exportCSV} className="btn-secondary text-xs py-1 ml-2">
+            <Download className="w-3.5 h-3.5" />
+            Export CSV
+          </button>
+        )}
+      </div>
+
+      {!grid ? (
+        <div className="h-[120px] flex items-center justify-center text-sm text-slate-400">
+          {loading ? 'Loading calendar returns…' : 'No price history available'}
+        </div>
+      ) : (
+        <>
+          <div className="overflow-x-auto">
+            <table className="text-xs border-separate" style={{ borderSpacing: 2 }}>
+              <thead>
+                <tr>
+                  <th />
+                  {MONTH_LABELS.map((m) => (
+                    <th key={m} className="px-1 py-1 font-semibold text-slate-600 text-center">{m}</th>
+                  ))}
+                  <th className="px-1 py-1 font-semibold text-slate-600 text-center">Year</th>
+                </tr>
+              </thead>
+              <tbody>
+                {grid.years.map((y) => (
+                  <tr key={y.year}>
+                    <th className="pr-2 py-1 font-semibold text-slate-600 text-right">{y.year}</th>
+                    {y.months.map((v, m) => (
+                      <td
+                        key={m}
+                        className="w-12 h-8 text-center font-mono rounded"
+                        style={cellStyle(v)}
+                        title={v != null ? `${MONTH_LABELS[m]} ${y.year}: ${fmtPct(v)}` : undefined}
+                      >
+                        {v != null ? v.toFixed(1) : ''}
+                      </td>
+                    ))}
+                    <td
+                      className="w-14 h-8 text-center font-mono font-semibold rounded"
+                      style={cellStyle(y.total, SATURATION * 4)}
+                      title={y.partial ? `Partial year — from ${data.fromDate}` : undefined}
+                    >
+                      {fmtPct(y.total)}{y.partial ? '*' : ''}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="mt-3 flex flex-wrap items-center gap-x-4 gap-y-1 text-xs text-slate-500">
+            <span>Best month: <span className="font-semibold text-green-600">{fmtCell(grid.best)}</span></span>
+            <span>Worst month: <span className="font-semibold text-red-500">{fmtCell(grid.worst)}</span></span>
+            {grid.years.some((y) => y.partial) && <span className="text-slate-400">* partial year</span>}
+          </div>
+          <p className="mt-2 text-xs text-slate-400">
+            Today&apos;s weights since {data.fromDate}, when every holding was trading. Month-end to month-end;
+            the current month is to date.{activeView === 'excess' && ` Excess is the portfolio minus ${benchmarkTicker}, in percentage points.`}
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,237 @@
+import { useState, useEffect, useMemo } from 'react';
+import { AlertTriangle, Plus, X } from 'lucide-react';
+import { isConfigured, getRealCashFlowReturns } from '../lib/finnhub';
+import { isConfigured as isSchwabConfigured, getSchwabCashFlows } from '../lib/schwab';
+import { cashFlowsFromHistory } from '../lib/cashFlowReturns';
+import { RISK_FREE_RATE } from '../lib/riskStats';
+
+const NO_EVENTS = [];
+
+function signClass(v) {
+  return v > 0 ? 'text-green-600' : v < 0 ? 'text-red-500' : 'text-slate-500';
+}
+
+function fmtPct(v) {
+  return v != null ? `${v > 0 ? '+' : ''}${v.toFixed(2)}%` : '--';
+}
+
+function fmtDollars(v) {
+  const sign = v > 0 ? '+' : v < 0 ? '−' : '';
+  return `${sign}$${Math.abs(Math.round(v)).toLocaleString('en-US')}`;
+}
+
+function fmtDate(d) {
+  return new Date(`${d}T00:00:00Z`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+}
+
+function ReturnCell({ value, annualized }) {
+  return (
+    <td className="td text-right">
+      <div className={`font-mono font-medium ${signClass(value)}`}>{fmtPct(value)}</div>
+      {annualized != null && <div className="text-[10px] text-slate-400 font-mono">{fmtPct(annualized)} ann.</div>}
+    </td>
+  );
+}
+
+/**
+ * Time-weighted vs money-weighted returns per period, from the portfolio's
+ * logged deposits/withdrawals (weight_history 'cash_flow' events) plus any
+ * Schwab transfers.  Pass onAddFlow / onRemoveFlow to log flows; omit them
+ * for the read-only client view.
+ */
+export default function CashFlowReturns({
+  holdings, weightHistory = NO_EVENTS, inceptionDate, startValue, cashPercent = 0, cashRate = RISK_FREE_RATE,
+  drip = true, schwab = null, onAddFlow, onRemoveFlow,
+}) {
+  const [schwabFlows, setSchwabFlows] = useState([]);
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [draft, setDraft] = useState({ date: '', amount: '', direction: 'in', note: '' });
+  const usingReal = isConfigured();
+  const readOnly = !onAddFlow;
+
+  // Schwab deposits/withdrawals since inception
+  useEffect(() => {
+    setSchwabFlows([]);
+    if (!isSchwabConfigured() || !schwab?.userId || !schwab?.accountHash || !inceptionDate) return;
+    let cancelled = false;
+    getSchwabCashFlows(schwab.userId, schwab.accountHash, inceptionDate)
+      .then((flows) => {
+        if (!cancelled) setSchwabFlows(flows.map((f) => ({ ...f, source: 'schwab', note: f.description })));
+      })
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, [schwab?.userId, schwab?.accountHash, inceptionDate]);
+
+  const flows = useMemo(() => (
+    [...cashFlowsFromHistory(weightHistory), ...schwabFlows]
+      .filter((f) => f.date >= inceptionDate)
+      .sort((a, b) => a.date.localeCompare(b.date))
+  ), [weightHistory, schwabFlows, inceptionDate]);
+
+  useEffect(() => {
+    if (!usingReal || !holdings.length || !inceptionDate || !(startValue > 0)) return;
+    let cancelled = false;
+    setLoading(true);
+    getRealCashFlowReturns(holdings, {
+      weightHistory, inceptionDate, startValue, flows, cashPercent, cashRate, drip,
+    }).then((r) => {
+      if (!cancelled) setResult(r);
+    }).catch(() => {
+      if (!cancelled) setResult(null);
+    }).finally(() => {
+      if (!cancelled) setLoading(false);
+    });
+    return () => { cancelled = true; };
+  }, [holdings, weightHistory, inceptionDate, startValue, flows, cashPercent, cashRate, drip, usingReal]);
+
+  if (!holdings.length) return null;
+
+  const today = new Date().toISOString().slice(0, 10);
+  const amount = parseFloat(draft.amount);
+  const draftValid = draft.date && draft.date >= inceptionDate && draft.date <= today && amount > 0;
+
+  function handleAdd() {
+    if (!draftValid) return;
+    onAddFlow({ date: draft.date, amount: draft.direction === 'in' ? amount : -amount, note: draft.note.trim() });
+    setDraft({ date: '', amount: '', direction: 'in', note: '' });
+  }
+
+  return (
+    <div>
+      <div className="flex items-center mb-3">
+        <p className="text-xs text-slate-500">
+          Since {inceptionDate ? fmtDate(inceptionDate) : '--'} · starting value ${Math.round(startValue || 0).toLocaleString('en-US')}
+          {flows.length > 0 && <> · {flows.length} cash flow{flows.length !== 1 ? 's' : ''}</>}
+        </p>
+        <span className="ml-auto text-[10px] sm:text-xs text-slate-400">
+          {loading ? 'Loading...' : result ? '● Live' : 'Data unavailable'}
+        </span>
+      </div>
+
+      {result?.missing.length > 0 && (
+        <div className="mb-3 flex items-start gap-1.5 text-xs text-amber-700 bg-amber-50 border border-amber-200 rounded px-2.5 py-1.5">
+          <AlertTriangle className="w-3.5 h-3.5 mt-0.5 shrink-0" />
+          <div>No price history for {result.missing.join(', ')} — held flat in the model.</div>
+        </div>
+      )}
+
+      {result && (
+        <div className="overflow-x-auto mb-2">
+          <table className="min-w-full divide-y divide-slate-100">
+            <thead className="bg-slate-50">
+              <tr>
+                <th className="th">Period</th>
+                <th className="th text-right">Time-Weighted</th>
+                <th className="th text-right">Money-Weighted</th>
+                <th className="th text-right hidden sm:table-cell">Net Flows</th>
+                <th className="th text-right hidden sm:table-cell">Gain / Loss</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-100">
+              {result.periods.map((p) => (
+                <tr key={p.label}>
+                  <td className="td">
+                    <div className="font-medium text-slate-700">{p.label === 'Inception' ? 'Since inception' : p.label}</div>
+                    {p.startDate && <div className="text-[10px] text-slate-400">from {fmtDate(p.startDate)}</div>}
+                  </td>
+                  {p.startDate ? (
+                    <>
+                      <ReturnCell value={p.twr} annualized={p.twrAnnualized} />
+                      <ReturnCell value={p.mwr} annualized={p.mwrAnnualized} />
+                      <td className="td text-right font-mono text-slate-600 hidden sm:table-cell">
+                        {p.netFlows ? fmtDollars(p.netFlows) : '—'}
+                      </td>
+                      <td className={`td text-right font-mono hidden sm:table-cell ${signClass(p.gain)}`}>{fmtDollars(p.gain)}</td>
+                    </>
+                  ) : (
+                    <td colSpan={4} className="td text-right text-xs text-slate-400">
+                      {p.label === 'Inception' ? 'Not enough history yet' : 'Before inception'}
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <p className="text-xs text-slate-400 mb-4">
+        Time-weighted chain-links daily returns so deposits and withdrawals don&apos;t affect it — the strategy&apos;s
+        result. Money-weighted (XIRR) reflects when money went in and out — the client&apos;s own result. Values are
+        modeled from the starting value, logged weight changes and the flows below; periods over a year are also
+        shown annualized.
+      </p>
+
+      {/* Cash flows */}
+      <h3 className="text-xs font-semibold text-slate-500 uppercase tracking-wider mb-2">Cash Flows</h3>
+      {flows.length > 0 ? (
+        <div className="overflow-x-auto mb-3">
+          <table className="min-w-full divide-y divide-slate-100">
+            <tbody className="divide-y divide-slate-100">
+              {[...flows].reverse().map((f) => (
+                <tr key={`${f.source}:${f.id}`}>
+                  <td className="td text-slate-600 whitespace-nowrap">{fmtDate(f.date)}</td>
+                  <td className={`td text-right font-mono ${signClass(f.amount)}`}>{fmtDollars(f.amount)}</td>
+                  <td className="td text-xs text-slate-400 w-full">
+                    {f.source === 'schwab' && <span className="text-emerald-600 font-medium mr-1.5">Schwab</span>}
+                    {f.note}
+                  </td>
+                  <td className="td text-right">
+                    {!readOnly && f.source === 'manual' && onRemoveFlow && (
+                      <button onClick={() => onRemoveFlow(f.id)} className="text-slate-300 hover:text-red-500" title="Remove">
+                        <X className="w-3.5 h-3.5" />
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <p className="text-xs text-slate-400 mb-3">No deposits or withdrawals since inception.</p>
+      )}
+
+      {!readOnly && (
+        <div className="flex flex-wrap items-center gap-2">
+          <input
+            type="date"
+            className="input w-auto py-1 text-xs"
+            value={draft.date}
+            min={inceptionDate}
+            max={today}
+            onChange={(e) => setDraft((d) => ({ ...d, date: e.target.value }))}
+          />
+          <select
+            className="input w-auto py-1 text-xs"
+            value={draft.direction}
+            onChange={(e) => setDraft((d) => ({ ...d, direction: e.target.value }))}
+          >
+            <option value="in">Deposit</option>
+            <option value="out">Withdrawal</option>
+          </select>
+          <input
+            type="number"
+            min={0}
+            step={1000}
+            className="input w-28 py-1 text-xs text-right font-mono"
+            placeholder="Amount"
+            value={draft.amount}
+            onChange={(e) => setDraft((d) => ({ ...d, amount: e.target.value }))}
+          />
+          <input
+            className="input w-40 py-1 text-xs"
+            placeholder="Note (optional)"
+            value={draft.note}
+            maxLength={200}
+            onChange={(e) => setDraft((d) => ({ ...d, note: e.target.value }))}
+          />
+          <button className="btn-secondary text-xs py-1" disabled={!draftValid} onClick={handleAdd}>
+            <Plus className="w-3.5 h-3.5" /> Log cash flow
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
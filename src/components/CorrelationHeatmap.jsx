@@ -0,0 +1,180 @@
+import { useState, useEffect, useMemo } from 'react';
+import { AlertTriangle } from 'lucide-react';
+import { isConfigured, getRealCorrelationData } from '../lib/finnhub';
+
+const RANGES = ['1M', '3M', '6M', '1Y', '2Y', 'Max'];
+const DEFAULT_THRESHOLD = 0.8;
+
+// Red for positive, blue for negative correlation; opacity tracks magnitude
+function cellStyle(c) {
+  if (c == null) return { backgroundColor: '#f1f5f9', color: '#94a3b8' };
+  const alpha = Math.min(1, Math.abs(c));
+  return {
+    backgroundColor: c >= 0 ? `rgba(239, 68, 68, ${alpha * 0.85})` : `rgba(59, 130, 246, ${alpha * 0.85})`,
+    color: alpha > 0.55 ? '#fff' : '#334155',
+  };
+}
+
+export default function CorrelationHeatmap({ holdings }) {
+  const [range, setRange] = useState('1Y');
+  const [threshold, setThreshold] = useState(DEFAULT_THRESHOLD);
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const usingReal = isConfigured();
+
+  useEffect(() => {
+    if (!usingReal || holdings.length < 2) return;
+    let cancelled = false;
+    setLoading(true);
+    getRealCorrelationData(holdings, range).then((result) => {
+      if (!cancelled) setData(result);
+    }).catch(() => {
+      if (!cancelled) setData(null);
+    }).finally(() => {
+      if (!cancelled) setLoading(false);
+    });
+    return () => { cancelled = true; };
+  }, [holdings, range, usingReal]);
+
+  // Unique pairs at or above the threshold, most correlated first
+  const flaggedPairs = useMemo(() => {
+    if (!data) return [];
+    const pairs = [];
+    data.tickers.forEach((a, i) => {
+      for (let j = i + 1; j < data.tickers.length; j++) {
+        const c = data.correlation[i][j];
+        if (c != null && c >= threshold) pairs.push({ a, b: data.tickers[j], c });
+      }
+    });
+    return pairs.sort((x, y) => y.c - x.c);
+  }, [data, threshold]);
+
+  if (holdings.length < 2) return null;
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-1 mb-3">
+        {RANGES.map((r) => (
+          <button
+            key={r}
+            onClick={() => setRange(r)}
+            className={`px-2 sm:px-2.5 py-1 rounded text-xs font-medium transition-colors ${
+              range === r ? 'bg-blue-600 text-white' : 'text-slate-600 hover:bg-slate-100'
+            }`}
+          >
+            {r}
+          </button>
+        ))}
+        <label className="ml-3 flex items-center gap-1.5 text-xs text-slate-500">
+          Flag ≥
+          <input
+            type="number"
+            min={0}
+            max={1}
+            step={0.05}
+            className="input w-16 py-0.5 px-1.5 text-xs text-right font-mono"
+            value={threshold}
+            onChange={(e) => setThreshold(Math.min(1, Math.max(0, parseFloat(e.target.value) || 0)))}
+          />
+        </label>
+        <span className="ml-auto text-[10px] sm:text-xs text-slate-400">
+          {loading ? 'Loading...' : data ? '● Live' : 'Data unavailable'}
+        </span>
+      </div>
+
+      {data && (
+        <>
+          {/* Heatmap */}
+          <div className="overflow-x-auto">
+            <table className="text-xs border-separate" style={{ borderSpacing: 2 }}>
+              <thead>
+                <tr>
+                  <th />
+                  {data.tickers.map((t) => (
+                    <th key={t} className="px-1 py-1 font-semibold text-slate-600 text-center">{t}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {data.tickers.map((row, i) => (
+                  <tr key={row}>
+                    <th className="pr-2 py-1 font-semibold text-slate-600 text-right">{row}</th>
+                    {data.tickers.map((col, j) => {
+                      const c = data.correlation[i][j];
+                      const flagged = i !== j && c != null && c >= threshold;
+                      return (
+                        <td
+                          key={col}
+                          className={`w-12 h-8 text-center font-mono rounded ${flagged ? 'ring-2 ring-amber-400' : ''}`}
+                          style={cellStyle(c)}
+                          title={`${row} / ${col}: ${c != null ? c.toFixed(2) : 'insufficient overlap'}`}
+                        >
+                          {c != null ? c.toFixed(2) : '—'}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Flagged pairs */}
+          {flaggedPairs.length > 0 ? (
+            <div className="mt-3 flex items-start gap-1.5 text-xs text-amber-700 bg-amber-50 border border-amber-200 rounded px-2.5 py-1.5">
+              <AlertTriangle className="w-3.5 h-3.5 mt-0.5 shrink-0" />
+              <div>
+                {flaggedPairs.length} pair{flaggedPairs.length === 1 ? '' : 's'} at or above {threshold.toFixed(2)}:{' '}
+                {flaggedPairs.map((p) => `${p.a}/${p.b} (${p.c.toFixed(2)})`).join(', ')}
+              </div>
+            </div>
+          ) : (
+            <p className="mt-3 text-xs text-slate-400">No pairs at or above {threshold.toFixed(2)} correlation.</p>
+          )}
+
+          {/* Marginal contribution to volatility */}
+          {data.risk && (
+            <div className="mt-4">
+              <h3 className="text-xs font-semibold text-slate-500 uppercase tracking-wider mb-2">
+                Contribution to Volatility
+                <span className="ml-2 normal-case font-normal text-slate-400">portfolio {data.risk.volatility.toFixed(1)}% annualized</span>
+              </h3>
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-slate-100">
+                  <thead className="bg-slate-50">
+                    <tr>
+                      <th className="th">Ticker</th>
+                      <th className="th text-right">Weight</th>
+                      <th className="th text-right" title="Change in portfolio volatility per unit of added weight">Marginal</th>
+                      <th className="th text-right">Contribution</th>
+                      <th className="th text-right">Risk Share</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-slate-100">
+                    {[...data.risk.holdings].sort((a, b) => b.share - a.share).map((r) => {
+                      const outsized = r.share - r.weight > 5;
+                      return (
+                        <tr key={r.ticker}>
+                          <td className="td font-semibold text-slate-900">{r.ticker}</td>
+                          <td className="td text-right font-mono text-slate-600">{r.weight.toFixed(1)}%</td>
+                          <td className="td text-right font-mono text-slate-600">{r.marginal.toFixed(1)}%</td>
+                          <td className="td text-right font-mono text-slate-600">{r.contribution.toFixed(2)}%</td>
+                          <td className={`td text-right font-mono font-medium ${outsized ? 'text-amber-600' : 'text-slate-700'}`}>
+                            {r.share.toFixed(1)}%
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+              <p className="text-xs text-slate-400 mt-2">
+                Risk share above weight (amber) means a holding adds more volatility than its allocation suggests.
+              </p>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,45 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * From/to date inputs for a custom chart range.  Calls onChange only once
+ * both dates are set and from < to ≤ today.
+ */
+export default function DateRangePicker({ value, onChange, min }) {
+  const [draft, setDraft] = useState(value ?? { from: '', to: '' });
+  const today = new Date().toISOString().slice(0, 10);
+
+  useEffect(() => {
+    if (value) setDraft(value);
+  }, [value?.from, value?.to]);
+
+  function update(field, v) {
+    const next = { ...draft, [field]: v };
+    setDraft(next);
+    if (next.from && next.to && next.from < next.to && next.to <= today) onChange(next);
+  }
+
+  const invalid = draft.from && draft.to && (draft.from >= draft.to || draft.to > today);
+
+  return (
+    <div className="flex flex-wrap items-center gap-1.5 text-xs text-slate-500">
+      <input
+        type="date"
+        className="input w-auto py-1 text-xs"
+        value={draft.from}
+        min={min}
+        max={draft.to || today}
+        onChange={(e) => update('from', e.target.value)}
+      />
+      <span>to</span>
+      <input
+        type="date"
+        className="input w-auto py-1 text-xs"
+        value={draft.to}
+        min={draft.from || min}
+        max={today}
+        onChange={(e) => update('to', e.target.value)}
+      />
+      {invalid && <span className="text-red-500">Start must be before end, and end no later than today</span>}
+    </div>
+  );
+}
@@ -4,8 +4,10 @@ import {
   Legend, ResponsiveContainer, ReferenceLine,
 } from 'recharts';
 import { isConfigured, getRealHoldingsChartData } from '../lib/finnhub';
+import DateRangePicker from './DateRangePicker';
+import { useUrlDateRange } from '../hooks/useUrlDateRange';
 
-const RANGES = ['1M', '3M', '6M', '1Y', '2Y', 'Max'];
+const RANGES = ['1M', '3M', '6M', '1Y', '2Y', 'Max', 'Custom'];
 const RANGE_DAYS = { '1M': 21, '3M': 63, '6M': 126, '1Y': 252, '2Y': 504, 'Max': 756 };
 
 // Distinct colors for up to 15 holdings
@@ -24,7 +26,13 @@ function formatDate(dateStr, range) {
 }
 
 export default function HoldingsPerformanceChart({ holdings }) {
-  const [range, setRange] = useState('6M');
+  const [presetRange, setRange] = useState('6M');
+  const [customRange, setCustomRange] = useUrlDateRange(); // shared with PerformanceChart via ?from=&to=
+  const [pickingCustom, setPickingCustom] = useState(false);
+  const range = customRange || pickingCustom ? 'Custom' : presetRange;
+  const customFrom = customRange?.from;
+  const customTo = customRange?.to;
+  const customDates = useMemo(() => (customFrom ? { from: customFrom, to: customTo } : null), [customFrom, customTo]);
   const [realData, setRealData] = useState(null);
   const [loading, setLoading] = useState(false);
   const usingReal = isConfigured();
@@ -59,12 +67,26 @@ export default function HoldingsPerformanceChart({ holdings }) {
     setHiddenTickers(new Set(holdings.map((h) => h.ticker)));
   }
 
+  useEffect(() => {
+    if (customFrom) setPickingCustom(false);
+  }, [customFrom]);
+
+  function selectRange(r) {
+    if (r === 'Custom') {
+      setPickingCustom(true);
+      return;
+    }
+    setPickingCustom(false);
+    setCustomRange(null);
+    setRange(r);
+  }
+
   // Fetch real data when available
   useEffect(() => {
-    if (!usingReal || !holdings?.length) return;
+    if (!usingReal || !holdings?.length || (range === 'Custom' && !customDates)) return;
     let cancelled = false;
     setLoading(true);
-    getRealHoldingsChartData(holdings, range).then((data) => {
+    getRealHoldingsChartData(holdings, range === 'Custom' ? customDates : range).then((data) => {
       if (!cancelled && data?.length) setRealData(data);
       else if (!cancelled) setRealData(null);
     }).catch(() => {
@@ -73,7 +95,7 @@ export default function HoldingsPerformanceChart({ holdings }) {
       if (!cancelled) setLoading(false);
     });
     return () => { cancelled = true; };
-  }, [holdings, range, usingReal]);
+  }, [holdings, range, customDates, usingReal]);
 
   // Real data only — no simulated fallback
   const chartData = useMemo(() => {
@@ -95,7 +117,7 @@ export default function HoldingsPerformanceChart({ holdings }) {
         {RANGES.map((r) => (
           <button
             key={r}
-            onClick={() => setRange(r)}
+            onClick={() => selectRange(r)}
             className={`px-2 sm:px-2.5 py-1 rounded text-xs font-medium transition-colors ${
               range === r
                 ? 'bg-blue-600 text-white'
@@ -110,6 +132,12 @@ export default function HoldingsPerformanceChart({ holdings }) {
         </span>
       </div>
 
+      {range === 'Custom' && (
+        <div className="mb-3">
+          <DateRangePicker value={customDates} onChange={setCustomRange} />
+        </div>
+      )}
+
       {/* Holdings toggle chips */}
       <div className="flex flex-wrap items-center gap-1.5 mb-3">
         <span className="text-xs text-slate-400 mr-1">Show:</span>
@@ -145,6 +173,10 @@ export default function HoldingsPerformanceChart({ holdings }) {
         <div className="h-[240px] sm:h-[300px] flex items-center justify-center text-sm text-slate-400 animate-pulse">
           Loading real market data…
         </div>
+      ) : range === 'Custom' && !customDates ? (
+        <div className="h-[240px] sm:h-[300px] flex items-center justify-center text-sm text-slate-400">
+          Pick a start and end date
+        </div>
       ) : visibleHoldings.length === 0 ? (
         <div className="h-[240px] sm:h-[300px] flex items-center justify-center text-sm text-slate-400">
           Select holdings above to compare
@@ -157,7 +189,7 @@ export default function HoldingsPerformanceChart({ holdings }) {
             <XAxis
               dataKey="date"
               ticks={ticks}
-              tickFormatter={(v) => formatDate(v, range)}
+              tickFormatter={(v) => formatDate(v, range === 'Custom' ? (chartData.length <= 130 ? '6M' : '1Y') : range)}
               tick={{ fontSize: 11, fill: '#64748b' }}
               axisLine={false}
               tickLine={false}
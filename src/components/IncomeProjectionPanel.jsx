@@ -0,0 +1,263 @@
+import { useState, useEffect, useMemo } from 'react';
+import {
+  BarChart, Bar, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, Cell,
+} from 'recharts';
+import { isConfigured, getRealDividendHistory } from '../lib/finnhub';
+import { projectIncome, DRIP_HORIZON_YEARS } from '../lib/income';
+import { RISK_FREE_RATE } from '../lib/riskStats';
+
+const FREQUENCY_LABELS = { monthly: 'Monthly', quarterly: 'Quarterly', 'semi-annual': 'Semi-annual', annual: 'Annual' };
+
+function fmtDollars(v, dp = 0) {
+  return `$${v.toLocaleString('en-US', { minimumFractionDigits: dp, maximumFractionDigits: dp })}`;
+}
+
+function fmtDate(iso) {
+  if (!iso) return '—';
+  return new Date(`${iso}T00:00:00Z`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+}
+
+function MonthTooltip({ active, payload }) {
+  if (!active || !payload?.length) return null;
+  const m = payload[0].payload;
+  return (
+    <div className="bg-white border border-slate-200 rounded shadow-lg px-3 py-2 text-xs">
+      <p className="font-medium text-slate-700 mb-1">{m.label} · {fmtDollars(m.total, 2)}</p>
+      {m.payments.slice(0, 6).map((p) => (
+        <p key={`${p.ticker}-${p.payDate}`} className="text-slate-500">
+          {p.ticker} <span className="font-mono text-slate-700">{fmtDollars(p.amount, 2)}</span>
+        </p>
+      ))}
+      {m.payments.length > 6 && <p className="text-slate-400">+{m.payments.length - 6} more</p>}
+    </div>
+  );
+}
+
+/**
+ * Projected dividend and interest income on the portfolio's starting value:
+ * annual total, a 12-month payout calendar by pay date, per-holding schedule
+ * and the long-run effect of reinvesting (DRIP) versus taking cash.
+ */
+export default function IncomeProjectionPanel({
+  holdings, value, cashPercent = 0, cashRate = RISK_FREE_RATE, drip = true,
+}) {
+  const [histories, setHistories] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [selectedMonth, setSelectedMonth] = useState(null);
+  const usingReal = isConfigured();
+
+  useEffect(() => {
+    if (!usingReal || !holdings.length) return;
+    let cancelled = false;
+    setLoading(true);
+    getRealDividendHistory(holdings).then((result) => {
+      if (!cancelled) setHistories(result);
+    }).catch(() => {
+      if (!cancelled) setHistories({});
+    }).finally(() => {
+      if (!cancelled) setLoading(false);
+    });
+    return () => { cancelled = true; };
+  }, [holdings, usingReal]);
+
+  const result = useMemo(() => (
+    projectIncome(holdings, { value, cashPercent, cashRate, drip, histories })
+  ), [holdings, value, cashPercent, cashRate, drip, histories]);
+
+  if (!holdings.length) return null;
+
+  const liveCount = result.rows.filter((r) => r.source === 'history').length;
+  const month = result.months.find((m) => m.key === selectedMonth);
+  const lastYear = result.dripComparison[result.dripComparison.length - 1];
+  const dripGain = lastYear ? lastYear.cumulativeOn - lastYear.cumulativeOff : 0;
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-1 mb-3">
+        <span className="text-xs text-slate-500">
+          On {fmtDollars(value)} · {drip ? 'DRIP on' : 'DRIP off'}
+          {holdings.some((h) => h.drip != null && h.drip !== drip) && ' (with per-holding overrides)'}
+        </span>
+        <span className="ml-auto text-[10px] sm:text-xs text-slate-400">
+          {loading ? 'Loading...' : liveCount > 0 ? `● Live dividend history (${liveCount}/${result.rows.length})` : 'Reference schedules'}
+        </span>
+      </div>
+
+      {result.rows.length === 0 && result.annualIncome === 0 ? (
+        <p className="text-xs text-slate-400">None of these holdings pay a distribution.</p>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 mb-4 text-center">
+            <div className="bg-slate-50 rounded-lg p-2">
+              <p className="text-[10px] sm:text-xs text-slate-500">Next 12 months</p>
+              <p className="text-sm font-mono font-semibold text-green-600">{fmtDollars(result.annualIncome)}</p>
+            </div>
+            <div className="bg-slate-50 rounded-lg p-2">
+              <p className="text-[10px] sm:text-xs text-slate-500">Monthly average</p>
+              <p className="text-sm font-mono text-slate-700">{fmtDollars(result.monthlyAverage)}</p>
+            </div>
+            <div className="bg-slate-50 rounded-lg p-2">
+              <p className="text-[10px] sm:text-xs text-slate-500">Yield on value</p>
+              <p className="text-sm font-mono text-slate-700">{result.yieldOnValue.toFixed(2)}%</p>
+            </div>
+            <div className="bg-slate-50 rounded-lg p-2">
+              <p className="text-[10px] sm:text-xs text-slate-500">Year {DRIP_HORIZON_YEARS} income, DRIP on / off</p>
+              <p className="text-sm font-mono text-slate-700">
+                {lastYear ? `${fmtDollars(lastYear.dripOn)} / ${fmtDollars(lastYear.dripOff)}` : '--'}
+              </p>
+            </div>
+          </div>
+
+          {/* Payout calendar */}
+          <h3 className="text-xs font-semibold text-slate-500 uppercase tracking-wider mb-2">Payout Calendar</h3>
+          <div className="h-[180px] sm:h-[200px]">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={result.months} margin={{ top: 4, right: 12, left: 0, bottom: 4 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" vertical={false} />
+                <XAxis
+                  dataKey="label"
+                  tickFormatter={(v) => String(v).slice(0, 3)}
+                  tick={{ fontSize: 11, fill: '#64748b' }}
+                  axisLine={false}
+                  tickLine={false}
+                />
+                <YAxis
+                  tickFormatter={(v) => fmtDollars(Number(v))}
+                  tick={{ fontSize: 11, fill: '#64748b' }}
+                  axisLine={false}
+                  tickLine={false}
+                  width={56}
+                />
+                <Tooltip content={<MonthTooltip />} cursor={{ fill: '#f1f5f9' }} />
+                <Bar
+                  dataKey="total"
+                  radius={[3, 3, 0, 0]}
+                  isAnimationActive={false}
+                  onClick={(d) => setSelectedMonth((cur) => (cur === d.payload.key ? null : d.payload.key))}
+                  className="cursor-pointer"
+                >
+                  {result.months.map((m) => (
+                    <Cell key={m.key} fill={m.key === selectedMonth ? '#1d4ed8' : '#3b82f6'} />
+                  ))}
+                </Bar>
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+          <p className="text-[10px] text-slate-400 mb-3">Grouped by pay date — click a month for its payments.</p>
+
+          {month && (
+            <div className="overflow-x-auto mb-4">
+              <table className="min-w-full divide-y divide-slate-100">
+                <thead className="bg-slate-50">
+                  <tr>
+                    <th className="th">{month.label}</th>
+                    <th className="th">Ex-Date</th>
+                    <th className="th">Pay Date</th>
+                    <th className="th text-right">Amount</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-100">
+                  {month.payments.map((p) => (
+                    <tr key={`${p.ticker}-${p.payDate}`}>
+                      <td className="td font-semibold text-slate-900">{p.ticker === 'Cash' ? 'Cash interest' : p.ticker}</td>
+                      <td className="td text-slate-500">{fmtDate(p.exDate)}</td>
+                      <td className="td text-slate-500">{fmtDate(p.payDate)}</td>
+                      <td className="td text-right font-mono text-slate-700">{fmtDollars(p.amount, 2)}</td>
+                    </tr>
+                  ))}
+                  {month.payments.length === 0 && (
+                    <tr><td colSpan={4} className="td text-slate-400">No payments expected this month.</td></tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* Per-holding schedule */}
+          <h3 className="text-xs font-semibold text-slate-500 uppercase tracking-wider mb-2">By Holding</h3>
+          <div className="overflow-x-auto mb-4">
+            <table className="min-w-full divide-y divide-slate-100">
+              <thead className="bg-slate-50">
+                <tr>
+                  <th className="th">Holding</th>
+                  <th className="th text-right">Yield</th>
+                  <th className="th hidden sm:table-cell">Pays</th>
+                  <th className="th hidden sm:table-cell">Next Ex / Pay</th>
+                  <th className="th text-right">Per Payment</th>
+                  <th className="th text-right">12-Month</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-100">
+                {result.rows.map((r) => (
+                  <tr key={r.ticker}>
+                    <td className="td">
+                      <div className="font-semibold text-slate-900">
+                        {r.ticker}
+                        {r.drip !== drip && <span className="ml-1.5 text-[10px] font-normal text-slate-400">{r.drip ? 'DRIP' : 'cash'}</span>}
+                      </div>
+                      {r.name && <div className="text-[10px] text-slate-400 truncate max-w-[12rem]">{r.name}</div>}
+                    </td>
+                    <td className="td text-right font-mono text-slate-600" title={r.source === 'history' ? 'Trailing 12-month dividends / last close' : 'Reference trailing yield'}>
+                      {r.yield.toFixed(2)}%{r.source === 'reference' && usingReal && !loading ? '*' : ''}
+                    </td>
+                    <td className="td text-xs text-slate-500 hidden sm:table-cell">{FREQUENCY_LABELS[r.frequency]}</td>
+                    <td className="td text-xs text-slate-500 hidden sm:table-cell">{fmtDate(r.nextExDate)} / {fmtDate(r.nextPayDate)}</td>
+                    <td className="td text-right font-mono text-slate-600">{fmtDollars(r.perPayment, 2)}</td>
+                    <td className="td text-right font-mono font-medium text-slate-700">{fmtDollars(r.annual, 2)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {/* DRIP effect */}
+          <h3 className="text-xs font-semibold text-slate-500 uppercase tracking-wider mb-2">DRIP Effect</h3>
+          <div className="h-[180px] sm:h-[200px]">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={result.dripComparison} margin={{ top: 4, right: 12, left: 0, bottom: 4 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+                <XAxis
+                  dataKey="year"
+                  tickFormatter={(v) => `${v}y`}
+                  tick={{ fontSize: 11, fill: '#64748b' }}
+                  axisLine={false}
+                  tickLine={false}
+                />
+                <YAxis
+                  tickFormatter={(v) => fmtDollars(Number(v))}
+                  tick={{ fontSize: 11, fill: '#64748b' }}
+                  axisLine={false}
+                  tickLine={false}
+                  width={56}
+                  domain={['auto', 'auto']}
+                />
+                <Tooltip
+                  formatter={(v, name) => [fmtDollars(Number(v)), String(name)]}
+                  labelFormatter={(v) => `Year ${v}`}
+                  contentStyle={{ fontSize: 11 }}
+                />
+                <Legend wrapperStyle={{ fontSize: 12, paddingTop: 8 }} />
+                <Line dataKey="dripOn" name="DRIP on" stroke="#1d4ed8" strokeWidth={2} dot={false} isAnimationActive={false} />
+                <Line dataKey="dripOff" name="DRIP off" stroke="#94a3b8" strokeWidth={2} strokeDasharray="4 4" dot={false} isAnimationActive={false} />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+          {lastYear && (
+            <p className="text-xs text-slate-500 mt-2">
+              Over {DRIP_HORIZON_YEARS} years, reinvesting pays {fmtDollars(lastYear.cumulativeOn)} in total against{' '}
+              {fmtDollars(lastYear.cumulativeOff)} taken as cash —{' '}
+              <span className="font-semibold text-green-600">{fmtDollars(dripGain)}</span> more, from shares bought with earlier payouts.
+            </p>
+          )}
+
+          <p className="text-xs text-slate-400 mt-3">
+            Prices and payouts are held at today&apos;s levels, so growth in the DRIP line comes only from reinvestment.
+            {cashPercent > 0 && ` Cash earns ${(cashRate * 100).toFixed(2)}%, paid monthly.`}
+            {usingReal && liveCount < result.rows.length && !loading && ' * No dividend history found — using reference yield and schedule.'}
+            {result.nonPaying.length > 0 && ` ${result.nonPaying.join(', ')} pay${result.nonPaying.length === 1 ? 's' : ''} no distribution.`}
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
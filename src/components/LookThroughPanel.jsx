@@ -0,0 +1,164 @@
+import { useState, useMemo } from 'react';
+import { AlertTriangle } from 'lucide-react';
+import {
+  lookThrough, holdingOverlaps, exposureWarnings, CONSTITUENTS_VERSION, DEFAULT_EXPOSURE_THRESHOLD,
+} from '../lib/lookThrough';
+
+const TOP_N_OPTIONS = [10, 25, 50];
+const MAX_OVERLAP_ROWS = 8;
+
+function fmtWeight(v) {
+  return `${v.toFixed(2)}%`;
+}
+
+/**
+ * Effective single-name exposure after looking through ETF holdings, the
+ * overlap between holdings, and warnings for names at or above a threshold.
+ * Works from the bundled constituents dataset — no market data needed.
+ */
+export default function LookThroughPanel({ holdings }) {
+  const [topN, setTopN] = useState(10);
+  const [threshold, setThreshold] = useState(DEFAULT_EXPOSURE_THRESHOLD);
+
+  const result = useMemo(() => lookThrough(holdings), [holdings]);
+  const overlaps = useMemo(() => holdingOverlaps(holdings), [holdings]);
+  const warnings = useMemo(() => exposureWarnings(result.exposures, threshold), [result, threshold]);
+
+  if (!result.funds.length) {
+    return (
+      <p className="text-xs text-slate-400">
+        No holdings with constituent data — look-through applies to equity ETFs such as SPY, QQQ or the sector SPDRs.
+      </p>
+    );
+  }
+
+  const maxTotal = Math.max(...result.exposures.slice(0, topN).map((e) => Math.abs(e.total)), threshold);
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-1 mb-3">
+        <span className="text-xs text-slate-500 mr-1">Top</span>
+        {TOP_N_OPTIONS.map((n) => (
+          <button
+            key={n}
+            onClick={() => setTopN(n)}
+            className={`px-2 sm:px-2.5 py-1 rounded text-xs font-medium transition-colors ${
+              topN === n ? 'bg-blue-600 text-white' : 'text-slate-600 hover:bg-slate-100'
+            }`}
+          >
+            {n}
+          </button>
+        ))}
+        <label className="ml-3 flex items-center gap-1.5 text-xs text-slate-500">
+          Flag ≥
+          <input
+            type="number"
+            min={0}
+            max={100}
+            step={0.5}
+            className="input w-16 py-0.5 px-1.5 text-xs text-right font-mono"
+            value={threshold}
+            onChange={(e) => setThreshold(Math.min(100, Math.max(0, parseFloat(e.target.value) || 0)))}
+          />
+          %
+        </label>
+        <span className="ml-auto text-[10px] sm:text-xs text-slate-400">Constituents as of {CONSTITUENTS_VERSION}</span>
+      </div>
+
+      {/* Threshold warnings */}
+      {warnings.length > 0 ? (
+        <div className="mb-3 flex items-start gap-1.5 text-xs text-amber-700 bg-amber-50 border border-amber-200 rounded px-2.5 py-1.5">
+          <AlertTriangle className="w-3.5 h-3.5 mt-0.5 shrink-0" />
+          <div className="space-y-0.5">
+            {warnings.map((w) => (
+              <p key={w.ticker}>
+                <span className="font-semibold">{w.ticker}</span> is {fmtWeight(w.total)} of the portfolio
+                {w.hidden > 0 && w.direct > 0 && ` — ${fmtWeight(w.direct)} held directly plus ${fmtWeight(w.hidden)} through funds`}
+                {w.hidden > 0 && !w.direct && ' — all of it through funds'}.
+              </p>
+            ))}
+          </div>
+        </div>
+      ) : (
+        <p className="mb-3 text-xs text-slate-400">No single name at or above {threshold}% of the portfolio.</p>
+      )}
+
+      {/* Effective exposures */}
+      <h3 className="text-xs font-semibold text-slate-500 uppercase tracking-wider mb-2">Effective Exposure</h3>
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-slate-100">
+          <thead className="bg-slate-50">
+            <tr>
+              <th className="th">Name</th>
+              <th className="th text-right">Direct</th>
+              <th className="th hidden sm:table-cell">Through Funds</th>
+              <th className="th text-right">Effective</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-100">
+            {result.exposures.slice(0, topN).map((e) => {
+              const flagged = e.total >= threshold;
+              return (
+                <tr key={e.ticker}>
+                  <td className="td">
+                    <div className="font-semibold text-slate-900">{e.ticker}</div>
+                    {e.name && <div className="text-[10px] text-slate-400 truncate max-w-[12rem]">{e.name}</div>}
+                  </td>
+                  <td className="td text-right font-mono text-slate-600">{e.direct ? fmtWeight(e.direct) : '—'}</td>
+                  <td className="td text-xs text-slate-500 hidden sm:table-cell">
+                    {e.via.length ? e.via.map((v) => `${v.fund} ${fmtWeight(v.weight)}`).join(', ') : '—'}
+                  </td>
+                  <td className="td text-right">
+                    <div className={`font-mono font-medium ${flagged ? 'text-amber-600' : 'text-slate-700'}`}>{fmtWeight(e.total)}</div>
+                    <div className="mt-1 h-1 bg-slate-100 rounded-full overflow-hidden">
+                      <div
+                        className={`h-full rounded-full ${flagged ? 'bg-amber-400' : 'bg-blue-400'}`}
+                        style={{ width: `${Math.min(100, (Math.abs(e.total) / maxTotal) * 100)}%` }}
+                      />
+                    </div>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Holding overlaps */}
+      <h3 className="text-xs font-semibold text-slate-500 uppercase tracking-wider mt-4 mb-2">Overlap Between Holdings</h3>
+      {overlaps.length > 0 ? (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-slate-100">
+            <thead className="bg-slate-50">
+              <tr>
+                <th className="th">Pair</th>
+                <th className="th text-right" title="Weight the two holdings own in common (Σ of the smaller weight in each shared name)">Overlap</th>
+                <th className="th hidden sm:table-cell">Largest Shared Names</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-100">
+              {overlaps.slice(0, MAX_OVERLAP_ROWS).map((o) => (
+                <tr key={`${o.a}/${o.b}`}>
+                  <td className="td font-semibold text-slate-900">{o.a} / {o.b}</td>
+                  <td className="td text-right font-mono text-slate-700">{o.overlap.toFixed(1)}%</td>
+                  <td className="td text-xs text-slate-500 hidden sm:table-cell">
+                    {o.shared.slice(0, 5).join(', ')}{o.shared.length > 5 ? ` +${o.shared.length - 5}` : ''}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <p className="text-xs text-slate-400">No overlapping names between holdings.</p>
+      )}
+
+      <p className="text-xs text-slate-400 mt-3">
+        Funds are split into their largest listed names ({result.funds.map((f) => `${f.ticker} ${f.coverage.toFixed(0)}%`).join(', ')} of
+        each fund); the remaining {result.undecomposed.toFixed(1)}% of the portfolio sits in smaller fund holdings not shown.
+        {result.funds.some((f) => f.leverage !== 1) && ' Leveraged and inverse funds count at their leverage.'}
+        {result.opaque.length > 0 && ` No constituent data for ${result.opaque.map((o) => o.ticker).join(', ')}.`}
+      </p>
+    </div>
+  );
+}
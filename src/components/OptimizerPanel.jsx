@@ -0,0 +1,341 @@
+import { useState, useEffect, useMemo } from 'react';
+import {
+  ScatterChart, Scatter, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer,
+} from 'recharts';
+import { AlertTriangle } from 'lucide-react';
+import { isConfigured, getRealOptimizerInputs } from '../lib/finnhub';
+import { optimizePortfolio, portfolioStats, OPTIMIZER_OBJECTIVES } from '../lib/optimizer';
+import { SLEEVES } from '../lib/attribution';
+import { RISK_FREE_RATE } from '../lib/riskStats';
+
+const RANGES = ['1Y', '2Y', 'Max'];
+const MARKERS = {
+  current:     { label: 'Current',      color: '#0f172a' },
+  minVariance: { label: 'Min variance', color: '#3b82f6' },
+  maxSharpe:   { label: 'Max Sharpe',   color: '#10b981' },
+  riskParity:  { label: 'Risk parity',  color: '#f59e0b' },
+};
+const NO_LIMIT = { min: 0, max: 100 };
+
+// Round to 2 dp and push the rounding residual onto the largest weight so the
+// applied weights add up to exactly `total`
+function roundWeights(weights, total) {
+  const rounded = Object.fromEntries(Object.entries(weights).map(([t, w]) => [t, parseFloat(w.toFixed(2))]));
+  const residual = total - Object.values(rounded).reduce((s, w) => s + w, 0);
+  const largest = Object.keys(rounded).reduce((a, b) => (rounded[b] > rounded[a] ? b : a), Object.keys(rounded)[0]);
+  if (largest) rounded[largest] = parseFloat((rounded[largest] + residual).toFixed(2));
+  return rounded;
+}
+
+function FrontierTooltip({ active, payload }) {
+  if (!active || !payload?.length) return null;
+  const p = payload[0].payload;
+  return (
+    <div className="bg-white border border-slate-200 rounded shadow-lg px-3 py-2 text-xs">
+      {p.label && <p className="font-medium text-slate-700 mb-1">{p.label}</p>}
+      <p className="text-slate-600">Return <span className="font-mono font-semibold">{p.return.toFixed(2)}%</span></p>
+      <p className="text-slate-600">Volatility <span className="font-mono font-semibold">{p.volatility.toFixed(2)}%</span></p>
+      {p.sharpe != null && <p className="text-slate-600">Sharpe <span className="font-mono font-semibold">{p.sharpe.toFixed(2)}</span></p>}
+    </div>
+  );
+}
+
+function LimitInput({ value, onChange }) {
+  return (
+    <input
+      type="number"
+      min={0}
+      max={100}
+      step={1}
+      className="input w-16 py-0.5 px-1.5 text-xs text-right font-mono"
+      value={value}
+      onChange={(e) => onChange(Math.min(100, Math.max(0, parseFloat(e.target.value) || 0)))}
+    />
+  );
+}
+
+/**
+ * Mean-variance optimizer for the draft portfolio: min-variance, max-Sharpe
+ * and risk-parity weights under per-holding and per-sleeve limits, with the
+ * efficient frontier plotted against the current weights.  onApply receives
+ * { ticker: weight_percent } summing to 100.
+ */
+export default function OptimizerPanel({ holdings, riskFreeRate = RISK_FREE_RATE, onApply }) {
+  const [range, setRange] = useState('2Y');
+  const [objective, setObjective] = useState('maxSharpe');
+  const [holdingLimits, setHoldingLimits] = useState({}); // ticker → { min, max }
+  const [sleeveLimits, setSleeveLimits] = useState({});   // sleeve → { min, max }
+  const [inputs, setInputs] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const usingReal = isConfigured();
+
+  // Refetch only when the set of tickers changes, not on every weight edit
+  const tickerKey = holdings.map((h) => h.ticker).join(',');
+  useEffect(() => {
+    if (!usingReal || holdings.length < 2) return;
+    let cancelled = false;
+    setLoading(true);
+    getRealOptimizerInputs(holdings, range).then((result) => {
+      if (!cancelled) setInputs(result);
+    }).catch(() => {
+      if (!cancelled) setInputs(null);
+    }).finally(() => {
+      if (!cancelled) setLoading(false);
+    });
+    return () => { cancelled = true; };
+  }, [tickerKey, range, usingReal]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // Current weights normalized to 100% of the invested sleeve
+  const currentWeights = useMemo(() => {
+    const total = holdings.reduce((s, h) => s + (h.weight_percent || 0), 0);
+    return Object.fromEntries(holdings.map((h) => [h.ticker, total > 0 ? ((h.weight_percent || 0) / total) * 100 : 0]));
+  }, [holdings]);
+
+  const categoryOf = useMemo(
+    () => Object.fromEntries(holdings.map((h) => [h.ticker, h.category || 'Core'])),
+    [holdings]
+  );
+  const sleevesInUse = useMemo(
+    () => SLEEVES.filter((s) => holdings.some((h) => (h.category || 'Core') === s)),
+    [holdings]
+  );
+
+  const result = useMemo(() => {
+    if (!inputs || inputs.tickers.length < 2) return null;
+    const { tickers, missing, mu, covariance } = inputs;
+
+    // Holdings without history stay at their current weight
+    const fixed = Object.fromEntries(missing.map((t) => [t, currentWeights[t] ?? 0]));
+    const budget = 100 - Object.values(fixed).reduce((s, w) => s + w, 0);
+    const bounds = tickers.map((t) => ({ ticker: t, ...NO_LIMIT, ...holdingLimits[t] }));
+    const groups = sleevesInUse.map((name) => {
+      const limit = { ...NO_LIMIT, ...sleeveLimits[name] };
+      const fixedInSleeve = missing.filter((t) => categoryOf[t] === name).reduce((s, t) => s + fixed[t], 0);
+      return {
+        name,
+        members: tickers.map((t, i) => (categoryOf[t] === name ? i : -1)).filter((i) => i >= 0),
+        min: Math.max(0, limit.min - fixedInSleeve),
+        max: Math.max(0, limit.max - fixedInSleeve),
+      };
+    });
+
+    const optimized = optimizePortfolio({ mu, covariance, bounds, groups, budget, riskFreeRate });
+    const current = portfolioStats(tickers.map((t) => currentWeights[t] ?? 0), mu, covariance, riskFreeRate);
+    return { ...optimized, current, fixed };
+  }, [inputs, currentWeights, holdingLimits, sleeveLimits, categoryOf, sleevesInUse, riskFreeRate]);
+
+  if (holdings.length < 2) return null;
+
+  const chosen = result?.portfolios?.[objective];
+  const proposed = chosen && inputs
+    ? { ...result.fixed, ...Object.fromEntries(inputs.tickers.map((t, i) => [t, chosen.weights[i]])) }
+    : null;
+  const sleeveWeight = (weights, name) =>
+    holdings.filter((h) => (h.category || 'Core') === name).reduce((s, h) => s + (weights[h.ticker] ?? 0), 0);
+
+  const setHoldingLimit = (ticker, key, value) =>
+    setHoldingLimits((prev) => ({ ...prev, [ticker]: { ...NO_LIMIT, ...prev[ticker], [key]: value } }));
+  const setSleeveLimit = (name, key, value) =>
+    setSleeveLimits((prev) => ({ ...prev, [name]: { ...NO_LIMIT, ...prev[name], [key]: value } }));
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-1 mb-3">
+        {OPTIMIZER_OBJECTIVES.map((o) => (
+          <button
+            key={o.value}
+            onClick={() => setObjective(o.value)}
+            className={`px-2 sm:px-2.5 py-1 rounded text-xs font-medium transition-colors ${
+              objective === o.value ? 'bg-blue-600 text-white' : 'text-slate-600 hover:bg-slate-100'
+            }`}
+          >
+            {o.label}
+          </button>
+        ))}
+        <span className="mx-2 h-4 border-l border-slate-200" />
+        {RANGES.map((r) => (
+          <button
+            key={r}
+            onClick={() => setRange(r)}
+            className={`px-2 sm:px-2.5 py-1 rounded text-xs font-medium transition-colors ${
+              range === r ? 'bg-slate-700 text-white' : 'text-slate-600 hover:bg-slate-100'
+            }`}
+          >
+            {r}
+          </button>
+        ))}
+        <span className="ml-auto text-[10px] sm:text-xs text-slate-400">
+          {loading ? 'Loading...' : inputs ? `${inputs.observations} trading days` : 'Data unavailable'}
+        </span>
+      </div>
+
+      {inputs?.missing.length > 0 && (
+        <div className="mb-3 flex items-start gap-1.5 text-xs text-amber-700 bg-amber-50 border border-amber-200 rounded px-2.5 py-1.5">
+          <AlertTriangle className="w-3.5 h-3.5 mt-0.5 shrink-0" />
+          <div>No price history for {inputs.missing.join(', ')} — held at current weight.</div>
+        </div>
+      )}
+
+      {result?.error && (
+        <div className="mb-3 flex items-start gap-1.5 text-xs text-red-700 bg-red-50 border border-red-200 rounded px-2.5 py-1.5">
+          <AlertTriangle className="w-3.5 h-3.5 mt-0.5 shrink-0" />
+          <div>{result.error}</div>
+        </div>
+      )}
+
+      {/* Efficient frontier */}
+      {result?.frontier && (
+        <div className="h-[220px] sm:h-[260px] mb-4">
+          <ResponsiveContainer width="100%" height="100%">
+            <ScatterChart margin={{ top: 4, right: 12, left: 0, bottom: 4 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+              <XAxis
+                type="number"
+                dataKey="volatility"
+                name="Volatility"
+                domain={['auto', 'auto']}
+                tickFormatter={(v) => `${Number(v).toFixed(0)}%`}
+                tick={{ fontSize: 11, fill: '#64748b' }}
+                axisLine={false}
+                tickLine={false}
+              />
+              <YAxis
+                type="number"
+                dataKey="return"
+                name="Return"
+                domain={['auto', 'auto']}
+                tickFormatter={(v) => `${Number(v).toFixed(0)}%`}
+                tick={{ fontSize: 11, fill: '#64748b' }}
+                axisLine={false}
+                tickLine={false}
+                width={44}
+              />
+              <Tooltip content={<FrontierTooltip />} />
+              <Legend wrapperStyle={{ fontSize: 12, paddingTop: 8 }} />
+              <Scatter name="Efficient frontier" data={result.frontier} fill="#94a3b8" line={{ stroke: '#94a3b8', strokeWidth: 2 }} shape={() => null} />
+              {Object.entries(MARKERS).map(([key, m]) => {
+                const point = key === 'current' ? result.current : result.portfolios[key];
+                return (
+                  <Scatter
+                    key={key}
+                    name={m.label}
+                    data={[{ ...point, label: m.label }]}
+                    fill={m.color}
+                    shape={key === 'current' ? 'diamond' : key === objective ? 'star' : 'circle'}
+                    legendType={key === 'current' ? 'diamond' : 'circle'}
+                  />
+                );
+              })}
+            </ScatterChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+
+      {/* Current vs proposed */}
+      {chosen && (
+        <div className="grid grid-cols-3 gap-3 mb-4 text-center">
+          {[
+            { label: 'Expected Return', cur: result.current.return, next: chosen.return, fmt: (v) => `${v.toFixed(2)}%` },
+            { label: 'Volatility', cur: result.current.volatility, next: chosen.volatility, fmt: (v) => `${v.toFixed(2)}%` },
+            { label: 'Sharpe', cur: result.current.sharpe, next: chosen.sharpe, fmt: (v) => (v != null ? v.toFixed(2) : '--') },
+          ].map((s) => (
+            <div key={s.label} className="bg-slate-50 rounded-lg p-2">
+              <p className="text-[10px] sm:text-xs text-slate-500">{s.label}</p>
+              <p className="text-sm font-mono">
+                <span className="text-slate-500">{s.fmt(s.cur)}</span>
+                <span className="text-slate-400 mx-1">→</span>
+                <span className="font-semibold text-slate-900">{s.fmt(s.next)}</span>
+              </p>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Sleeve limits */}
+      {sleevesInUse.length > 1 && (
+        <div className="overflow-x-auto mb-4">
+          <table className="min-w-full divide-y divide-slate-100">
+            <thead className="bg-slate-50">
+              <tr>
+                <th className="th">Sleeve</th>
+                <th className="th text-right">Min %</th>
+                <th className="th text-right">Max %</th>
+                <th className="th text-right">Current</th>
+                <th className="th text-right">Proposed</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-100">
+              {sleevesInUse.map((name) => {
+                const limit = { ...NO_LIMIT, ...sleeveLimits[name] };
+                return (
+                  <tr key={name}>
+                    <td className="td font-medium text-slate-700">{name}</td>
+                    <td className="td text-right"><LimitInput value={limit.min} onChange={(v) => setSleeveLimit(name, 'min', v)} /></td>
+                    <td className="td text-right"><LimitInput value={limit.max} onChange={(v) => setSleeveLimit(name, 'max', v)} /></td>
+                    <td className="td text-right font-mono text-slate-600">{sleeveWeight(currentWeights, name).toFixed(1)}%</td>
+                    <td className="td text-right font-mono font-medium text-slate-900">
+                      {proposed ? `${sleeveWeight(proposed, name).toFixed(1)}%` : '--'}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Holding limits and proposed weights */}
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-slate-100">
+          <thead className="bg-slate-50">
+            <tr>
+              <th className="th">Ticker</th>
+              <th className="th text-right">Min %</th>
+              <th className="th text-right">Max %</th>
+              <th className="th text-right">Current</th>
+              <th className="th text-right">Proposed</th>
+              <th className="th text-right">Change</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-100">
+            {holdings.map((h) => {
+              const limit = { ...NO_LIMIT, ...holdingLimits[h.ticker] };
+              const cur = currentWeights[h.ticker] ?? 0;
+              const next = proposed?.[h.ticker];
+              const diff = next != null ? next - cur : null;
+              return (
+                <tr key={h.ticker}>
+                  <td className="td font-semibold text-slate-900">
+                    {h.ticker}
+                    <span className="ml-1.5 text-[10px] font-normal text-slate-400">{h.category || 'Core'}</span>
+                  </td>
+                  <td className="td text-right"><LimitInput value={limit.min} onChange={(v) => setHoldingLimit(h.ticker, 'min', v)} /></td>
+                  <td className="td text-right"><LimitInput value={limit.max} onChange={(v) => setHoldingLimit(h.ticker, 'max', v)} /></td>
+                  <td className="td text-right font-mono text-slate-600">{cur.toFixed(1)}%</td>
+                  <td className="td text-right font-mono font-medium text-slate-900">{next != null ? `${next.toFixed(1)}%` : '--'}</td>
+                  <td className={`td text-right font-mono ${diff == null || Math.abs(diff) < 0.05 ? 'text-slate-400' : diff > 0 ? 'text-green-600' : 'text-red-500'}`}>
+                    {diff != null ? `${diff > 0 ? '+' : ''}${diff.toFixed(1)}` : '--'}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3 mt-3">
+        <button
+          className="btn-primary text-xs"
+          disabled={!proposed}
+          onClick={() => onApply(roundWeights(proposed, 100))}
+        >
+          Apply {OPTIMIZER_OBJECTIVES.find((o) => o.value === objective)?.label} weights
+        </button>
+        <p className="text-xs text-slate-400 flex-1">
+          Expected returns are historical averages over the window and are noisy — treat the proposal as a
+          starting point. Weights are of the invested sleeve; cash is unchanged. Save the portfolio to keep them.
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -3,38 +3,69 @@ import {
   LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip,
   Legend, ResponsiveContainer, ReferenceLine, ReferenceArea, Label,
 } from 'recharts';
-import { RefreshCw } from 'lucide-react';
-import { isConfigured, getRealPortfolioChartData } from '../lib/finnhub';
+import { RefreshCw, AlertTriangle } from 'lucide-react';
+import {
+  isConfigured, getRealPortfolioChartData, getRealBacktestData, getRealChartCoverage, MAX_HISTORY_DAYS,
+  hasIntradayData, getRealIntradayChartData, subscribeToTrades, normalizeTicker,
+} from '../lib/finnhub';
+import { INTRADAY_RANGES, isIntradayRange, liveIntradayPoint, extendIntradaySeries } from '../lib/intraday';
 import { BENCHMARK_META } from '../lib/mockData';
+import { REBALANCE_POLICIES } from '../lib/backtest';
+import { RISK_FREE_RATE } from '../lib/riskStats';
+import RollingAnalytics from './RollingAnalytics';
+import DateRangePicker from './DateRangePicker';
+import { useUrlDateRange } from '../hooks/useUrlDateRange';
 
 const INTRADAY_REFRESH_MS = 5 * 60 * 1000; // 5 minutes
+const LIVE_FLUSH_MS = 1_000;                // redraw the live bar at most once a second
 
 const BASE_RANGES = ['1M', '3M', '6M', '1Y', '2Y', 'Max'];
-const RANGE_CALENDAR_DAYS = { '1M': 30, '3M': 90, '6M': 180, '1Y': 365, '2Y': 730, 'Max': 1095 };
+const RANGE_CALENDAR_DAYS = { '1D': 1, '1W': 7, '1M': 30, '3M': 90, '6M': 180, '1Y': 365, '2Y': 730, 'Max': MAX_HISTORY_DAYS };
 
-// Cash earns an approximate 5% annualized return (fed-funds proxy)
-const CASH_DAILY_RETURN = 0.05 / 252;
 
 const COLORS = {
-  portfolio: '#3b82f6',
-  benchmark: '#f59e0b',
+  portfolio:  '#3b82f6',
+  rebalanced: '#10b981',
+  benchmark:  '#f59e0b',
 };
 
+const BAND_OPTIONS = [2, 5, 10]; // drift thresholds (percentage points)
+
+// Mon-Fri 9:30-16:00 ET
+function isMarketOpen() {
+  const now = new Date();
+  const day = now.getDay();
+  if (day === 0 || day === 6) return false; // weekend
+  // Use Intl to get current ET time (handles DST automatically)
+  const etStr = now.toLocaleString('en-US', { timeZone: 'America/New_York' });
+  const et = new Date(etStr);
+  const etMinutes = et.getHours() * 60 + et.getMinutes();
+  return etMinutes >= 570 && etMinutes <= 960; // 9:30 AM to 4:00 PM ET
+}
+
 function formatDate(dateStr, range) {
   const d = new Date(dateStr);
   if (isNaN(d.getTime())) return dateStr ?? '';
+  if (range === '1D') return d.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+  if (range === '1W') return d.toLocaleDateString('en-US', { weekday: 'short', day: 'numeric' });
   if (range === '1M' || range === '3M' || range === '6M' || range === 'Since')
     return d.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
   return d.toLocaleDateString('en-US', { month: 'short', year: '2-digit' });
 }
 
-function CustomTooltip({ active, payload, label, createdAt }) {
+// Intraday points are keyed by ISO timestamp — show them as local time
+function intradayLabel(label) {
+  const d = new Date(label);
+  return isNaN(d.getTime()) ? String(label) : d.toLocaleString('en-US', { weekday: 'short', hour: 'numeric', minute: '2-digit' });
+}
+
+function CustomTooltip({ active, payload, label, createdAt, intraday }) {
   if (!active || !payload?.length) return null;
   const labelStr = (label != null && typeof label !== 'object') ? String(label) : '';
   const isBacktested = createdAt && labelStr < createdAt.slice(0, 10);
   return (
     <div className="bg-white border border-slate-200 rounded shadow-lg px-3 py-2 text-sm">
-      <p className="font-medium text-slate-700 mb-1">{labelStr}</p>
+      <p className="font-medium text-slate-700 mb-1">{intraday && labelStr ? intradayLabel(labelStr) : labelStr}</p>
       {isBacktested && (
         <p className="text-xs text-amber-600 mb-1 font-medium">Backtested (before account start)</p>
       )}
@@ -51,22 +82,26 @@ function CustomTooltip({ active, payload, label, createdAt }) {
   );
 }
 
-// Apply cash + DRIP drag to already-computed % return series
-function applyCashAndDrip(series, cashPercent, drip, numPoints) {
-  if (!cashPercent && drip) return series; // no adjustment needed
+// Blend the cash sleeve into an already-computed % return series.  Cash
+// earns cashRate (annual fraction, the user's risk-free rate) compounded daily.
+// Dividends (DRIP on/off) are modelled upstream in the candle data itself.
+function applyCash(series, cashPercent, cashRate) {
+  if (!cashPercent) return series; // no adjustment needed
   const investedFraction = (100 - cashPercent) / 100;
-  // Daily compounded cash return over the range
-  const cashReturnPct = (Math.pow(1 + CASH_DAILY_RETURN, numPoints) - 1) * 100;
-  // DRIP-off drag: approximate 1.5% annualized dividend yield, prorated
-  const dripDrag = drip ? 0 : -(1.5 / 252) * numPoints;
-
-  return series.map((point) => ({
-    ...point,
-    portfolio: parseFloat(
-      (point.portfolio * investedFraction + cashReturnPct * (cashPercent / 100) + dripDrag)
-        .toFixed(2)
-    ),
-  }));
+  const cashDailyReturn = cashRate / 252;
+
+  const blend = (v, cashReturnPct) =>
+    parseFloat((v * investedFraction + cashReturnPct * (cashPercent / 100)).toFixed(2));
+
+  return series.map((point, i) => {
+    // Daily compounded cash return up to this point
+    const cashReturnPct = (Math.pow(1 + cashDailyReturn, i) - 1) * 100;
+    return {
+      ...point,
+      portfolio: blend(point.portfolio, cashReturnPct),
+      ...(point.rebalanced != null ? { rebalanced: blend(point.rebalanced, cashReturnPct) } : {}),
+    };
+  });
 }
 
 export default function PerformanceChart({
@@ -75,22 +110,40 @@ export default function PerformanceChart({
   defaultRange,
   createdAt,
   cashPercent = 0,
+  cashRate = RISK_FREE_RATE,
   drip = true,
 }) {
-  // Build the range list — always add "Since" if createdAt is provided
+  // Build the range list — always add "Since" if createdAt is provided,
+  // 1D / 1W where the provider has intraday bars
   const ranges = useMemo(() => {
+    const base = hasIntradayData() ? [...Object.keys(INTRADAY_RANGES), ...BASE_RANGES] : BASE_RANGES;
     if (createdAt) {
-      return [...BASE_RANGES, 'Since'];
+      return [...base, 'Since', 'Custom'];
     }
-    return BASE_RANGES;
+    return [...base, 'Custom'];
   }, [createdAt]);
 
-  const [range, setRange]     = useState(defaultRange ?? '1Y');
+  const [presetRange, setRange] = useState(defaultRange ?? '1Y');
+  const [customRange, setCustomRange] = useUrlDateRange(); // { from, to } shared via ?from=&to=
+  const [pickingCustom, setPickingCustom] = useState(false); // Custom chosen, dates not set yet
+  const range = customRange || pickingCustom ? 'Custom' : presetRange;
+  const customFrom = customRange?.from;
+  const customTo = customRange?.to;
+  const customDates = useMemo(() => (customFrom ? { from: customFrom, to: customTo } : null), [customFrom, customTo]);
+
+  const [returnMode, setReturnMode] = useState('total'); // 'total' (dividends) | 'price'
+  const [rebalancePolicy, setRebalancePolicy] = useState('none');
+  const [bandPct, setBandPct] = useState(5);
+  const [backtestStats, setBacktestStats] = useState(null); // { turnover, trades, rebalances }
+  const [coverage, setCoverage] = useState([]);           // tickers with incomplete history
   const [data, setData]       = useState([]);
   const [loading, setLoading] = useState(false);
   const [dataIsReal, setDataIsReal] = useState(false);
   const [refreshKey, setRefreshKey] = useState(0);      // increment to force refresh
   const [lastRefresh, setLastRefresh] = useState(null);  // timestamp of last data fetch
+  const [intradayLive, setIntradayLive] = useState(null); // re-pricing state for the live bar (intraday.js)
+  const [liveBar, setLiveBar] = useState(true);           // extend the last intraday bar from trades
+  const intraday = isIntradayRange(range);
   const usingReal = isConfigured();
 
   // Manual refresh handler
@@ -100,9 +153,24 @@ export default function PerformanceChart({
 
   // Clamp range to valid set when createdAt changes
   useEffect(() => {
-    if (!ranges.includes(range)) setRange('1Y');
+    if (!ranges.includes(presetRange)) setRange('1Y');
   }, [ranges]);
 
+  // Once dates are set (here, in another chart, or from the URL) the URL drives Custom
+  useEffect(() => {
+    if (customFrom) setPickingCustom(false);
+  }, [customFrom]);
+
+  function selectRange(r) {
+    if (r === 'Custom') {
+      setPickingCustom(true);
+      return;
+    }
+    setPickingCustom(false);
+    setCustomRange(null);
+    setRange(r);
+  }
+
   // Fetch real data whenever inputs change or refreshKey bumps
   useEffect(() => {
     let cancelled = false;
@@ -118,28 +186,68 @@ export default function PerformanceChart({
       return filtered.map((d) => ({
         ...d,
         portfolio: parseFloat((d.portfolio - base.portfolio).toFixed(2)),
-        ...(d.benchmark != null ? { benchmark: parseFloat((d.benchmark - base.benchmark).toFixed(2)) } : {}),
+        ...(d.rebalanced != null ? { rebalanced: parseFloat((d.rebalanced - base.rebalanced).toFixed(2)) } : {}),
+        ...(d.benchmark != null ? { benchmark: parseFloat((d.benchmark - (base.benchmark ?? 0)).toFixed(2)) } : {}),
       }));
     }
 
     async function fetchData() {
       if (!holdings?.length) { setData([]); setDataIsReal(false); return; }
 
-      // For 'Since', fetch Max then clip to createdAt
-      const apiRange = range === 'Since' ? 'Max' : range;
+      // For 'Since', fetch Max then clip to createdAt; Custom passes explicit dates
+      if (range === 'Custom' && !customFrom) return;
+      const apiRange = range === 'Since' ? 'Max' : range === 'Custom' ? customDates : range;
 
       if (usingReal) {
         setLoading(true);
+        setIntradayLive(null);
         try {
-          const real = await getRealPortfolioChartData(holdings, benchmarkTicker ?? null, apiRange);
+          // 1D / 1W: intraday bars, price return, buy & hold — cash earns nothing that matters in a week
+          if (isIntradayRange(apiRange)) {
+            const series = await getRealIntradayChartData(holdings, benchmarkTicker ?? null, apiRange);
+            if (!cancelled) {
+              setBacktestStats(null);
+              setCoverage([]);
+              setData(series ? applyCash(series.data, cashPercent, 0) : []);
+              setIntradayLive(series?.live ?? null);
+              setDataIsReal(Boolean(series));
+              setLastRefresh(new Date());
+            }
+            return;
+          }
+
+          let real;
+          let stats = null;
+          if (rebalancePolicy !== 'none') {
+            const bt = await getRealBacktestData(holdings, benchmarkTicker ?? null, apiRange, {
+              policy: rebalancePolicy, bandPct, returnMode, drip,
+            });
+            real = bt.data;
+            stats = bt.stats;
+          } else {
+            real = await getRealPortfolioChartData(holdings, benchmarkTicker ?? null, apiRange, { returnMode, drip });
+          }
+          // Candles are cached by now, so this only re-reads the matrix
+          const issues = real.length
+            ? await getRealChartCoverage(holdings, benchmarkTicker ?? null, apiRange).catch(() => [])
+            : [];
           if (!cancelled) {
+            setBacktestStats(stats);
             if (real.length) {
               const clipped = clipToCreation(real);
-              setData(applyCashAndDrip(clipped, cashPercent, drip, clipped.length));
+              const viewStart = clipped[0].date;
+              setData(applyCash(clipped, cashPercent, cashRate));
               setDataIsReal(true);
+              // Only warn about problems inside the visible window
+              setCoverage(issues.filter((c) =>
+                c.missing ||
+                (c.startsLate && c.firstDate > viewStart) ||
+                c.gaps.some((g) => g.to >= viewStart)
+              ));
             } else {
               setData([]);
               setDataIsReal(false);
+              setCoverage([]);
             }
             setLastRefresh(new Date());
           }
@@ -160,23 +268,12 @@ export default function PerformanceChart({
 
     fetchData();
     return () => { cancelled = true; };
-  }, [holdings, benchmarkTicker, range, usingReal, cashPercent, drip, refreshKey]);
+  }, [holdings, benchmarkTicker, range, customDates, usingReal, cashPercent, cashRate, drip, returnMode, rebalancePolicy, bandPct, refreshKey]);
 
   // Auto-refresh every 5 minutes during market hours (Mon-Fri 9:30-16:00 ET)
   useEffect(() => {
     if (!holdings?.length) return;
 
-    function isMarketOpen() {
-      const now = new Date();
-      const day = now.getDay();
-      if (day === 0 || day === 6) return false; // weekend
-      // Use Intl to get current ET time (handles DST automatically)
-      const etStr = now.toLocaleString('en-US', { timeZone: 'America/New_York' });
-      const et = new Date(etStr);
-      const etMinutes = et.getHours() * 60 + et.getMinutes();
-      return etMinutes >= 570 && etMinutes <= 960; // 9:30 AM to 4:00 PM ET
-    }
-
     const interval = setInterval(() => {
       if (isMarketOpen()) {
         setRefreshKey((k) => k + 1);
@@ -186,11 +283,44 @@ export default function PerformanceChart({
     return () => clearInterval(interval);
   }, [holdings]);
 
-  // Thin out X-axis ticks
+  // Live bar: between refreshes, re-price the latest intraday bar from the
+  // trade feed (a new bar starts when the clock crosses the bar boundary).
+  // Trades are buffered and drawn at most once a second.  Index tickers are
+  // left on their last bar: the feed streams a stand-in ETF (SPX → SPY) whose
+  // price isn't on the scale of the index bars.
+  useEffect(() => {
+    if (!liveBar || !intradayLive || !isMarketOpen()) return;
+
+    const trades = {};
+    let dirty = false;
+    const tickers = [...intradayLive.included.map((h) => h.ticker), ...(intradayLive.benchmark ? [intradayLive.benchmark] : [])]
+      .filter((t) => normalizeTicker(t) === t);
+    if (!tickers.length) return;
+    const unsubscribe = subscribeToTrades(tickers, (ticker, price) => {
+      if (!tickers.includes(ticker)) return;
+      trades[ticker] = price;
+      dirty = true;
+    });
+    const flush = setInterval(() => {
+      if (!dirty) return;
+      dirty = false;
+      const [point] = applyCash([liveIntradayPoint(intradayLive, trades)], cashPercent, 0);
+      setData((d) => extendIntradaySeries(d, point));
+    }, LIVE_FLUSH_MS);
+
+    return () => {
+      unsubscribe();
+      clearInterval(flush);
+    };
+  }, [liveBar, intradayLive, cashPercent]);
+
+  // Thin out X-axis ticks — 1W gets one per session
   const tickInterval = Math.max(1, Math.floor(data.length / 8));
-  const ticks = data
-    .filter((_, i) => i % tickInterval === 0 || i === data.length - 1)
-    .map((d) => d.date);
+  const ticks = range === '1W'
+    ? data.filter((d, i) => i === 0 || new Date(d.t).toDateString() !== new Date(data[i - 1].t).toDateString()).map((d) => d.date)
+    : data
+      .filter((_, i) => i % tickInterval === 0 || i === data.length - 1)
+      .map((d) => d.date);
 
   const hasPortfolio = holdings && holdings.length > 0;
   const hasBenchmark = !!benchmarkTicker;
@@ -217,9 +347,10 @@ export default function PerformanceChart({
   const rangeExceedsHistory = useMemo(() => {
     if (!createdAt) return true; // no creation date = data predates portfolio
     if (range === 'Since') return false; // "Since creation" is always within history
+    if (range === 'Custom') return !customFrom || customFrom < createdAt.slice(0, 10);
     const rangeDays = RANGE_CALENDAR_DAYS[range] ?? 365;
     return rangeDays > historyDays;
-  }, [createdAt, range, historyDays]);
+  }, [createdAt, range, customFrom, historyDays]);
 
   // Data source label — only say "Live" when data is real AND range fits within account history
   const dataSourceLabel = useMemo(() => {
@@ -233,6 +364,7 @@ export default function PerformanceChart({
   }, [dataIsReal, rangeExceedsHistory, createdAt, historyDays]);
 
   const [showDrawdown, setShowDrawdown] = useState(false);
+  const [showRolling, setShowRolling] = useState(false);
 
   // Drawdown chart data — only available with real data
   const drawdownData = useMemo(() => {
@@ -255,7 +387,7 @@ export default function PerformanceChart({
         {ranges.map((r) => (
           <button
             key={r}
-            onClick={() => setRange(r)}
+            onClick={() => selectRange(r)}
             className={`px-2 sm:px-2.5 py-1 rounded text-xs font-medium transition-colors ${
               range === r
                 ? 'bg-blue-600 text-white'
@@ -263,10 +395,26 @@ export default function PerformanceChart({
                 ? 'text-purple-600 hover:bg-purple-50 border border-purple-200'
                 : 'text-slate-600 hover:bg-slate-100'
             }`}
+            title={r === 'Custom' ? 'Pick start and end dates — the range is kept in the page link' : undefined}
           >
-            {r === 'Since' ? 'Since' : r}
+            {r}
           </button>
         ))}
+        {intraday && (
+          <button
+            onClick={() => setLiveBar(!liveBar)}
+            className={`px-2 sm:px-2.5 py-1 rounded text-xs font-medium transition-colors ${
+              liveBar
+                ? 'bg-green-600 text-white'
+                : 'text-slate-500 hover:bg-green-50 border border-green-200'
+            }`}
+            title={liveBar
+              ? 'Latest bar follows live trades while the market is open — click to freeze'
+              : 'Latest bar updates only on refresh — click to follow live trades'}
+          >
+            Live
+          </button>
+        )}
         <button
           onClick={() => setShowDrawdown(!showDrawdown)}
           className={`px-2 sm:px-2.5 py-1 rounded text-xs font-medium transition-colors ${
@@ -278,6 +426,54 @@ export default function PerformanceChart({
         >
           DD
         </button>
+        <button
+          onClick={() => setShowRolling(!showRolling)}
+          className={`px-2 sm:px-2.5 py-1 rounded text-xs font-medium transition-colors ${
+            showRolling
+              ? 'bg-indigo-600 text-white'
+              : 'text-slate-500 hover:bg-indigo-50 border border-indigo-200'
+          }`}
+          title="Toggle rolling-window analytics"
+        >
+          Rolling
+        </button>
+        <button
+          onClick={() => setReturnMode((m) => (m === 'total' ? 'price' : 'total'))}
+          className={`px-2 sm:px-2.5 py-1 rounded text-xs font-medium transition-colors ${
+            returnMode === 'total'
+              ? 'bg-emerald-600 text-white'
+              : 'text-slate-500 hover:bg-emerald-50 border border-emerald-200'
+          }`}
+          title={returnMode === 'total'
+            ? 'Total return (dividends included) — click for price return'
+            : 'Price return only — click for total return'}
+        >
+          {returnMode === 'total' ? 'TR' : 'PR'}
+        </button>
+        <select
+          value={rebalancePolicy}
+          onChange={(e) => setRebalancePolicy(e.target.value)}
+          className={`px-1.5 py-1 rounded text-xs font-medium border bg-white ${
+            rebalancePolicy !== 'none' ? 'border-emerald-400 text-emerald-700' : 'border-slate-200 text-slate-500'
+          }`}
+          title="Backtest a rebalance policy"
+        >
+          {REBALANCE_POLICIES.map((p) => (
+            <option key={p.value} value={p.value}>
+              {p.value === 'none' ? 'No rebalance' : `Rebalance: ${p.label}`}
+            </option>
+          ))}
+        </select>
+        {rebalancePolicy === 'band' && (
+          <select
+            value={bandPct}
+            onChange={(e) => setBandPct(Number(e.target.value))}
+            className="px-1.5 py-1 rounded text-xs font-medium border border-emerald-400 text-emerald-700 bg-white"
+            title="Rebalance when any holding drifts this far from target"
+          >
+            {BAND_OPTIONS.map((b) => <option key={b} value={b}>±{b}%</option>)}
+          </select>
+        )}
         <div className="ml-auto flex items-center gap-2">
           <button
             onClick={handleRefresh}
@@ -299,6 +495,12 @@ export default function PerformanceChart({
         </div>
       </div>
 
+      {range === 'Custom' && (
+        <div className="mb-3">
+          <DateRangePicker value={customDates} onChange={setCustomRange} />
+        </div>
+      )}
+
       {/* Backtest legend when chart shows a boundary */}
       {backtestBoundary && (
         <div className="flex items-center gap-4 mb-2 text-xs">
@@ -317,6 +519,10 @@ export default function PerformanceChart({
         <div className="h-[220px] sm:h-[260px] flex items-center justify-center text-sm text-slate-400 animate-pulse">
           Loading chart data…
         </div>
+      ) : range === 'Custom' && !customRange ? (
+        <div className="h-[220px] sm:h-[260px] flex items-center justify-center text-sm text-slate-400">
+          Pick a start and end date
+        </div>
       ) : data.length === 0 ? (
         <div className="h-[220px] sm:h-[260px] flex items-center justify-center text-sm text-slate-400">
           Add holdings to see performance
@@ -353,7 +559,7 @@ export default function PerformanceChart({
             <XAxis
               dataKey="date"
               ticks={ticks}
-              tickFormatter={(v) => formatDate(v, range)}
+              tickFormatter={(v) => formatDate(v, range === 'Custom' ? (data.length <= 130 ? '6M' : '1Y') : range)}
               tick={{ fontSize: 11, fill: '#64748b' }}
               axisLine={false}
               tickLine={false}
@@ -367,7 +573,7 @@ export default function PerformanceChart({
               width={52}
             />
             <ReferenceLine y={0} stroke="#94a3b8" strokeDasharray="4 2" />
-            <Tooltip content={<CustomTooltip createdAt={createdAt} />} />
+            <Tooltip content={<CustomTooltip createdAt={createdAt} intraday={intraday} />} />
             <Legend
               wrapperStyle={{ fontSize: 12, paddingTop: 8 }}
               formatter={(v) => String(v)}
@@ -379,7 +585,17 @@ export default function PerformanceChart({
                 stroke={COLORS.portfolio}
                 dot={false}
                 strokeWidth={2}
-                name="Portfolio"
+                name={rebalancePolicy !== 'none' ? 'Portfolio (buy & hold)' : 'Portfolio'}
+              />
+            )}
+            {hasPortfolio && rebalancePolicy !== 'none' && data[0]?.rebalanced != null && (
+              <Line
+                type="monotone"
+                dataKey="rebalanced"
+                stroke={COLORS.rebalanced}
+                dot={false}
+                strokeWidth={2}
+                name={`Rebalanced (${REBALANCE_POLICIES.find((p) => p.value === rebalancePolicy)?.label ?? rebalancePolicy})`}
               />
             )}
             {hasBenchmark && (
@@ -398,6 +614,46 @@ export default function PerformanceChart({
         </div>
       )}
 
+      {/* Data coverage warnings */}
+      {dataIsReal && coverage.length > 0 && (
+        <div className="mt-2 flex items-start gap-1.5 text-xs text-amber-700 bg-amber-50 border border-amber-200 rounded px-2.5 py-1.5">
+          <AlertTriangle className="w-3.5 h-3.5 mt-0.5 shrink-0" />
+          <div className="space-y-0.5">
+            {coverage.map((c) => (
+              <p key={c.ticker}>
+                <span className="font-semibold">{c.ticker}</span>{' '}
+                {c.missing
+                  ? 'has no price data for this range — excluded.'
+                  : c.startsLate && c.firstDate > data[0]?.date
+                    ? `history starts ${c.firstDate} — held flat before then.`
+                    : `has ${c.gaps.length} gap${c.gaps.length === 1 ? '' : 's'} in its price history (longest ${Math.max(...c.gaps.map((g) => g.days))} trading days) — held at last close.`}
+              </p>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Backtest summary */}
+      {rebalancePolicy !== 'none' && backtestStats && data.length > 0 && (() => {
+        const last = data[data.length - 1];
+        const edge = (last.rebalanced ?? 0) - (last.portfolio ?? 0);
+        return (
+          <div className="mt-2 flex flex-wrap items-center gap-x-4 gap-y-1 text-xs text-slate-500">
+            <span>
+              Rebalancing vs buy & hold:{' '}
+              <span className={`font-semibold ${edge > 0 ? 'text-green-600' : edge < 0 ? 'text-red-500' : 'text-slate-600'}`}>
+                {edge >= 0 ? '+' : ''}{edge.toFixed(2)}%
+              </span>
+            </span>
+            <span>Rebalances: <span className="font-semibold text-slate-700">{backtestStats.rebalances}</span></span>
+            <span>Trades: <span className="font-semibold text-slate-700">{backtestStats.trades}</span></span>
+            <span title="Cumulative one-way turnover as % of portfolio value">
+              Turnover: <span className="font-semibold text-slate-700">{backtestStats.turnover.toFixed(1)}%</span>
+            </span>
+          </div>
+        );
+      })()}
+
       {/* Drawdown chart */}
       {showDrawdown && drawdownData.length > 0 && (
         <div className="mt-3">
@@ -412,6 +668,7 @@ export default function PerformanceChart({
                   axisLine={false}
                   tickLine={false}
                   tickFormatter={(v) => {
+                    if (intraday) return formatDate(v, range);
                     const d = new Date(v);
                     if (isNaN(d.getTime())) return v ?? '';
                     return d.toLocaleDateString('en-US', { month: 'short', year: '2-digit' });
@@ -431,6 +688,7 @@ export default function PerformanceChart({
                   formatter={(v, name) => [`${(Number(v) || 0).toFixed(2)}%`, String(name) === 'portfolio' ? 'Portfolio DD' : 'Benchmark DD']}
                   labelFormatter={(l) => {
                     if (l == null || typeof l === 'object') return '';
+                    if (intraday) return intradayLabel(l);
                     const d = new Date(l);
                     return isNaN(d.getTime()) ? String(l) : d.toLocaleDateString('en-US', { dateStyle: 'medium' });
                   }}
@@ -461,6 +719,23 @@ export default function PerformanceChart({
           </div>
         </div>
       )}
+
+      {/* Rolling-window analytics — follows the range selector above (daily ranges only) */}
+      {showRolling && hasPortfolio && !intraday && (range !== 'Custom' || customDates) && (
+        <div className="mt-4 pt-3 border-t border-slate-100">
+          <div className="text-xs text-slate-500 mb-2 font-medium">Rolling Windows</div>
+          <RollingAnalytics
+            holdings={holdings}
+            benchmarkTicker={benchmarkTicker ?? null}
+            range={range === 'Custom' ? customDates : range}
+            since={createdAt}
+            returnMode={returnMode}
+            drip={drip}
+            cashPercent={cashPercent}
+            cashRate={cashRate}
+          />
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,208 @@
+import { useState, useEffect, useMemo } from 'react';
+import {
+  ComposedChart, Area, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine, Label,
+} from 'recharts';
+import { isConfigured, getRealReturnHistory } from '../lib/finnhub';
+import { simulateProjection, DEFAULT_PROJECTION, PROJECTION_METHODS } from '../lib/monteCarlo';
+import { RISK_FREE_RATE } from '../lib/riskStats';
+
+function fmtDollars(v) {
+  return `$${Math.round(v).toLocaleString('en-US')}`;
+}
+
+function fmtCompact(v) {
+  if (Math.abs(v) >= 1e9) return `$${(v / 1e9).toFixed(1)}B`;
+  if (Math.abs(v) >= 1e6) return `$${(v / 1e6).toFixed(1)}M`;
+  if (Math.abs(v) >= 1e3) return `$${(v / 1e3).toFixed(0)}K`;
+  return `$${Math.round(v)}`;
+}
+
+function FanTooltip({ active, payload }) {
+  if (!active || !payload?.length) return null;
+  const row = payload[0].payload;
+  return (
+    <div className="bg-white border border-slate-200 rounded shadow-lg px-3 py-2 text-xs">
+      <p className="font-medium text-slate-700 mb-1">Year {row.year}</p>
+      <p className="text-slate-500">95th <span className="font-mono text-slate-700">{fmtDollars(row.p95)}</span></p>
+      <p className="text-slate-500">75th <span className="font-mono text-slate-700">{fmtDollars(row.p75)}</span></p>
+      <p className="text-slate-700 font-semibold">Median <span className="font-mono">{fmtDollars(row.p50)}</span></p>
+      <p className="text-slate-500">25th <span className="font-mono text-slate-700">{fmtDollars(row.p25)}</span></p>
+      <p className="text-slate-500">5th <span className="font-mono text-slate-700">{fmtDollars(row.p5)}</span></p>
+    </div>
+  );
+}
+
+function Field({ label, children }) {
+  return (
+    <label className="block">
+      <span className="block text-xs font-medium text-slate-500 mb-1">{label}</span>
+      {children}
+    </label>
+  );
+}
+
+/**
+ * Monte Carlo projection fan chart.  Assumptions live on the portfolio
+ * (portfolio.projection); pass onChange to edit them, omit it for the
+ * read-only client view.
+ */
+export default function ProjectionPanel({
+  holdings, startValue, cashPercent = 0, cashRate = RISK_FREE_RATE, drip = true, assumptions, onChange,
+}) {
+  const [history, setHistory] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const usingReal = isConfigured();
+  const readOnly = !onChange;
+  const a = useMemo(() => ({ ...DEFAULT_PROJECTION, ...assumptions }), [assumptions]);
+
+  useEffect(() => {
+    if (!usingReal || !holdings.length) return;
+    let cancelled = false;
+    setLoading(true);
+    getRealReturnHistory(holdings, 'Max', { drip }).then((result) => {
+      if (!cancelled) setHistory(result);
+    }).catch(() => {
+      if (!cancelled) setHistory(null);
+    }).finally(() => {
+      if (!cancelled) setLoading(false);
+    });
+    return () => { cancelled = true; };
+  }, [holdings, drip, usingReal]);
+
+  const result = useMemo(() => (
+    history ? simulateProjection({ returns: history.returns, startValue, cashPercent, cashRate, assumptions: a }) : null
+  ), [history, startValue, cashPercent, cashRate, a]);
+
+  if (!holdings.length) return null;
+
+  const set = (key, value) => onChange({ ...a, [key]: value });
+  const num = (raw, min, max) => Math.min(max, Math.max(min, parseFloat(raw) || 0));
+  const chartData = result?.bands.map((b) => ({ ...b, outer: [b.p5, b.p95], inner: [b.p25, b.p75] }));
+  const end = result?.bands[result.bands.length - 1];
+
+  return (
+    <div>
+      {readOnly ? (
+        <p className="text-xs text-slate-500 mb-3">
+          {a.years} years
+          {a.annual_contribution > 0 && <> · {fmtDollars(a.annual_contribution)}/yr added</>}
+          {a.annual_withdrawal > 0 && <> · {fmtDollars(a.annual_withdrawal)}/yr withdrawn</>}
+          {' '}· {a.inflation_pct}% inflation
+          {a.target_value > 0 && <> · goal {fmtDollars(a.target_value)}</>}
+        </p>
+      ) : (
+        <div className="grid grid-cols-2 sm:grid-cols-5 gap-3 mb-3">
+          <Field label="Horizon (years)">
+            <input type="number" min={1} max={60} className="input py-1 text-sm text-right font-mono"
+              value={a.years} onChange={(e) => set('years', Math.round(num(e.target.value, 1, 60)))} />
+          </Field>
+          <Field label="Contribution / yr">
+            <input type="number" min={0} step={1000} className="input py-1 text-sm text-right font-mono"
+              value={a.annual_contribution} onChange={(e) => set('annual_contribution', num(e.target.value, 0, 1e9))} />
+          </Field>
+          <Field label="Withdrawal / yr">
+            <input type="number" min={0} step={1000} className="input py-1 text-sm text-right font-mono"
+              value={a.annual_withdrawal} onChange={(e) => set('annual_withdrawal', num(e.target.value, 0, 1e9))} />
+          </Field>
+          <Field label="Inflation %">
+            <input type="number" min={0} max={20} step={0.1} className="input py-1 text-sm text-right font-mono"
+              value={a.inflation_pct} onChange={(e) => set('inflation_pct', num(e.target.value, 0, 20))} />
+          </Field>
+          <Field label="Goal ($, today's)">
+            <input type="number" min={0} step={10000} className="input py-1 text-sm text-right font-mono"
+              value={a.target_value ?? ''} placeholder="none"
+              onChange={(e) => set('target_value', e.target.value === '' ? null : num(e.target.value, 0, 1e12))} />
+          </Field>
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-center gap-1 mb-3">
+        {!readOnly && PROJECTION_METHODS.map((m) => (
+          <button
+            key={m.value}
+            onClick={() => set('method', m.value)}
+            className={`px-2 sm:px-2.5 py-1 rounded text-xs font-medium transition-colors ${
+              a.method === m.value ? 'bg-blue-600 text-white' : 'text-slate-600 hover:bg-slate-100'
+            }`}
+          >
+            {m.label}
+          </button>
+        ))}
+        <span className="ml-auto text-[10px] sm:text-xs text-slate-400">
+          {loading ? 'Loading...' : history ? `${history.returns.length} daily returns since ${history.fromDate}` : 'Data unavailable'}
+        </span>
+      </div>
+
+      {!loading && history && !result && (
+        <p className="text-xs text-slate-400">Not enough price history to project — at least three months of daily returns are needed.</p>
+      )}
+
+      {result && (
+        <>
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 mb-4 text-center">
+            <div className="bg-slate-50 rounded-lg p-2">
+              <p className="text-[10px] sm:text-xs text-slate-500">Median in {a.years}y</p>
+              <p className="text-sm font-mono font-semibold text-slate-900">{fmtDollars(end.p50)}</p>
+            </div>
+            <div className="bg-slate-50 rounded-lg p-2">
+              <p className="text-[10px] sm:text-xs text-slate-500">5th – 95th</p>
+              <p className="text-sm font-mono text-slate-700">{fmtCompact(end.p5)} – {fmtCompact(end.p95)}</p>
+            </div>
+            <div className="bg-slate-50 rounded-lg p-2">
+              <p className="text-[10px] sm:text-xs text-slate-500">Chance of reaching goal</p>
+              <p className={`text-sm font-mono font-semibold ${
+                result.probability == null ? 'text-slate-400'
+                  : result.probability >= 75 ? 'text-green-600' : result.probability >= 50 ? 'text-amber-500' : 'text-red-500'
+              }`}>
+                {result.probability != null ? `${result.probability.toFixed(0)}%` : '--'}
+              </p>
+            </div>
+            <div className="bg-slate-50 rounded-lg p-2">
+              <p className="text-[10px] sm:text-xs text-slate-500">Runs out of money</p>
+              <p className={`text-sm font-mono font-semibold ${result.depleted > 0 ? 'text-red-500' : 'text-slate-700'}`}>
+                {result.depleted.toFixed(0)}%
+              </p>
+            </div>
+          </div>
+
+          <div className="h-[220px] sm:h-[260px]">
+            <ResponsiveContainer width="100%" height="100%">
+              <ComposedChart data={chartData} margin={{ top: 4, right: 12, left: 0, bottom: 4 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+                <XAxis
+                  dataKey="year"
+                  tickFormatter={(v) => `${v}y`}
+                  tick={{ fontSize: 11, fill: '#64748b' }}
+                  axisLine={false}
+                  tickLine={false}
+                />
+                <YAxis
+                  tickFormatter={fmtCompact}
+                  tick={{ fontSize: 11, fill: '#64748b' }}
+                  axisLine={false}
+                  tickLine={false}
+                  width={56}
+                />
+                <Tooltip content={<FanTooltip />} />
+                <Area dataKey="outer" stroke="none" fill="#3b82f6" fillOpacity={0.12} isAnimationActive={false} />
+                <Area dataKey="inner" stroke="none" fill="#3b82f6" fillOpacity={0.25} isAnimationActive={false} />
+                <Line dataKey="p50" stroke="#1d4ed8" strokeWidth={2} dot={false} isAnimationActive={false} />
+                {a.target_value > 0 && (
+                  <ReferenceLine y={a.target_value} stroke="#10b981" strokeDasharray="4 4">
+                    <Label value="Goal" position="insideTopRight" fill="#059669" fontSize={10} fontWeight={600} />
+                  </ReferenceLine>
+                )}
+              </ComposedChart>
+            </ResponsiveContainer>
+          </div>
+
+          <p className="text-xs text-slate-400 mt-2">
+            1,000 simulated paths {a.method === 'parametric' ? 'drawn from a normal distribution fitted to' : 'resampled from'} the
+            portfolio&apos;s historical daily returns ({result.annualReturn.toFixed(1)}% return, {result.annualVolatility.toFixed(1)}% volatility
+            annualized). Bands show the 5th–95th and 25th–75th percentiles in today&apos;s dollars; past returns may not repeat.
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
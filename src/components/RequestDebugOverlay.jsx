@@ -0,0 +1,62 @@
+import { useEffect, useState } from 'react';
+import { getSchedulerStats } from '../lib/requestScheduler';
+
+// Market-data request queue overlay.  Turn on with ?debug=requests (remembered
+// in localStorage), off with ?debug=off.
+const LS_KEY = 'wwp_debug_requests';
+const POLL_MS = 500;
+
+function overlayEnabled() {
+  try {
+    const flag = new URLSearchParams(window.location.search).get('debug');
+    if (flag === 'requests') localStorage.setItem(LS_KEY, '1');
+    else if (flag === 'off') localStorage.removeItem(LS_KEY);
+    return localStorage.getItem(LS_KEY) === '1';
+  } catch {
+    return false;
+  }
+}
+
+const rate = perSec => (perSec === Infinity ? '∞' : perSec >= 1 ? `${+perSec.toFixed(1)}/s` : `${+(perSec * 60).toFixed(1)}/min`);
+
+export default function RequestDebugOverlay() {
+  const [enabled] = useState(overlayEnabled);
+  const [stats, setStats] = useState(null);
+
+  useEffect(() => {
+    if (!enabled) return;
+    setStats(getSchedulerStats());
+    const id = setInterval(() => setStats(getSchedulerStats()), POLL_MS);
+    return () => clearInterval(id);
+  }, [enabled]);
+
+  if (!enabled || !stats) return null;
+
+  return (
+    <div className="fixed bottom-3 right-3 z-50 bg-slate-900/90 text-slate-100 rounded-lg shadow-lg px-3 py-2 text-[10px] font-mono pointer-events-none">
+      <div className="font-semibold text-slate-300 mb-1">
+        Requests · {stats.queued} queued · {stats.inFlight} in flight
+      </div>
+      <table>
+        <tbody>
+          {stats.sources.map(s => (
+            <tr key={s.id}>
+              <td className="pr-2">{s.id}</td>
+              <td className="pr-2 text-right">{s.queued}q</td>
+              <td className="pr-2 text-right">{s.inFlight}↑</td>
+              <td className="pr-2 text-right">
+                {s.capacity === Infinity ? '—' : `${Math.floor(s.tokens)}/${s.capacity}`} @ {rate(s.refillPerSec)}
+              </td>
+              <td className={s.pausedMs > 0 ? 'text-amber-400' : 'text-slate-500'}>
+                {s.pausedMs > 0 ? `429 · ${Math.ceil(s.pausedMs / 1000)}s` : 'ok'}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="text-slate-400 mt-1">
+        {stats.completed} done · {stats.deduped} deduped · {stats.retried} retried · {stats.failed} failed
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,208 @@
+import { useState, useEffect, useMemo } from 'react';
+import {
+  LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine,
+} from 'recharts';
+import { isConfigured, getRealRollingSeries } from '../lib/finnhub';
+import { rollingStats, ROLLING_WINDOWS, ROLLING_METRICS } from '../lib/rollingStats';
+import { SLEEVES } from '../lib/attribution';
+import { RISK_FREE_RATE } from '../lib/riskStats';
+
+const COLORS = { portfolio: '#3b82f6', benchmark: '#f59e0b' };
+
+// Calendar days fetched before the range so the longest window (252 trading
+// days) is full on day one — with room for holidays and market closures
+const LOOKBACK_DAYS = 400;
+
+// Benchmark field shown alongside each metric (beta and excess are already relative)
+const BENCH_FIELD = { return: 'benchReturn', volatility: 'benchVolatility', sharpe: 'benchSharpe' };
+
+function fmtValue(v, unit) {
+  if (v == null) return '--';
+  return unit === '%' ? `${v > 0 ? '+' : ''}${v.toFixed(2)}%` : v.toFixed(2);
+}
+
+/**
+ * Rolling 3M/6M/1Y return, volatility, Sharpe, beta and excess return for the
+ * portfolio (or one Core/Tilt/Satellite sleeve) against the benchmark.  Driven
+ * by PerformanceChart's range, return mode and cash settings.
+ */
+export default function RollingAnalytics({
+  holdings, benchmarkTicker, range, since, returnMode = 'total', drip = true, cashPercent = 0, cashRate = RISK_FREE_RATE,
+}) {
+  const [windowLabel, setWindowLabel] = useState('6M');
+  const [metric, setMetric] = useState('excess');
+  const [sleeve, setSleeve] = useState('All');
+  const [series, setSeries] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const usingReal = isConfigured();
+
+  const sleeves = useMemo(
+    () => SLEEVES.filter((s) => holdings.some((h) => (h.category || 'Core') === s)),
+    [holdings],
+  );
+  const sleeveHoldings = useMemo(
+    () => (sleeve === 'All' ? holdings : holdings.filter((h) => (h.category || 'Core') === sleeve)),
+    [holdings, sleeve],
+  );
+
+  useEffect(() => {
+    if (sleeve !== 'All' && !sleeves.includes(sleeve)) setSleeve('All');
+  }, [sleeves, sleeve]);
+
+  useEffect(() => {
+    if (!usingReal || !sleeveHoldings.length) return;
+    let cancelled = false;
+    setLoading(true);
+    getRealRollingSeries(sleeveHoldings, benchmarkTicker, range, {
+      since,
+      lookbackDays: LOOKBACK_DAYS,
+      returnMode,
+      drip,
+      // A sleeve is measured on its own, without the cash allocation
+      cashPercent: sleeve === 'All' ? cashPercent : 0,
+      cashRate,
+    }).then((result) => {
+      if (!cancelled) setSeries(result);
+    }).catch(() => {
+      if (!cancelled) setSeries(null);
+    }).finally(() => {
+      if (!cancelled) setLoading(false);
+    });
+    return () => { cancelled = true; };
+  }, [sleeveHoldings, benchmarkTicker, range, since, returnMode, drip, cashPercent, cashRate, sleeve, usingReal]);
+
+  const windowDays = ROLLING_WINDOWS.find((w) => w.label === windowLabel)?.days ?? 126;
+  const rows = useMemo(() => {
+    if (!series) return [];
+    return rollingStats(series.dates, series.portfolio, series.benchmark, windowDays, { riskFreeRate: cashRate })
+      .filter((r) => r.date >= series.viewStart);
+  }, [series, windowDays, cashRate]);
+
+  const meta = ROLLING_METRICS.find((m) => m.value === metric);
+  const benchField = BENCH_FIELD[metric];
+  const needsBenchmark = metric === 'beta' || metric === 'excess';
+
+  // Persistence summary — how often the rolling excess return was positive
+  const summary = useMemo(() => {
+    const excess = rows.map((r) => r.excess).filter((v) => v != null);
+    if (!excess.length) return null;
+    const sorted = [...excess].sort((a, b) => a - b);
+    return {
+      hitRate: (excess.filter((v) => v > 0).length / excess.length) * 100,
+      median: sorted[Math.floor(sorted.length / 2)],
+      worst: sorted[0],
+      best: sorted[sorted.length - 1],
+    };
+  }, [rows]);
+
+  const selectorClass = (active) => `px-2 sm:px-2.5 py-1 rounded text-xs font-medium transition-colors ${
+    active ? 'bg-blue-600 text-white' : 'text-slate-600 hover:bg-slate-100'
+  }`;
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-1 mb-2">
+        {ROLLING_WINDOWS.map((w) => (
+          <button key={w.label} onClick={() => setWindowLabel(w.label)} className={selectorClass(windowLabel === w.label)}>
+            {w.label}
+          </button>
+        ))}
+        <span className="w-px h-4 bg-slate-200 mx-1" />
+        {ROLLING_METRICS.map((m) => (
+          <button key={m.value} onClick={() => setMetric(m.value)} className={selectorClass(metric === m.value)}>
+            {m.label}
+          </button>
+        ))}
+        {sleeves.length > 1 && (
+          <select
+            value={sleeve}
+            onChange={(e) => setSleeve(e.target.value)}
+            className="ml-1 px-1.5 py-1 rounded text-xs font-medium border border-slate-200 text-slate-600 bg-white"
+            title="Measure one sleeve on its own"
+          >
+            <option value="All">All holdings</option>
+            {sleeves.map((s) => <option key={s} value={s}>{s} sleeve</option>)}
+          </select>
+        )}
+        <span className="ml-auto text-[10px] sm:text-xs text-slate-400">
+          {loading ? 'Loading...' : series ? '● Live' : 'Data unavailable'}
+        </span>
+      </div>
+
+      {needsBenchmark && !benchmarkTicker ? (
+        <p className="text-xs text-slate-400">Pick a benchmark to see rolling {meta.label.toLowerCase()}.</p>
+      ) : rows.length === 0 ? (
+        <div className="h-[160px] sm:h-[200px] flex items-center justify-center text-sm text-slate-400">
+          {loading ? 'Loading rolling windows…' : 'Not enough history for this window'}
+        </div>
+      ) : (
+        <div className="h-[160px] sm:h-[200px]">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={rows} margin={{ top: 4, right: 12, left: 0, bottom: 4 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+              <XAxis
+                dataKey="date"
+                tickFormatter={(v) => new Date(`${v}T00:00:00Z`).toLocaleDateString('en-US', { month: 'short', year: '2-digit', timeZone: 'UTC' })}
+                tick={{ fontSize: 11, fill: '#64748b' }}
+                axisLine={false}
+                tickLine={false}
+                minTickGap={40}
+              />
+              <YAxis
+                tickFormatter={(v) => (meta.unit === '%' ? `${Number(v).toFixed(0)}%` : Number(v).toFixed(1))}
+                tick={{ fontSize: 11, fill: '#64748b' }}
+                axisLine={false}
+                tickLine={false}
+                domain={['auto', 'auto']}
+                width={44}
+              />
+              <ReferenceLine y={metric === 'beta' ? 1 : 0} stroke="#94a3b8" strokeDasharray="4 2" />
+              <Tooltip
+                formatter={(v, name) => [fmtValue(Number(v), meta.unit), name]}
+                labelFormatter={(l) => new Date(`${l}T00:00:00Z`).toLocaleDateString('en-US', { dateStyle: 'medium', timeZone: 'UTC' })}
+                contentStyle={{ fontSize: 11 }}
+              />
+              <Legend wrapperStyle={{ fontSize: 12, paddingTop: 8 }} />
+              <Line
+                type="monotone"
+                dataKey={metric}
+                name={`${sleeve === 'All' ? 'Portfolio' : `${sleeve} sleeve`}${metric === 'excess' ? ` vs ${benchmarkTicker}` : ''}`}
+                stroke={COLORS.portfolio}
+                dot={false}
+                strokeWidth={2}
+                isAnimationActive={false}
+              />
+              {benchField && series?.benchmark && (
+                <Line
+                  type="monotone"
+                  dataKey={benchField}
+                  name={benchmarkTicker}
+                  stroke={COLORS.benchmark}
+                  dot={false}
+                  strokeWidth={1.5}
+                  strokeDasharray="5 3"
+                  connectNulls
+                  isAnimationActive={false}
+                />
+              )}
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+
+      {summary && (
+        <div className="mt-2 flex flex-wrap items-center gap-x-4 gap-y-1 text-xs text-slate-500">
+          <span title={`Share of rolling ${windowLabel} windows in view where the return beat ${benchmarkTicker}`}>
+            Beat {benchmarkTicker} in{' '}
+            <span className={`font-semibold ${summary.hitRate >= 50 ? 'text-green-600' : 'text-red-500'}`}>
+              {summary.hitRate.toFixed(0)}%
+            </span>{' '}
+            of {windowLabel} windows
+          </span>
+          <span>Median excess: <span className="font-semibold text-slate-700">{fmtValue(summary.median, '%')}</span></span>
+          <span>Range: <span className="font-semibold text-slate-700">{fmtValue(summary.worst, '%')} to {fmtValue(summary.best, '%')}</span></span>
+        </div>
+      )}
+    </div>
+  );
+}
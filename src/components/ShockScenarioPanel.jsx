@@ -0,0 +1,253 @@
+import { useState, useEffect, useMemo } from 'react';
+import { AlertTriangle, Save, X } from 'lucide-react';
+import { useAuth, getSettings, saveSettings } from '../context/AuthContext';
+import { isConfigured, getRealFactorReturns } from '../lib/finnhub';
+import { SHOCK_FACTORS, PRESET_SHOCK_SCENARIOS, applyShockScenario } from '../lib/shockScenarios';
+
+const PROXIES = SHOCK_FACTORS.map((f) => f.proxy);
+
+function signClass(v) {
+  return v > 0 ? 'text-green-600' : v < 0 ? 'text-red-500' : 'text-slate-500';
+}
+
+function fmtPct(v) {
+  return v != null ? `${v > 0 ? '+' : ''}${v.toFixed(2)}%` : '--';
+}
+
+function fmtDollars(v) {
+  const sign = v > 0 ? '+' : v < 0 ? '−' : '';
+  return `${sign}$${Math.abs(Math.round(v)).toLocaleString('en-US')}`;
+}
+
+function fmtShock(factor, shock) {
+  return factor.unit === 'bp' ? `${shock > 0 ? '+' : ''}${shock}bp` : `${shock > 0 ? '+' : ''}${shock}%`;
+}
+
+/**
+ * Hypothetical factor shocks ("equities −20%, rates +100bp") applied through
+ * each holding's betas to proxy ETFs.  Presets are built in; scenarios the
+ * user saves live in their settings (shock_scenarios).
+ */
+export default function ShockScenarioPanel({ holdings, portfolioValue, cashPercent = 0 }) {
+  const { user } = useAuth();
+  const [saved, setSaved] = useState(() => (user ? getSettings(user.id).shock_scenarios ?? [] : []));
+  const [selectedId, setSelectedId] = useState(PRESET_SHOCK_SCENARIOS[1].id);
+  const [draft, setDraft] = useState(() => ({ name: PRESET_SHOCK_SCENARIOS[1].name, shocks: { ...PRESET_SHOCK_SCENARIOS[1].shocks } }));
+  const [inputs, setInputs] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const usingReal = isConfigured();
+
+  useEffect(() => {
+    if (!usingReal || !holdings.length) return;
+    let cancelled = false;
+    setLoading(true);
+    getRealFactorReturns(holdings, PROXIES).then((result) => {
+      if (!cancelled) setInputs(result);
+    }).catch(() => {
+      if (!cancelled) setInputs(null);
+    }).finally(() => {
+      if (!cancelled) setLoading(false);
+    });
+    return () => { cancelled = true; };
+  }, [holdings, usingReal]);
+
+  const result = useMemo(() => (
+    inputs ? applyShockScenario({
+      holdings: inputs.holdings,
+      factors: inputs.factors,
+      scenario: draft,
+      investedFraction: 1 - cashPercent / 100,
+    }) : null
+  ), [inputs, draft, cashPercent]);
+
+  if (!holdings.length) return null;
+
+  const scenarios = [...PRESET_SHOCK_SCENARIOS, ...saved];
+  const isSaved = saved.some((s) => s.id === selectedId);
+  const missingProxies = inputs ? SHOCK_FACTORS.filter((f) => !inputs.factors[f.proxy]) : [];
+
+  function select(s) {
+    setSelectedId(s.id);
+    setDraft({ name: s.name, shocks: { ...s.shocks } });
+  }
+
+  function setShock(id, raw) {
+    const value = raw === '' ? null : parseFloat(raw);
+    setDraft((d) => {
+      const shocks = { ...d.shocks };
+      if (value == null || Number.isNaN(value)) delete shocks[id];
+      else shocks[id] = value;
+      return { ...d, shocks };
+    });
+  }
+
+  function persist(next) {
+    setSaved(next);
+    if (user) saveSettings(user.id, { shock_scenarios: next });
+  }
+
+  function handleSave() {
+    const name = draft.name.trim();
+    if (!name || !Object.keys(draft.shocks).length) return;
+    if (isSaved) {
+      persist(saved.map((s) => (s.id === selectedId ? { ...s, name, shocks: draft.shocks } : s)));
+    } else {
+      const entry = { id: crypto.randomUUID(), name, shocks: draft.shocks };
+      persist([...saved, entry]);
+      setSelectedId(entry.id);
+    }
+  }
+
+  function handleDelete(id) {
+    persist(saved.filter((s) => s.id !== id));
+    if (selectedId === id) select(PRESET_SHOCK_SCENARIOS[0]);
+  }
+
+  return (
+    <div>
+      {/* Scenario picker */}
+      <div className="flex flex-wrap items-center gap-1 mb-3">
+        {scenarios.map((s) => (
+          <span
+            key={s.id}
+            className={`inline-flex items-center gap-1 px-2 sm:px-2.5 py-1 rounded text-xs font-medium transition-colors ${
+              selectedId === s.id ? 'bg-blue-600 text-white' : 'text-slate-600 hover:bg-slate-100'
+            }`}
+          >
+            <button onClick={() => select(s)}>{s.name}</button>
+            {saved.includes(s) && (
+              <button onClick={() => handleDelete(s.id)} title="Delete scenario" className="opacity-60 hover:opacity-100">
+                <X className="w-3 h-3" />
+              </button>
+            )}
+          </span>
+        ))}
+        <span className="ml-auto text-[10px] sm:text-xs text-slate-400">
+          {loading ? 'Loading...' : inputs ? '● Live' : 'Data unavailable'}
+        </span>
+      </div>
+
+      {/* Shock editor */}
+      <div className="grid grid-cols-2 sm:grid-cols-4 lg:grid-cols-6 gap-2 mb-3">
+        {SHOCK_FACTORS.map((f) => (
+          <label key={f.id} className="block">
+            <span className="block text-[10px] sm:text-xs font-medium text-slate-500 mb-1 truncate" title={`Proxy: ${f.proxy}`}>
+              {f.label} <span className="text-slate-400">({f.unit === 'bp' ? 'bp' : f.proxy})</span>
+            </span>
+            <input
+              type="number"
+              step={f.unit === 'bp' ? 25 : 1}
+              className="input py-1 text-sm text-right font-mono"
+              placeholder="—"
+              value={draft.shocks[f.id] ?? ''}
+              onChange={(e) => setShock(f.id, e.target.value)}
+            />
+          </label>
+        ))}
+      </div>
+      <div className="flex items-center gap-2 mb-4">
+        <input
+          className="input py-1 text-sm max-w-xs"
+          placeholder="Scenario name"
+          value={draft.name}
+          onChange={(e) => setDraft((d) => ({ ...d, name: e.target.value }))}
+        />
+        <button
+          className="btn-secondary text-xs py-1"
+          disabled={!user || !draft.name.trim() || !Object.keys(draft.shocks).length}
+          onClick={handleSave}
+        >
+          <Save className="w-3.5 h-3.5" /> {isSaved ? 'Update scenario' : 'Save scenario'}
+        </button>
+      </div>
+
+      {(result?.unestimated.length > 0 || missingProxies.length > 0) && (
+        <div className="mb-3 flex items-start gap-1.5 text-xs text-amber-700 bg-amber-50 border border-amber-200 rounded px-2.5 py-1.5">
+          <AlertTriangle className="w-3.5 h-3.5 mt-0.5 shrink-0" />
+          <div>
+            {result?.unestimated.length > 0 && (
+              <p>Not enough shared history to estimate betas for {result.unestimated.join(', ')} — counted as unchanged.</p>
+            )}
+            {missingProxies.length > 0 && (
+              <p>No data for proxy {missingProxies.map((f) => f.proxy).join(', ')} — those shocks are ignored.</p>
+            )}
+          </div>
+        </div>
+      )}
+
+      {inputs && !result && (
+        <p className="text-xs text-slate-400">Enter at least one shock to estimate the portfolio&apos;s P&amp;L.</p>
+      )}
+
+      {result && (
+        <>
+          <div className="grid grid-cols-3 gap-3 mb-3 text-center">
+            <div className="bg-slate-50 rounded-lg p-2">
+              <p className="text-[10px] sm:text-xs text-slate-500">Est. P&amp;L</p>
+              <p className={`text-sm font-mono font-semibold ${signClass(result.portfolioReturn)}`}>
+                {fmtDollars((portfolioValue * result.portfolioReturn) / 100)}
+              </p>
+            </div>
+            <div className="bg-slate-50 rounded-lg p-2">
+              <p className="text-[10px] sm:text-xs text-slate-500">Est. return</p>
+              <p className={`text-sm font-mono font-semibold ${signClass(result.portfolioReturn)}`}>{fmtPct(result.portfolioReturn)}</p>
+            </div>
+            <div className="bg-slate-50 rounded-lg p-2">
+              <p className="text-[10px] sm:text-xs text-slate-500">Value after</p>
+              <p className="text-sm font-mono font-semibold text-slate-900">
+                ${Math.round(portfolioValue * (1 + result.portfolioReturn / 100)).toLocaleString('en-US')}
+              </p>
+            </div>
+          </div>
+
+          <p className="text-xs text-slate-500 mb-3">
+            {result.factors.map((f) => `${f.label} ${fmtShock(f, f.shock)}${f.unit === 'bp' ? ` (${f.proxy} ${fmtPct(f.proxyReturn)})` : ''}`).join(' · ')}
+          </p>
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-slate-100">
+              <thead className="bg-slate-50">
+                <tr>
+                  <th className="th">Holding</th>
+                  <th className="th text-right">Weight</th>
+                  {result.factors.map((f) => (
+                    <th key={f.id} className="th text-right" title={f.label}>β {f.proxy}</th>
+                  ))}
+                  <th className="th text-right">R²</th>
+                  <th className="th text-right">Est. Return</th>
+                  <th className="th text-right">Contribution</th>
+                  <th className="th text-right">P&amp;L</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-100">
+                {[...result.holdings].sort((a, b) => a.contribution - b.contribution).map((h) => (
+                  <tr key={h.ticker}>
+                    <td className="td font-medium text-slate-700">{h.ticker}</td>
+                    <td className="td text-right font-mono text-slate-600">{h.weight.toFixed(1)}%</td>
+                    {result.factors.map((f) => (
+                      <td key={f.id} className="td text-right font-mono text-slate-600">
+                        {h.betas[f.id] != null ? h.betas[f.id].toFixed(2) : '--'}
+                      </td>
+                    ))}
+                    <td className="td text-right font-mono text-slate-400">{h.r2 != null ? h.r2.toFixed(2) : '--'}</td>
+                    <td className={`td text-right font-mono ${signClass(h.return)}`}>{fmtPct(h.return)}</td>
+                    <td className={`td text-right font-mono ${signClass(h.contribution)}`}>{fmtPct(h.contribution)}</td>
+                    <td className={`td text-right font-mono ${signClass(h.contribution)}`}>
+                      {fmtDollars((portfolioValue * h.contribution) / 100)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <p className="text-xs text-slate-400 mt-2">
+            Betas from two years of daily total returns, regressed on the shocked proxies only — factors left out move
+            as they usually do alongside them. A linear estimate: large shocks and changed correlations can differ.
+            {cashPercent > 0 && <> Cash ({cashPercent}%) is assumed unaffected.</>}
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,232 @@
+import { useState, useEffect, useMemo } from 'react';
+import {
+  LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceArea, ReferenceLine,
+} from 'recharts';
+import { AlertTriangle, Plus, X } from 'lucide-react';
+import { isConfigured, getRealStressTests } from '../lib/finnhub';
+import { STRESS_SCENARIOS } from '../lib/stressTest';
+
+const COLORS = { portfolio: '#3b82f6', benchmark: '#f59e0b' };
+
+function signClass(v) {
+  return v > 0 ? 'text-green-600' : v < 0 ? 'text-red-500' : 'text-slate-500';
+}
+
+function fmtPct(v) {
+  return v != null ? `${v > 0 ? '+' : ''}${v.toFixed(2)}%` : '--';
+}
+
+function fmtRecovery(stats) {
+  if (!stats) return '--';
+  if (stats.recoveryDays == null) return 'Not recovered';
+  if (stats.recoveryDays === 0) return 'No drawdown';
+  const months = stats.recoveryDays / 21;
+  return months >= 12 ? `${(months / 12).toFixed(1)} yrs` : months >= 1 ? `${months.toFixed(0)} mo` : `${stats.recoveryDays} days`;
+}
+
+function fmtDate(d) {
+  return new Date(`${d}T00:00:00Z`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+}
+
+/**
+ * Historical stress tests: replays the portfolio and its benchmark through
+ * named crisis windows plus any custom windows the user adds.
+ */
+export default function StressTestPanel({ holdings, benchmarkTicker, drip = true }) {
+  const [customWindows, setCustomWindows] = useState([]);
+  const [draft, setDraft] = useState({ from: '', to: '' });
+  const [selectedId, setSelectedId] = useState(STRESS_SCENARIOS[0].id);
+  const [results, setResults] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const usingReal = isConfigured();
+
+  const windows = useMemo(() => [...STRESS_SCENARIOS, ...customWindows], [customWindows]);
+
+  useEffect(() => {
+    if (!usingReal || !holdings.length) return;
+    let cancelled = false;
+    setLoading(true);
+    getRealStressTests(holdings, benchmarkTicker, windows, { drip }).then((result) => {
+      if (!cancelled) setResults(result);
+    }).catch(() => {
+      if (!cancelled) setResults(null);
+    }).finally(() => {
+      if (!cancelled) setLoading(false);
+    });
+    return () => { cancelled = true; };
+  }, [holdings, benchmarkTicker, windows, drip, usingReal]);
+
+  if (!holdings.length) return null;
+
+  const selected = results?.find((r) => r.id === selectedId) ?? null;
+  const today = new Date().toISOString().slice(0, 10);
+  const draftValid = draft.from && draft.to && draft.from < draft.to && draft.to <= today;
+
+  function addCustom() {
+    if (!draftValid) return;
+    const id = `custom-${draft.from}-${draft.to}`;
+    if (!windows.some((w) => w.id === id)) {
+      setCustomWindows((prev) => [...prev, { id, label: `${fmtDate(draft.from)} – ${fmtDate(draft.to)}`, from: draft.from, to: draft.to, custom: true }]);
+    }
+    setSelectedId(id);
+    setDraft({ from: '', to: '' });
+  }
+
+  function removeCustom(id) {
+    setCustomWindows((prev) => prev.filter((w) => w.id !== id));
+    if (selectedId === id) setSelectedId(STRESS_SCENARIOS[0].id);
+  }
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        <input
+          type="date"
+          className="input w-auto py-1 text-xs"
+          value={draft.from}
+          max={today}
+          onChange={(e) => setDraft((d) => ({ ...d, from: e.target.value }))}
+        />
+        <span className="text-xs text-slate-400">to</span>
+        <input
+          type="date"
+          className="input w-auto py-1 text-xs"
+          value={draft.to}
+          max={today}
+          onChange={(e) => setDraft((d) => ({ ...d, to: e.target.value }))}
+        />
+        <button className="btn-secondary text-xs py-1" disabled={!draftValid} onClick={addCustom}>
+          <Plus className="w-3.5 h-3.5" /> Custom window
+        </button>
+        <span className="ml-auto text-[10px] sm:text-xs text-slate-400">
+          {loading ? 'Loading...' : results ? '● Live' : 'Data unavailable'}
+        </span>
+      </div>
+
+      {results && (
+        <>
+          {/* Summary across windows */}
+          <div className="overflow-x-auto mb-4">
+            <table className="min-w-full divide-y divide-slate-100">
+              <thead className="bg-slate-50">
+                <tr>
+                  <th className="th">Window</th>
+                  <th className="th text-right">Return</th>
+                  <th className="th text-right">Max Drawdown</th>
+                  <th className="th text-right">Worst Day</th>
+                  <th className="th text-right">Recovery</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-100">
+                {results.map((r) => (
+                  <tr
+                    key={r.id}
+                    onClick={() => setSelectedId(r.id)}
+                    className={`cursor-pointer ${r.id === selectedId ? 'bg-blue-50/60' : 'hover:bg-slate-50'}`}
+                  >
+                    <td className="td">
+                      <div className="flex items-center gap-1.5 font-medium text-slate-700">
+                        {r.label}
+                        {r.excluded.length > 0 && r.portfolio && (
+                          <span title={`Not trading yet: ${r.excluded.join(', ')}`}>
+                            <AlertTriangle className="w-3.5 h-3.5 text-amber-500" />
+                          </span>
+                        )}
+                        {r.custom && (
+                          <button
+                            className="text-slate-300 hover:text-red-500"
+                            onClick={(e) => { e.stopPropagation(); removeCustom(r.id); }}
+                            title="Remove window"
+                          >
+                            <X className="w-3.5 h-3.5" />
+                          </button>
+                        )}
+                      </div>
+                      <div className="text-[10px] text-slate-400">{r.from} → {r.to}</div>
+                    </td>
+                    {[
+                      { key: 'return', fmt: fmtPct, color: true },
+                      { key: 'maxDrawdown', fmt: fmtPct, color: true },
+                      { key: 'worstDay', fmt: fmtPct, color: true },
+                      { key: 'recovery', fmt: null },
+                    ].map((c) => (
+                      <td key={c.key} className="td text-right">
+                        {r.portfolio ? (
+                          <>
+                            <div className={`font-mono font-medium ${c.color ? signClass(r.portfolio[c.key]) : 'text-slate-700'}`}>
+                              {c.fmt ? c.fmt(r.portfolio[c.key]) : fmtRecovery(r.portfolio)}
+                            </div>
+                            {r.benchmark && (
+                              <div className="text-xs text-slate-400 font-mono">
+                                {benchmarkTicker} {c.fmt ? c.fmt(r.benchmark[c.key]) : fmtRecovery(r.benchmark)}
+                              </div>
+                            )}
+                          </>
+                        ) : <span className="text-slate-400 text-xs">No data</span>}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Selected window path */}
+          {selected?.portfolio && (
+            <div>
+              {selected.excluded.length > 0 && (
+                <div className="mb-3 flex items-start gap-1.5 text-xs text-amber-700 bg-amber-50 border border-amber-200 rounded px-2.5 py-1.5">
+                  <AlertTriangle className="w-3.5 h-3.5 mt-0.5 shrink-0" />
+                  <div>
+                    Not trading yet on {fmtDate(selected.startDate)}: {selected.excluded.join(', ')} — left out, remaining
+                    holdings ({selected.coverage.toFixed(1)}% of weight) scaled up to 100%.
+                  </div>
+                </div>
+              )}
+              <div className="h-[220px] sm:h-[260px]">
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart data={selected.series} margin={{ top: 4, right: 12, left: 0, bottom: 4 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+                    <ReferenceArea x1={selected.startDate} x2={selected.endDate} fill="#fee2e2" fillOpacity={0.4} strokeOpacity={0} />
+                    <XAxis
+                      dataKey="date"
+                      tickFormatter={(v) => new Date(`${v}T00:00:00Z`).toLocaleDateString('en-US', { month: 'short', year: '2-digit', timeZone: 'UTC' })}
+                      tick={{ fontSize: 11, fill: '#64748b' }}
+                      axisLine={false}
+                      tickLine={false}
+                      minTickGap={40}
+                    />
+                    <YAxis
+                      tickFormatter={(v) => `${v >= 0 ? '+' : ''}${Number(v).toFixed(0)}%`}
+                      tick={{ fontSize: 11, fill: '#64748b' }}
+                      axisLine={false}
+                      tickLine={false}
+                      width={52}
+                    />
+                    <ReferenceLine y={0} stroke="#94a3b8" strokeDasharray="4 2" />
+                    <Tooltip
+                      formatter={(v, name) => [fmtPct(Number(v)), name]}
+                      labelFormatter={(d) => fmtDate(d)}
+                      contentStyle={{ fontSize: 11 }}
+                    />
+                    <Legend wrapperStyle={{ fontSize: 12, paddingTop: 8 }} />
+                    <Line type="monotone" dataKey="portfolio" name="Portfolio" stroke={COLORS.portfolio} strokeWidth={2} dot={false} isAnimationActive={false} />
+                    {selected.benchmark && (
+                      <Line type="monotone" dataKey="benchmark" name={benchmarkTicker} stroke={COLORS.benchmark} strokeWidth={1.5} dot={false} connectNulls isAnimationActive={false} />
+                    )}
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+              <p className="text-xs text-slate-400 mt-2">
+                Shaded: {selected.label}. Trough on {fmtDate(selected.portfolio.troughDate)}
+                {selected.portfolio.worstDayDate && <>, worst day {fmtDate(selected.portfolio.worstDayDate)}</>}
+                {selected.portfolio.recoveryDate && <>, back to the prior peak on {fmtDate(selected.portfolio.recoveryDate)}</>}.
+                Recovery is searched up to six years past the window.
+              </p>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,92 @@
+import { useState } from 'react';
+import { VAR_LEVELS, VAR_HORIZONS } from '../lib/riskStats';
+
+const METHODS = [
+  { value: 'historical', label: 'Historical' },
+  { value: 'parametric', label: 'Parametric' },
+];
+
+function fmtDollars(v) {
+  return `$${Math.round(v).toLocaleString('en-US')}`;
+}
+
+/**
+ * Value-at-Risk / Expected Shortfall table for one portfolio.
+ * valueAtRisk comes from getRealRiskMetrics (percent of the invested sleeve);
+ * investedFraction scales it to the whole portfolio including cash.
+ */
+export default function VaRCard({ valueAtRisk, portfolioValue, investedFraction = 1 }) {
+  const [method, setMethod] = useState('historical');
+
+  if (!valueAtRisk) {
+    return <p className="text-xs text-slate-400">Not enough price history to estimate Value at Risk.</p>;
+  }
+
+  const table = valueAtRisk[method];
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-1 mb-3">
+        {METHODS.map((m) => (
+          <button
+            key={m.value}
+            onClick={() => setMethod(m.value)}
+            className={`px-2 sm:px-2.5 py-1 rounded text-xs font-medium transition-colors ${
+              method === m.value ? 'bg-blue-600 text-white' : 'text-slate-600 hover:bg-slate-100'
+            }`}
+          >
+            {m.label}
+          </button>
+        ))}
+        <span className="ml-auto text-[10px] sm:text-xs text-slate-400">
+          {valueAtRisk.observations} daily returns · value {fmtDollars(portfolioValue)}
+        </span>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-slate-100">
+          <thead className="bg-slate-50">
+            <tr>
+              <th className="th">Horizon</th>
+              {VAR_LEVELS.map((level) => [
+                <th key={`v${level}`} className="th text-right">VaR {Math.round(level * 100)}%</th>,
+                <th key={`c${level}`} className="th text-right">CVaR {Math.round(level * 100)}%</th>,
+              ])}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-100">
+            {VAR_HORIZONS.map((h) => (
+              <tr key={h}>
+                <td className="td font-medium text-slate-700">{h}-day</td>
+                {VAR_LEVELS.flatMap((level) => {
+                  const cell = table[h]?.[level];
+                  return ['var', 'cvar'].map((key) => {
+                    const pct = cell ? cell[key] * investedFraction : null;
+                    return (
+                      <td key={`${key}${level}`} className="td text-right">
+                        {pct != null ? (
+                          <>
+                            <div className="font-mono font-medium text-red-500">{fmtDollars((pct / 100) * portfolioValue)}</div>
+                            <div className="text-xs text-slate-400">{pct.toFixed(2)}%</div>
+                          </>
+                        ) : <span className="text-slate-400">--</span>}
+                      </td>
+                    );
+                  });
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <p className="text-xs text-slate-400 mt-2">
+        VaR is the loss not exceeded on {Math.round(VAR_LEVELS[0] * 100)}% / {Math.round(VAR_LEVELS[1] * 100)}% of
+        periods; CVaR (expected shortfall) is the average loss beyond it.
+        {method === 'historical'
+          ? ' Historical figures use overlapping windows of the last year of daily returns.'
+          : ' Parametric figures assume normally distributed returns.'}
+      </p>
+    </div>
+  );
+}
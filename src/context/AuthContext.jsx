@@ -419,6 +419,7 @@ export async function syncFromSupabase(userId, userEmail) {
         const allSettings = lsGet(LS.settings, {});
         allSettings[userId] = { ...DEFAULT_SETTINGS, ...data.settings };
         lsSet(LS.settings, allSettings);
+        notifySettings(userId);
         console.info('[Sync] Settings loaded from Supabase');
       }
     } else if (error) {
@@ -641,8 +642,17 @@ const DEFAULT_SETTINGS = {
   activity_log_granularity: 'standard',
   favorite_portfolio_ids: [],
   display_name: '',
+  risk_free_rate: 5,          // % p.a. — used when risk_free_source is 'manual'
+  risk_free_source: 'manual', // 'manual' | T-bill ETF ticker ('BIL', 'SGOV')
+  shock_scenarios: [],        // saved factor shock scenarios — [{ id, name, shocks: { factorId: shock } }]
 };
 
+const settingsListeners = new Set();
+
+function notifySettings(userId) {
+  settingsListeners.forEach((listener) => listener(userId));
+}
+
 export function getSettings(userId) {
   const all = lsGet(LS.settings, {});
   return { ...DEFAULT_SETTINGS, ...(all[userId] ?? {}) };
@@ -653,9 +663,16 @@ export function saveSettings(userId, partial) {
   all[userId] = { ...(all[userId] ?? DEFAULT_SETTINGS), ...partial };
   lsSet(LS.settings, all);
   pushSettingsToSupabase(userId, all[userId]);
+  notifySettings(userId);
   return all[userId];
 }
 
+/** Call `listener(userId)` whenever a user's settings change.  Returns an unsubscribe function. */
+export function subscribeSettings(listener) {
+  settingsListeners.add(listener);
+  return () => settingsListeners.delete(listener);
+}
+
 function pushSettingsToSupabase(userId, settings) {
   if (!isSupabaseConfigured) return;
   supabase
@@ -1,12 +1,12 @@
 import { createContext, useContext, useState, useRef, useCallback, useMemo } from 'react';
-import { isConfigured, getQuote, subscribeToTrades } from '../lib/finnhub';
+import { marketData } from '../lib/providers';
 
 // ── Context ───────────────────────────────────────────────────────────────────
 const MarketDataContext = createContext(null);
 
 // ── Provider ──────────────────────────────────────────────────────────────────
 export function MarketDataProvider({ children }) {
-  const live = isConfigured();
+  const live = marketData.isConfigured();
 
   // prices: { [ticker]: { price, change, changePercent, prevClose, high, low, open } }
   const [prices, setPrices] = useState({});
@@ -16,18 +16,17 @@ export function MarketDataProvider({ children }) {
   // Components can depend on this to know "prices changed" without deep-comparing the prices object.
   const [priceVersion, setPriceVersion] = useState(0);
 
-  // Fetch REST quotes for new tickers (deduped, staggered to stay within rate limit)
+  // Fetch REST quotes for new tickers (deduped).  The request scheduler keeps
+  // them within the rate limit; they're on screen, so they go ahead of analytics.
   const loadTickers = useCallback(async (tickers) => {
     if (!live) return;
     const newOnes = tickers.filter((t) => !loadedRef.current.has(t));
     if (!newOnes.length) return;
 
     await Promise.all(
-      newOnes.map(async (ticker, i) => {
-        // ~8 req/s max on free tier — stagger by 120 ms each
-        await new Promise((r) => setTimeout(r, i * 120));
+      newOnes.map(async (ticker) => {
         try {
-          const q = await getQuote(ticker);
+          const q = await marketData.getQuote(ticker, { priority: 'high' });
           setPrices((prev) => ({ ...prev, [ticker]: q }));
           loadedRef.current.add(ticker);
         } catch {
@@ -42,7 +41,7 @@ export function MarketDataProvider({ children }) {
   const subscribeTickers = useCallback((tickers) => {
     if (!live) return () => {};
 
-    return subscribeToTrades(tickers, (ticker, price) => {
+    return marketData.subscribeTrades(tickers, (ticker, price) => {
       setPrices((prev) => {
         const existing = prev[ticker];
         if (!existing) return prev; // not loaded yet — skip
@@ -80,11 +80,11 @@ export function useClientPortfolio(user, role, refreshClientPortfolios) {
   useEffect(() => {
     if (!live || !holdings.length) return;
     let cancelled = false;
-    getRealPerformanceReturns(holdings, benchmark || null).then((data) => {
+    getRealPerformanceReturns(holdings, benchmark || null, { drip: portfolio?.drip_enabled ?? true }).then((data) => {
       if (!cancelled && data) setRealReturns(data);
     }).catch(() => {});
     return () => { cancelled = true; };
-  }, [live, holdings, benchmark]);
+  }, [live, holdings, benchmark, portfolio?.drip_enabled]);
 
   const benchLabel = benchmark ? (BENCHMARK_META[benchmark]?.label ?? benchmark) : null;
 
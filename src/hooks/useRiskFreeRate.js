@@ -0,0 +1,52 @@
+import { useState, useEffect } from 'react';
+import { useAuth, getSettings, subscribeSettings } from '../context/AuthContext';
+import { isConfigured, getTreasuryBillRate } from '../lib/finnhub';
+
+/**
+ * The rate implied by a T-bill ETF's recent total return, as an annual
+ * fraction — null for 'manual', while loading or when data is unavailable.
+ * @param {string} source  'manual' or a T-bill ETF ticker ('BIL', 'SGOV')
+ * @returns {number | null}
+ */
+export function useTreasuryBillRate(source) {
+  const [rate, setRate] = useState(null);
+
+  useEffect(() => {
+    setRate(null);
+    if (source === 'manual' || !isConfigured()) return;
+    let cancelled = false;
+    getTreasuryBillRate(source)
+      .then((r) => { if (!cancelled) setRate(r); })
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, [source]);
+
+  return rate;
+}
+
+/**
+ * The signed-in user's risk-free rate as an annual fraction.
+ * Uses the manual setting unless risk_free_source names a T-bill ETF, in
+ * which case the rate is derived from its recent total return (falling back
+ * to the manual value while loading or when data is unavailable).  Follows
+ * saved settings changes without a remount.
+ * @returns {{ rate: number, source: string, derived: boolean }}
+ */
+export function useRiskFreeRate() {
+  const { user } = useAuth();
+  const userId = user?.id;
+  const [settings, setSettings] = useState(() => getSettings(userId));
+
+  useEffect(() => {
+    setSettings(getSettings(userId));
+    return subscribeSettings((id) => { if (id === userId) setSettings(getSettings(id)); });
+  }, [userId]);
+
+  const source = settings.risk_free_source ?? 'manual';
+  const manualRate = (Number(settings.risk_free_rate) || 0) / 100;
+  const derivedRate = useTreasuryBillRate(source);
+
+  return derivedRate != null
+    ? { rate: derivedRate, source, derived: true }
+    : { rate: manualRate, source: 'manual', derived: false };
+}
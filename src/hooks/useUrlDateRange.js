@@ -0,0 +1,38 @@
+import { useMemo, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function readRange(from, to) {
+  if (!DATE_RE.test(from ?? '') || !DATE_RE.test(to ?? '') || from >= to) return null;
+  return { from, to };
+}
+
+/**
+ * Custom chart date range kept in the page URL (?from=YYYY-MM-DD&to=YYYY-MM-DD)
+ * so a link reopens the same view.  Every chart using the hook on a page
+ * follows the same range; setting null clears it from the URL.
+ * @returns {[{ from: string, to: string } | null, (range: { from, to } | null) => void]}
+ */
+export function useUrlDateRange() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const from = searchParams.get('from');
+  const to = searchParams.get('to');
+  const range = useMemo(() => readRange(from, to), [from, to]);
+
+  const setRange = useCallback((next) => {
+    setSearchParams((prev) => {
+      const params = new URLSearchParams(prev);
+      if (next) {
+        params.set('from', next.from);
+        params.set('to', next.to);
+      } else {
+        params.delete('from');
+        params.delete('to');
+      }
+      return params;
+    }, { replace: true });
+  }, [setSearchParams]);
+
+  return [range, setRange];
+}
@@ -0,0 +1,150 @@
+// ─── Return attribution ───────────────────────────────────────────────────────
+// Explains a period's portfolio return.  Pure functions only — callers pass
+// per-holding returns over one window (see getRealAttribution in finnhub.js).
+//
+// Contributions are buy-and-hold from the window start, so holding
+// contributions add up exactly to the portfolio return:
+//   contribution = w × r            excess = w × (r − R_benchmark)
+//
+// Brinson-Fachler by sector:
+//   allocation = (w_p,s − w_b,s) × (r_b,s − R_b)
+//   selection  = w_p,s × (r_p,s − r_b,s)      (interaction folded in)
+// where r_b,s is the sector proxy ETF return and R_b = Σ w_b,s × r_b,s, so
+// allocation + selection = R_p − R_b exactly.
+
+import { INSTRUMENTS, BENCHMARK_SECTOR_WEIGHTS } from './mockData';
+
+export const SLEEVES = ['Core', 'Tilt', 'Satellite'];
+
+const round = (v, dp = 2) => (v != null ? parseFloat(v.toFixed(dp)) : null);
+
+/**
+ * Per-holding and per-sleeve contributions.
+ * @param {Array<{ ticker: string, category?: string, weight: number, return: number|null }>} rows
+ *        weight and return in percent; return null when the holding has no data for the window
+ * @param {number|null} benchmarkReturn — percent
+ * @returns {{
+ *   portfolioReturn: number, coverage: number,
+ *   holdings: Array<{ ticker, category, weight, return, contribution, excess }>,
+ *   sleeves:  Array<{ name, weight, return, contribution, excess }>
+ * }}
+ */
+export function attributeReturns(rows, benchmarkReturn = null) {
+  const holdings = rows.map((h) => {
+    const category = h.category || 'Core';
+    if (h.return == null) {
+      return { ticker: h.ticker, category, weight: h.weight, return: null, contribution: null, excess: null };
+    }
+    const contribution = (h.weight / 100) * h.return;
+    const excess = benchmarkReturn != null ? (h.weight / 100) * (h.return - benchmarkReturn) : null;
+    return { ticker: h.ticker, category, weight: h.weight, return: h.return, contribution, excess };
+  });
+
+  const covered = holdings.filter((h) => h.contribution != null);
+  const portfolioReturn = covered.reduce((s, h) => s + h.contribution, 0);
+
+  const sleeves = SLEEVES.map((name) => {
+    const members = covered.filter((h) => h.category === name);
+    if (!members.length) return null;
+    const weight = members.reduce((s, h) => s + h.weight, 0);
+    const contribution = members.reduce((s, h) => s + h.contribution, 0);
+    return {
+      name,
+      weight,
+      return: weight > 0 ? (contribution / weight) * 100 : null,
+      contribution,
+      excess: benchmarkReturn != null ? members.reduce((s, h) => s + h.excess, 0) : null,
+    };
+  }).filter(Boolean);
+
+  return {
+    portfolioReturn: round(portfolioReturn),
+    coverage: covered.reduce((s, h) => s + h.weight, 0),
+    holdings: holdings.map((h) => ({ ...h, return: round(h.return), contribution: round(h.contribution), excess: round(h.excess) })),
+    sleeves: sleeves.map((s) => ({ ...s, return: round(s.return), contribution: round(s.contribution), excess: round(s.excess) })),
+  };
+}
+
+/**
+ * Sector split of one ticker as fractions summing to 1.  Index funds with
+ * published benchmark weights are spread across sectors; everything else is
+ * assigned whole to its INSTRUMENTS sector ('Unclassified' when unknown).
+ */
+export function tickerSectors(ticker) {
+  const weights = BENCHMARK_SECTOR_WEIGHTS[ticker];
+  if (weights) {
+    const total = Object.values(weights).reduce((s, w) => s + w, 0);
+    return Object.fromEntries(Object.entries(weights).map(([s, w]) => [s, w / total]));
+  }
+  const inst = INSTRUMENTS.find((i) => i.ticker === ticker);
+  return { [inst?.sector || 'Unclassified']: 1 };
+}
+
+/**
+ * Brinson allocation / selection by sector.
+ * @param {Array<{ ticker: string, weight: number, return: number|null }>} rows — percent
+ * @param {Object<string, number>} benchmarkWeights — sector → percent (BENCHMARK_SECTOR_WEIGHTS entry)
+ * @param {Object<string, number|null>} sectorReturns — sector → proxy return in percent
+ * @returns {{
+ *   portfolioReturn: number, benchmarkReturn: number,
+ *   allocation: number, selection: number, active: number,
+ *   sectors: Array<{ sector, portfolioWeight, benchmarkWeight, portfolioReturn, benchmarkReturn, allocation, selection, total }>
+ * } | null}  weights in percent of the invested (covered) portfolio; null without usable proxies
+ */
+export function brinsonAttribution(rows, benchmarkWeights, sectorReturns) {
+  // Benchmark side — only sectors whose proxy returned data, renormalized
+  const benchSectors = Object.keys(benchmarkWeights).filter((s) => sectorReturns[s] != null);
+  const benchTotal = benchSectors.reduce((s, k) => s + benchmarkWeights[k], 0);
+  if (!(benchTotal > 0)) return null;
+  const wb = Object.fromEntries(benchSectors.map((s) => [s, benchmarkWeights[s] / benchTotal]));
+  const R_b = benchSectors.reduce((s, k) => s + wb[k] * sectorReturns[k], 0);
+
+  // Portfolio side — each holding's return is carried into every sector it spans
+  const covered = rows.filter((h) => h.return != null && h.weight > 0);
+  const coveredWeight = covered.reduce((s, h) => s + h.weight, 0);
+  if (!(coveredWeight > 0)) return null;
+
+  const portfolio = {}; // sector → { weight, weighted return }
+  covered.forEach((h) => {
+    Object.entries(tickerSectors(h.ticker)).forEach(([sector, frac]) => {
+      const w = (h.weight / coveredWeight) * frac;
+      portfolio[sector] ??= { weight: 0, weighted: 0 };
+      portfolio[sector].weight += w;
+      portfolio[sector].weighted += w * h.return;
+    });
+  });
+  const R_p = Object.values(portfolio).reduce((s, p) => s + p.weighted, 0);
+
+  // Sectors outside the benchmark (bonds, commodities, …) have no proxy: they
+  // are measured against the overall benchmark return, so their allocation
+  // term is zero and the whole difference shows up as selection.
+  const sectors = [...new Set([...benchSectors, ...Object.keys(portfolio)])].map((sector) => {
+    const wp = portfolio[sector]?.weight ?? 0;
+    const wbs = wb[sector] ?? 0;
+    const rp = wp > 0 ? portfolio[sector].weighted / wp : null;
+    const rb = sectorReturns[sector] ?? R_b;
+    const allocation = (wp - wbs) * (rb - R_b);
+    const selection = wp > 0 ? wp * (rp - rb) : 0;
+    return {
+      sector,
+      portfolioWeight: round(wp * 100, 1),
+      benchmarkWeight: round(wbs * 100, 1),
+      portfolioReturn: round(rp),
+      benchmarkReturn: wbs > 0 ? round(rb) : null,
+      allocation: round(allocation),
+      selection: round(selection),
+      total: round(allocation + selection),
+    };
+  }).sort((a, b) => Math.abs(b.total) - Math.abs(a.total));
+
+  const allocation = sectors.reduce((s, r) => s + r.allocation, 0);
+  const selection = sectors.reduce((s, r) => s + r.selection, 0);
+  return {
+    portfolioReturn: round(R_p),
+    benchmarkReturn: round(R_b),
+    allocation: round(allocation),
+    selection: round(selection),
+    active: round(R_p - R_b),
+    sectors,
+  };
+}
@@ -0,0 +1,104 @@
+// ─── Rebalance backtest engine ────────────────────────────────────────────────
+// Simulates a portfolio day by day under a rebalance policy.  Pure functions
+// only — callers pass in matrix dates and per-holding growth columns (see
+// growthColumn in priceMatrix.js) so the engine works on price or total
+// return series alike.
+//
+// Policies:
+//   none      — buy & hold, weights drift freely
+//   monthly / quarterly / annual — reset to target on the first trading day
+//                                  of each new calendar period
+//   band      — reset whenever any holding drifts more than bandPct
+//               percentage points from its target weight
+
+export const REBALANCE_POLICIES = [
+  { value: 'none',      label: 'Buy & hold' },
+  { value: 'monthly',   label: 'Monthly' },
+  { value: 'quarterly', label: 'Quarterly' },
+  { value: 'annual',    label: 'Annual' },
+  { value: 'band',      label: 'Drift bands' },
+];
+
+// Trades smaller than this fraction of portfolio value are not counted
+const MIN_TRADE_FRACTION = 1e-6;
+
+function periodKey(date, policy) {
+  const year = date.slice(0, 4);
+  const month = parseInt(date.slice(5, 7), 10);
+  if (policy === 'monthly')   return `${year}-${month}`;
+  if (policy === 'quarterly') return `${year}-Q${Math.ceil(month / 3)}`;
+  if (policy === 'annual')    return year;
+  return null;
+}
+
+/**
+ * Run a backtest.
+ * @param {Object}   args
+ * @param {string[]} args.dates       — sorted trading dates
+ * @param {Array<Array<number|null>>} args.growthCols — per holding, growth multiplier aligned to dates
+ * @param {number[]} args.weights     — target weights in percent (same order as growthCols)
+ * @param {string}   [args.policy]    — one of REBALANCE_POLICIES values
+ * @param {number}   [args.bandPct]   — drift threshold in percentage points (policy 'band')
+ * @param {number}   [args.initialValue]
+ * @returns {{ series: Array<{date: string, value: number}>, turnover: number, trades: number, rebalances: number }}
+ *   turnover is cumulative one-way turnover in % of portfolio value.
+ */
+export function runBacktest({ dates, growthCols, weights, policy = 'none', bandPct = 5, initialValue = 100 }) {
+  const empty = { series: [], turnover: 0, trades: 0, rebalances: 0 };
+  if (!dates?.length || !growthCols?.length) return empty;
+
+  const totalWeight = weights.reduce((s, w) => s + (w || 0), 0);
+  if (!(totalWeight > 0)) return empty;
+  const targets = weights.map(w => (w || 0) / totalWeight);
+
+  // Last known growth per holding — carries a holding flat across missing days
+  // and until its history starts
+  const lastGrowth = growthCols.map(col => col[0] ?? null);
+  let values = targets.map(t => t * initialValue);
+
+  let turnover = 0;
+  let trades = 0;
+  let rebalances = 0;
+  const series = [{ date: dates[0], value: initialValue }];
+
+  for (let d = 1; d < dates.length; d++) {
+    const date = dates[d];
+    values = values.map((v, i) => {
+      const g = growthCols[i][d];
+      if (g == null) return v;
+      const prev = lastGrowth[i];
+      lastGrowth[i] = g;
+      return prev > 0 ? v * (g / prev) : v;
+    });
+    const total = values.reduce((s, v) => s + v, 0);
+
+    let rebalance = false;
+    if (policy === 'band') {
+      rebalance = total > 0 && values.some((v, i) => Math.abs(v / total - targets[i]) * 100 > bandPct);
+    } else if (policy !== 'none') {
+      rebalance = periodKey(date, policy) !== periodKey(dates[d - 1], policy);
+    }
+
+    if (rebalance && total > 0) {
+      let traded = 0;
+      values = values.map((v, i) => {
+        const target = targets[i] * total;
+        const delta = Math.abs(target - v);
+        if (delta / total > MIN_TRADE_FRACTION) trades++;
+        traded += delta;
+        return target;
+      });
+      turnover += (traded / 2 / total) * 100;
+      rebalances++;
+    }
+
+    series.push({ date, value: total });
+  }
+
+  return {
+    series,
+    turnover: parseFloat(turnover.toFixed(2)),
+    trades,
+    rebalances,
+  };
+}
@@ -0,0 +1,95 @@
+// ─── Calendar returns ─────────────────────────────────────────────────────────
+// Year × month grid of returns from a daily growth series.  Pure functions
+// only — callers pass calendar-aligned series (see getRealCalendarReturns in
+// finnhub.js).
+//
+// A month's return is its last close over the previous month's last close;
+// the first month is measured from the first close in the series.  The annual
+// total compounds the months; the first year has no prior year-end to start
+// from, so it is flagged `partial`.
+
+export const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const round = v => parseFloat(v.toFixed(2));
+
+/**
+ * Monthly and yearly returns for one growth series.
+ * @param {string[]} dates — 'YYYY-MM-DD', ascending
+ * @param {Array<number|null>} growth — aligned to dates; nulls are skipped
+ * @returns {{ years: Array<{ year: number, months: Array<number|null>, total: number|null, partial: boolean }>,
+ *             best: { year, month, value } | null, worst: { year, month, value } | null }}
+ *          returns in %, newest year first; months before the series starts
+ *          (or after today) are null
+ */
+export function calendarReturns(dates, growth) {
+  // Last valid value per 'YYYY-MM'
+  const monthEnds = [];
+  let base = null;
+  for (let i = 0; i < dates.length; i++) {
+    const v = growth[i];
+    if (!(v > 0)) continue;
+    if (base == null) base = v;
+    const key = dates[i].slice(0, 7);
+    const last = monthEnds[monthEnds.length - 1];
+    if (last?.key === key) last.value = v;
+    else monthEnds.push({ key, value: v });
+  }
+
+  const byYear = new Map();
+  let best = null, worst = null;
+  let prev = base;
+  for (const { key, value } of monthEnds) {
+    const year = Number(key.slice(0, 4));
+    const month = Number(key.slice(5, 7)) - 1;
+    if (!byYear.has(year)) byYear.set(year, { year, months: Array(12).fill(null), growth: 1 });
+    const row = byYear.get(year);
+    const r = value / prev - 1;
+    row.months[month] = round(r * 100);
+    row.growth *= 1 + r;
+    prev = value;
+
+    const cell = { year, month, value: row.months[month] };
+    if (!best || cell.value > best.value) best = cell;
+    if (!worst || cell.value < worst.value) worst = cell;
+  }
+
+  const firstYear = monthEnds.length ? Number(monthEnds[0].key.slice(0, 4)) : null;
+  const years = [...byYear.values()]
+    .sort((a, b) => b.year - a.year)
+    .map(({ year, months, growth: g }) => ({
+      year,
+      months,
+      total: round((g - 1) * 100),
+      partial: year === firstYear,
+    }));
+
+  return { years, best, worst };
+}
+
+/**
+ * Cell-by-cell difference of two grids (a − b), e.g. portfolio vs benchmark.
+ * Years or months missing from either side are null.
+ */
+export function excessGrid(a, b) {
+  const other = new Map(b.years.map(y => [y.year, y]));
+  let best = null, worst = null;
+  const years = a.years.map((y) => {
+    const o = other.get(y.year);
+    const months = y.months.map((v, m) => {
+      const w = o?.months[m];
+      if (v == null || w == null) return null;
+      const diff = round(v - w);
+      const cell = { year: y.year, month: m, value: diff };
+      if (!best || diff > best.value) best = cell;
+      if (!worst || diff < worst.value) worst = cell;
+      return diff;
+    });
+    return {
+      year: y.year,
+      months,
+      total: o && y.total != null && o.total != null ? round(y.total - o.total) : null,
+      partial: y.partial || Boolean(o?.partial),
+    };
+  });
+  return { years, best, worst };
+}
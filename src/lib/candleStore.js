@@ -0,0 +1,119 @@
+// ─── Persistent candle store ──────────────────────────────────────────────────
+// Daily bars kept in IndexedDB across reloads, one record per ticker, so a
+// page load only fetches the bars added since the last visit (see
+// getHistoricalCandles in finnhub.js).  Each record remembers the earliest
+// date it was fetched from (`coveredFrom`) — bars after that are complete,
+// anything earlier needs a full fetch.
+//
+// Bars live in the `candles` store; a small `meta` store holds sizes and last
+// access times so eviction never has to load the bars themselves.  When the
+// store grows past MAX_STORED_BARS or MAX_STORED_TICKERS the least recently
+// used tickers go first.  Every call degrades to a no-op where IndexedDB is
+// unavailable (private browsing, old browsers) — callers just hit the network.
+
+const DB_NAME = 'weightwatch-market';
+const DB_VERSION = 1;
+const CANDLES = 'candles';
+const META = 'meta';
+
+export const MAX_STORED_BARS = 750_000;   // ≈ 30 MB — 20 years of ~150 tickers
+export const MAX_STORED_TICKERS = 400;
+const ACCESS_WRITE_INTERVAL = 3_600_000;  // refresh lastAccess at most hourly
+
+let dbPromise = null;
+
+function openDb() {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(CANDLES)) db.createObjectStore(CANDLES, { keyPath: 'ticker' });
+        if (!db.objectStoreNames.contains(META)) db.createObjectStore(META, { keyPath: 'ticker' });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => resolve(null);
+      req.onblocked = () => resolve(null);
+    });
+  }
+  return dbPromise;
+}
+
+// Run fn(stores) in one transaction; resolves with fn's result once committed
+async function withStores(mode, fn) {
+  const db = await openDb();
+  if (!db) return null;
+  return new Promise((resolve) => {
+    let result = null;
+    try {
+      const tx = db.transaction([CANDLES, META], mode);
+      result = fn({ candles: tx.objectStore(CANDLES), meta: tx.objectStore(META) });
+      tx.oncomplete = () => resolve(result instanceof IDBRequest ? result.result : result);
+      tx.onerror = () => resolve(null);
+      tx.onabort = () => resolve(null);
+    } catch {
+      resolve(null);
+    }
+  });
+}
+
+/**
+ * Stored bars for a ticker.
+ * @returns {Promise<{ ticker, source, coveredFrom, fetchedAt, candles: Array<{ date, price, adjClose }> } | null>}
+ */
+export async function readBars(ticker) {
+  const record = await withStores('readonly', s => s.candles.get(ticker));
+  if (record) {
+    const meta = await withStores('readonly', s => s.meta.get(ticker));
+    if (meta && Date.now() - meta.lastAccess > ACCESS_WRITE_INTERVAL) {
+      withStores('readwrite', s => s.meta.put({ ...meta, lastAccess: Date.now() }));
+    }
+  }
+  return record ?? null;
+}
+
+/** Store a ticker's bars (replacing any previous record), then evict if over budget. */
+export async function writeBars({ ticker, source, coveredFrom, candles }) {
+  const now = Date.now();
+  await withStores('readwrite', (s) => {
+    s.candles.put({ ticker, source, coveredFrom, fetchedAt: now, candles });
+    s.meta.put({ ticker, bars: candles.length, lastAccess: now });
+  });
+  await evict();
+}
+
+// Drop least-recently used tickers until within both limits
+async function evict() {
+  const metas = await withStores('readonly', s => s.meta.getAll());
+  if (!metas?.length) return;
+  let bars = metas.reduce((sum, m) => sum + m.bars, 0);
+  let count = metas.length;
+  if (bars <= MAX_STORED_BARS && count <= MAX_STORED_TICKERS) return;
+
+  const victims = [];
+  for (const m of [...metas].sort((a, b) => a.lastAccess - b.lastAccess)) {
+    if (bars <= MAX_STORED_BARS && count <= MAX_STORED_TICKERS) break;
+    victims.push(m.ticker);
+    bars -= m.bars;
+    count--;
+  }
+  await withStores('readwrite', (s) => {
+    victims.forEach((t) => { s.candles.delete(t); s.meta.delete(t); });
+  });
+}
+
+/** Remove every stored bar. */
+export async function clearCandleStore() {
+  await withStores('readwrite', (s) => { s.candles.clear(); s.meta.clear(); });
+}
+
+/**
+ * Size of the store for display.
+ * @returns {Promise<{ tickers: number, bars: number } | null>}  null where IndexedDB is unavailable
+ */
+export async function candleStoreStats() {
+  const metas = await withStores('readonly', s => s.meta.getAll());
+  if (!metas) return null;
+  return { tickers: metas.length, bars: metas.reduce((sum, m) => sum + m.bars, 0) };
+}
@@ -0,0 +1,218 @@
+// ─── Time- and money-weighted returns ─────────────────────────────────────────
+// Reporting returns for a portfolio with deposits and withdrawals.  Pure
+// functions only — callers pass calendar-aligned growth columns (see
+// getRealCashFlowReturns in finnhub.js).
+//
+//   TWR — time-weighted: daily sub-period returns chain-linked across flows,
+//         so the timing of money in and out doesn't move the result.  What
+//         the manager controlled.
+//   MWR — money-weighted (XIRR): the single rate that discounts the starting
+//         value, every flow and the ending value to zero.  What the client
+//         actually earned on their money.
+//
+// The dollar path is modeled: the starting value is invested at the weights
+// in force (reconstructed from weight_history), holdings drift with their
+// own growth, each logged weight change or rebalance resets them to the new
+// targets, and each flow is added to (or taken from) positions pro rata.
+
+// Reporting periods — days back from today; 'ytd' from Jan 1, null = since inception
+export const RETURN_PERIODS = [
+  { label: '1M',        days: 30 },
+  { label: '3M',        days: 90 },
+  { label: 'YTD',       days: 'ytd' },
+  { label: '1Y',        days: 365 },
+  { label: '3Y',        days: 1095 },
+  { label: 'Inception', days: null },
+];
+
+// Weight-history event types that don't change target weights
+const NON_WEIGHT_EVENTS = new Set(['cash_flow']);
+
+/**
+ * Deposits and withdrawals logged in a portfolio's weight_history.
+ * @returns {Array<{ id, date: 'YYYY-MM-DD', amount: number, source: 'manual', note }>}
+ */
+export function cashFlowsFromHistory(weightHistory = []) {
+  return weightHistory
+    .filter(e => e.type === 'cash_flow' && Number.isFinite(e.amount) && e.amount !== 0)
+    .map(e => ({ id: e.id, date: e.date.slice(0, 10), amount: e.amount, source: 'manual', note: e.note || '' }));
+}
+
+/**
+ * Target weights over time, rebuilt by undoing weight_history events from the
+ * current holdings backwards (so portfolios whose history predates the log
+ * still start from the right weights).  Rebalances keep targets but mark a
+ * point where drift resets.
+ * @param {Array<{ ticker, weight_percent }>} holdings — current saved holdings
+ * @param {Object[]} weightHistory
+ * @param {string} inceptionDate — 'YYYY-MM-DD'
+ * @returns {Array<{ date: 'YYYY-MM-DD', weights: Object<string, number> }>}  ascending; first entry at inception
+ */
+export function weightSchedule(holdings, weightHistory = [], inceptionDate) {
+  const events = weightHistory
+    .filter(e => !NON_WEIGHT_EVENTS.has(e.type) && e.date && e.changes?.length)
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  let running = Object.fromEntries(holdings.map(h => [h.ticker, h.weight_percent || 0]));
+  const after = [];
+  for (let i = events.length - 1; i >= 0; i--) {
+    after.unshift({ date: events[i].date.slice(0, 10), weights: { ...running } });
+    if (events[i].type === 'rebalance') continue;
+    for (const c of events[i].changes) {
+      if (c.from != null) running[c.ticker] = c.from;
+      else delete running[c.ticker];
+    }
+  }
+
+  return [{ date: inceptionDate, weights: running }, ...after];
+}
+
+/**
+ * Model the portfolio's dollar value through time.
+ * @param {Object}   args
+ * @param {string[]} args.dates
+ * @param {Object<string, Array<number|null>>} args.growth — ticker → growth column aligned to dates
+ * @param {Array<{ date, weights }>} args.schedule — see weightSchedule; weights in % of the invested sleeve
+ * @param {Array<{ date, amount }>}  args.flows — + deposit / − withdrawal
+ * @param {number}   args.startValue
+ * @param {number}   [args.cashPercent=0]
+ * @param {number}   [args.cashRate=0] — annual fraction earned on cash
+ * @returns {{ values: number[], flowAt: number[] }}  flowAt[t] — net flow booked on dates[t]
+ */
+export function modelValuePath({ dates, growth, schedule, flows, startValue, cashPercent = 0, cashRate = 0 }) {
+  const flowAt = dates.map(() => 0);
+  // Flows on or before the first date are in the start value; flows after the
+  // last trading date (a weekend deposit logged today) book on the last one
+  for (const f of flows) {
+    const found = dates.findIndex(d => d >= f.date);
+    const idx = found === -1 ? dates.length - 1 : found;
+    if (idx > 0) flowAt[idx] += f.amount;
+  }
+
+  // Weight changes take effect at the close of the first trading day on or
+  // after they were logged; anything up to the first date sets the opening mix,
+  // and changes after the last date haven't taken effect yet
+  let opening = schedule[0].weights;
+  const resetAt = {};   // index → weights
+  for (const s of schedule) {
+    const idx = dates.findIndex(d => d >= s.date);
+    if (idx === -1) continue;
+    if (idx === 0) opening = s.weights;
+    else resetAt[idx] = s.weights;
+  }
+
+  let positions = {};   // ticker → dollars
+  let cash = 0;
+  const total = () => Object.values(positions).reduce((s, v) => s + v, 0) + cash;
+  const allocate = (value, weights) => {
+    const sum = Object.values(weights).reduce((s, w) => s + w, 0);
+    const invested = sum > 0 ? value * (1 - cashPercent / 100) : 0;   // nothing to hold yet → all cash
+    positions = Object.fromEntries(Object.entries(weights).map(([t, w]) => [t, sum > 0 ? invested * (w / sum) : 0]));
+    cash = value - invested;
+  };
+
+  allocate(startValue, opening);
+  let weights = opening;
+  const values = [startValue];
+  for (let t = 1; t < dates.length; t++) {
+    for (const ticker of Object.keys(positions)) {
+      const g0 = growth[ticker]?.[t - 1];
+      const g1 = growth[ticker]?.[t];
+      if (g0 > 0 && g1 != null) positions[ticker] *= g1 / g0;   // flat until its history starts
+    }
+    const days = (new Date(dates[t]) - new Date(dates[t - 1])) / 86_400_000;
+    cash *= Math.pow(1 + cashRate, days / 365);
+
+    // Flows land pro rata on today's positions
+    if (flowAt[t]) {
+      const before = total();
+      if (before > 0) {
+        const scale = Math.max(0, 1 + flowAt[t] / before);
+        for (const ticker of Object.keys(positions)) positions[ticker] *= scale;
+        cash *= scale;
+      } else {
+        allocate(Math.max(0, flowAt[t]), weights);
+      }
+    }
+
+    if (resetAt[t]) {
+      weights = resetAt[t];
+      allocate(total(), weights);
+    }
+    values.push(total());
+  }
+  return { values, flowAt };
+}
+
+/**
+ * Time-weighted return between two indices: Π (Vt − Ft) / Vt−1 − 1.
+ * @returns {number|null}  fraction
+ */
+export function timeWeightedReturn(values, flowAt, startIdx, endIdx) {
+  if (startIdx < 0 || endIdx <= startIdx) return null;
+  let link = 1;
+  for (let t = startIdx + 1; t <= endIdx; t++) {
+    if (!(values[t - 1] > 0)) continue;
+    link *= (values[t] - flowAt[t]) / values[t - 1];
+  }
+  return link - 1;
+}
+
+/**
+ * XIRR — annual rate r with Σ amount × (1 + r)^(−years since first) = 0.
+ * Newton's method, falling back to bisection.
+ * @param {Array<{ date: 'YYYY-MM-DD', amount: number }>} flows — investor's view (− paid in, + received)
+ * @returns {number|null}  annual fraction; null when there's no sign change or no convergence
+ */
+export function xirr(flows) {
+  if (flows.length < 2 || !flows.some(f => f.amount > 0) || !flows.some(f => f.amount < 0)) return null;
+  const t0 = new Date(flows[0].date).getTime();
+  const years = flows.map(f => (new Date(f.date).getTime() - t0) / (365 * 86_400_000));
+  const npv  = r => flows.reduce((s, f, i) => s + f.amount / Math.pow(1 + r, years[i]), 0);
+  const dnpv = r => flows.reduce((s, f, i) => s - (years[i] * f.amount) / Math.pow(1 + r, years[i] + 1), 0);
+
+  let r = 0.1;
+  for (let k = 0; k < 50; k++) {
+    const f = npv(r);
+    const d = dnpv(r);
+    if (!Number.isFinite(f) || !(Math.abs(d) > 1e-12)) break;
+    const next = r - f / d;
+    if (!(next > -0.9999)) break;
+    if (Math.abs(next - r) < 1e-10) return next;
+    r = next;
+  }
+
+  // Bisection over a wide bracket
+  let lo = -0.9999;
+  let hi = 10;
+  if (npv(lo) * npv(hi) > 0) return null;
+  for (let k = 0; k < 200; k++) {
+    const mid = (lo + hi) / 2;
+    if (npv(lo) * npv(mid) <= 0) hi = mid; else lo = mid;
+    if (hi - lo < 1e-10) break;
+  }
+  return (lo + hi) / 2;
+}
+
+/**
+ * Money-weighted return between two indices, as a period (not annualized) fraction.
+ * @returns {number|null}
+ */
+export function moneyWeightedReturn(values, flowAt, dates, startIdx, endIdx) {
+  if (startIdx < 0 || endIdx <= startIdx || !(values[startIdx] > 0)) return null;
+  const flows = [{ date: dates[startIdx], amount: -values[startIdx] }];
+  for (let t = startIdx + 1; t <= endIdx; t++) {
+    if (flowAt[t]) flows.push({ date: dates[t], amount: -flowAt[t] });
+  }
+  flows.push({ date: dates[endIdx], amount: values[endIdx] });
+  const rate = xirr(flows);
+  if (rate == null) return null;
+  const days = (new Date(dates[endIdx]) - new Date(dates[startIdx])) / 86_400_000;
+  return Math.pow(1 + rate, days / 365) - 1;
+}
+
+/** Annualize a period return when it spans a year or more; shorter periods are left as is. */
+export function annualize(periodReturn, days) {
+  if (periodReturn == null) return null;
+  return days >= 365 ? Math.pow(1 + periodReturn, 365 / days) - 1 : periodReturn;
+}
@@ -0,0 +1,108 @@
+// ─── Allocation breakdowns ────────────────────────────────────────────────────
+// Portfolio and benchmark weights by sector, industry, asset class, region and
+// market cap, from the INSTRUMENTS classification fields.  Index funds are
+// spread across sectors by BENCHMARK_SECTOR_WEIGHTS (see tickerSectors) and
+// across regions / cap sizes by FUND_COMPOSITION; everything else counts whole
+// toward its own field.  Pure functions only.
+
+import { INSTRUMENTS, FUND_COMPOSITION } from './mockData';
+import { tickerSectors } from './attribution';
+
+export const BREAKDOWN_DIMENSIONS = [
+  { key: 'asset_class', label: 'Asset Class' },
+  { key: 'sector',      label: 'Sector' },
+  { key: 'industry',    label: 'Industry' },
+  { key: 'region',      label: 'Region' },
+  { key: 'cap_size',    label: 'Market Cap' },
+];
+
+const round = v => parseFloat(v.toFixed(2));
+
+/**
+ * One ticker's split along a dimension as fractions summing to 1.
+ * Unknown tickers are 'Unclassified'; non-equity holdings have no cap size.
+ */
+export function tickerBreakdown(ticker, dimension) {
+  if (dimension === 'sector') return tickerSectors(ticker);
+  const split = FUND_COMPOSITION[dimension]?.[ticker];
+  if (split) {
+    const total = Object.values(split).reduce((s, w) => s + w, 0);
+    return Object.fromEntries(Object.entries(split).map(([k, w]) => [k, w / total]));
+  }
+  const inst = INSTRUMENTS.find(i => i.ticker === ticker);
+  if (!inst) return { Unclassified: 1 };
+  if (dimension === 'cap_size' && inst.cap_size == null) return { 'Non-Equity': 1 };
+  return { [inst[dimension] || 'Unclassified']: 1 };
+}
+
+/**
+ * Portfolio weights along a dimension, cash included as its own bucket.
+ * Holding weights are % of the invested sleeve, so they're scaled by the
+ * invested fraction before cash is added.
+ * @param {Array<{ ticker, weight_percent }>} holdings
+ * @param {number} [cashPercent=0]  % of the portfolio held as cash
+ * @returns {Array<{ label: string, weight: number }>}  % of the portfolio, largest first
+ */
+export function allocationBreakdown(holdings, dimension, cashPercent = 0) {
+  const investedFraction = 1 - cashPercent / 100;
+  const totals = {};
+  holdings.forEach((h) => {
+    const weight = (h.weight_percent || 0) * investedFraction;
+    if (!weight) return;
+    Object.entries(tickerBreakdown(h.ticker, dimension)).forEach(([label, f]) => {
+      totals[label] = (totals[label] ?? 0) + weight * f;
+    });
+  });
+  if (cashPercent > 0) totals.Cash = (totals.Cash ?? 0) + cashPercent;
+  return Object.entries(totals)
+    .map(([label, weight]) => ({ label, weight: round(weight) }))
+    .sort((a, b) => b.weight - a.weight);
+}
+
+/**
+ * A benchmark's composition along a dimension (treated as a single 100%
+ * holding), or null when the benchmark isn't classified.  There is no
+ * industry-level index data, so industry has no benchmark side.
+ */
+export function benchmarkBreakdown(ticker, dimension) {
+  if (!ticker || dimension === 'industry') return null;
+  const rows = allocationBreakdown([{ ticker, weight_percent: 100 }], dimension);
+  return rows.length === 1 && rows[0].label === 'Unclassified' ? null : rows;
+}
+
+/**
+ * Portfolio vs benchmark side by side, with the active (over/under) weight.
+ * Buckets past `maxRows` are folded into 'Other'.
+ * @returns {Array<{ label, portfolio, benchmark: number|null, active: number|null }>}
+ */
+export function compareBreakdowns(portfolio, benchmark, maxRows = Infinity) {
+  const bench = benchmark ? Object.fromEntries(benchmark.map(r => [r.label, r.weight])) : null;
+  const labels = [...new Set([...portfolio.map(r => r.label), ...(benchmark ?? []).map(r => r.label)])];
+  const port = Object.fromEntries(portfolio.map(r => [r.label, r.weight]));
+  const rows = labels
+    .map(label => ({
+      label,
+      portfolio: port[label] ?? 0,
+      benchmark: bench ? (bench[label] ?? 0) : null,
+    }))
+    .sort((a, b) => Math.max(b.portfolio, b.benchmark ?? 0) - Math.max(a.portfolio, a.benchmark ?? 0));
+
+  let shown = rows;
+  if (rows.length > maxRows) {
+    const rest = rows.slice(maxRows - 1);
+    shown = [
+      ...rows.slice(0, maxRows - 1),
+      {
+        label: 'Other',
+        portfolio: rest.reduce((s, r) => s + r.portfolio, 0),
+        benchmark: bench ? rest.reduce((s, r) => s + r.benchmark, 0) : null,
+      },
+    ];
+  }
+  return shown.map(r => ({
+    label: r.label,
+    portfolio: round(r.portfolio),
+    benchmark: r.benchmark != null ? round(r.benchmark) : null,
+    active: r.benchmark != null ? round(r.portfolio - r.benchmark) : null,
+  }));
+}
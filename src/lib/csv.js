@@ -0,0 +1,18 @@
+// ─── CSV export ───────────────────────────────────────────────────────────────
+// Quotes every cell and triggers a browser download.
+
+/**
+ * Download rows as a CSV file.
+ * @param {string} filename — e.g. 'activity-log.csv'
+ * @param {Array<Array<any>>} rows — first row is the header
+ */
+export function downloadCSV(filename, rows) {
+  const csv = rows.map((r) => r.map((c) => `"${String(c).replace(/"/g, '""')}"`).join(',')).join('\n');
+  const blob = new Blob([csv], { type: 'text/csv' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
@@ -1,46 +1,32 @@
-// ─── Finnhub market data client ───────────────────────────────────────────────
-// API key is exposed client-side (VITE_ prefix). Acceptable for a read-only
-// market data key on the free tier — the key only grants market data read access.
-//
-// Historical candle data: tries Finnhub first; if the free-tier returns 403,
-// automatically falls back to Yahoo Finance (via /api/yahoo-chart proxy) for
-// all subsequent requests.  This gives us free unlimited historical data.
-
-import { getYahooCandles, clearYahooCache } from './yahoo';
-
-const BASE = 'https://finnhub.io/api/v1';
-const KEY  = import.meta.env.VITE_FINNHUB_API_KEY;
-
-export const isConfigured = () => Boolean(KEY);
-
-// ── Index ticker → ETF mapping ───────────────────────────────────────────────
-// CBOE/Yahoo-style index tickers don't work on Finnhub free tier.
-// Map them to their ETF equivalents for quotes, WebSocket, and candles.
-const INDEX_TO_ETF = {
-  // CBOE-style
-  'SPX':    'SPY',
-  'NDX':    'QQQ',
-  'RUT':    'IWM',
-  'DJI':    'DIA',
-  'DJIA':   'DIA',
-  // Yahoo-style (caret prefix)
-  '^GSPC':  'SPY',
-  '^DJI':   'DIA',
-  '^IXIC':  'QQQ',
-  '^RUT':   'IWM',
-  '^VIX':   'VIXY',
-  '^TNX':   'TLT',
-};
-
-/** Normalize a ticker: map index symbols to their ETF equivalents for Finnhub. */
-export function normalizeTicker(ticker) {
-  if (!ticker) return ticker;
-  const upper = ticker.toUpperCase();
-  return INDEX_TO_ETF[upper] || ticker;
-}
-
-// After the first 403 from Finnhub candles, switch permanently to Yahoo
-let candleSource = 'finnhub'; // 'finnhub' | 'yahoo'
+// ─── Market data client ───────────────────────────────────────────────────────
+// Quotes, candles, search and the trade feed come from the active provider
+// (see providers/index.js — Finnhub with a Yahoo candle fallback by default,
+// or Yahoo / recorded fixtures per environment).  This module caches them and
+// builds every price-history analytic on top.  Requests are throttled and
+// prioritized by requestScheduler.js, so callers fetch in parallel freely.
+
+import { clearYahooCache } from './yahoo';
+import { readBars, writeBars, clearCandleStore } from './candleStore';
+import { marketData, marketNow } from './providers';
+import { holdingDrip, dividendsFromCandles } from './totalReturn';
+import { attributeReturns, brinsonAttribution } from './attribution';
+import { BENCHMARK_SECTOR_WEIGHTS, SECTOR_PROXIES } from './mockData';
+import { runBacktest } from './backtest';
+import { stressStats, RECOVERY_LOOKAHEAD_DAYS } from './stressTest';
+import {
+  RETURN_PERIODS, weightSchedule, modelValuePath, timeWeightedReturn, moneyWeightedReturn, annualize,
+} from './cashFlowReturns';
+import { calendarReturns } from './calendarReturns';
+import { INTRADAY_RANGES, intradaySeries } from './intraday';
+import { buildPriceMatrix, growthColumn, windowGrowth, compositeGrowth, coverageIssues } from './priceMatrix';
+import {
+  computeMetrics, computeRelativeMetrics, computeValueAtRisk, covarianceMatrix, volatilityContributions, expectedReturns,
+  dailyReturns, RISK_FREE_RATE,
+} from './riskStats';
+
+export const isConfigured = () => marketData.isConfigured();
+
+export { normalizeTicker } from './providers/finnhubProvider';
 
 // ── In-memory caches ─────────────────────────────────────────────────────────
 const quoteCache  = new Map(); // ticker   → { data, ts }
@@ -50,127 +36,157 @@ const QUOTE_TTL   = 30_000;   // 30 s  — refresh quotes every 30 s
 const CANDLE_TTL  = 300_000;  // 5 min — candles don't change intraday
 const SEARCH_TTL  = 60_000;   // 1 min — search results are stable
 
-/** Bust all in-memory market-data caches (Finnhub + Yahoo). */
-export function clearMarketCaches() {
+// Stored bars fetched before this are topped up on next use even inside CANDLE_TTL
+let cachesClearedAt = 0;
+
+/**
+ * Bust all in-memory market-data caches (provider responses + Yahoo) and mark
+ * the stored candles stale.  `persistent` also empties the IndexedDB store.
+ */
+export async function clearMarketCaches({ persistent = false } = {}) {
   quoteCache.clear();
   candleCache.clear();
   searchCache.clear();
   clearYahooCache();
+  cachesClearedAt = Date.now();
+  if (persistent) await clearCandleStore();
 }
 
 // ── Quote (current price + daily change) ─────────────────────────────────────
 // Returns: { price, change, changePercent, prevClose, high, low, open }
-export async function getQuote(ticker) {
-  const symbol = normalizeTicker(ticker);
-  // Cache under original ticker so callers get consistent results
+export async function getQuote(ticker, { priority } = {}) {
   const cached = quoteCache.get(ticker);
   if (cached && Date.now() - cached.ts < QUOTE_TTL) return cached.data;
 
-  const res = await fetch(`${BASE}/quote?symbol=${symbol}&token=${KEY}`);
-  if (!res.ok) throw new Error(`Quote fetch failed for ${ticker}: ${res.status}`);
-
-  const raw  = await res.json();
-  // If Finnhub returns all zeros, the symbol isn't supported — throw so caller falls back
-  if (!raw.c) throw new Error(`No data for ${ticker}`);
-
-  const data = {
-    price:         raw.c,
-    change:        raw.d,
-    changePercent: raw.dp,
-    prevClose:     raw.pc,
-    high:          raw.h,
-    low:           raw.l,
-    open:          raw.o,
-  };
-
+  const data = await marketData.getQuote(ticker, { priority });
   quoteCache.set(ticker, { data, ts: Date.now() });
   return data;
 }
 
 // ── Historical daily candles ──────────────────────────────────────────────────
-// Returns: [{ date: 'YYYY-MM-DD', price: number }, ...]  (closing prices)
-export async function getCandles(ticker, fromDate, toDate) {
-  const symbol = normalizeTicker(ticker);
+// Returns: [{ date: 'YYYY-MM-DD', price: number, adjClose: number }, ...]
+// adjClose is dividend-adjusted where the provider has it (Yahoo, fixtures),
+// else equal to price.  Bars persist across reloads in candleStore.js;
+// fixtures skip the store since they're already local.
+// priority: scheduler priority for any network fetch ('high' | 'normal' | 'low')
+async function getHistoricalCandles(ticker, fromDate, toDate, priority = 'normal') {
   const cacheKey = `${ticker}:${fromDate}:${toDate}`;
   const cached   = candleCache.get(cacheKey);
   if (cached && Date.now() - cached.ts < CANDLE_TTL) return cached.data;
 
-  const from = Math.floor(new Date(fromDate).getTime() / 1000);
-  const to   = Math.floor(new Date(toDate).getTime()   / 1000);
-
-  const res = await fetch(
-    `${BASE}/stock/candle?symbol=${symbol}&resolution=D&from=${from}&to=${to}&token=${KEY}`
-  );
-  if (!res.ok) throw new Error(`Candle fetch failed for ${ticker}: ${res.status}`);
-
-  const raw = await res.json();
-  if (raw.s !== 'ok' || !raw.c?.length || !raw.t?.length) return [];
-
-  const data = raw.t.map((ts, i) => {
-    const d = new Date(ts * 1000);
-    return {
-      date:  isNaN(d.getTime()) ? '' : d.toISOString().slice(0, 10),
-      price: raw.c[i],
-    };
-  }).filter(d => d.date);
-
+  const data = marketData.id === 'fixture'
+    ? await marketData.getCandles(ticker, fromDate, toDate)
+    : await storedCandles(ticker, fromDate, toDate, { priority });
   candleCache.set(cacheKey, { data, ts: Date.now() });
   return data;
 }
 
-// ── Unified candle fetcher (auto-fallback Finnhub → Yahoo) ─────────────────
-// Tries Finnhub candles first; on 403 switches to Yahoo Finance permanently.
-// Returns same format: [{ date, price }, ...]
-async function getHistoricalCandles(ticker, fromDate, toDate) {
-  // Already switched to Yahoo — go straight there
-  if (candleSource === 'yahoo') {
-    return getYahooCandles(ticker, fromDate, toDate);
+// Closes further apart than this on the same date mean the history was
+// re-based (a split) — the stored bars can't be extended, only replaced
+const SPLIT_TOLERANCE = 0.005;
+
+// Append freshly fetched bars to stored ones.  The first fetched bar repeats
+// a stored date: if a dividend went ex since, the provider has scaled every
+// earlier adjClose down, so the stored ones are scaled to match.
+// Returns null when the histories disagree on price (split).
+function appendBars(stored, tail) {
+  if (!tail.length) return stored;
+  const overlap = stored.find(b => b.date === tail[0].date);
+  let scale = 1;
+  if (overlap) {
+    if (Math.abs(tail[0].price / overlap.price - 1) > SPLIT_TOLERANCE) return null;
+    scale = (tail[0].adjClose / tail[0].price) / (overlap.adjClose / overlap.price);
   }
+  const head = stored.filter(b => b.date < tail[0].date);
+  return [...(scale === 1 ? head : head.map(b => ({ ...b, adjClose: b.adjClose * scale }))), ...tail];
+}
 
-  try {
-    const data = await getCandles(ticker, fromDate, toDate);
-    return data;
-  } catch (err) {
-    // Finnhub free tier returns 403 for candle endpoint — switch to Yahoo
-    if (err.message.includes('403')) {
-      console.info('[Market Data] Finnhub candles returned 403 — switching to Yahoo Finance (free)');
-      candleSource = 'yahoo';
-      return getYahooCandles(ticker, fromDate, toDate);
+// What a ticker's stored record still needs from the network for
+// fromDate..toDate: the whole range (nothing usable stored — no record, too
+// short, or from a source this provider doesn't use), just the tail since
+// the last stored date, or nothing.
+// Returns { from, to, whole } | null
+function storedFetchPlan(stored, fromDate, toDate) {
+  const known = stored?.candles.length > 0 && marketData.candleSources.includes(stored.source);
+  if (!known || stored.coveredFrom > fromDate) return { from: fromDate, to: toDate, whole: true };
+
+  // A stored bar dated today may be mid-session, so only a later one counts as covered
+  const bars = stored.candles;
+  const fresh = Date.now() - stored.fetchedAt < CANDLE_TTL && stored.fetchedAt > cachesClearedAt;
+  if (bars[bars.length - 1].date > toDate || fresh) return null;
+
+  // Overlap on the last settled close — the latest stored bar may have been
+  // taken mid-session and is refetched anyway
+  return { from: bars[Math.max(0, bars.length - 2)].date, to: toDate, whole: false };
+}
+
+// Serve from the persistent store, fetching only what storedFetchPlan asks
+// for.  The source label is read after each fetch — the first one may be what
+// switches Finnhub to Yahoo.
+async function storedCandles(ticker, fromDate, toDate, opts) {
+  const stored = await readBars(ticker);
+  const slice = candles => candles.filter(c => c.date >= fromDate && c.date <= toDate);
+  const plan = storedFetchPlan(stored, fromDate, toDate);
+  if (!plan) return slice(stored.candles);
+
+  if (plan.whole) {
+    const candles = await marketData.getCandles(ticker, fromDate, toDate, opts);
+    const known = stored?.candles.length > 0 && marketData.candleSources.includes(stored.source);
+    // Don't let a short historical (custom-range) fetch replace newer bars
+    if (candles.length && (!known || toDate >= stored.candles[stored.candles.length - 1].date)) {
+      writeBars({ ticker, source: marketData.label, coveredFrom: fromDate, candles });
     }
-    throw err;
+    return candles;
+  }
+
+  const bars = stored.candles;
+  const tail = await marketData.getCandles(ticker, plan.from, toDate, opts);
+  if (!tail.length) return slice(bars);
+  const merged = appendBars(bars, tail);
+  if (!merged) {
+    const candles = await marketData.getCandles(ticker, stored.coveredFrom, toDate, opts);
+    if (candles.length) writeBars({ ticker, source: marketData.label, coveredFrom: stored.coveredFrom, candles });
+    return slice(candles);
   }
+  writeBars({ ticker, source: marketData.label, coveredFrom: stored.coveredFrom, candles: merged });
+  return slice(merged);
+}
+
+// Where the provider batches (Yahoo), fetch every ticker that shares a fetch
+// range in one request up front.  The batch fills the provider's own cache,
+// so the per-ticker storedCandles calls that follow don't hit the network.
+async function prefetchCandles(tickers, fromDate, toDate, priority) {
+  if (!marketData.getCandlesBatch) return;
+  const groups = new Map(); // 'from:to' → tickers
+  await Promise.all(tickers.map(async (ticker) => {
+    const cached = candleCache.get(`${ticker}:${fromDate}:${toDate}`);
+    if (cached && Date.now() - cached.ts < CANDLE_TTL) return;
+    const plan = storedFetchPlan(await readBars(ticker), fromDate, toDate);
+    if (!plan) return;
+    const key = `${plan.from}:${plan.to}`;
+    groups.set(key, [...(groups.get(key) ?? []), ticker]);
+  }));
+  await Promise.all([...groups].map(([key, group]) => {
+    if (group.length < 2) return null;
+    const [from, to] = key.split(':');
+    return marketData.getCandlesBatch(group, from, to, { priority }).catch((err) => {
+      console.warn(`[${marketData.label}] Batched candle fetch failed:`, err.message);
+    });
+  }));
 }
 
 // ── Symbol search ─────────────────────────────────────────────────────────────
 // Returns: [{ ticker, name, type, exchange }] matching the query
 export async function searchSymbols(query) {
   const q = query.trim();
-  if (!q || !KEY) return [];
+  if (!q || !isConfigured()) return [];
 
   const key    = q.toUpperCase();
   const cached = searchCache.get(key);
   if (cached && Date.now() - cached.ts < SEARCH_TTL) return cached.data;
 
   try {
-    const res  = await fetch(`${BASE}/search?q=${encodeURIComponent(q)}&token=${KEY}`);
-    if (!res.ok) return [];
-    const json = await res.json();
-
-    const data = (json.result ?? [])
-      // Keep US stocks and ETFs with simple symbols (no dots/slashes = likely US listed)
-      .filter(r =>
-        (r.type === 'Common Stock' || r.type === 'ETP') &&
-        /^[A-Z]{1,5}$/.test(r.symbol)
-      )
-      .slice(0, 10)
-      .map(r => ({
-        ticker:     r.symbol,
-        name:       r.description,
-        type:       r.type === 'ETP' ? 'ETF' : 'Stock',
-        exchange:   r.primaryExchange ?? '',
-        last_price: null, // will be fetched on demand by loadTickers
-      }));
-
+    const data = await marketData.searchSymbols(q);
     searchCache.set(key, { data, ts: Date.now() });
     return data;
   } catch {
@@ -178,122 +194,313 @@ export async function searchSymbols(query) {
   }
 }
 
+// ── Shared price matrix ─────────────────────────────────────────────────────
+// Fetches candles for every ticker and aligns them on the trading calendar
+// (see priceMatrix.js).  The chart passes priority 'high' so its fetches
+// overtake analytics still queued behind the rate limit.
+async function loadPriceMatrix(tickers, fromDate, toDate, { priority = 'normal' } = {}) {
+  const candleResults = await fetchCandles(tickers, fromDate, toDate, priority);
+  return buildPriceMatrix(
+    tickers.map((key, i) => ({ key, candles: candleResults[i] })),
+    { fromDate, toDate },
+  );
+}
+
+// range: a rangeDays key, or an explicit { from, to } ('YYYY-MM-DD') custom range
+function rangeDates(range, rangeDays = RANGE_DAYS, fallbackDays = 365) {
+  if (range && typeof range === 'object') return { fromDate: range.from, toDate: range.to };
+  const days = rangeDays[range] ?? fallbackDays;
+  return {
+    fromDate: new Date(marketNow().getTime() - days * 86_400_000).toISOString().slice(0, 10),
+    toDate:   marketNow().toISOString().slice(0, 10),
+  };
+}
+
+// Per-holding growth columns and the weighted composite for a portfolio
+function portfolioGrowth(matrix, holdings, { returnMode, drip }) {
+  const growthCols = holdings.map(h =>
+    growthColumn(matrix, h.ticker, { mode: returnMode, drip: holdingDrip(h, drip) })
+  );
+  const composite = compositeGrowth(growthCols, holdings.map(h => (h.weight_percent || 0) / 100));
+  return { growthCols, composite };
+}
+
 // ── Portfolio chart data ──────────────────────────────────────────────────────
 // Returns: [{ date, portfolio: +5.34, benchmark?: +3.21 }, ...]
 // Values are % return from start of range (0 = start date, positive = gain).
-const RANGE_DAYS = { '1M': 30, '3M': 90, '6M': 180, '1Y': 365, '2Y': 730, 'Max': 1095 };
-
-export async function getRealPortfolioChartData(holdings, benchmarkTicker, range = '1Y') {
+// range: RANGE_DAYS key or a custom { from, to } ('YYYY-MM-DD') — every
+// range-taking chart fetcher below accepts either.
+// opts.returnMode: 'total' (default, dividends included) | 'price'
+// opts.drip: portfolio DRIP default — holdings may override with h.drip.
+// The benchmark is always shown with dividends reinvested in total-return mode.
+// A holding whose history starts inside the range is flat until its first
+// close — getRealChartCoverage reports those so the UI can say so.
+// 'Max' reaches back 20 years — far enough for the 2008 stress window
+export const MAX_HISTORY_DAYS = 7305;
+
+const RANGE_DAYS = { '1M': 30, '3M': 90, '6M': 180, '1Y': 365, '2Y': 730, 'Max': MAX_HISTORY_DAYS };
+
+export async function getRealPortfolioChartData(holdings, benchmarkTicker, range = '1Y', { returnMode = 'total', drip = true } = {}) {
   if (!holdings.length) return [];
 
-  const days     = RANGE_DAYS[range] ?? 365;
-  const toDate   = new Date().toISOString().slice(0, 10);
-  const fromDate = new Date(Date.now() - days * 86_400_000).toISOString().slice(0, 10);
-
-  // Fetch all via unified candle fetcher (auto-fallback Finnhub → Yahoo)
-  const [holdingCandles, benchCandles] = await Promise.all([
-    Promise.all(holdings.map(h => getHistoricalCandles(h.ticker, fromDate, toDate).catch(() => []))),
-    benchmarkTicker
-      ? getHistoricalCandles(benchmarkTicker, fromDate, toDate).catch(() => [])
-      : Promise.resolve([]),
-  ]);
-
-  const dates = holdingCandles[0]?.map(d => d.date) ?? [];
-  if (!dates.length) return [];
-
-  // Build fast lookup maps
-  const priceMaps = holdingCandles.map(candles => {
-    const m = {};
-    candles.forEach(d => { m[d.date] = d.price; });
-    return m;
-  });
-  const benchMap = {};
-  benchCandles.forEach(d => { benchMap[d.date] = d.price; });
+  const { fromDate, toDate } = rangeDates(range);
+  const tickers = holdings.map(h => h.ticker);
+  const matrix = await loadPriceMatrix(
+    benchmarkTicker ? [...tickers, benchmarkTicker] : tickers, fromDate, toDate, { priority: 'high' },
+  );
+  if (!matrix.dates.length) return [];
 
-  const startPrices    = holdingCandles.map(c => c[0]?.price ?? 1);
-  const startBenchmark = benchCandles[0]?.price ?? 1;
+  const { composite } = portfolioGrowth(matrix, holdings, { returnMode, drip });
+  const benchGrowth = benchmarkTicker
+    ? growthColumn(matrix, benchmarkTicker, { mode: returnMode, drip: true })
+    : null;
+  const hasBenchmark = benchGrowth?.some(g => g != null);
 
-  return dates.map(date => {
+  return matrix.dates.map((date, d) => {
     // Weighted % return from start (0 = flat, +5 = up 5%)
-    let portfolio = 0;
-    holdings.forEach((h, i) => {
-      const start   = startPrices[i] || 1;
-      const current = priceMaps[i][date] ?? start;
-      portfolio += ((current / start) - 1) * 100 * (h.weight_percent / 100);
-    });
-
+    const portfolio = (composite.values[d] - composite.weight) * 100;
     const point = { date, portfolio: parseFloat(portfolio.toFixed(2)) };
 
-    if (benchmarkTicker && startBenchmark > 0) {
-      const bPrice = benchMap[date] ?? startBenchmark;
-      point.benchmark = parseFloat(((bPrice / startBenchmark - 1) * 100).toFixed(2));
+    if (hasBenchmark) {
+      const bGrowth = benchGrowth[d];
+      point.benchmark = bGrowth != null ? parseFloat(((bGrowth - 1) * 100).toFixed(2)) : null;
     }
 
     return point;
   });
 }
 
-// ── Individual Holdings chart data ───────────────────────────────────────────
-// Returns: [{ date, AAPL: +5.3, MSFT: +2.1, ... }, ...]
-// Each holding is its own key with % return from start of range.
-const HOLDINGS_RANGE_DAYS = { '1M': 30, '3M': 90, '6M': 180, '1Y': 365, '2Y': 730, 'Max': 1095 };
-
-export async function getRealHoldingsChartData(holdings, range = '6M') {
+// ── Rolling-window series ───────────────────────────────────────────────────
+// Growth series for rolling analytics (see rollingStats.js): the chart range
+// plus `lookbackDays` of history before it, so the first visible date already
+// has a full window behind it.  Cash is blended in at cashRate like the chart.
+// range: RANGE_DAYS key, { from, to }, or 'Since' with opts.since = 'YYYY-MM-DD'
+// Returns: { dates, portfolio: number[], benchmark: Array<number|null> | null, viewStart }
+export async function getRealRollingSeries(holdings, benchmarkTicker, range = '1Y', {
+  since = null, lookbackDays = 365, returnMode = 'total', drip = true, cashPercent = 0, cashRate = RISK_FREE_RATE,
+} = {}) {
   if (!holdings.length || !isConfigured()) return null;
 
-  const days     = HOLDINGS_RANGE_DAYS[range] ?? 180;
-  const toDate   = new Date().toISOString().slice(0, 10);
-  const fromDate = new Date(Date.now() - days * 86_400_000).toISOString().slice(0, 10);
+  const { fromDate: rangeStart, toDate } = rangeDates(range);
+  const viewStart = range === 'Since' && since ? since.slice(0, 10) : rangeStart;
+  const fromDate = new Date(new Date(viewStart).getTime() - lookbackDays * 86_400_000).toISOString().slice(0, 10);
+  const tickers = holdings.map(h => h.ticker);
+  const matrix = await loadPriceMatrix(benchmarkTicker ? [...tickers, benchmarkTicker] : tickers, fromDate, toDate);
+  if (!matrix.dates.length) return null;
+
+  const { composite } = portfolioGrowth(matrix, holdings, { returnMode, drip });
+  if (!(composite.weight > 0)) return null;
+  const invested = 1 - cashPercent / 100;
+  const cashDaily = cashRate / 252;
+  const benchmark = benchmarkTicker ? growthColumn(matrix, benchmarkTicker, { mode: returnMode, drip: true }) : null;
 
+  return {
+    dates: matrix.dates,
+    portfolio: composite.values.map((v, d) => invested * (v / composite.weight) + (1 - invested) * Math.pow(1 + cashDaily, d)),
+    benchmark: benchmark?.some(g => g != null) ? benchmark : null,
+    viewStart,
+  };
+}
+
+/**
+ * Data-coverage problems for the same fetch as getRealPortfolioChartData:
+ * tickers with no data, history starting after the range start, or gaps
+ * longer than the forward-fill limit.  Served from the candle cache.
+ * @returns {Promise<Array<{ ticker, firstDate, missing, startsLate, gaps }>>}
+ */
+export async function getRealChartCoverage(holdings, benchmarkTicker, range = '1Y') {
+  if (!holdings.length) return [];
+  const { fromDate, toDate } = rangeDates(range);
   const tickers = holdings.map(h => h.ticker);
-  const candleResults = await staggeredCandles(tickers, fromDate, toDate);
+  const all = benchmarkTicker ? [...tickers, benchmarkTicker] : tickers;
+  const matrix = await loadPriceMatrix(all, fromDate, toDate, { priority: 'high' });
+  if (!matrix.dates.length) return [];
+  return coverageIssues(matrix, all);
+}
 
-  // Find the longest candle set for date alignment
-  const longest = candleResults.reduce((best, c) => c.length > best.length ? c : best, []);
-  const dates = longest.map(d => d.date);
-  if (!dates.length) return null;
+// ── Intraday chart data ──────────────────────────────────────────────────────
+// 1D / 1W lines from intraday bars (see intraday.js).  Not every provider has
+// them — the fixture provider doesn't — so the chart checks hasIntradayData().
+// Returns: { data: [{ date, t, portfolio, benchmark? }], live } | null
+export const hasIntradayData = () => isConfigured() && Boolean(marketData.getIntradayBars);
+
+export async function getRealIntradayChartData(holdings, benchmarkTicker, range = '1D') {
+  if (!holdings.length || !hasIntradayData()) return null;
+
+  const { interval, span, stepMs } = INTRADAY_RANGES[range];
+  const tickers = [...new Set([...holdings.map(h => h.ticker), ...(benchmarkTicker ? [benchmarkTicker] : [])])];
+  const results = await Promise.all(tickers.map(t =>
+    marketData.getIntradayBars(t, interval, span, { priority: 'high' }).catch((err) => {
+      console.warn(`[Market Data] Intraday fetch failed for ${t}:`, err.message);
+      return null;
+    })));
+
+  const barsByTicker = Object.fromEntries(
+    tickers.map((t, i) => [t, results[i]]).filter(([, r]) => r?.bars.length),
+  );
+  if (!Object.keys(barsByTicker).length) return null;
+  const series = intradaySeries(barsByTicker, holdings, benchmarkTicker, stepMs);
+  return series.data.length ? series : null;
+}
 
-  // Build price lookup maps
-  const priceMaps = candleResults.map(candles => {
-    const m = {};
-    candles.forEach(d => { m[d.date] = d.price; });
-    return m;
+// ── Rebalance backtest chart data ────────────────────────────────────────────
+// Same series as getRealPortfolioChartData plus a `rebalanced` line simulated
+// under the given rebalance policy (see backtest.js).  Candles are served from
+// the cache filled by the buy & hold fetch, so this costs no extra requests.
+// Returns: { data: [{ date, portfolio, rebalanced, benchmark? }], stats: { turnover, trades, rebalances } }
+export async function getRealBacktestData(holdings, benchmarkTicker, range = '1Y', {
+  policy = 'quarterly', bandPct = 5, returnMode = 'total', drip = true,
+} = {}) {
+  const base = await getRealPortfolioChartData(holdings, benchmarkTicker, range, { returnMode, drip });
+  if (!base.length) return { data: [], stats: null };
+
+  const { fromDate, toDate } = rangeDates(range);
+  const matrix = await loadPriceMatrix(holdings.map(h => h.ticker), fromDate, toDate, { priority: 'high' });
+  const { growthCols } = portfolioGrowth(matrix, holdings, { returnMode, drip });
+  // Holdings-only matrix may be shorter than base when only the benchmark printed a day
+  const byDate = Object.fromEntries(matrix.dates.map((date, d) => [date, d]));
+
+  const result = runBacktest({
+    dates: base.map(p => p.date),
+    growthCols: growthCols.map(col => base.map(p => col[byDate[p.date]] ?? null)),
+    weights: holdings.map(h => h.weight_percent),
+    policy,
+    bandPct,
   });
 
-  const startPrices = candleResults.map(c => c[0]?.price ?? null);
+  // Engine normalizes to fully-invested weights; scale back to the allocated share
+  const allocated = holdings.reduce((s, h) => s + (h.weight_percent || 0), 0) / 100;
+  const data = base.map((point, i) => ({
+    ...point,
+    rebalanced: parseFloat((((result.series[i]?.value ?? 100) / 100 - 1) * 100 * allocated).toFixed(2)),
+  }));
+
+  return {
+    data,
+    stats: { turnover: result.turnover, trades: result.trades, rebalances: result.rebalances },
+  };
+}
+
+// ── Individual Holdings chart data ───────────────────────────────────────────
+// Returns: [{ date, AAPL: +5.3, MSFT: +2.1, ... }, ...]
+// Each holding is its own key with % return from start of range.
+// opts.returnMode: 'total' (default, dividends reinvested) | 'price'
+const HOLDINGS_RANGE_DAYS = { '1M': 30, '3M': 90, '6M': 180, '1Y': 365, '2Y': 730, 'Max': MAX_HISTORY_DAYS };
+
+export async function getRealHoldingsChartData(holdings, range = '6M', { returnMode = 'total' } = {}) {
+  if (!holdings.length || !isConfigured()) return null;
+
+  const { fromDate, toDate } = rangeDates(range, HOLDINGS_RANGE_DAYS, 180);
+  const tickers = holdings.map(h => h.ticker);
+  const matrix = await loadPriceMatrix(tickers, fromDate, toDate);
+  if (!matrix.dates.length) return null;
+
+  // null before a ticker's history starts so the line begins where data does
+  const growthCols = tickers.map(t => growthColumn(matrix, t, { mode: returnMode, drip: true }));
 
-  return dates.map(date => {
+  return matrix.dates.map((date, d) => {
     const entry = { date };
-    holdings.forEach((h, i) => {
-      const start = startPrices[i];
-      if (start && start > 0) {
-        const current = priceMaps[i][date] ?? start;
-        entry[h.ticker] = parseFloat(((current / start - 1) * 100).toFixed(2));
-      } else {
-        entry[h.ticker] = 0;
-      }
+    tickers.forEach((t, i) => {
+      const growth = growthCols[i][d];
+      entry[t] = growth != null ? parseFloat(((growth - 1) * 100).toFixed(2)) : null;
     });
     return entry;
   });
 }
 
-// ── Staggered fetch helper ──────────────────────────────────────────────────
-// Stagger requests to stay within rate limits.  Uses getHistoricalCandles
-// which auto-falls-back from Finnhub to Yahoo Finance.
-async function staggeredCandles(tickers, fromDate, toDate) {
-  const results = [];
-  for (let i = 0; i < tickers.length; i++) {
-    // Smaller delay for Yahoo (no rate limit), 200 ms for Finnhub
-    if (i > 0) await new Promise(r => setTimeout(r, candleSource === 'yahoo' ? 50 : 200));
-    try {
-      const data = await getHistoricalCandles(tickers[i], fromDate, toDate);
-      results.push(data);
-    } catch (err) {
-      console.warn(`[${candleSource === 'yahoo' ? 'Yahoo' : 'Finnhub'}] Candle fetch failed for ${tickers[i]}:`, err.message);
-      results.push([]);
-    }
-  }
-  return results;
+// ── Holdings correlation & risk contribution ────────────────────────────────
+// Uses the same candles as getRealHoldingsChartData (served from its cache).
+// Returns: {
+//   tickers: ['AAPL', …],
+//   correlation: [[1, 0.82, …], …]   (null where two histories barely overlap)
+//   risk: { volatility, holdings: [{ ticker, weight, marginal, contribution, share }] } | null
+// }
+export async function getRealCorrelationData(holdings, range = '6M', { returnMode = 'total' } = {}) {
+  if (!holdings.length || !isConfigured()) return null;
+
+  const { fromDate, toDate } = rangeDates(range, HOLDINGS_RANGE_DAYS, 180);
+  const tickers = holdings.map(h => h.ticker);
+  const matrix = await loadPriceMatrix(tickers, fromDate, toDate);
+  if (!matrix.dates.length) return null;
+
+  const growthCols = tickers.map(t => growthColumn(matrix, t, { mode: returnMode, drip: true }));
+  const { covariance, correlation } = covarianceMatrix(growthCols);
+  const risk = volatilityContributions(covariance, holdings.map(h => h.weight_percent));
+
+  return {
+    tickers,
+    correlation: correlation.map(row => row.map(c => (c != null ? parseFloat(c.toFixed(2)) : null))),
+    risk: risk && {
+      volatility: risk.volatility,
+      holdings: risk.holdings.map((r, i) => ({ ticker: tickers[i], ...r })),
+    },
+  };
+}
+
+// ── Optimizer inputs ────────────────────────────────────────────────────────
+// Annualized expected returns and covariance for the mean-variance optimizer
+// (see optimizer.js), from the same candles as getRealCorrelationData.
+// Returns: {
+//   tickers: [...],                     holdings with price history, in order
+//   missing: [...],                     holdings without any — left out
+//   mu: [0.12, …], covariance: [[…]],  fractions, annualized
+//   observations: 251                   trading days in the window
+// } | null
+export async function getRealOptimizerInputs(holdings, range = '2Y', { returnMode = 'total' } = {}) {
+  if (!holdings.length || !isConfigured()) return null;
+
+  const { fromDate, toDate } = rangeDates(range, HOLDINGS_RANGE_DAYS, 730);
+  const allTickers = holdings.map(h => h.ticker);
+  const matrix = await loadPriceMatrix(allTickers, fromDate, toDate);
+  if (!matrix.dates.length) return null;
+
+  const tickers = allTickers.filter(t => !matrix.coverage[t]?.missing);
+  if (!tickers.length) return null;
+  const growthCols = tickers.map(t => growthColumn(matrix, t, { mode: returnMode, drip: true }));
+
+  return {
+    tickers,
+    missing: allTickers.filter(t => matrix.coverage[t]?.missing),
+    mu: expectedReturns(growthCols).map(r => r ?? 0),
+    covariance: covarianceMatrix(growthCols).covariance,
+    observations: matrix.dates.length,
+  };
+}
+
+// ── Factor shock inputs ─────────────────────────────────────────────────────
+// Aligned growth columns for the holdings and the shock-factor proxy ETFs —
+// the regression inputs for applyShockScenario (see shockScenarios.js).
+// Returns: { holdings: [{ ticker, weight, growth }], factors: { SPY: [...], ... },
+//            missing: string[], observations }
+export async function getRealFactorReturns(holdings, proxies, range = '2Y') {
+  if (!holdings.length || !isConfigured()) return null;
+
+  const { fromDate, toDate } = rangeDates(range, HOLDINGS_RANGE_DAYS, 730);
+  const allTickers = [...new Set([...holdings.map(h => h.ticker), ...proxies])];
+  const matrix = await loadPriceMatrix(allTickers, fromDate, toDate);
+  if (!matrix.dates.length) return null;
+
+  const column = t => growthColumn(matrix, t, { mode: 'total', drip: true });
+  return {
+    holdings: holdings.map(h => ({ ticker: h.ticker, weight: h.weight_percent || 0, growth: column(h.ticker) })),
+    factors: Object.fromEntries(proxies.filter(t => !matrix.coverage[t]?.missing).map(t => [t, column(t)])),
+    missing: allTickers.filter(t => matrix.coverage[t]?.missing),
+    observations: matrix.dates.length,
+  };
+}
+
+// ── Candle fetch helper ─────────────────────────────────────────────────────
+// Candles for every ticker, [] where a fetch fails.  Batched where the
+// provider allows; the rest go out at once and the scheduler spaces them to
+// the provider's rate limit.  Under the Finnhub → Yahoo fallback they hold
+// back until one probe request has settled which source serves candles.
+async function fetchCandles(tickers, fromDate, toDate, priority) {
+  await prefetchCandles(tickers, fromDate, toDate, priority);
+  return Promise.all(tickers.map(t =>
+    getHistoricalCandles(t, fromDate, toDate, priority).catch((err) => {
+      console.warn(`[${marketData.label}] Candle fetch failed for ${t}:`, err.message);
+      return [];
+    })));
 }
 
 // ── Quote-based 1-day returns (always works on free tier) ──────────────────
@@ -338,42 +545,47 @@ async function getQuoteBasedReturns(holdings, benchmarkTicker) {
 // Fetches 1Y of daily candles for all holdings + benchmark, then computes
 // weighted portfolio returns for each standard timeframe.
 // Falls back to quote-based 1D returns if candle data is unavailable.
+// opts.returnMode / opts.drip behave as in getRealPortfolioChartData.
 // Returns: { portfolio: { '1D': 0.45, '7D': 1.2, ... }, benchmark: { '1D': 0.1, ... } | null }
 const PERF_DAYS = { '1D': 1, '7D': 7, '1M': 30, '3M': 90, '6M': 180, '1Y': 365, '2Y': 730 };
+const PERF_FETCH_DAYS = 740; // covers 2Y + weekends
+
+// Calendar days since Jan 1 of the current year (UTC to avoid timezone drift)
+function ytdDays() {
+  const now = marketNow();
+  return Math.floor((now.getTime() - Date.UTC(now.getUTCFullYear(), 0, 1)) / 86_400_000);
+}
+
+// Matrix index a timeframe starts at, or -1 when the dates don't reach back
+// that far.  1D runs previous close → latest close; longer windows start at
+// the first trading date on or after N calendar days ago.
+function windowStartIdx(dates, daysBack) {
+  if (daysBack <= 1) return dates.length >= 2 ? dates.length - 2 : -1;
+  const targetDate = new Date(marketNow().getTime() - daysBack * 86_400_000).toISOString().slice(0, 10);
+  return dates.findIndex(d => d >= targetDate);
+}
 
-export async function getRealPerformanceReturns(holdings, benchmarkTicker) {
+export async function getRealPerformanceReturns(holdings, benchmarkTicker, { returnMode = 'total', drip = true } = {}) {
   if (!holdings.length || !isConfigured()) return null;
 
-  const toDate   = new Date().toISOString().slice(0, 10);
-  const fromDate = new Date(Date.now() - 740 * 86_400_000).toISOString().slice(0, 10); // 740 days to cover 2Y + weekends
+  const toDate   = marketNow().toISOString().slice(0, 10);
+  const fromDate = new Date(marketNow().getTime() - PERF_FETCH_DAYS * 86_400_000).toISOString().slice(0, 10);
 
   // Fetch candles with staggering to respect rate limits
   const tickers = holdings.map(h => h.ticker);
   const allTickers = benchmarkTicker ? [...tickers, benchmarkTicker] : tickers;
 
-  const src = candleSource === 'yahoo' ? 'Yahoo' : 'Finnhub';
-  console.info(`[${src}] Fetching candles for`, allTickers.length, 'tickers…');
-  const candleResults = await staggeredCandles(allTickers, fromDate, toDate);
-
-  const holdingCandles = candleResults.slice(0, tickers.length);
-  const benchCandles   = benchmarkTicker ? candleResults[candleResults.length - 1] : [];
+  console.info(`[${marketData.label}] Fetching candles for`, allTickers.length, 'tickers…');
+  const matrix = await loadPriceMatrix(allTickers, fromDate, toDate);
 
   // Log how many tickers got data
-  const withData = holdingCandles.filter(c => c.length > 0).length;
-  const srcNow = candleSource === 'yahoo' ? 'Yahoo' : 'Finnhub';
-  console.info(`[${srcNow}] Candle data: ${withData}/${tickers.length} holdings, benchmark: ${benchCandles.length > 0 ? 'yes' : 'no'}`);
-
-  // Build price lookup maps
-  const priceMaps = holdingCandles.map(candles => {
-    const m = {};
-    candles.forEach(d => { m[d.date] = d.price; });
-    return m;
-  });
-  const benchMap = {};
-  benchCandles.forEach(d => { benchMap[d.date] = d.price; });
+  const withData = tickers.filter(t => !matrix.coverage[t]?.missing).length;
+  const hasBench = benchmarkTicker ? !matrix.coverage[benchmarkTicker]?.missing : false;
+  const srcNow = marketData.label;
+  console.info(`[${srcNow}] Candle data: ${withData}/${tickers.length} holdings, benchmark: ${hasBench ? 'yes' : 'no'}`);
 
-  // Get all trading dates (sorted), use the longest candle set
-  const allDates = holdingCandles.reduce((best, c) => c.length > best.length ? c : best, []).map(d => d.date);
+  // Calendar-aligned trading dates shared by every ticker
+  const allDates = withData > 0 ? matrix.dates : [];
 
   // If no candle data at all, fall back to quote-based 1D returns only
   if (!allDates.length) {
@@ -393,33 +605,22 @@ export async function getRealPerformanceReturns(holdings, benchmarkTicker) {
     return quoteRet.portfolio != null ? result : null;
   }
 
-  const latestDate = allDates[allDates.length - 1];
+  const latestIdx = allDates.length - 1;
 
   function computeReturn(daysBack) {
-    let startDate;
-
-    if (daysBack <= 1) {
-      // For 1D: use the second-to-last trading date (previous close → latest close)
-      if (allDates.length < 2) return { portfolio: null, benchmark: null };
-      startDate = allDates[allDates.length - 2];
-    } else {
-      // Find the date approximately N calendar days ago
-      const targetDate = new Date(Date.now() - daysBack * 86_400_000).toISOString().slice(0, 10);
-      // Find the closest trading date >= targetDate
-      const startIdx = allDates.findIndex(d => d >= targetDate);
-      if (startIdx < 0 || startIdx >= allDates.length) return { portfolio: null, benchmark: null };
-      startDate = allDates[startIdx];
-    }
+    const startIdx = windowStartIdx(allDates, daysBack);
+    if (startIdx < 0) return { portfolio: null, benchmark: null };
 
-    // Portfolio weighted return
+    // Portfolio weighted return (dividend-aware in total-return mode).
+    // Holdings without a price at both ends are left out and reduce coverage.
     let portfolioRet = 0;
     let validWeight = 0;
-    holdings.forEach((h, i) => {
-      const startPrice = priceMaps[i][startDate];
-      const endPrice   = priceMaps[i][latestDate];
-      if (startPrice && endPrice && startPrice > 0) {
-        const ret = ((endPrice / startPrice) - 1) * 100;
-        portfolioRet += ret * (h.weight_percent / 100);
+    holdings.forEach(h => {
+      const growth = windowGrowth(matrix, h.ticker, startIdx, latestIdx, {
+        mode: returnMode, drip: holdingDrip(h, drip),
+      });
+      if (growth != null) {
+        portfolioRet += (growth - 1) * 100 * (h.weight_percent / 100);
         validWeight += h.weight_percent;
       }
     });
@@ -427,11 +628,8 @@ export async function getRealPerformanceReturns(holdings, benchmarkTicker) {
     // Benchmark return
     let benchRet = null;
     if (benchmarkTicker) {
-      const startB = benchMap[startDate];
-      const endB   = benchMap[latestDate];
-      if (startB && endB && startB > 0) {
-        benchRet = ((endB / startB) - 1) * 100;
-      }
+      const growth = windowGrowth(matrix, benchmarkTicker, startIdx, latestIdx, { mode: returnMode, drip: true });
+      if (growth != null) benchRet = (growth - 1) * 100;
     }
 
     return {
@@ -448,11 +646,10 @@ export async function getRealPerformanceReturns(holdings, benchmarkTicker) {
     result.benchmark[label] = r.benchmark;
   }
 
-  // YTD: compute from Jan 1 of the current year (use UTC to avoid timezone drift)
-  const now = new Date();
-  const ytdDays = Math.floor((now.getTime() - Date.UTC(now.getUTCFullYear(), 0, 1)) / 86_400_000);
-  if (ytdDays > 0) {
-    const ytdR = computeReturn(ytdDays);
+  // YTD: compute from Jan 1 of the current year
+  const ytd = ytdDays();
+  if (ytd > 0) {
+    const ytdR = computeReturn(ytd);
     result.portfolio['YTD'] = ytdR.portfolio;
     result.benchmark['YTD'] = ytdR.benchmark;
   }
@@ -468,172 +665,362 @@ export async function getRealPerformanceReturns(holdings, benchmarkTicker) {
   return result;
 }
 
-// ── Real risk metrics from candle data ──────────────────────────────────────
-// Computes volatility, max drawdown, Sharpe, and Sortino from real market data.
-const RISK_FREE_RATE = 0.05;
-
-export async function getRealRiskMetrics(holdings, benchmarkTicker, range = '1Y') {
+// ── Return attribution ──────────────────────────────────────────────────────
+// Breaks one timeframe's return down by holding, by Core/Tilt/Satellite sleeve
+// and — when the benchmark has published sector weights — into Brinson
+// allocation/selection effects using the SPDR sector ETFs as sector returns
+// (see attribution.js).  Shares the 740-day window of getRealPerformanceReturns.
+// timeframe: any PERF_DAYS key or 'YTD'.
+// Returns: { timeframe, startDate, endDate, benchmarkReturn, portfolioReturn,
+//            coverage, holdings, sleeves, brinson: {...} | null } | null
+export async function getRealAttribution(holdings, benchmarkTicker, timeframe = '1Y', {
+  returnMode = 'total', drip = true,
+} = {}) {
   if (!holdings.length || !isConfigured()) return null;
 
-  const days = RANGE_DAYS[range] ?? 365;
-  const toDate = new Date().toISOString().slice(0, 10);
-  const fromDate = new Date(Date.now() - days * 86_400_000).toISOString().slice(0, 10);
+  const toDate   = marketNow().toISOString().slice(0, 10);
+  const fromDate = new Date(marketNow().getTime() - PERF_FETCH_DAYS * 86_400_000).toISOString().slice(0, 10);
 
+  const sectorWeights = benchmarkTicker ? BENCHMARK_SECTOR_WEIGHTS[benchmarkTicker.toUpperCase()] : null;
+  const proxies = sectorWeights ? Object.keys(sectorWeights).map(s => SECTOR_PROXIES[s]).filter(Boolean) : [];
   const tickers = holdings.map(h => h.ticker);
-  const allTickers = benchmarkTicker ? [...tickers, benchmarkTicker] : tickers;
-  const candleResults = await staggeredCandles(allTickers, fromDate, toDate);
+  const allTickers = [...new Set([...tickers, ...(benchmarkTicker ? [benchmarkTicker] : []), ...proxies])];
+  const matrix = await loadPriceMatrix(allTickers, fromDate, toDate);
+  if (!matrix.dates.length || tickers.every(t => matrix.coverage[t]?.missing)) return null;
 
-  const holdingCandles = candleResults.slice(0, tickers.length);
-  const benchCandles = benchmarkTicker ? candleResults[candleResults.length - 1] : [];
+  const startIdx = windowStartIdx(matrix.dates, timeframe === 'YTD' ? ytdDays() : (PERF_DAYS[timeframe] ?? 365));
+  const endIdx = matrix.dates.length - 1;
+  if (startIdx < 0 || startIdx >= endIdx) return null;
 
-  // Build composite portfolio price series
-  const dates = holdingCandles.reduce((best, c) => c.length > best.length ? c : best, []).map(d => d.date);
-  if (!dates.length) return null;
+  const pctReturn = (ticker, holdingDripSetting) => {
+    const growth = windowGrowth(matrix, ticker, startIdx, endIdx, { mode: returnMode, drip: holdingDripSetting });
+    return growth != null ? (growth - 1) * 100 : null;
+  };
 
-  const priceMaps = holdingCandles.map(candles => {
-    const m = {};
-    candles.forEach(d => { m[d.date] = d.price; });
-    return m;
-  });
+  const benchmarkReturn = benchmarkTicker ? pctReturn(benchmarkTicker, true) : null;
+  const rows = holdings.map(h => ({
+    ticker: h.ticker,
+    category: h.category,
+    weight: h.weight_percent || 0,
+    return: pctReturn(h.ticker, holdingDrip(h, drip)),
+  }));
+
+  let brinson = null;
+  if (sectorWeights) {
+    const sectorReturns = Object.fromEntries(
+      Object.keys(sectorWeights).map(s => [s, SECTOR_PROXIES[s] ? pctReturn(SECTOR_PROXIES[s], true) : null])
+    );
+    brinson = brinsonAttribution(rows, sectorWeights, sectorReturns);
+  }
 
-  const startPrices = holdingCandles.map(c => c[0]?.price ?? null);
-  const portfolioPrices = dates.map(date => {
-    let val = 0;
-    holdings.forEach((h, i) => {
-      const start = startPrices[i];
-      if (start && start > 0) {
-        val += (h.weight_percent / 100) * ((priceMaps[i][date] ?? start) / start);
-      }
-    });
-    return val || 1;
-  });
+  return {
+    timeframe,
+    startDate: matrix.dates[startIdx],
+    endDate: matrix.dates[endIdx],
+    benchmarkReturn: benchmarkReturn != null ? parseFloat(benchmarkReturn.toFixed(2)) : null,
+    ...attributeReturns(rows, benchmarkReturn),
+    brinson,
+  };
+}
 
-  function computeMetrics(prices, tradingDays) {
-    if (prices.length < 2) return { volatility: 0, maxDrawdown: 0, sharpe: 0, sortino: 0 };
-    const returns = [];
-    for (let i = 1; i < prices.length; i++) {
-      if (prices[i - 1] > 0) returns.push(prices[i] / prices[i - 1] - 1);
-    }
-    // Volatility
-    const mean = returns.reduce((s, r) => s + r, 0) / returns.length;
-    const variance = returns.reduce((s, r) => s + (r - mean) ** 2, 0) / returns.length;
-    const vol = Math.sqrt(variance * 252) * 100;
-    // Max drawdown
-    let peak = prices[0], worstDd = 0;
-    if (peak <= 0) peak = 1;
-    for (let i = 1; i < prices.length; i++) {
-      if (prices[i] > peak) peak = prices[i];
-      if (peak > 0) {
-        const dd = (prices[i] - peak) / peak;
-        if (dd < worstDd) worstDd = dd;
-      }
-    }
-    // Sharpe
-    const totalReturn = prices[prices.length - 1] / prices[0] - 1;
-    const annReturn = Math.pow(1 + totalReturn, 252 / tradingDays) - 1;
-    const sharpe = vol > 0 ? (annReturn - RISK_FREE_RATE) / (vol / 100) : 0;
-    // Sortino
-    const dailyRf = Math.pow(1 + RISK_FREE_RATE, 1 / 252) - 1;
-    const downReturns = returns.filter(r => r < dailyRf).map(r => r - dailyRf);
-    const downVar = downReturns.length > 0
-      ? downReturns.reduce((s, r) => s + r ** 2, 0) / downReturns.length
-      : 0;
-    const downVol = Math.sqrt(downVar * 252);
-    const sortino = downVol > 0 ? (annReturn - RISK_FREE_RATE) / downVol : (annReturn > RISK_FREE_RATE ? 99 : 0);
+// ── T-bill implied risk-free rate ──────────────────────────────────────────
+// Annualizes the trailing ~3-month total return of a T-bill ETF (BIL, SGOV).
+// Their NAV barely moves, so the dividend-adjusted close growth is
+// essentially the bill yield.  Returns a fraction (0.052 = 5.2%) or null.
+const TBILL_LOOKBACK_DAYS = 91;
+
+export async function getTreasuryBillRate(ticker = 'BIL') {
+  const toDate   = marketNow().toISOString().slice(0, 10);
+  const fromDate = new Date(marketNow().getTime() - (TBILL_LOOKBACK_DAYS + 7) * 86_400_000).toISOString().slice(0, 10);
+  const candles = await getHistoricalCandles(ticker, fromDate, toDate).catch(() => []);
+  if (candles.length < 2) return null;
+
+  // Start at the first close at least TBILL_LOOKBACK_DAYS before the last one
+  const last = candles[candles.length - 1];
+  const cutoff = new Date(new Date(last.date).getTime() - TBILL_LOOKBACK_DAYS * 86_400_000).toISOString().slice(0, 10);
+  const first = [...candles].reverse().find(d => d.date <= cutoff) ?? candles[0];
+  const startAdj = first.adjClose ?? first.price;
+  const endAdj   = last.adjClose ?? last.price;
+  const days = (new Date(last.date) - new Date(first.date)) / 86_400_000;
+  if (!(startAdj > 0) || days < 28) return null;
+
+  // Finnhub closes carry no dividends — a flat NAV would read as ~0%
+  if (first.adjClose === first.price && last.adjClose === last.price) return null;
+
+  const rate = Math.pow(endAdj / startAdj, 365 / days) - 1;
+  return rate > 0 && rate < 0.2 ? parseFloat(rate.toFixed(4)) : null;
+}
 
-    return {
-      volatility: parseFloat(vol.toFixed(2)),
-      maxDrawdown: parseFloat((worstDd * 100).toFixed(2)),
-      sharpe: parseFloat(sharpe.toFixed(2)),
-      sortino: parseFloat(sortino.toFixed(2)),
-    };
-  }
+// ── Real risk metrics from candle data ──────────────────────────────────────
+// Computes volatility, max drawdown, Sharpe, Sortino and Calmar from real
+// market data (see riskStats.js), plus benchmark-relative statistics.
+// opts.returnMode / opts.drip behave as in getRealPortfolioChartData.
+// opts.riskFreeRate: annual fraction for Sharpe/Sortino/alpha (default 5%).
+// Returns: { portfolio, valueAtRisk, benchmark?: {...} | null, relative?: { beta, alpha, … } | null }
+export async function getRealRiskMetrics(holdings, benchmarkTicker, range = '1Y', {
+  returnMode = 'total', drip = true, riskFreeRate = RISK_FREE_RATE,
+} = {}) {
+  if (!holdings.length || !isConfigured()) return null;
+
+  const { fromDate, toDate } = rangeDates(range);
+  const tickers = holdings.map(h => h.ticker);
+  const allTickers = benchmarkTicker ? [...tickers, benchmarkTicker] : tickers;
+  const matrix = await loadPriceMatrix(allTickers, fromDate, toDate);
+
+  // Build composite portfolio price series on the shared calendar
+  const dates = matrix.dates;
+  if (!dates.length || tickers.every(t => matrix.coverage[t]?.missing)) return null;
 
-  const result = { portfolio: computeMetrics(portfolioPrices, dates.length) };
+  const { composite } = portfolioGrowth(matrix, holdings, { returnMode, drip });
+  const portfolioPrices = composite.values.map(v => v || 1);
+
+  const result = {
+    portfolio: computeMetrics(portfolioPrices, dates.length, { riskFreeRate }),
+    valueAtRisk: computeValueAtRisk(portfolioPrices),
+  };
 
   if (benchmarkTicker) {
-    result.benchmark = benchCandles.length > 1
-      ? computeMetrics(benchCandles.map(d => d.price), benchCandles.length)
+    const benchGrowth = growthColumn(matrix, benchmarkTicker, { mode: returnMode, drip: true });
+    const benchPrices = benchGrowth.filter(g => g != null);
+    result.benchmark = benchPrices.length > 1
+      ? computeMetrics(benchPrices, benchPrices.length, { riskFreeRate })
+      : null;
+    result.relative = result.benchmark
+      ? computeRelativeMetrics(portfolioPrices, benchGrowth, { riskFreeRate })
       : null;
   }
 
   return result;
 }
 
-// ── WebSocket — real-time trade feed ─────────────────────────────────────────
-let ws             = null;
-const wsSubscribed  = new Set();
-const tradeListeners = new Set();
+// ── Historical stress tests ─────────────────────────────────────────────────
+// Replays the portfolio and benchmark through each window (see stressTest.js)
+// off one shared matrix reaching from the earliest window start to today.
+// Holdings that weren't trading yet at a window's start are left out of that
+// window and the remaining weights scaled up; they're listed in `excluded`.
+// windows: [{ id, label, from: 'YYYY-MM-DD', to: 'YYYY-MM-DD' }]
+// Returns: [{ id, label, from, to, startDate, endDate, coverage, excluded,
+//             portfolio: {...} | null, benchmark: {...} | null,
+//             series: [{ date, portfolio, benchmark }] }]   (% from window start)
+export async function getRealStressTests(holdings, benchmarkTicker, windows, { returnMode = 'total', drip = true } = {}) {
+  if (!holdings.length || !windows.length || !isConfigured()) return null;
+
+  const earliest = windows.reduce((min, w) => (w.from < min ? w.from : min), windows[0].from);
+  const fromDate = new Date(new Date(earliest).getTime() - 7 * 86_400_000).toISOString().slice(0, 10);
+  const toDate   = marketNow().toISOString().slice(0, 10);
+  const tickers = holdings.map(h => h.ticker);
+  const allTickers = benchmarkTicker ? [...new Set([...tickers, benchmarkTicker])] : tickers;
+  // Years of candles per ticker — let the chart and quotes go first
+  const matrix = await loadPriceMatrix(allTickers, fromDate, toDate, { priority: 'low' });
+  const { dates } = matrix;
+  if (!dates.length) return null;
 
-function ensureWS() {
-  if (ws && (ws.readyState === WebSocket.OPEN || ws.readyState === WebSocket.CONNECTING)) return;
+  const holdingCols = holdings.map(h =>
+    growthColumn(matrix, h.ticker, { mode: returnMode, drip: holdingDrip(h, drip) })
+  );
+  const benchCol = benchmarkTicker ? growthColumn(matrix, benchmarkTicker, { mode: returnMode, drip: true }) : null;
+
+  return windows.map((w) => {
+    const startIdx = dates.findIndex(d => d >= w.from);
+    let endIdx = dates.length - 1;
+    while (endIdx >= 0 && dates[endIdx] > w.to) endIdx--;
+    const empty = { ...w, startDate: null, endDate: null, coverage: 0, excluded: tickers, portfolio: null, benchmark: null, series: [] };
+    if (startIdx < 0 || endIdx <= startIdx) return empty;
+
+    const lookahead = new Date(new Date(w.to).getTime() + RECOVERY_LOOKAHEAD_DAYS * 86_400_000).toISOString().slice(0, 10);
+    let lastIdx = endIdx;
+    while (lastIdx + 1 < dates.length && dates[lastIdx + 1] <= lookahead) lastIdx++;
+
+    // Rebase each included holding to 1 at the window start
+    const included = holdings.map((h, i) => holdingCols[i][startIdx] != null);
+    const weightIn = holdings.reduce((s, h, i) => s + (included[i] ? (h.weight_percent || 0) : 0), 0);
+    if (!(weightIn > 0)) return empty;
+    const rebased = holdingCols
+      .filter((_, i) => included[i])
+      .map(col => col.slice(startIdx, lastIdx + 1).map(g => (g != null ? g / col[startIdx] : null)));
+    const weights = holdings.filter((_, i) => included[i]).map(h => (h.weight_percent || 0) / weightIn);
+    const portValues = compositeGrowth(rebased, weights).values;
+    const benchValues = benchCol?.[startIdx] != null
+      ? benchCol.slice(startIdx, lastIdx + 1).map(g => (g != null ? g / benchCol[startIdx] : null))
+      : null;
 
-  ws = new WebSocket(`wss://ws.finnhub.io?token=${KEY}`);
+    const windowDates = dates.slice(startIdx, lastIdx + 1);
+    const windowEnd = endIdx - startIdx;
+    return {
+      ...w,
+      startDate: dates[startIdx],
+      endDate: dates[endIdx],
+      coverage: parseFloat(((weightIn / holdings.reduce((s, h) => s + (h.weight_percent || 0), 0)) * 100).toFixed(1)),
+      excluded: holdings.filter((_, i) => !included[i]).map(h => h.ticker),
+      portfolio: stressStats(portValues, windowDates, 0, windowEnd),
+      benchmark: benchValues ? stressStats(benchValues, windowDates, 0, windowEnd) : null,
+      series: windowDates.map((date, i) => ({
+        date,
+        portfolio: parseFloat(((portValues[i] - 1) * 100).toFixed(2)),
+        benchmark: benchValues?.[i] != null ? parseFloat(((benchValues[i] - 1) * 100).toFixed(2)) : null,
+      })),
+    };
+  });
+}
 
-  ws.onopen = () => {
-    wsSubscribed.forEach(ticker => {
-      ws.send(JSON.stringify({ type: 'subscribe', symbol: ticker }));
-    });
-  };
+// ── Time- and money-weighted returns ────────────────────────────────────────
+// Models the portfolio's dollar value from inception (see cashFlowReturns.js)
+// using the weights in force over time and the given deposits/withdrawals,
+// then reports TWR and MWR per RETURN_PERIODS row.  Periods that start
+// before inception are null.  Returns of a year or more are also annualized.
+// flows: [{ date: 'YYYY-MM-DD', amount }]  (+ deposit / − withdrawal)
+// Returns: { inceptionDate, endDate, endValue, netFlows, missing,
+//            periods: [{ label, startDate, days, twr, mwr, twrAnnualized, mwrAnnualized,
+//                        startValue, endValue, netFlows, gain }] }   (returns in %)
+export async function getRealCashFlowReturns(holdings, {
+  weightHistory = [], inceptionDate, startValue, flows = [], cashPercent = 0, cashRate = 0,
+  returnMode = 'total', drip = true,
+} = {}) {
+  if (!holdings.length || !inceptionDate || !(startValue > 0) || !isConfigured()) return null;
+
+  const schedule = weightSchedule(holdings, weightHistory, inceptionDate);
+  const tickers = [...new Set(schedule.flatMap(s => Object.keys(s.weights)))];
+  const toDate = marketNow().toISOString().slice(0, 10);
+  const matrix = await loadPriceMatrix(tickers, inceptionDate, toDate);
+  const { dates } = matrix;
+  if (dates.length < 2) return null;
+
+  const growth = Object.fromEntries(tickers.map(t => [
+    t, growthColumn(matrix, t, { mode: returnMode, drip: holdingDrip(holdings.find(h => h.ticker === t), drip) }),
+  ]));
+  const { values, flowAt } = modelValuePath({ dates, growth, schedule, flows, startValue, cashPercent, cashRate });
+  const endIdx = dates.length - 1;
+  const pct = v => (v != null ? parseFloat((v * 100).toFixed(2)) : null);
+  const sumFlows = (from, to) => flowAt.slice(from + 1, to + 1).reduce((s, f) => s + f, 0);
+
+  const periods = RETURN_PERIODS.map(({ label, days }) => {
+    const daysBack = days === 'ytd' ? ytdDays() : days;
+    const target = daysBack != null ? new Date(marketNow().getTime() - daysBack * 86_400_000).toISOString().slice(0, 10) : null;
+    const startIdx = target == null ? 0 : target < dates[0] ? -1 : windowStartIdx(dates, daysBack);
+    if (startIdx < 0 || startIdx >= endIdx) return { label, startDate: null, days: null, twr: null, mwr: null };
+
+    const span = (new Date(dates[endIdx]) - new Date(dates[startIdx])) / 86_400_000;
+    const twr = timeWeightedReturn(values, flowAt, startIdx, endIdx);
+    const mwr = moneyWeightedReturn(values, flowAt, dates, startIdx, endIdx);
+    const netFlows = sumFlows(startIdx, endIdx);
+    return {
+      label,
+      startDate: dates[startIdx],
+      days: Math.round(span),
+      twr: pct(twr),
+      mwr: pct(mwr),
+      twrAnnualized: span >= 365 ? pct(annualize(twr, span)) : null,
+      mwrAnnualized: span >= 365 ? pct(annualize(mwr, span)) : null,
+      startValue: values[startIdx],
+      endValue: values[endIdx],
+      netFlows,
+      gain: values[endIdx] - values[startIdx] - netFlows,
+    };
+  });
 
-  ws.onmessage = e => {
-    try {
-      const msg = JSON.parse(e.data);
-      if (msg.type === 'trade' && msg.data) {
-        msg.data.forEach(trade => {
-          tradeListeners.forEach(cb => cb(trade.s, trade.p));
-        });
-      }
-    } catch { /* ignore malformed messages */ }
+  return {
+    inceptionDate: dates[0],
+    endDate: dates[endIdx],
+    endValue: values[endIdx],
+    netFlows: sumFlows(0, endIdx),
+    missing: tickers.filter(t => matrix.coverage[t]?.missing),
+    periods,
   };
+}
 
-  ws.onclose = () => {
-    if (wsSubscribed.size > 0) setTimeout(ensureWS, 5_000);
-  };
+// ── Daily return history ────────────────────────────────────────────────────
+// Daily returns of the invested sleeve (weighted composite, cash excluded) —
+// the sampling pool for Monte Carlo projections (see monteCarlo.js).
+// Returns: { returns: [0.0042, -0.0013, …], fromDate, toDate } | null
+export async function getRealReturnHistory(holdings, range = 'Max', { returnMode = 'total', drip = true } = {}) {
+  if (!holdings.length || !isConfigured()) return null;
+
+  const { fromDate, toDate } = rangeDates(range);
+  // Up to MAX_HISTORY_DAYS of candles per ticker — let the chart and quotes go first
+  const matrix = await loadPriceMatrix(holdings.map(h => h.ticker), fromDate, toDate, { priority: 'low' });
+  if (!matrix.dates.length || holdings.every(h => matrix.coverage[h.ticker]?.missing)) return null;
 
-  ws.onerror = () => {}; // errors handled via onclose
+  // Sample only the span where every holding trades — before a late
+  // starter's first close the composite would treat it as flat cash
+  const firstDates = holdings.map(h => matrix.coverage[h.ticker]?.firstDate).filter(Boolean);
+  const startIdx = Math.max(0, matrix.dates.indexOf(firstDates.reduce((a, b) => (a > b ? a : b), '')));
+
+  const { composite } = portfolioGrowth(matrix, holdings, { returnMode, drip });
+  if (!(composite.weight > 0)) return null;
+  return {
+    returns: dailyReturns(composite.values.slice(startIdx).map(v => v / composite.weight)),
+    fromDate: matrix.dates[startIdx],
+    toDate: matrix.dates[matrix.dates.length - 1],
+  };
 }
 
-// Subscribe to live trade prices for a list of tickers.
-// onTrade(ticker, price) fires on every trade.
-// Returns an unsubscribe function.
-// Internally maps index tickers to ETF equivalents and maps trades back to original tickers.
-export function subscribeToTrades(tickers, onTrade) {
-  if (!isConfigured()) return () => {};
+// ── Calendar returns ────────────────────────────────────────────────────────
+// Month-by-month and yearly returns (see calendarReturns.js) over the longest
+// span every holding has traded, up to MAX_HISTORY_DAYS.  Cash is blended in
+// at cashRate like the chart.  The benchmark is measured over the same dates.
+// Returns: { fromDate, toDate, portfolio: grid, benchmark: grid | null } | null
+export async function getRealCalendarReturns(holdings, benchmarkTicker, {
+  returnMode = 'total', drip = true, cashPercent = 0, cashRate = RISK_FREE_RATE,
+} = {}) {
+  if (!holdings.length || !isConfigured()) return null;
 
-  // Build a reverse mapping: normalized symbol → original ticker(s)
-  const reverseMap = {};
-  tickers.forEach(t => {
-    const norm = normalizeTicker(t);
-    if (!reverseMap[norm]) reverseMap[norm] = [];
-    reverseMap[norm].push(t);
-  });
+  const { fromDate, toDate } = rangeDates('Max');
+  const tickers = holdings.map(h => h.ticker);
+  const matrix = await loadPriceMatrix(benchmarkTicker ? [...tickers, benchmarkTicker] : tickers, fromDate, toDate);
+  if (!matrix.dates.length || holdings.every(h => matrix.coverage[h.ticker]?.missing)) return null;
+
+  // Start where the youngest holding begins trading, as in getRealReturnHistory
+  const firstDates = holdings.map(h => matrix.coverage[h.ticker]?.firstDate).filter(Boolean);
+  const startIdx = Math.max(0, matrix.dates.indexOf(firstDates.reduce((a, b) => (a > b ? a : b), '')));
+
+  const { composite } = portfolioGrowth(matrix, holdings, { returnMode, drip });
+  if (!(composite.weight > 0)) return null;
+  const invested = 1 - cashPercent / 100;
+  const cashDaily = cashRate / 252;
+  const dates = matrix.dates.slice(startIdx);
+  const portfolio = composite.values.slice(startIdx).map((v, d) =>
+    invested * (v / composite.values[startIdx]) + (1 - invested) * Math.pow(1 + cashDaily, d)
+  );
+  const benchCol = benchmarkTicker ? growthColumn(matrix, benchmarkTicker, { mode: returnMode, drip: true }) : null;
 
-  // Wrap onTrade to translate ETF symbols back to original index tickers
-  const wrappedOnTrade = (symbol, price) => {
-    // Fire for the ETF symbol's mapped original tickers
-    const originals = reverseMap[symbol];
-    if (originals) {
-      originals.forEach(orig => onTrade(orig, price));
-    }
-    // Also fire for exact matches (non-mapped tickers)
-    if (!originals || !originals.includes(symbol)) {
-      onTrade(symbol, price);
-    }
+  return {
+    fromDate: dates[0],
+    toDate: dates[dates.length - 1],
+    portfolio: calendarReturns(dates, portfolio),
+    benchmark: benchCol?.some(g => g != null) ? calendarReturns(dates, benchCol.slice(startIdx)) : null,
   };
+}
 
-  tradeListeners.add(wrappedOnTrade);
-  ensureWS();
+// ── Dividend history ────────────────────────────────────────────────────────
+// Per-share cash dividends over the last two years, recovered from Yahoo's
+// adjusted closes (see totalReturn.js), with the latest close so income.js can
+// take a trailing yield.  Finnhub candles carry no dividends, so tickers with
+// none found are left out and fall back to the reference schedules.
+// Returns: { [ticker]: { dividends: [{ date, amount }], lastPrice, asOf } }
+export async function getRealDividendHistory(holdings) {
+  if (!holdings.length || !isConfigured()) return {};
 
-  // Subscribe using normalized (ETF) symbols
-  Object.keys(reverseMap).forEach(symbol => {
-    if (!wsSubscribed.has(symbol)) {
-      wsSubscribed.add(symbol);
-      if (ws?.readyState === WebSocket.OPEN) {
-        ws.send(JSON.stringify({ type: 'subscribe', symbol }));
-      }
-    }
+  const { fromDate, toDate } = rangeDates('2Y');
+  const tickers = holdings.map(h => h.ticker);
+  // Background data for the income card — let on-screen requests go first
+  const candleResults = await fetchCandles(tickers, fromDate, toDate, 'low');
+  const history = {};
+  tickers.forEach((ticker, i) => {
+    const candles = candleResults[i];
+    const dividends = dividendsFromCandles(candles);
+    if (!dividends.length) return;
+    const last = candles[candles.length - 1];
+    history[ticker] = { dividends, lastPrice: last.price, asOf: last.date };
   });
+  return history;
+}
 
-  return () => { tradeListeners.delete(wrappedOnTrade); };
+// ── Real-time trade feed ─────────────────────────────────────────────────────
+// Subscribe to live trade prices for a list of tickers.
+// onTrade(ticker, price) fires on every trade, under the caller's ticker
+// (the provider maps index symbols to and from what it streams).
+// Returns an unsubscribe function.
+export function subscribeToTrades(tickers, onTrade) {
+  if (!isConfigured()) return () => {};
+  return marketData.subscribeTrades(tickers, onTrade);
 }
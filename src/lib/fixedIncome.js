@@ -0,0 +1,82 @@
+// ─── Fixed-income analytics ───────────────────────────────────────────────────
+// Weighted duration, yield to maturity, credit quality and maturity profile
+// of a portfolio's bond holdings, from BOND_METADATA in mockData.js.  Pure
+// functions only.
+//
+// Duration and yield are reported two ways: averaged over the bond sleeve (what
+// the bonds look like on their own) and as a contribution to the whole
+// portfolio (what drives rate sensitivity).  Dollar sensitivity per 100bp is
+// the first-order estimate −value × portfolio duration × 1%.
+
+import { INSTRUMENTS, BOND_METADATA, MATURITY_BUCKETS } from './mockData';
+
+const RATING_SCALE = ['AAA', 'AA+', 'AA', 'AA-', 'A+', 'A', 'A-', 'BBB+', 'BBB', 'BBB-', 'BB+', 'BB', 'BB-', 'B+', 'B', 'B-', 'CCC'];
+
+const round = (v, dp = 2) => parseFloat(v.toFixed(dp));
+
+/** True for holdings classed as fixed income or with bond metadata. */
+export function isFixedIncome(ticker) {
+  return Boolean(BOND_METADATA[ticker]) || INSTRUMENTS.find(i => i.ticker === ticker)?.asset_class === 'Fixed Income';
+}
+
+// Weighted average rating on the notch scale, rounded to the nearest notch
+function averageRating(rows) {
+  const rated = rows.filter(r => RATING_SCALE.includes(r.credit));
+  const total = rated.reduce((s, r) => s + r.weight, 0);
+  if (!(total > 0)) return null;
+  const notch = rated.reduce((s, r) => s + r.weight * RATING_SCALE.indexOf(r.credit), 0) / total;
+  return RATING_SCALE[Math.round(notch)];
+}
+
+/**
+ * Fixed-income summary for a portfolio.
+ * @param {Array<{ ticker, weight_percent }>} holdings
+ * @param {{ investedFraction?: number, portfolioValue?: number }} [opts]
+ * @returns {{
+ *   weight: number,                     // % of the portfolio in bond holdings
+ *   duration: number, ytm: number,      // averaged over the bond sleeve
+ *   portfolioDuration: number,          // Σ weight × duration over the whole portfolio
+ *   dollarPer100bp: number | null,      // $ change for a +100bp parallel move
+ *   credit: string | null,
+ *   maturity: Array<{ bucket, weight }>,  // % of the bond sleeve
+ *   rows: Array<{ ticker, weight, duration, ytm, credit }>,
+ *   unknown: string[]                   // fixed-income holdings without metadata
+ * } | null}  null when the portfolio holds no bonds
+ */
+export function fixedIncomeSummary(holdings, { investedFraction = 1, portfolioValue = null } = {}) {
+  const bonds = holdings.filter(h => (h.weight_percent || 0) > 0 && isFixedIncome(h.ticker));
+  if (!bonds.length) return null;
+
+  const rows = bonds
+    .filter(h => BOND_METADATA[h.ticker])
+    .map((h) => {
+      const meta = BOND_METADATA[h.ticker];
+      return { ticker: h.ticker, weight: h.weight_percent * investedFraction, duration: meta.duration, ytm: meta.ytm, credit: meta.credit };
+    });
+  const unknown = bonds.filter(h => !BOND_METADATA[h.ticker]).map(h => h.ticker);
+  const known = rows.reduce((s, r) => s + r.weight, 0);
+  const weight = bonds.reduce((s, h) => s + h.weight_percent * investedFraction, 0);
+  if (!(known > 0)) {
+    return { weight: round(weight), duration: null, ytm: null, portfolioDuration: null, dollarPer100bp: null, credit: null, maturity: [], rows, unknown };
+  }
+
+  const duration = rows.reduce((s, r) => s + r.weight * r.duration, 0) / known;
+  const ytm = rows.reduce((s, r) => s + r.weight * r.ytm, 0) / known;
+  const portfolioDuration = rows.reduce((s, r) => s + (r.weight / 100) * r.duration, 0);
+  const maturity = MATURITY_BUCKETS.map(bucket => ({
+    bucket,
+    weight: round(rows.reduce((s, r) => s + r.weight * (BOND_METADATA[r.ticker].maturity[bucket] ?? 0), 0) / known),
+  }));
+
+  return {
+    weight: round(weight),
+    duration: round(duration),
+    ytm: round(ytm),
+    portfolioDuration: round(portfolioDuration),
+    dollarPer100bp: portfolioValue > 0 ? Math.round(-portfolioValue * portfolioDuration * 0.01) : null,
+    credit: averageRating(rows),
+    maturity,
+    rows: rows.map(r => ({ ...r, weight: round(r.weight) })),
+    unknown,
+  };
+}
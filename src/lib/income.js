@@ -0,0 +1,234 @@
+// ─── Income projection ────────────────────────────────────────────────────────
+// Expected dividend and interest income for a portfolio: the annual dollar
+// figure, a month-by-month payout calendar for the coming year and how
+// reinvesting distributions (DRIP) changes income over time.  Pure functions
+// only.
+//
+// Each holding pays on its distribution schedule — live dividend history when
+// getRealDividendHistory found any (frequency, ex-dates and trailing yield),
+// else DISTRIBUTION_SCHEDULES and the instrument's div_yield.  Prices are held
+// flat so the DRIP comparison isolates reinvestment: with DRIP on every payment
+// buys more shares and the next one is larger; with DRIP off it goes to cash.
+
+import { INSTRUMENTS, DISTRIBUTION_SCHEDULES, DEFAULT_DISTRIBUTION } from './mockData';
+import { holdingDrip } from './totalReturn';
+
+export const FREQUENCY_PER_YEAR = { monthly: 12, quarterly: 4, 'semi-annual': 2, annual: 1 };
+export const DRIP_HORIZON_YEARS = 10;
+
+const DAY_MS = 86_400_000;
+// A schedule is read off the year of ex-dates ending at the latest one, and
+// only when that latest one falls within STALE_AFTER_DAYS of history.asOf
+const HISTORY_WINDOW_DAYS = 365;
+const STALE_AFTER_DAYS = 375;
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const round = (v, dp = 2) => parseFloat(v.toFixed(dp));
+const isoDate = d => d.toISOString().slice(0, 10);
+
+function referenceSchedule(ticker) {
+  if (DISTRIBUTION_SCHEDULES[ticker]) return DISTRIBUTION_SCHEDULES[ticker];
+  const inst = INSTRUMENTS.find(i => i.ticker === ticker);
+  if (inst?.asset_class === 'Fixed Income') return DEFAULT_DISTRIBUTION.fixedIncome;
+  return inst?.type === 'ETF' ? DEFAULT_DISTRIBUTION.etf : DEFAULT_DISTRIBUTION.stock;
+}
+
+function frequencyFromCount(n) {
+  if (n >= 10) return 'monthly';
+  if (n >= 3) return 'quarterly';
+  return n === 2 ? 'semi-annual' : 'annual';
+}
+
+/**
+ * A ticker's distribution schedule.  The year of ex-dates in `history` ending
+ * at the latest one (one per calendar month, latest wins, at most one year's
+ * worth for the frequency) sets the frequency, ex-dates and yield; the
+ * ex-to-pay lag always comes from the reference schedule.
+ * @param {{ dividends: Array<{date, amount}>, lastPrice: number, asOf: string } | null} [history]
+ * @returns {{ frequency, exDates: Array<{ month: number, day: number }>, payLag: number, yield: number | null, source: 'history'|'reference' }}
+ */
+export function distributionSchedule(ticker, history = null) {
+  const ref = referenceSchedule(ticker);
+  const reference = {
+    frequency: ref.frequency,
+    exDates: ref.exMonths.map(month => ({ month, day: ref.exDay })),
+    payLag: ref.payLag,
+    yield: null,
+    source: 'reference',
+  };
+  if (!history?.dividends?.length || !(history.lastPrice > 0)) return reference;
+
+  const dividends = [...history.dividends].sort((a, b) => a.date.localeCompare(b.date));
+  const latest = new Date(dividends[dividends.length - 1].date).getTime();
+  if (latest <= new Date(history.asOf).getTime() - STALE_AFTER_DAYS * DAY_MS) return reference;
+
+  const cutoff = isoDate(new Date(latest - HISTORY_WINDOW_DAYS * DAY_MS));
+  const byMonth = new Map();
+  dividends
+    .filter(d => d.date > cutoff)
+    .forEach((d) => { byMonth.set(Number(d.date.slice(5, 7)), d); });
+
+  // A drifting ex-date can land the same payment a year apart in two months
+  const inWindow = [...byMonth.values()].sort((a, b) => a.date.localeCompare(b.date));
+  const frequency = frequencyFromCount(inWindow.length);
+  const recent = inWindow.slice(-FREQUENCY_PER_YEAR[frequency]);
+  return {
+    frequency,
+    exDates: recent
+      .map(d => ({ month: Number(d.date.slice(5, 7)), day: Number(d.date.slice(8, 10)) }))
+      .sort((a, b) => a.month - b.month),
+    payLag: ref.payLag,
+    yield: (recent.reduce((s, d) => s + d.amount, 0) / history.lastPrice) * 100,
+    source: 'history',
+  };
+}
+
+// Ex-date in a given year, clamped to the month's last day
+function exDateIn(year, { month, day }) {
+  const last = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month - 1, Math.min(day, last)));
+}
+
+// Every payment whose pay date falls in [start, end), in pay-date order
+function paymentsBetween(schedule, start, end) {
+  const events = [];
+  for (let year = start.getUTCFullYear() - 1; year <= end.getUTCFullYear(); year++) {
+    schedule.exDates.forEach((ex) => {
+      const exDate = exDateIn(year, ex);
+      const payDate = new Date(exDate.getTime() + schedule.payLag * DAY_MS);
+      if (payDate >= start && payDate < end) events.push({ exDate, payDate });
+    });
+  }
+  return events.sort((a, b) => a.payDate - b.payDate);
+}
+
+// Income in year `year` (1-based) on a $1 position paying `y` a year in `f` parts
+function yearIncome(y, f, year, drip) {
+  if (!drip) return y;
+  const perPayment = 1 + y / f;
+  return Math.pow(perPayment, f * (year - 1)) * (Math.pow(perPayment, f) - 1);
+}
+
+/**
+ * Income projection for a portfolio.
+ * @param {Array<{ ticker, weight_percent, drip? }>} holdings
+ * @param {{
+ *   value: number,                 // $ portfolio size
+ *   cashPercent?: number,          // % held as cash, earning cashRate
+ *   cashRate?: number,             // annual decimal, paid monthly
+ *   drip?: boolean,                // portfolio default — holdings may override with h.drip
+ *   histories?: Object,            // getRealDividendHistory result
+ *   asOf?: Date,
+ *   years?: number,                // DRIP comparison horizon
+ * }} opts
+ * @returns {{
+ *   annualIncome: number, yieldOnValue: number, monthlyAverage: number,
+ *   rows: Array<{ ticker, name, weight, value, yield, frequency, source, drip, perPayment, annual, nextExDate, nextPayDate }>,
+ *   months: Array<{ key, label, total, payments: Array<{ ticker, exDate, payDate, amount }> }>,
+ *   dripComparison: Array<{ year, dripOn, dripOff, cumulativeOn, cumulativeOff }>,
+ *   nonPaying: string[],
+ * }}
+ */
+export function projectIncome(holdings, {
+  value, cashPercent = 0, cashRate = 0, drip = true, histories = {}, asOf = new Date(), years = DRIP_HORIZON_YEARS,
+}) {
+  const invested = 1 - cashPercent / 100;
+  const today = new Date(Date.UTC(asOf.getUTCFullYear(), asOf.getUTCMonth(), asOf.getUTCDate()));
+  const calendarStart = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), 1));
+  const calendarEnd = new Date(Date.UTC(today.getUTCFullYear() + 1, today.getUTCMonth(), 1));
+
+  const months = Array.from({ length: 12 }, (_, i) => {
+    const d = new Date(Date.UTC(calendarStart.getUTCFullYear(), calendarStart.getUTCMonth() + i, 1));
+    return { key: isoDate(d).slice(0, 7), label: `${MONTH_NAMES[d.getUTCMonth()]} ${d.getUTCFullYear()}`, total: 0, payments: [] };
+  });
+  const monthIndex = Object.fromEntries(months.map((m, i) => [m.key, i]));
+  const addPayment = (ticker, exDate, payDate, amount) => {
+    const m = months[monthIndex[isoDate(payDate).slice(0, 7)]];
+    if (!m) return;
+    m.payments.push({ ticker, exDate: exDate ? isoDate(exDate) : null, payDate: isoDate(payDate), amount });
+    m.total += amount;
+  };
+
+  const rows = [];
+  const nonPaying = [];
+  const streams = []; // { position, y, f } for the DRIP comparison
+  holdings.forEach((h) => {
+    const weight = (h.weight_percent || 0) * invested;
+    if (!weight) return;
+    const inst = INSTRUMENTS.find(i => i.ticker === h.ticker);
+    const schedule = distributionSchedule(h.ticker, histories[h.ticker]);
+    const yieldPct = schedule.yield ?? inst?.div_yield ?? 0;
+    if (!(yieldPct > 0)) { nonPaying.push(h.ticker); return; }
+
+    const position = value * weight / 100;
+    const f = FREQUENCY_PER_YEAR[schedule.frequency];
+    const y = yieldPct / 100;
+    const reinvest = holdingDrip(h, drip);
+    streams.push({ position, y, f });
+
+    // Walk the coming year's payments in order, compounding when reinvested
+    let shares = position;
+    let annual = 0;
+    paymentsBetween(schedule, calendarStart, calendarEnd).forEach(({ exDate, payDate }) => {
+      const amount = shares * y / f;
+      if (reinvest) shares += amount;
+      annual += amount;
+      addPayment(h.ticker, exDate, payDate, amount);
+    });
+    const next = paymentsBetween(schedule, today, new Date(today.getTime() + 366 * DAY_MS))
+      .find(e => e.exDate >= today);
+
+    rows.push({
+      ticker: h.ticker,
+      name: inst?.name ?? null,
+      weight: round(weight),
+      value: Math.round(position),
+      yield: round(yieldPct),
+      frequency: schedule.frequency,
+      source: schedule.source,
+      drip: reinvest,
+      perPayment: round(position * y / f),
+      annual: round(annual),
+      nextExDate: next ? isoDate(next.exDate) : null,
+      nextPayDate: next ? isoDate(next.payDate) : null,
+    });
+  });
+
+  // Cash interest, paid at each month end and not reinvested into holdings
+  const cashMonthly = value * (cashPercent / 100) * cashRate / 12;
+  if (cashMonthly > 0) {
+    months.forEach((m) => {
+      const [yr, mo] = m.key.split('-').map(Number);
+      addPayment('Cash', null, new Date(Date.UTC(yr, mo, 0)), cashMonthly);
+    });
+  }
+
+  let cumulativeOn = 0;
+  let cumulativeOff = 0;
+  const dripComparison = Array.from({ length: years }, (_, i) => {
+    const year = i + 1;
+    const dripOn = streams.reduce((s, st) => s + st.position * yearIncome(st.y, st.f, year, true), 0) + cashMonthly * 12;
+    const dripOff = streams.reduce((s, st) => s + st.position * yearIncome(st.y, st.f, year, false), 0) + cashMonthly * 12;
+    cumulativeOn += dripOn;
+    cumulativeOff += dripOff;
+    return { year, dripOn: Math.round(dripOn), dripOff: Math.round(dripOff), cumulativeOn: Math.round(cumulativeOn), cumulativeOff: Math.round(cumulativeOff) };
+  });
+
+  months.forEach((m) => {
+    m.total = round(m.total);
+    m.payments = m.payments
+      .map(p => ({ ...p, amount: round(p.amount) }))
+      .sort((a, b) => a.payDate.localeCompare(b.payDate) || b.amount - a.amount);
+  });
+  const annualIncome = round(months.reduce((s, m) => s + m.total, 0));
+
+  return {
+    annualIncome,
+    yieldOnValue: value > 0 ? round((annualIncome / value) * 100) : 0,
+    monthlyAverage: round(annualIncome / 12),
+    rows: rows.sort((a, b) => b.annual - a.annual),
+    months,
+    dripComparison,
+    nonPaying,
+  };
+}
@@ -0,0 +1,109 @@
+// ─── Intraday chart series ────────────────────────────────────────────────────
+// Portfolio-vs-benchmark lines for the 1D and 1W chart ranges from intraday
+// bars, as % return from the close before the window — so the 1D line ends
+// on the same number as the quote-based day change.  Holdings are weighted
+// like the daily chart (compositeGrowth): flat until their first bar, last
+// price carried across gaps, and renormalized over the holdings that have
+// bars.  Price return only; nothing goes ex mid-session.
+//
+// While the market is open, liveIntradayPoint() re-prices the latest bar from
+// streamed trades so the line keeps moving between bar fetches.
+
+import { compositeGrowth } from './priceMatrix';
+
+const round = (v, dp = 2) => parseFloat(v.toFixed(dp));
+
+// % return of a weighted growth sum, over the weight that has data
+const weightedReturn = (value, weight) => (weight > 0 ? round((value / weight - 1) * 100) : 0);
+
+/** Bar size and Yahoo range per chart range. */
+export const INTRADAY_RANGES = {
+  '1D': { interval: '5m',  span: '1d', stepMs: 5 * 60_000 },
+  '1W': { interval: '15m', span: '5d', stepMs: 15 * 60_000 },
+};
+
+export const isIntradayRange = range => typeof range === 'string' && range in INTRADAY_RANGES;
+
+/**
+ * Align every ticker's bars on one timeline and compute the chart series.
+ * @param {{ [ticker: string]: { bars: Array<{ t: number, price: number }>, prevClose: number|null } }} barsByTicker
+ * @param {Array<{ ticker: string, weight_percent: number }>} holdings
+ * @param {string|null} benchmarkTicker
+ * @param {number} stepMs  bar size in ms
+ * @returns {{ data: Array<{ date: string, t: number, portfolio: number, benchmark?: number }>, live: object }}
+ *          date is the bar's ISO timestamp; `live` is the state liveIntradayPoint() needs
+ */
+export function intradaySeries(barsByTicker, holdings, benchmarkTicker, stepMs) {
+  const times = [...new Set(Object.values(barsByTicker).flatMap(s => s.bars.map(b => b.t)))].sort((a, b) => a - b);
+
+  const growthColumn = (ticker) => {
+    const series = barsByTicker[ticker];
+    if (!series?.bars.length || !(series.prevClose > 0)) return times.map(() => null);
+    const byTime = new Map(series.bars.map(b => [b.t, b.price]));
+    return times.map(t => (byTime.has(t) ? byTime.get(t) / series.prevClose : null));
+  };
+
+  const growthCols = holdings.map(h => growthColumn(h.ticker));
+  const weights = holdings.map(h => (h.weight_percent || 0) / 100);
+  const composite = compositeGrowth(growthCols, weights);
+
+  const benchCol = benchmarkTicker ? growthColumn(benchmarkTicker) : null;
+  const hasBenchmark = benchCol?.some(g => g != null);
+  let benchGrowth = 1;
+
+  const data = times.map((t, d) => {
+    const point = { date: new Date(t).toISOString(), t, portfolio: weightedReturn(composite.values[d], composite.weight) };
+    if (hasBenchmark) {
+      if (benchCol[d] != null) benchGrowth = benchCol[d];
+      point.benchmark = round((benchGrowth - 1) * 100);
+    }
+    return point;
+  });
+
+  // Latest price and base per ticker for re-pricing from trades
+  const lastPrice = (ticker) => {
+    const bars = barsByTicker[ticker]?.bars ?? [];
+    return bars.length ? bars[bars.length - 1].price : barsByTicker[ticker]?.prevClose ?? null;
+  };
+  const included = holdings
+    .map((h, i) => ({ ticker: h.ticker, weight: weights[i] }))
+    .filter((_, i) => growthCols[i].some(g => g != null));
+  const tickers = [...included.map(h => h.ticker), ...(hasBenchmark ? [benchmarkTicker] : [])];
+
+  return {
+    data,
+    live: {
+      stepMs,
+      included,
+      weight:    composite.weight,
+      benchmark: hasBenchmark ? benchmarkTicker : null,
+      bases:     Object.fromEntries(tickers.map(t => [t, barsByTicker[t].prevClose])),
+      last:      Object.fromEntries(tickers.map(t => [t, lastPrice(t)])),
+    },
+  };
+}
+
+/**
+ * The current bar re-priced with streamed trade prices.
+ * @param {object} live            from intradaySeries
+ * @param {{ [ticker: string]: number }} trades  latest trade price per ticker
+ * @param {number} [now]           epoch ms
+ * @returns {{ date: string, t: number, portfolio: number, benchmark?: number }}
+ */
+export function liveIntradayPoint(live, trades, now = Date.now()) {
+  const price = ticker => trades[ticker] ?? live.last[ticker];
+  const value = live.included.reduce((sum, h) => sum + h.weight * (price(h.ticker) / live.bases[h.ticker]), 0);
+  const t = Math.floor(now / live.stepMs) * live.stepMs;
+  const point = { date: new Date(t).toISOString(), t, portfolio: weightedReturn(value, live.weight) };
+  if (live.benchmark) point.benchmark = round((price(live.benchmark) / live.bases[live.benchmark] - 1) * 100);
+  return point;
+}
+
+/**
+ * Fold a live point into the series: replaces the last bar when it's the same
+ * bar, otherwise appends a new one.
+ */
+export function extendIntradaySeries(data, point) {
+  if (!data.length || point.t < data[data.length - 1].t) return data;
+  return point.t === data[data.length - 1].t ? [...data.slice(0, -1), point] : [...data, point];
+}
@@ -0,0 +1,150 @@
+// ─── ETF look-through ─────────────────────────────────────────────────────────
+// Decomposes ETF holdings into their underlying stocks using the constituents
+// dataset in etfConstituents.json, so a stock held directly and again inside
+// SPY / QQQ shows its real combined weight.  Pure functions only.
+//
+// The dataset lists each fund's largest names only; the rest of a fund's
+// weight stays undecomposed and is reported as `undecomposed`.  Funds with no
+// entry (bond, commodity and crypto ETFs, or equity funds not yet covered) are
+// listed in `opaque` and contribute no single-name exposure.
+
+import CONSTITUENTS from './etfConstituents.json';
+import { INSTRUMENTS } from './mockData';
+
+export const CONSTITUENTS_VERSION = CONSTITUENTS.version;
+export const DEFAULT_EXPOSURE_THRESHOLD = 5; // % of portfolio in one name
+
+const round = (v, dp = 2) => parseFloat(v.toFixed(dp));
+
+/**
+ * A fund's constituent weights with any `sameAs` alias resolved.
+ * @returns {{ index: string, holdings: Object<string, number>, leverage: number } | null}
+ */
+export function fundConstituents(ticker) {
+  const entry = CONSTITUENTS.funds[ticker?.toUpperCase()];
+  if (!entry) return null;
+  const base = entry.sameAs ? CONSTITUENTS.funds[entry.sameAs] : entry;
+  if (!base?.holdings) return null;
+  return { index: base.index, holdings: base.holdings, leverage: entry.leverage ?? 1 };
+}
+
+function isFund(h) {
+  const type = h.type ?? INSTRUMENTS.find((i) => i.ticker === h.ticker)?.type;
+  return type === 'ETF';
+}
+
+// What one unit of a holding owns: { ticker → fraction } (a stock owns itself)
+function exposureVector(h) {
+  const fund = fundConstituents(h.ticker);
+  if (fund) {
+    return Object.fromEntries(Object.entries(fund.holdings).map(([t, pct]) => [t, (pct / 100) * fund.leverage]));
+  }
+  return isFund(h) ? null : { [h.ticker]: 1 };
+}
+
+/**
+ * Effective single-name exposure of a portfolio.
+ * @param {Array<{ ticker, weight_percent, type? }>} holdings
+ * @returns {{
+ *   exposures: Array<{ ticker, name, total, direct, via: Array<{ fund, weight }> }>,  // % of portfolio, largest first
+ *   funds: Array<{ ticker, weight, index, coverage, leverage }>,                      // decomposed funds
+ *   opaque: Array<{ ticker, weight }>,                                                // funds with no data
+ *   undecomposed: number                                                              // % of portfolio in unlisted fund names
+ * }}
+ */
+export function lookThrough(holdings) {
+  const byName = new Map();
+  const funds = [];
+  const opaque = [];
+  let undecomposed = 0;
+
+  const entry = (ticker) => {
+    if (!byName.has(ticker)) byName.set(ticker, { ticker, total: 0, direct: 0, via: [] });
+    return byName.get(ticker);
+  };
+
+  holdings.forEach((h) => {
+    const weight = h.weight_percent || 0;
+    if (!weight) return;
+    const fund = fundConstituents(h.ticker);
+    if (fund) {
+      const listed = Object.values(fund.holdings).reduce((s, p) => s + p, 0);
+      funds.push({ ticker: h.ticker, weight, index: fund.index, coverage: round(Math.min(listed, 100), 1), leverage: fund.leverage });
+      undecomposed += weight * Math.abs(fund.leverage) * Math.max(0, 1 - listed / 100);
+      Object.entries(fund.holdings).forEach(([t, pct]) => {
+        const w = weight * (pct / 100) * fund.leverage;
+        const e = entry(t);
+        e.total += w;
+        e.via.push({ fund: h.ticker, weight: round(w) });
+      });
+    } else if (isFund(h)) {
+      opaque.push({ ticker: h.ticker, weight });
+    } else {
+      const e = entry(h.ticker);
+      e.total += weight;
+      e.direct += weight;
+    }
+  });
+
+  const exposures = [...byName.values()]
+    .map((e) => ({
+      ticker: e.ticker,
+      name: INSTRUMENTS.find((i) => i.ticker === e.ticker)?.name ?? null,
+      total: round(e.total),
+      direct: round(e.direct),
+      via: e.via.sort((a, b) => Math.abs(b.weight) - Math.abs(a.weight)),
+    }))
+    .sort((a, b) => b.total - a.total);
+
+  return { exposures, funds, opaque, undecomposed: round(undecomposed, 1) };
+}
+
+/**
+ * Pairwise overlap between holdings: the share of each one's look-through
+ * weight that the other also owns (Σ min of the two weight vectors).  A stock
+ * and a fund overlap by the fund's weight in that stock.  Funds with no
+ * constituent data are skipped.
+ * @returns {Array<{ a, b, overlap, shared: string[] }>}  overlap in %, largest first; zero pairs omitted
+ */
+export function holdingOverlaps(holdings) {
+  const vectors = holdings
+    .map((h) => ({ ticker: h.ticker, vec: exposureVector(h) }))
+    .filter((v) => v.vec);
+  const pairs = [];
+  for (let i = 0; i < vectors.length; i++) {
+    for (let j = i + 1; j < vectors.length; j++) {
+      const a = vectors[i].vec;
+      const b = vectors[j].vec;
+      let overlap = 0;
+      const shared = [];
+      Object.keys(a).forEach((t) => {
+        if (b[t] == null) return;
+        const common = Math.min(Math.abs(a[t]), Math.abs(b[t]));
+        if (common > 0) {
+          overlap += common;
+          shared.push({ ticker: t, common });
+        }
+      });
+      if (overlap > 0) {
+        pairs.push({
+          a: vectors[i].ticker,
+          b: vectors[j].ticker,
+          overlap: round(overlap * 100, 1),
+          shared: shared.sort((x, y) => y.common - x.common).map((s) => s.ticker),
+        });
+      }
+    }
+  }
+  return pairs.sort((x, y) => y.overlap - x.overlap);
+}
+
+/**
+ * Names whose effective exposure is at or above the threshold (% of portfolio),
+ * with how much of it is held through funds rather than directly.
+ * @returns {Array<{ ticker, total, direct, hidden }>}
+ */
+export function exposureWarnings(exposures, threshold = DEFAULT_EXPOSURE_THRESHOLD) {
+  return exposures
+    .filter((e) => e.total >= threshold)
+    .map((e) => ({ ticker: e.ticker, total: e.total, direct: e.direct, hidden: round(e.total - e.direct) }));
+}
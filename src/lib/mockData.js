@@ -5,145 +5,150 @@
 // ─── Instrument list ──────────────────────────────────────────────────────────
 export const INSTRUMENTS = [
   // Broad market ETFs          expense_ratio = annual fee %;  div_yield = trailing 12mo yield %
-  { ticker: 'SPY',  name: 'SPDR S&P 500 ETF Trust',             type: 'ETF',   exchange: 'NYSE',   last_price: 618.50,  expense_ratio: 0.0945, div_yield: 1.3  },
-  { ticker: 'QQQ',  name: 'Invesco QQQ Trust (NASDAQ-100)',      type: 'ETF',   exchange: 'NASDAQ', last_price: 542.70,  expense_ratio: 0.20,   div_yield: 0.6  },
-  { ticker: 'IWM',  name: 'iShares Russell 2000 ETF',            type: 'ETF',   exchange: 'NYSE',   last_price: 234.80,  expense_ratio: 0.19,   div_yield: 1.2  },
-  { ticker: 'DIA',  name: 'SPDR Dow Jones Industrial Average ETF', type: 'ETF', exchange: 'NYSE',   last_price: 454.60,  expense_ratio: 0.16,   div_yield: 1.7  },
-  { ticker: 'EFA',  name: 'iShares MSCI EAFE ETF',               type: 'ETF',   exchange: 'NYSE',   last_price: 78.44,   expense_ratio: 0.32,   div_yield: 3.0  },
-  { ticker: 'ACWI', name: 'iShares MSCI ACWI ETF',               type: 'ETF',   exchange: 'NASDAQ', last_price: 110.62,  expense_ratio: 0.32,   div_yield: 1.8  },
-  { ticker: 'EEM',  name: 'iShares MSCI Emerging Markets ETF',   type: 'ETF',   exchange: 'NYSE',   last_price: 44.18,   expense_ratio: 0.68,   div_yield: 2.5  },
+  //                            sector = GICS sector, or Multi-Sector / Fixed Income / Commodities / Digital Assets
+  //                            industry = GICS industry (stocks) or fund category (ETFs)
+  //                            asset_class = Equity / Fixed Income / Commodity / Digital Assets
+  //                            region = US / Developed ex-US / Emerging Markets / Global (listing-country domicile for stocks)
+  //                            cap_size = Large / Mid / Small / Multi, null for non-equity
+  { ticker: 'SPY',  name: 'SPDR S&P 500 ETF Trust',             type: 'ETF',   exchange: 'NYSE',   last_price: 618.50,  expense_ratio: 0.0945, div_yield: 1.3,  sector: 'Multi-Sector', industry: 'Broad Market Index', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'QQQ',  name: 'Invesco QQQ Trust (NASDAQ-100)',      type: 'ETF',   exchange: 'NASDAQ', last_price: 542.70,  expense_ratio: 0.20,   div_yield: 0.6,  sector: 'Multi-Sector', industry: 'Broad Market Index', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'IWM',  name: 'iShares Russell 2000 ETF',            type: 'ETF',   exchange: 'NYSE',   last_price: 234.80,  expense_ratio: 0.19,   div_yield: 1.2,  sector: 'Multi-Sector', industry: 'Small-Cap Index', asset_class: 'Equity', region: 'US', cap_size: 'Small' },
+  { ticker: 'DIA',  name: 'SPDR Dow Jones Industrial Average ETF', type: 'ETF', exchange: 'NYSE',   last_price: 454.60,  expense_ratio: 0.16,   div_yield: 1.7,  sector: 'Multi-Sector', industry: 'Broad Market Index', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'EFA',  name: 'iShares MSCI EAFE ETF',               type: 'ETF',   exchange: 'NYSE',   last_price: 78.44,   expense_ratio: 0.32,   div_yield: 3.0,  sector: 'Multi-Sector', industry: 'International Developed Equity', asset_class: 'Equity', region: 'Developed ex-US', cap_size: 'Large' },
+  { ticker: 'ACWI', name: 'iShares MSCI ACWI ETF',               type: 'ETF',   exchange: 'NASDAQ', last_price: 110.62,  expense_ratio: 0.32,   div_yield: 1.8,  sector: 'Multi-Sector', industry: 'Global Equity', asset_class: 'Equity', region: 'Global', cap_size: 'Multi' },
+  { ticker: 'EEM',  name: 'iShares MSCI Emerging Markets ETF',   type: 'ETF',   exchange: 'NYSE',   last_price: 44.18,   expense_ratio: 0.68,   div_yield: 2.5,  sector: 'Multi-Sector', industry: 'Emerging Markets Equity', asset_class: 'Equity', region: 'Emerging Markets', cap_size: 'Large' },
   // Bond ETFs
-  { ticker: 'AGG',  name: 'iShares Core U.S. Aggregate Bond',    type: 'ETF',   exchange: 'NYSE',   last_price: 97.20,   expense_ratio: 0.03,   div_yield: 4.2  },
-  { ticker: 'BND',  name: 'Vanguard Total Bond Market ETF',      type: 'ETF',   exchange: 'NASDAQ', last_price: 73.88,   expense_ratio: 0.03,   div_yield: 4.1  },
-  { ticker: 'TLT',  name: 'iShares 20+ Year Treasury Bond ETF',  type: 'ETF',   exchange: 'NASDAQ', last_price: 91.27,   expense_ratio: 0.15,   div_yield: 4.5  },
-  { ticker: 'HYG',  name: 'iShares iBoxx High Yield Corp Bond',  type: 'ETF',   exchange: 'NYSE',   last_price: 78.54,   expense_ratio: 0.49,   div_yield: 6.5  },
-  { ticker: 'LQD',  name: 'iShares iBoxx Investment Grade Corp', type: 'ETF',   exchange: 'NYSE',   last_price: 107.43,  expense_ratio: 0.14,   div_yield: 5.0  },
-  { ticker: 'TIPS', name: 'iShares TIPS Bond ETF',               type: 'ETF',   exchange: 'NYSE',   last_price: 107.82,  expense_ratio: 0.19,   div_yield: 3.5  },
+  { ticker: 'AGG',  name: 'iShares Core U.S. Aggregate Bond',    type: 'ETF',   exchange: 'NYSE',   last_price: 97.20,   expense_ratio: 0.03,   div_yield: 4.2,  sector: 'Fixed Income', industry: 'Aggregate Bond', asset_class: 'Fixed Income', region: 'US', cap_size: null },
+  { ticker: 'BND',  name: 'Vanguard Total Bond Market ETF',      type: 'ETF',   exchange: 'NASDAQ', last_price: 73.88,   expense_ratio: 0.03,   div_yield: 4.1,  sector: 'Fixed Income', industry: 'Aggregate Bond', asset_class: 'Fixed Income', region: 'US', cap_size: null },
+  { ticker: 'TLT',  name: 'iShares 20+ Year Treasury Bond ETF',  type: 'ETF',   exchange: 'NASDAQ', last_price: 91.27,   expense_ratio: 0.15,   div_yield: 4.5,  sector: 'Fixed Income', industry: 'Long-Term Treasury', asset_class: 'Fixed Income', region: 'US', cap_size: null },
+  { ticker: 'HYG',  name: 'iShares iBoxx High Yield Corp Bond',  type: 'ETF',   exchange: 'NYSE',   last_price: 78.54,   expense_ratio: 0.49,   div_yield: 6.5,  sector: 'Fixed Income', industry: 'High Yield Corporate Bond', asset_class: 'Fixed Income', region: 'US', cap_size: null },
+  { ticker: 'LQD',  name: 'iShares iBoxx Investment Grade Corp', type: 'ETF',   exchange: 'NYSE',   last_price: 107.43,  expense_ratio: 0.14,   div_yield: 5.0,  sector: 'Fixed Income', industry: 'Investment Grade Corporate Bond', asset_class: 'Fixed Income', region: 'US', cap_size: null },
+  { ticker: 'TIPS', name: 'iShares TIPS Bond ETF',               type: 'ETF',   exchange: 'NYSE',   last_price: 107.82,  expense_ratio: 0.19,   div_yield: 3.5,  sector: 'Fixed Income', industry: 'Inflation-Protected Treasury', asset_class: 'Fixed Income', region: 'US', cap_size: null },
   // Other ETFs
-  { ticker: 'VOO',  name: 'Vanguard S&P 500 ETF',                type: 'ETF',   exchange: 'NYSE',   last_price: 568.40,  expense_ratio: 0.03,   div_yield: 1.3  },
-  { ticker: 'VTI',  name: 'Vanguard Total Stock Market ETF',     type: 'ETF',   exchange: 'NYSE',   last_price: 292.50,  expense_ratio: 0.03,   div_yield: 1.4  },
-  { ticker: 'VGT',  name: 'Vanguard Information Technology ETF', type: 'ETF',   exchange: 'NYSE',   last_price: 625.80,  expense_ratio: 0.10,   div_yield: 0.6  },
-  { ticker: 'VNQ',  name: 'Vanguard Real Estate ETF',            type: 'ETF',   exchange: 'NYSE',   last_price: 84.51,   expense_ratio: 0.12,   div_yield: 4.0  },
-  { ticker: 'VWO',  name: 'Vanguard FTSE Emerging Markets ETF',  type: 'ETF',   exchange: 'NYSE',   last_price: 43.12,   expense_ratio: 0.08,   div_yield: 3.5  },
-  { ticker: 'GLD',  name: 'SPDR Gold Shares',                    type: 'ETF',   exchange: 'NYSE',   last_price: 243.89,  expense_ratio: 0.40,   div_yield: 0    },
-  { ticker: 'SLV',  name: 'iShares Silver Trust',                type: 'ETF',   exchange: 'NYSE',   last_price: 27.43,   expense_ratio: 0.50,   div_yield: 0    },
-  { ticker: 'XLK',  name: 'Technology Select Sector SPDR',       type: 'ETF',   exchange: 'NYSE',   last_price: 228.43,  expense_ratio: 0.13,   div_yield: 0.7  },
-  { ticker: 'XLF',  name: 'Financial Select Sector SPDR',        type: 'ETF',   exchange: 'NYSE',   last_price: 48.82,   expense_ratio: 0.13,   div_yield: 1.8  },
-  { ticker: 'XLE',  name: 'Energy Select Sector SPDR',           type: 'ETF',   exchange: 'NYSE',   last_price: 92.17,   expense_ratio: 0.13,   div_yield: 3.2  },
-  { ticker: 'XLV',  name: 'Health Care Select Sector SPDR',      type: 'ETF',   exchange: 'NYSE',   last_price: 138.95,  expense_ratio: 0.13,   div_yield: 1.5  },
-  { ticker: 'XLI',  name: 'Industrial Select Sector SPDR',       type: 'ETF',   exchange: 'NYSE',   last_price: 133.72,  expense_ratio: 0.13,   div_yield: 1.3  },
-  { ticker: 'XLY',  name: 'Consumer Discretionary Select Sector',type: 'ETF',   exchange: 'NYSE',   last_price: 212.38,  expense_ratio: 0.13,   div_yield: 0.8  },
-  { ticker: 'XLRE', name: 'Real Estate Select Sector SPDR',      type: 'ETF',   exchange: 'NYSE',   last_price: 42.16,   expense_ratio: 0.13,   div_yield: 3.5  },
-  { ticker: 'ARKK', name: 'ARK Innovation ETF',                  type: 'ETF',   exchange: 'NYSE',   last_price: 52.34,   expense_ratio: 0.75,   div_yield: 0    },
-  { ticker: 'TQQQ', name: 'ProShares UltraPro QQQ',              type: 'ETF',   exchange: 'NASDAQ', last_price: 68.14,   expense_ratio: 0.88,   div_yield: 0.2  },
-  { ticker: 'SQQQ', name: 'ProShares UltraPro Short QQQ',        type: 'ETF',   exchange: 'NASDAQ', last_price: 9.43,    expense_ratio: 0.95,   div_yield: 0    },
-  { ticker: 'SOXX', name: 'iShares Semiconductor ETF',           type: 'ETF',   exchange: 'NASDAQ', last_price: 248.71,  expense_ratio: 0.35,   div_yield: 0.7  },
+  { ticker: 'VOO',  name: 'Vanguard S&P 500 ETF',                type: 'ETF',   exchange: 'NYSE',   last_price: 568.40,  expense_ratio: 0.03,   div_yield: 1.3,  sector: 'Multi-Sector', industry: 'Broad Market Index', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'VTI',  name: 'Vanguard Total Stock Market ETF',     type: 'ETF',   exchange: 'NYSE',   last_price: 292.50,  expense_ratio: 0.03,   div_yield: 1.4,  sector: 'Multi-Sector', industry: 'Broad Market Index', asset_class: 'Equity', region: 'US', cap_size: 'Multi' },
+  { ticker: 'VGT',  name: 'Vanguard Information Technology ETF', type: 'ETF',   exchange: 'NYSE',   last_price: 625.80,  expense_ratio: 0.10,   div_yield: 0.6,  sector: 'Information Technology', industry: 'Technology Sector Fund', asset_class: 'Equity', region: 'US', cap_size: 'Multi' },
+  { ticker: 'VNQ',  name: 'Vanguard Real Estate ETF',            type: 'ETF',   exchange: 'NYSE',   last_price: 84.51,   expense_ratio: 0.12,   div_yield: 4.0,  sector: 'Real Estate', industry: 'Real Estate Investment Trusts', asset_class: 'Equity', region: 'US', cap_size: 'Multi' },
+  { ticker: 'VWO',  name: 'Vanguard FTSE Emerging Markets ETF',  type: 'ETF',   exchange: 'NYSE',   last_price: 43.12,   expense_ratio: 0.08,   div_yield: 3.5,  sector: 'Multi-Sector', industry: 'Emerging Markets Equity', asset_class: 'Equity', region: 'Emerging Markets', cap_size: 'Multi' },
+  { ticker: 'GLD',  name: 'SPDR Gold Shares',                    type: 'ETF',   exchange: 'NYSE',   last_price: 243.89,  expense_ratio: 0.40,   div_yield: 0,    sector: 'Commodities', industry: 'Precious Metals', asset_class: 'Commodity', region: 'Global', cap_size: null },
+  { ticker: 'SLV',  name: 'iShares Silver Trust',                type: 'ETF',   exchange: 'NYSE',   last_price: 27.43,   expense_ratio: 0.50,   div_yield: 0,    sector: 'Commodities', industry: 'Precious Metals', asset_class: 'Commodity', region: 'Global', cap_size: null },
+  { ticker: 'XLK',  name: 'Technology Select Sector SPDR',       type: 'ETF',   exchange: 'NYSE',   last_price: 228.43,  expense_ratio: 0.13,   div_yield: 0.7,  sector: 'Information Technology', industry: 'Technology Sector Fund', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'XLF',  name: 'Financial Select Sector SPDR',        type: 'ETF',   exchange: 'NYSE',   last_price: 48.82,   expense_ratio: 0.13,   div_yield: 1.8,  sector: 'Financials', industry: 'Financials Sector Fund', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'XLE',  name: 'Energy Select Sector SPDR',           type: 'ETF',   exchange: 'NYSE',   last_price: 92.17,   expense_ratio: 0.13,   div_yield: 3.2,  sector: 'Energy', industry: 'Oil, Gas & Consumable Fuels', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'XLV',  name: 'Health Care Select Sector SPDR',      type: 'ETF',   exchange: 'NYSE',   last_price: 138.95,  expense_ratio: 0.13,   div_yield: 1.5,  sector: 'Health Care', industry: 'Health Care Sector Fund', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'XLI',  name: 'Industrial Select Sector SPDR',       type: 'ETF',   exchange: 'NYSE',   last_price: 133.72,  expense_ratio: 0.13,   div_yield: 1.3,  sector: 'Industrials', industry: 'Industrials Sector Fund', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'XLY',  name: 'Consumer Discretionary Select Sector',type: 'ETF',   exchange: 'NYSE',   last_price: 212.38,  expense_ratio: 0.13,   div_yield: 0.8,  sector: 'Consumer Discretionary', industry: 'Consumer Discretionary Sector Fund', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'XLRE', name: 'Real Estate Select Sector SPDR',      type: 'ETF',   exchange: 'NYSE',   last_price: 42.16,   expense_ratio: 0.13,   div_yield: 3.5,  sector: 'Real Estate', industry: 'Real Estate Investment Trusts', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'ARKK', name: 'ARK Innovation ETF',                  type: 'ETF',   exchange: 'NYSE',   last_price: 52.34,   expense_ratio: 0.75,   div_yield: 0,    sector: 'Multi-Sector', industry: 'Thematic Growth', asset_class: 'Equity', region: 'US', cap_size: 'Multi' },
+  { ticker: 'TQQQ', name: 'ProShares UltraPro QQQ',              type: 'ETF',   exchange: 'NASDAQ', last_price: 68.14,   expense_ratio: 0.88,   div_yield: 0.2,  sector: 'Multi-Sector', industry: 'Leveraged Index', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'SQQQ', name: 'ProShares UltraPro Short QQQ',        type: 'ETF',   exchange: 'NASDAQ', last_price: 9.43,    expense_ratio: 0.95,   div_yield: 0,    sector: 'Multi-Sector', industry: 'Inverse Index', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'SOXX', name: 'iShares Semiconductor ETF',           type: 'ETF',   exchange: 'NASDAQ', last_price: 248.71,  expense_ratio: 0.35,   div_yield: 0.7,  sector: 'Information Technology', industry: 'Semiconductors & Semiconductor Equipment', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
   // Additional popular ETFs
-  { ticker: 'VXUS', name: 'Vanguard Total International Stock', type: 'ETF',   exchange: 'NASDAQ', last_price: 60.12,   expense_ratio: 0.07,   div_yield: 3.1  },
-  { ticker: 'QQQM', name: 'Invesco NASDAQ 100 ETF',             type: 'ETF',   exchange: 'NASDAQ', last_price: 209.55,  expense_ratio: 0.15,   div_yield: 0.6  },
-  { ticker: 'AVUV', name: 'Avantis US Small Cap Value ETF',     type: 'ETF',   exchange: 'NYSE',   last_price: 99.87,   expense_ratio: 0.25,   div_yield: 1.8  },
-  { ticker: 'SCHD', name: 'Schwab US Dividend Equity ETF',      type: 'ETF',   exchange: 'NYSE',   last_price: 28.42,   expense_ratio: 0.06,   div_yield: 3.4  },
-  { ticker: 'XLU',  name: 'Utilities Select Sector SPDR',       type: 'ETF',   exchange: 'NYSE',   last_price: 75.83,   expense_ratio: 0.13,   div_yield: 2.8  },
-  { ticker: 'GLTR', name: 'abrdn Physical Precious Metals ETF', type: 'ETF',   exchange: 'NYSE',   last_price: 108.92,  expense_ratio: 0.60,   div_yield: 0    },
-  { ticker: 'BITW', name: 'Bitwise 10 Crypto Index Fund',       type: 'ETF',   exchange: 'OTC',    last_price: 38.56,   expense_ratio: 2.50,   div_yield: 0    },
-  { ticker: 'IBIT', name: 'iShares Bitcoin Trust ETF',           type: 'ETF',   exchange: 'NASDAQ', last_price: 58.90,   expense_ratio: 0.25,   div_yield: 0    },
-  { ticker: 'JEPI', name: 'JPMorgan Equity Premium Income ETF', type: 'ETF',   exchange: 'NYSE',   last_price: 57.12,   expense_ratio: 0.35,   div_yield: 7.2  },
-  { ticker: 'JEPQ', name: 'JPMorgan Nasdaq Equity Premium Income', type: 'ETF', exchange: 'NASDAQ', last_price: 53.88,  expense_ratio: 0.35,   div_yield: 9.5  },
-  { ticker: 'VIG',  name: 'Vanguard Dividend Appreciation ETF', type: 'ETF',   exchange: 'NYSE',   last_price: 188.76,  expense_ratio: 0.06,   div_yield: 1.8  },
-  { ticker: 'SPLG', name: 'SPDR Portfolio S&P 500 ETF',         type: 'ETF',   exchange: 'NYSE',   last_price: 67.28,   expense_ratio: 0.02,   div_yield: 1.3  },
+  { ticker: 'VXUS', name: 'Vanguard Total International Stock', type: 'ETF',   exchange: 'NASDAQ', last_price: 60.12,   expense_ratio: 0.07,   div_yield: 3.1,  sector: 'Multi-Sector', industry: 'International Equity', asset_class: 'Equity', region: 'Global', cap_size: 'Multi' },
+  { ticker: 'QQQM', name: 'Invesco NASDAQ 100 ETF',             type: 'ETF',   exchange: 'NASDAQ', last_price: 209.55,  expense_ratio: 0.15,   div_yield: 0.6,  sector: 'Multi-Sector', industry: 'Broad Market Index', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'AVUV', name: 'Avantis US Small Cap Value ETF',     type: 'ETF',   exchange: 'NYSE',   last_price: 99.87,   expense_ratio: 0.25,   div_yield: 1.8,  sector: 'Multi-Sector', industry: 'Small-Cap Value', asset_class: 'Equity', region: 'US', cap_size: 'Small' },
+  { ticker: 'SCHD', name: 'Schwab US Dividend Equity ETF',      type: 'ETF',   exchange: 'NYSE',   last_price: 28.42,   expense_ratio: 0.06,   div_yield: 3.4,  sector: 'Multi-Sector', industry: 'Dividend Equity', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'XLU',  name: 'Utilities Select Sector SPDR',       type: 'ETF',   exchange: 'NYSE',   last_price: 75.83,   expense_ratio: 0.13,   div_yield: 2.8,  sector: 'Utilities', industry: 'Utilities Sector Fund', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'GLTR', name: 'abrdn Physical Precious Metals ETF', type: 'ETF',   exchange: 'NYSE',   last_price: 108.92,  expense_ratio: 0.60,   div_yield: 0,    sector: 'Commodities', industry: 'Precious Metals', asset_class: 'Commodity', region: 'Global', cap_size: null },
+  { ticker: 'BITW', name: 'Bitwise 10 Crypto Index Fund',       type: 'ETF',   exchange: 'OTC',    last_price: 38.56,   expense_ratio: 2.50,   div_yield: 0,    sector: 'Digital Assets', industry: 'Crypto Index', asset_class: 'Digital Assets', region: 'Global', cap_size: null },
+  { ticker: 'IBIT', name: 'iShares Bitcoin Trust ETF',           type: 'ETF',   exchange: 'NASDAQ', last_price: 58.90,   expense_ratio: 0.25,   div_yield: 0,    sector: 'Digital Assets', industry: 'Bitcoin', asset_class: 'Digital Assets', region: 'Global', cap_size: null },
+  { ticker: 'JEPI', name: 'JPMorgan Equity Premium Income ETF', type: 'ETF',   exchange: 'NYSE',   last_price: 57.12,   expense_ratio: 0.35,   div_yield: 7.2,  sector: 'Multi-Sector', industry: 'Equity Income (Covered Call)', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'JEPQ', name: 'JPMorgan Nasdaq Equity Premium Income', type: 'ETF', exchange: 'NASDAQ', last_price: 53.88,  expense_ratio: 0.35,   div_yield: 9.5,  sector: 'Multi-Sector', industry: 'Equity Income (Covered Call)', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'VIG',  name: 'Vanguard Dividend Appreciation ETF', type: 'ETF',   exchange: 'NYSE',   last_price: 188.76,  expense_ratio: 0.06,   div_yield: 1.8,  sector: 'Multi-Sector', industry: 'Dividend Equity', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'SPLG', name: 'SPDR Portfolio S&P 500 ETF',         type: 'ETF',   exchange: 'NYSE',   last_price: 67.28,   expense_ratio: 0.02,   div_yield: 1.3,  sector: 'Multi-Sector', industry: 'Broad Market Index', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
   // Large-cap Tech                                                               expense_ratio: 0 for all stocks
-  { ticker: 'AAPL', name: 'Apple Inc.',                          type: 'Stock', exchange: 'NASDAQ', last_price: 242.30,  expense_ratio: 0,      div_yield: 0.5  },
-  { ticker: 'MSFT', name: 'Microsoft Corporation',               type: 'Stock', exchange: 'NASDAQ', last_price: 438.90,  expense_ratio: 0,      div_yield: 0.7  },
-  { ticker: 'GOOGL',name: 'Alphabet Inc. Class A',               type: 'Stock', exchange: 'NASDAQ', last_price: 205.40,  expense_ratio: 0,      div_yield: 0.5  },
-  { ticker: 'GOOG', name: 'Alphabet Inc. Class C',               type: 'Stock', exchange: 'NASDAQ', last_price: 207.15,  expense_ratio: 0,      div_yield: 0.5  },
-  { ticker: 'AMZN', name: 'Amazon.com Inc.',                     type: 'Stock', exchange: 'NASDAQ', last_price: 238.60,  expense_ratio: 0,      div_yield: 0    },
-  { ticker: 'NVDA', name: 'NVIDIA Corporation',                  type: 'Stock', exchange: 'NASDAQ', last_price: 142.50,  expense_ratio: 0,      div_yield: 0.03 },
-  { ticker: 'META', name: 'Meta Platforms Inc.',                 type: 'Stock', exchange: 'NASDAQ', last_price: 695.20,  expense_ratio: 0,      div_yield: 0.3  },
-  { ticker: 'TSLA', name: 'Tesla Inc.',                          type: 'Stock', exchange: 'NASDAQ', last_price: 362.80,  expense_ratio: 0,      div_yield: 0    },
-  { ticker: 'ADBE', name: 'Adobe Inc.',                          type: 'Stock', exchange: 'NASDAQ', last_price: 524.83,  expense_ratio: 0,      div_yield: 0    },
-  { ticker: 'CRM',  name: 'Salesforce Inc.',                     type: 'Stock', exchange: 'NYSE',   last_price: 303.14,  expense_ratio: 0,      div_yield: 0    },
-  { ticker: 'NFLX', name: 'Netflix Inc.',                        type: 'Stock', exchange: 'NASDAQ', last_price: 1028.40, expense_ratio: 0,      div_yield: 0    },
-  { ticker: 'ORCL', name: 'Oracle Corporation',                  type: 'Stock', exchange: 'NYSE',   last_price: 174.22,  expense_ratio: 0,      div_yield: 1.1  },
-  { ticker: 'NOW',  name: 'ServiceNow Inc.',                     type: 'Stock', exchange: 'NYSE',   last_price: 940.18,  expense_ratio: 0,      div_yield: 0    },
-  { ticker: 'SHOP', name: 'Shopify Inc.',                        type: 'Stock', exchange: 'NYSE',   last_price: 117.48,  expense_ratio: 0,      div_yield: 0    },
-  { ticker: 'UBER', name: 'Uber Technologies Inc.',              type: 'Stock', exchange: 'NYSE',   last_price: 74.92,   expense_ratio: 0,      div_yield: 0    },
-  { ticker: 'SPOT', name: 'Spotify Technology S.A.',             type: 'Stock', exchange: 'NYSE',   last_price: 477.51,  expense_ratio: 0,      div_yield: 0    },
-  { ticker: 'APP',  name: 'Applovin Corporation',                type: 'Stock', exchange: 'NASDAQ', last_price: 342.15,  expense_ratio: 0,      div_yield: 0    },
+  { ticker: 'AAPL', name: 'Apple Inc.',                          type: 'Stock', exchange: 'NASDAQ', last_price: 242.30,  expense_ratio: 0,      div_yield: 0.5,  sector: 'Information Technology', industry: 'Technology Hardware, Storage & Peripherals', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'MSFT', name: 'Microsoft Corporation',               type: 'Stock', exchange: 'NASDAQ', last_price: 438.90,  expense_ratio: 0,      div_yield: 0.7,  sector: 'Information Technology', industry: 'Software', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'GOOGL',name: 'Alphabet Inc. Class A',               type: 'Stock', exchange: 'NASDAQ', last_price: 205.40,  expense_ratio: 0,      div_yield: 0.5,  sector: 'Communication Services', industry: 'Interactive Media & Services', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'GOOG', name: 'Alphabet Inc. Class C',               type: 'Stock', exchange: 'NASDAQ', last_price: 207.15,  expense_ratio: 0,      div_yield: 0.5,  sector: 'Communication Services', industry: 'Interactive Media & Services', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'AMZN', name: 'Amazon.com Inc.',                     type: 'Stock', exchange: 'NASDAQ', last_price: 238.60,  expense_ratio: 0,      div_yield: 0,    sector: 'Consumer Discretionary', industry: 'Broadline Retail', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'NVDA', name: 'NVIDIA Corporation',                  type: 'Stock', exchange: 'NASDAQ', last_price: 142.50,  expense_ratio: 0,      div_yield: 0.03, sector: 'Information Technology', industry: 'Semiconductors & Semiconductor Equipment', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'META', name: 'Meta Platforms Inc.',                 type: 'Stock', exchange: 'NASDAQ', last_price: 695.20,  expense_ratio: 0,      div_yield: 0.3,  sector: 'Communication Services', industry: 'Interactive Media & Services', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'TSLA', name: 'Tesla Inc.',                          type: 'Stock', exchange: 'NASDAQ', last_price: 362.80,  expense_ratio: 0,      div_yield: 0,    sector: 'Consumer Discretionary', industry: 'Automobiles', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'ADBE', name: 'Adobe Inc.',                          type: 'Stock', exchange: 'NASDAQ', last_price: 524.83,  expense_ratio: 0,      div_yield: 0,    sector: 'Information Technology', industry: 'Software', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'CRM',  name: 'Salesforce Inc.',                     type: 'Stock', exchange: 'NYSE',   last_price: 303.14,  expense_ratio: 0,      div_yield: 0,    sector: 'Information Technology', industry: 'Software', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'NFLX', name: 'Netflix Inc.',                        type: 'Stock', exchange: 'NASDAQ', last_price: 1028.40, expense_ratio: 0,      div_yield: 0,    sector: 'Communication Services', industry: 'Entertainment', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'ORCL', name: 'Oracle Corporation',                  type: 'Stock', exchange: 'NYSE',   last_price: 174.22,  expense_ratio: 0,      div_yield: 1.1,  sector: 'Information Technology', industry: 'Software', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'NOW',  name: 'ServiceNow Inc.',                     type: 'Stock', exchange: 'NYSE',   last_price: 940.18,  expense_ratio: 0,      div_yield: 0,    sector: 'Information Technology', industry: 'Software', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'SHOP', name: 'Shopify Inc.',                        type: 'Stock', exchange: 'NYSE',   last_price: 117.48,  expense_ratio: 0,      div_yield: 0,    sector: 'Information Technology', industry: 'IT Services', asset_class: 'Equity', region: 'Developed ex-US', cap_size: 'Large' },
+  { ticker: 'UBER', name: 'Uber Technologies Inc.',              type: 'Stock', exchange: 'NYSE',   last_price: 74.92,   expense_ratio: 0,      div_yield: 0,    sector: 'Industrials', industry: 'Ground Transportation', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'SPOT', name: 'Spotify Technology S.A.',             type: 'Stock', exchange: 'NYSE',   last_price: 477.51,  expense_ratio: 0,      div_yield: 0,    sector: 'Communication Services', industry: 'Entertainment', asset_class: 'Equity', region: 'Developed ex-US', cap_size: 'Large' },
+  { ticker: 'APP',  name: 'Applovin Corporation',                type: 'Stock', exchange: 'NASDAQ', last_price: 342.15,  expense_ratio: 0,      div_yield: 0,    sector: 'Information Technology', industry: 'Software', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
   // Semiconductors
-  { ticker: 'AMD',  name: 'Advanced Micro Devices Inc.',         type: 'Stock', exchange: 'NASDAQ', last_price: 178.83,  expense_ratio: 0,      div_yield: 0    },
-  { ticker: 'INTC', name: 'Intel Corporation',                   type: 'Stock', exchange: 'NASDAQ', last_price: 24.38,   expense_ratio: 0,      div_yield: 2.0  },
-  { ticker: 'QCOM', name: 'Qualcomm Inc.',                       type: 'Stock', exchange: 'NASDAQ', last_price: 186.40,  expense_ratio: 0,      div_yield: 2.1  },
-  { ticker: 'AVGO', name: 'Broadcom Inc.',                       type: 'Stock', exchange: 'NASDAQ', last_price: 228.40,  expense_ratio: 0,      div_yield: 1.1  },
-  { ticker: 'TXN',  name: 'Texas Instruments Inc.',              type: 'Stock', exchange: 'NASDAQ', last_price: 195.87,  expense_ratio: 0,      div_yield: 2.7  },
-  { ticker: 'MU',   name: 'Micron Technology Inc.',              type: 'Stock', exchange: 'NASDAQ', last_price: 108.42,  expense_ratio: 0,      div_yield: 0.4  },
-  { ticker: 'AMAT', name: 'Applied Materials Inc.',              type: 'Stock', exchange: 'NASDAQ', last_price: 192.76,  expense_ratio: 0,      div_yield: 0.8  },
-  { ticker: 'LRCX', name: 'Lam Research Corporation',           type: 'Stock', exchange: 'NASDAQ', last_price: 817.29,  expense_ratio: 0,      div_yield: 1.1  },
-  { ticker: 'KLAC', name: 'KLA Corporation',                    type: 'Stock', exchange: 'NASDAQ', last_price: 812.47,  expense_ratio: 0,      div_yield: 0.6  },
-  { ticker: 'ARM',  name: 'Arm Holdings plc',                   type: 'Stock', exchange: 'NASDAQ', last_price: 148.32,  expense_ratio: 0,      div_yield: 0    },
+  { ticker: 'AMD',  name: 'Advanced Micro Devices Inc.',         type: 'Stock', exchange: 'NASDAQ', last_price: 178.83,  expense_ratio: 0,      div_yield: 0,    sector: 'Information Technology', industry: 'Semiconductors & Semiconductor Equipment', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'INTC', name: 'Intel Corporation',                   type: 'Stock', exchange: 'NASDAQ', last_price: 24.38,   expense_ratio: 0,      div_yield: 2.0,  sector: 'Information Technology', industry: 'Semiconductors & Semiconductor Equipment', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'QCOM', name: 'Qualcomm Inc.',                       type: 'Stock', exchange: 'NASDAQ', last_price: 186.40,  expense_ratio: 0,      div_yield: 2.1,  sector: 'Information Technology', industry: 'Semiconductors & Semiconductor Equipment', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'AVGO', name: 'Broadcom Inc.',                       type: 'Stock', exchange: 'NASDAQ', last_price: 228.40,  expense_ratio: 0,      div_yield: 1.1,  sector: 'Information Technology', industry: 'Semiconductors & Semiconductor Equipment', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'TXN',  name: 'Texas Instruments Inc.',              type: 'Stock', exchange: 'NASDAQ', last_price: 195.87,  expense_ratio: 0,      div_yield: 2.7,  sector: 'Information Technology', industry: 'Semiconductors & Semiconductor Equipment', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'MU',   name: 'Micron Technology Inc.',              type: 'Stock', exchange: 'NASDAQ', last_price: 108.42,  expense_ratio: 0,      div_yield: 0.4,  sector: 'Information Technology', industry: 'Semiconductors & Semiconductor Equipment', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'AMAT', name: 'Applied Materials Inc.',              type: 'Stock', exchange: 'NASDAQ', last_price: 192.76,  expense_ratio: 0,      div_yield: 0.8,  sector: 'Information Technology', industry: 'Semiconductors & Semiconductor Equipment', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'LRCX', name: 'Lam Research Corporation',           type: 'Stock', exchange: 'NASDAQ', last_price: 817.29,  expense_ratio: 0,      div_yield: 1.1,  sector: 'Information Technology', industry: 'Semiconductors & Semiconductor Equipment', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'KLAC', name: 'KLA Corporation',                    type: 'Stock', exchange: 'NASDAQ', last_price: 812.47,  expense_ratio: 0,      div_yield: 0.6,  sector: 'Information Technology', industry: 'Semiconductors & Semiconductor Equipment', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'ARM',  name: 'Arm Holdings plc',                   type: 'Stock', exchange: 'NASDAQ', last_price: 148.32,  expense_ratio: 0,      div_yield: 0,    sector: 'Information Technology', industry: 'Semiconductors & Semiconductor Equipment', asset_class: 'Equity', region: 'Developed ex-US', cap_size: 'Large' },
   // Financials
-  { ticker: 'JPM',  name: 'JPMorgan Chase & Co.',                type: 'Stock', exchange: 'NYSE',   last_price: 244.78,  expense_ratio: 0,      div_yield: 2.0  },
-  { ticker: 'BAC',  name: 'Bank of America Corporation',         type: 'Stock', exchange: 'NYSE',   last_price: 44.36,   expense_ratio: 0,      div_yield: 2.4  },
-  { ticker: 'GS',   name: 'Goldman Sachs Group Inc.',            type: 'Stock', exchange: 'NYSE',   last_price: 584.20,  expense_ratio: 0,      div_yield: 2.0  },
-  { ticker: 'MS',   name: 'Morgan Stanley',                      type: 'Stock', exchange: 'NYSE',   last_price: 128.55,  expense_ratio: 0,      div_yield: 3.3  },
-  { ticker: 'WFC',  name: 'Wells Fargo & Company',               type: 'Stock', exchange: 'NYSE',   last_price: 76.34,   expense_ratio: 0,      div_yield: 2.6  },
-  { ticker: 'V',    name: 'Visa Inc.',                           type: 'Stock', exchange: 'NYSE',   last_price: 314.92,  expense_ratio: 0,      div_yield: 0.7  },
-  { ticker: 'MA',   name: 'Mastercard Incorporated',             type: 'Stock', exchange: 'NYSE',   last_price: 522.18,  expense_ratio: 0,      div_yield: 0.5  },
-  { ticker: 'AXP',  name: 'American Express Company',            type: 'Stock', exchange: 'NYSE',   last_price: 290.44,  expense_ratio: 0,      div_yield: 1.0  },
-  { ticker: 'BLK',  name: 'BlackRock Inc.',                      type: 'Stock', exchange: 'NYSE',   last_price: 1012.34, expense_ratio: 0,      div_yield: 2.4  },
-  { ticker: 'SCHW', name: 'Charles Schwab Corporation',          type: 'Stock', exchange: 'NYSE',   last_price: 78.14,   expense_ratio: 0,      div_yield: 1.5  },
-  { ticker: 'COF',  name: 'Capital One Financial Corporation',   type: 'Stock', exchange: 'NYSE',   last_price: 192.80,  expense_ratio: 0,      div_yield: 1.7  },
+  { ticker: 'JPM',  name: 'JPMorgan Chase & Co.',                type: 'Stock', exchange: 'NYSE',   last_price: 244.78,  expense_ratio: 0,      div_yield: 2.0,  sector: 'Financials', industry: 'Banks', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'BAC',  name: 'Bank of America Corporation',         type: 'Stock', exchange: 'NYSE',   last_price: 44.36,   expense_ratio: 0,      div_yield: 2.4,  sector: 'Financials', industry: 'Banks', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'GS',   name: 'Goldman Sachs Group Inc.',            type: 'Stock', exchange: 'NYSE',   last_price: 584.20,  expense_ratio: 0,      div_yield: 2.0,  sector: 'Financials', industry: 'Capital Markets', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'MS',   name: 'Morgan Stanley',                      type: 'Stock', exchange: 'NYSE',   last_price: 128.55,  expense_ratio: 0,      div_yield: 3.3,  sector: 'Financials', industry: 'Capital Markets', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'WFC',  name: 'Wells Fargo & Company',               type: 'Stock', exchange: 'NYSE',   last_price: 76.34,   expense_ratio: 0,      div_yield: 2.6,  sector: 'Financials', industry: 'Banks', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'V',    name: 'Visa Inc.',                           type: 'Stock', exchange: 'NYSE',   last_price: 314.92,  expense_ratio: 0,      div_yield: 0.7,  sector: 'Financials', industry: 'Financial Services', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'MA',   name: 'Mastercard Incorporated',             type: 'Stock', exchange: 'NYSE',   last_price: 522.18,  expense_ratio: 0,      div_yield: 0.5,  sector: 'Financials', industry: 'Financial Services', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'AXP',  name: 'American Express Company',            type: 'Stock', exchange: 'NYSE',   last_price: 290.44,  expense_ratio: 0,      div_yield: 1.0,  sector: 'Financials', industry: 'Consumer Finance', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'BLK',  name: 'BlackRock Inc.',                      type: 'Stock', exchange: 'NYSE',   last_price: 1012.34, expense_ratio: 0,      div_yield: 2.4,  sector: 'Financials', industry: 'Capital Markets', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'SCHW', name: 'Charles Schwab Corporation',          type: 'Stock', exchange: 'NYSE',   last_price: 78.14,   expense_ratio: 0,      div_yield: 1.5,  sector: 'Financials', industry: 'Capital Markets', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'COF',  name: 'Capital One Financial Corporation',   type: 'Stock', exchange: 'NYSE',   last_price: 192.80,  expense_ratio: 0,      div_yield: 1.7,  sector: 'Financials', industry: 'Consumer Finance', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
   // Healthcare & Pharma
-  { ticker: 'AMGN', name: 'Amgen Inc.',                          type: 'Stock', exchange: 'NASDAQ', last_price: 268.79,  expense_ratio: 0,      div_yield: 3.0  },
-  { ticker: 'JNJ',  name: 'Johnson & Johnson',                   type: 'Stock', exchange: 'NYSE',   last_price: 162.40,  expense_ratio: 0,      div_yield: 3.1  },
-  { ticker: 'UNH',  name: 'UnitedHealth Group Incorporated',     type: 'Stock', exchange: 'NYSE',   last_price: 524.15,  expense_ratio: 0,      div_yield: 1.4  },
-  { ticker: 'PFE',  name: 'Pfizer Inc.',                         type: 'Stock', exchange: 'NYSE',   last_price: 28.57,   expense_ratio: 0,      div_yield: 6.5  },
-  { ticker: 'ABBV', name: 'AbbVie Inc.',                         type: 'Stock', exchange: 'NYSE',   last_price: 175.43,  expense_ratio: 0,      div_yield: 3.3  },
-  { ticker: 'LLY',  name: 'Eli Lilly and Company',              type: 'Stock', exchange: 'NYSE',   last_price: 798.45,  expense_ratio: 0,      div_yield: 0.6  },
-  { ticker: 'MRK',  name: 'Merck & Co. Inc.',                   type: 'Stock', exchange: 'NYSE',   last_price: 103.22,  expense_ratio: 0,      div_yield: 2.5  },
-  { ticker: 'GILD', name: 'Gilead Sciences Inc.',               type: 'Stock', exchange: 'NASDAQ', last_price: 90.14,   expense_ratio: 0,      div_yield: 3.5  },
-  { ticker: 'ISRG', name: 'Intuitive Surgical Inc.',            type: 'Stock', exchange: 'NASDAQ', last_price: 524.82,  expense_ratio: 0,      div_yield: 0    },
+  { ticker: 'AMGN', name: 'Amgen Inc.',                          type: 'Stock', exchange: 'NASDAQ', last_price: 268.79,  expense_ratio: 0,      div_yield: 3.0,  sector: 'Health Care', industry: 'Biotechnology', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'JNJ',  name: 'Johnson & Johnson',                   type: 'Stock', exchange: 'NYSE',   last_price: 162.40,  expense_ratio: 0,      div_yield: 3.1,  sector: 'Health Care', industry: 'Pharmaceuticals', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'UNH',  name: 'UnitedHealth Group Incorporated',     type: 'Stock', exchange: 'NYSE',   last_price: 524.15,  expense_ratio: 0,      div_yield: 1.4,  sector: 'Health Care', industry: 'Health Care Providers & Services', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'PFE',  name: 'Pfizer Inc.',                         type: 'Stock', exchange: 'NYSE',   last_price: 28.57,   expense_ratio: 0,      div_yield: 6.5,  sector: 'Health Care', industry: 'Pharmaceuticals', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'ABBV', name: 'AbbVie Inc.',                         type: 'Stock', exchange: 'NYSE',   last_price: 175.43,  expense_ratio: 0,      div_yield: 3.3,  sector: 'Health Care', industry: 'Biotechnology', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'LLY',  name: 'Eli Lilly and Company',              type: 'Stock', exchange: 'NYSE',   last_price: 798.45,  expense_ratio: 0,      div_yield: 0.6,  sector: 'Health Care', industry: 'Pharmaceuticals', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'MRK',  name: 'Merck & Co. Inc.',                   type: 'Stock', exchange: 'NYSE',   last_price: 103.22,  expense_ratio: 0,      div_yield: 2.5,  sector: 'Health Care', industry: 'Pharmaceuticals', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'GILD', name: 'Gilead Sciences Inc.',               type: 'Stock', exchange: 'NASDAQ', last_price: 90.14,   expense_ratio: 0,      div_yield: 3.5,  sector: 'Health Care', industry: 'Biotechnology', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'ISRG', name: 'Intuitive Surgical Inc.',            type: 'Stock', exchange: 'NASDAQ', last_price: 524.82,  expense_ratio: 0,      div_yield: 0,    sector: 'Health Care', industry: 'Health Care Equipment & Supplies', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
   // Consumer
-  { ticker: 'PG',   name: 'Procter & Gamble Co.',                type: 'Stock', exchange: 'NYSE',   last_price: 165.82,  expense_ratio: 0,      div_yield: 2.3  },
-  { ticker: 'HD',   name: 'Home Depot Inc.',                     type: 'Stock', exchange: 'NYSE',   last_price: 407.26,  expense_ratio: 0,      div_yield: 2.3  },
-  { ticker: 'DIS',  name: 'Walt Disney Company',                 type: 'Stock', exchange: 'NYSE',   last_price: 114.27,  expense_ratio: 0,      div_yield: 0    },
-  { ticker: 'COST', name: 'Costco Wholesale Corporation',        type: 'Stock', exchange: 'NASDAQ', last_price: 958.43,  expense_ratio: 0,      div_yield: 0.5  },
-  { ticker: 'WMT',  name: 'Walmart Inc.',                        type: 'Stock', exchange: 'NYSE',   last_price: 93.52,   expense_ratio: 0,      div_yield: 1.0  },
-  { ticker: 'TGT',  name: 'Target Corporation',                  type: 'Stock', exchange: 'NYSE',   last_price: 139.24,  expense_ratio: 0,      div_yield: 3.0  },
-  { ticker: 'MCD',  name: "McDonald's Corporation",              type: 'Stock', exchange: 'NYSE',   last_price: 298.76,  expense_ratio: 0,      div_yield: 2.2  },
-  { ticker: 'SBUX', name: 'Starbucks Corporation',               type: 'Stock', exchange: 'NASDAQ', last_price: 92.44,   expense_ratio: 0,      div_yield: 3.2  },
-  { ticker: 'NKE',  name: 'Nike Inc.',                           type: 'Stock', exchange: 'NYSE',   last_price: 81.23,   expense_ratio: 0,      div_yield: 2.0  },
-  { ticker: 'KO',   name: 'Coca-Cola Company',                   type: 'Stock', exchange: 'NYSE',   last_price: 63.18,   expense_ratio: 0,      div_yield: 3.0  },
-  { ticker: 'PEP',  name: 'PepsiCo Inc.',                        type: 'Stock', exchange: 'NASDAQ', last_price: 152.42,  expense_ratio: 0,      div_yield: 3.3  },
+  { ticker: 'PG',   name: 'Procter & Gamble Co.',                type: 'Stock', exchange: 'NYSE',   last_price: 165.82,  expense_ratio: 0,      div_yield: 2.3,  sector: 'Consumer Staples', industry: 'Household Products', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'HD',   name: 'Home Depot Inc.',                     type: 'Stock', exchange: 'NYSE',   last_price: 407.26,  expense_ratio: 0,      div_yield: 2.3,  sector: 'Consumer Discretionary', industry: 'Specialty Retail', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'DIS',  name: 'Walt Disney Company',                 type: 'Stock', exchange: 'NYSE',   last_price: 114.27,  expense_ratio: 0,      div_yield: 0,    sector: 'Communication Services', industry: 'Entertainment', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'COST', name: 'Costco Wholesale Corporation',        type: 'Stock', exchange: 'NASDAQ', last_price: 958.43,  expense_ratio: 0,      div_yield: 0.5,  sector: 'Consumer Staples', industry: 'Consumer Staples Distribution & Retail', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'WMT',  name: 'Walmart Inc.',                        type: 'Stock', exchange: 'NYSE',   last_price: 93.52,   expense_ratio: 0,      div_yield: 1.0,  sector: 'Consumer Staples', industry: 'Consumer Staples Distribution & Retail', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'TGT',  name: 'Target Corporation',                  type: 'Stock', exchange: 'NYSE',   last_price: 139.24,  expense_ratio: 0,      div_yield: 3.0,  sector: 'Consumer Staples', industry: 'Consumer Staples Distribution & Retail', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'MCD',  name: "McDonald's Corporation",              type: 'Stock', exchange: 'NYSE',   last_price: 298.76,  expense_ratio: 0,      div_yield: 2.2,  sector: 'Consumer Discretionary', industry: 'Hotels, Restaurants & Leisure', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'SBUX', name: 'Starbucks Corporation',               type: 'Stock', exchange: 'NASDAQ', last_price: 92.44,   expense_ratio: 0,      div_yield: 3.2,  sector: 'Consumer Discretionary', industry: 'Hotels, Restaurants & Leisure', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'NKE',  name: 'Nike Inc.',                           type: 'Stock', exchange: 'NYSE',   last_price: 81.23,   expense_ratio: 0,      div_yield: 2.0,  sector: 'Consumer Discretionary', industry: 'Textiles, Apparel & Luxury Goods', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'KO',   name: 'Coca-Cola Company',                   type: 'Stock', exchange: 'NYSE',   last_price: 63.18,   expense_ratio: 0,      div_yield: 3.0,  sector: 'Consumer Staples', industry: 'Beverages', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'PEP',  name: 'PepsiCo Inc.',                        type: 'Stock', exchange: 'NASDAQ', last_price: 152.42,  expense_ratio: 0,      div_yield: 3.3,  sector: 'Consumer Staples', industry: 'Beverages', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
   // Energy
-  { ticker: 'XOM',  name: 'Exxon Mobil Corporation',             type: 'Stock', exchange: 'NYSE',   last_price: 112.84,  expense_ratio: 0,      div_yield: 3.2  },
-  { ticker: 'CVX',  name: 'Chevron Corporation',                 type: 'Stock', exchange: 'NYSE',   last_price: 163.52,  expense_ratio: 0,      div_yield: 4.3  },
-  { ticker: 'COP',  name: 'ConocoPhillips',                      type: 'Stock', exchange: 'NYSE',   last_price: 116.39,  expense_ratio: 0,      div_yield: 3.0  },
-  { ticker: 'SLB',  name: 'Schlumberger N.V.',                   type: 'Stock', exchange: 'NYSE',   last_price: 44.82,   expense_ratio: 0,      div_yield: 2.7  },
+  { ticker: 'XOM',  name: 'Exxon Mobil Corporation',             type: 'Stock', exchange: 'NYSE',   last_price: 112.84,  expense_ratio: 0,      div_yield: 3.2,  sector: 'Energy', industry: 'Oil, Gas & Consumable Fuels', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'CVX',  name: 'Chevron Corporation',                 type: 'Stock', exchange: 'NYSE',   last_price: 163.52,  expense_ratio: 0,      div_yield: 4.3,  sector: 'Energy', industry: 'Oil, Gas & Consumable Fuels', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'COP',  name: 'ConocoPhillips',                      type: 'Stock', exchange: 'NYSE',   last_price: 116.39,  expense_ratio: 0,      div_yield: 3.0,  sector: 'Energy', industry: 'Oil, Gas & Consumable Fuels', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'SLB',  name: 'Schlumberger N.V.',                   type: 'Stock', exchange: 'NYSE',   last_price: 44.82,   expense_ratio: 0,      div_yield: 2.7,  sector: 'Energy', industry: 'Energy Equipment & Services', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
   // Industrials / Other
-  { ticker: 'CAT',  name: 'Caterpillar Inc.',                    type: 'Stock', exchange: 'NYSE',   last_price: 390.47,  expense_ratio: 0,      div_yield: 1.5  },
-  { ticker: 'BA',   name: 'Boeing Company',                      type: 'Stock', exchange: 'NYSE',   last_price: 170.38,  expense_ratio: 0,      div_yield: 0    },
-  { ticker: 'GE',   name: 'GE Aerospace',                        type: 'Stock', exchange: 'NYSE',   last_price: 192.85,  expense_ratio: 0,      div_yield: 0.7  },
-  { ticker: 'HON',  name: 'Honeywell International Inc.',        type: 'Stock', exchange: 'NASDAQ', last_price: 214.63,  expense_ratio: 0,      div_yield: 2.2  },
-  { ticker: 'RTX',  name: 'RTX Corporation',                     type: 'Stock', exchange: 'NYSE',   last_price: 131.44,  expense_ratio: 0,      div_yield: 2.0  },
-  { ticker: 'LMT',  name: 'Lockheed Martin Corporation',         type: 'Stock', exchange: 'NYSE',   last_price: 500.78,  expense_ratio: 0,      div_yield: 2.7  },
-  { ticker: 'UPS',  name: 'United Parcel Service Inc.',          type: 'Stock', exchange: 'NYSE',   last_price: 129.54,  expense_ratio: 0,      div_yield: 4.5  },
-  { ticker: 'FDX',  name: 'FedEx Corporation',                   type: 'Stock', exchange: 'NYSE',   last_price: 282.41,  expense_ratio: 0,      div_yield: 2.2  },
-  { ticker: 'BRK.B',name: 'Berkshire Hathaway Inc. Class B',    type: 'Stock', exchange: 'NYSE',   last_price: 450.91,  expense_ratio: 0,      div_yield: 0    },
+  { ticker: 'CAT',  name: 'Caterpillar Inc.',                    type: 'Stock', exchange: 'NYSE',   last_price: 390.47,  expense_ratio: 0,      div_yield: 1.5,  sector: 'Industrials', industry: 'Machinery', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'BA',   name: 'Boeing Company',                      type: 'Stock', exchange: 'NYSE',   last_price: 170.38,  expense_ratio: 0,      div_yield: 0,    sector: 'Industrials', industry: 'Aerospace & Defense', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'GE',   name: 'GE Aerospace',                        type: 'Stock', exchange: 'NYSE',   last_price: 192.85,  expense_ratio: 0,      div_yield: 0.7,  sector: 'Industrials', industry: 'Aerospace & Defense', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'HON',  name: 'Honeywell International Inc.',        type: 'Stock', exchange: 'NASDAQ', last_price: 214.63,  expense_ratio: 0,      div_yield: 2.2,  sector: 'Industrials', industry: 'Industrial Conglomerates', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'RTX',  name: 'RTX Corporation',                     type: 'Stock', exchange: 'NYSE',   last_price: 131.44,  expense_ratio: 0,      div_yield: 2.0,  sector: 'Industrials', industry: 'Aerospace & Defense', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'LMT',  name: 'Lockheed Martin Corporation',         type: 'Stock', exchange: 'NYSE',   last_price: 500.78,  expense_ratio: 0,      div_yield: 2.7,  sector: 'Industrials', industry: 'Aerospace & Defense', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'UPS',  name: 'United Parcel Service Inc.',          type: 'Stock', exchange: 'NYSE',   last_price: 129.54,  expense_ratio: 0,      div_yield: 4.5,  sector: 'Industrials', industry: 'Air Freight & Logistics', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'FDX',  name: 'FedEx Corporation',                   type: 'Stock', exchange: 'NYSE',   last_price: 282.41,  expense_ratio: 0,      div_yield: 2.2,  sector: 'Industrials', industry: 'Air Freight & Logistics', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'BRK.B',name: 'Berkshire Hathaway Inc. Class B',    type: 'Stock', exchange: 'NYSE',   last_price: 450.91,  expense_ratio: 0,      div_yield: 0,    sector: 'Financials', industry: 'Financial Services', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
   // Fintech / Growth
-  { ticker: 'PYPL', name: 'PayPal Holdings Inc.',                type: 'Stock', exchange: 'NASDAQ', last_price: 86.93,   expense_ratio: 0,      div_yield: 0    },
-  { ticker: 'SNOW', name: 'Snowflake Inc.',                      type: 'Stock', exchange: 'NYSE',   last_price: 146.38,  expense_ratio: 0,      div_yield: 0    },
-  { ticker: 'PLTR', name: 'Palantir Technologies Inc.',          type: 'Stock', exchange: 'NYSE',   last_price: 118.50,  expense_ratio: 0,      div_yield: 0    },
-  { ticker: 'COIN', name: 'Coinbase Global Inc.',                type: 'Stock', exchange: 'NASDAQ', last_price: 298.40,  expense_ratio: 0,      div_yield: 0    },
-  { ticker: 'RBLX', name: 'Roblox Corporation',                  type: 'Stock', exchange: 'NYSE',   last_price: 42.31,   expense_ratio: 0,      div_yield: 0    },
-  { ticker: 'DDOG', name: 'Datadog Inc.',                        type: 'Stock', exchange: 'NASDAQ', last_price: 121.48,  expense_ratio: 0,      div_yield: 0    },
-  { ticker: 'CRWD', name: 'CrowdStrike Holdings Inc.',           type: 'Stock', exchange: 'NASDAQ', last_price: 368.92,  expense_ratio: 0,      div_yield: 0    },
-  { ticker: 'ZS',   name: 'Zscaler Inc.',                        type: 'Stock', exchange: 'NASDAQ', last_price: 212.54,  expense_ratio: 0,      div_yield: 0    },
-  { ticker: 'NET',  name: 'Cloudflare Inc.',                     type: 'Stock', exchange: 'NYSE',   last_price: 117.82,  expense_ratio: 0,      div_yield: 0    },
-  { ticker: 'S',    name: 'SentinelOne Inc.',                    type: 'Stock', exchange: 'NYSE',   last_price: 21.45,   expense_ratio: 0,      div_yield: 0    },
+  { ticker: 'PYPL', name: 'PayPal Holdings Inc.',                type: 'Stock', exchange: 'NASDAQ', last_price: 86.93,   expense_ratio: 0,      div_yield: 0,    sector: 'Financials', industry: 'Financial Services', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'SNOW', name: 'Snowflake Inc.',                      type: 'Stock', exchange: 'NYSE',   last_price: 146.38,  expense_ratio: 0,      div_yield: 0,    sector: 'Information Technology', industry: 'Software', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'PLTR', name: 'Palantir Technologies Inc.',          type: 'Stock', exchange: 'NYSE',   last_price: 118.50,  expense_ratio: 0,      div_yield: 0,    sector: 'Information Technology', industry: 'Software', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'COIN', name: 'Coinbase Global Inc.',                type: 'Stock', exchange: 'NASDAQ', last_price: 298.40,  expense_ratio: 0,      div_yield: 0,    sector: 'Financials', industry: 'Capital Markets', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'RBLX', name: 'Roblox Corporation',                  type: 'Stock', exchange: 'NYSE',   last_price: 42.31,   expense_ratio: 0,      div_yield: 0,    sector: 'Communication Services', industry: 'Entertainment', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'DDOG', name: 'Datadog Inc.',                        type: 'Stock', exchange: 'NASDAQ', last_price: 121.48,  expense_ratio: 0,      div_yield: 0,    sector: 'Information Technology', industry: 'Software', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'CRWD', name: 'CrowdStrike Holdings Inc.',           type: 'Stock', exchange: 'NASDAQ', last_price: 368.92,  expense_ratio: 0,      div_yield: 0,    sector: 'Information Technology', industry: 'Software', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'ZS',   name: 'Zscaler Inc.',                        type: 'Stock', exchange: 'NASDAQ', last_price: 212.54,  expense_ratio: 0,      div_yield: 0,    sector: 'Information Technology', industry: 'Software', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'NET',  name: 'Cloudflare Inc.',                     type: 'Stock', exchange: 'NYSE',   last_price: 117.82,  expense_ratio: 0,      div_yield: 0,    sector: 'Information Technology', industry: 'Software', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'S',    name: 'SentinelOne Inc.',                    type: 'Stock', exchange: 'NYSE',   last_price: 21.45,   expense_ratio: 0,      div_yield: 0,    sector: 'Information Technology', industry: 'Software', asset_class: 'Equity', region: 'US', cap_size: 'Mid' },
   // Telecom / Media
-  { ticker: 'T',    name: 'AT&T Inc.',                           type: 'Stock', exchange: 'NYSE',   last_price: 19.87,   expense_ratio: 0,      div_yield: 5.5  },
-  { ticker: 'VZ',   name: 'Verizon Communications Inc.',         type: 'Stock', exchange: 'NYSE',   last_price: 41.23,   expense_ratio: 0,      div_yield: 6.5  },
-  { ticker: 'CMCSA',name: 'Comcast Corporation',                 type: 'Stock', exchange: 'NASDAQ', last_price: 40.88,   expense_ratio: 0,      div_yield: 3.5  },
+  { ticker: 'T',    name: 'AT&T Inc.',                           type: 'Stock', exchange: 'NYSE',   last_price: 19.87,   expense_ratio: 0,      div_yield: 5.5,  sector: 'Communication Services', industry: 'Diversified Telecommunication Services', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'VZ',   name: 'Verizon Communications Inc.',         type: 'Stock', exchange: 'NYSE',   last_price: 41.23,   expense_ratio: 0,      div_yield: 6.5,  sector: 'Communication Services', industry: 'Diversified Telecommunication Services', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
+  { ticker: 'CMCSA',name: 'Comcast Corporation',                 type: 'Stock', exchange: 'NASDAQ', last_price: 40.88,   expense_ratio: 0,      div_yield: 3.5,  sector: 'Communication Services', industry: 'Media', asset_class: 'Equity', region: 'US', cap_size: 'Large' },
 ];
 
 // ─── Benchmark indexes ────────────────────────────────────────────────────────
@@ -167,3 +172,146 @@ export const BENCHMARK_META = {
   'EFA':   { label: 'MSCI EAFE',             description: 'Developed international markets ex-US',           color: '#06b6d4' },
   'AGG':   { label: 'US Aggregate Bond',     description: 'Investment-grade US bond market',                 color: '#6b7280' },
 };
+
+// ─── Sector reference data ────────────────────────────────────────────────────
+// GICS sectors and the Select Sector SPDR used as each sector's return proxy.
+export const SECTOR_PROXIES = {
+  'Information Technology': 'XLK',
+  'Financials':             'XLF',
+  'Health Care':            'XLV',
+  'Consumer Discretionary': 'XLY',
+  'Communication Services': 'XLC',
+  'Industrials':            'XLI',
+  'Consumer Staples':       'XLP',
+  'Energy':                 'XLE',
+  'Utilities':              'XLU',
+  'Real Estate':            'XLRE',
+  'Materials':              'XLB',
+};
+
+// Approximate sector weights (%) of equity benchmarks and the index funds that
+// track them, as of mid-2025.  Used for Brinson attribution and to split
+// multi-sector index ETF holdings across sectors.
+const SP500_SECTORS = {
+  'Information Technology': 33.1, 'Financials': 14.1, 'Consumer Discretionary': 10.5,
+  'Communication Services': 9.8, 'Health Care': 9.5, 'Industrials': 8.5, 'Consumer Staples': 5.3,
+  'Energy': 3.0, 'Utilities': 2.4, 'Real Estate': 2.0, 'Materials': 1.8,
+};
+const NASDAQ100_SECTORS = {
+  'Information Technology': 52.0, 'Communication Services': 16.0, 'Consumer Discretionary': 13.5,
+  'Health Care': 5.5, 'Consumer Staples': 5.0, 'Industrials': 4.5, 'Utilities': 1.4,
+  'Materials': 1.2, 'Energy': 0.5, 'Financials': 0.4,
+};
+const DOW30_SECTORS = {
+  'Financials': 27.5, 'Information Technology': 21.0, 'Industrials': 14.5, 'Consumer Discretionary': 13.5,
+  'Health Care': 12.0, 'Consumer Staples': 5.5, 'Communication Services': 2.5, 'Energy': 2.5, 'Materials': 1.0,
+};
+const RUSSELL2000_SECTORS = {
+  'Financials': 19.0, 'Industrials': 17.5, 'Health Care': 16.0, 'Information Technology': 13.5,
+  'Consumer Discretionary': 10.0, 'Real Estate': 6.0, 'Energy': 5.0, 'Materials': 4.5,
+  'Consumer Staples': 3.0, 'Utilities': 3.0, 'Communication Services': 2.5,
+};
+
+export const BENCHMARK_SECTOR_WEIGHTS = {
+  SPY: SP500_SECTORS,  SPX: SP500_SECTORS,  VOO: SP500_SECTORS, SPLG: SP500_SECTORS,
+  QQQ: NASDAQ100_SECTORS, NDX: NASDAQ100_SECTORS, QQQM: NASDAQ100_SECTORS,
+  DIA: DOW30_SECTORS,  DJI: DOW30_SECTORS,
+  IWM: RUSSELL2000_SECTORS, RUT: RUSSELL2000_SECTORS,
+};
+
+// ─── Fund composition by region and market cap ───────────────────────────────
+// Approximate splits (%) for funds that span several regions or cap sizes, as
+// of mid-2025.  Used to spread these holdings in the allocation breakdowns;
+// every other instrument counts whole toward its INSTRUMENTS field.
+export const FUND_COMPOSITION = {
+  region: {
+    ACWI: { 'US': 64, 'Developed ex-US': 26, 'Emerging Markets': 10 },
+    VXUS: { 'Developed ex-US': 73, 'Emerging Markets': 27 },
+  },
+  cap_size: {
+    VTI:  { Large: 80, Mid: 14, Small: 6 },
+    ACWI: { Large: 85, Mid: 15 },
+    VXUS: { Large: 75, Mid: 18, Small: 7 },
+    EFA:  { Large: 85, Mid: 15 },
+    EEM:  { Large: 87, Mid: 13 },
+    VWO:  { Large: 80, Mid: 15, Small: 5 },
+    VGT:  { Large: 88, Mid: 8, Small: 4 },
+    VNQ:  { Large: 55, Mid: 35, Small: 10 },
+    ARKK: { Large: 45, Mid: 45, Small: 10 },
+  },
+};
+
+// ─── Bond fund metadata ──────────────────────────────────────────────────────
+// Approximate fund characteristics as of mid-2025: effective duration (years),
+// yield to maturity (%), average credit quality and % of assets by time to
+// maturity.  TIPS yield is shown nominal-equivalent (real yield + breakeven).
+export const MATURITY_BUCKETS = ['0-1y', '1-3y', '3-5y', '5-10y', '10-20y', '20y+'];
+
+export const BOND_METADATA = {
+  AGG:  { duration: 6.1,  ytm: 4.5, credit: 'AA',  maturity: { '0-1y': 1, '1-3y': 22, '3-5y': 19, '5-10y': 33, '10-20y': 6, '20y+': 19 } },
+  BND:  { duration: 5.8,  ytm: 4.5, credit: 'AA',  maturity: { '0-1y': 1, '1-3y': 21, '3-5y': 19, '5-10y': 35, '10-20y': 6, '20y+': 18 } },
+  TLT:  { duration: 16.3, ytm: 4.9, credit: 'AA+', maturity: { '10-20y': 1, '20y+': 99 } },
+  HYG:  { duration: 3.0,  ytm: 7.0, credit: 'B+',  maturity: { '0-1y': 3, '1-3y': 30, '3-5y': 38, '5-10y': 28, '10-20y': 0.5, '20y+': 0.5 } },
+  LQD:  { duration: 8.2,  ytm: 5.2, credit: 'A-',  maturity: { '0-1y': 1, '1-3y': 11, '3-5y': 15, '5-10y': 29, '10-20y': 15, '20y+': 29 } },
+  TIPS: { duration: 6.7,  ytm: 4.4, credit: 'AA+', maturity: { '0-1y': 4, '1-3y': 26, '3-5y': 24, '5-10y': 32, '10-20y': 6, '20y+': 8 } },
+};
+
+// ─── Distribution schedules ──────────────────────────────────────────────────
+// Reference payout calendar per ticker: frequency, the months (1-12) that go
+// ex-dividend, the usual ex-date day of month and the days from ex-date to
+// pay date.  Approximate — live dividend history overrides frequency and
+// ex-dates when available (see income.js).  Tickers not listed fall back to
+// DEFAULT_DISTRIBUTION by type / asset class.
+export const DEFAULT_DISTRIBUTION = {
+  fixedIncome: { frequency: 'monthly',   exMonths: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12], exDay: 1, payLag: 5 },
+  etf:         { frequency: 'quarterly', exMonths: [3, 6, 9, 12], exDay: 20, payLag: 5 },
+  stock:       { frequency: 'quarterly', exMonths: [2, 5, 8, 11], exDay: 10, payLag: 14 },
+};
+
+const SPDR_QUARTERLY   = { frequency: 'quarterly', exMonths: [3, 6, 9, 12], exDay: 20, payLag: 41 };
+const VANGUARD_QUARTER = { frequency: 'quarterly', exMonths: [3, 6, 9, 12], exDay: 24, payLag: 3 };
+const ISHARES_SEMI     = { frequency: 'semi-annual', exMonths: [6, 12], exDay: 10, payLag: 5 };
+
+export const DISTRIBUTION_SCHEDULES = {
+  SPY:  SPDR_QUARTERLY,   SPLG: SPDR_QUARTERLY,  XLK: SPDR_QUARTERLY, XLF: SPDR_QUARTERLY, XLE: SPDR_QUARTERLY,
+  XLV:  SPDR_QUARTERLY,   XLI:  SPDR_QUARTERLY,  XLY: SPDR_QUARTERLY, XLRE: SPDR_QUARTERLY, XLU: SPDR_QUARTERLY,
+  DIA:  { frequency: 'monthly', exMonths: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12], exDay: 17, payLag: 25 },
+  VOO:  VANGUARD_QUARTER, VTI: VANGUARD_QUARTER, VGT: VANGUARD_QUARTER, VNQ: VANGUARD_QUARTER,
+  VWO:  VANGUARD_QUARTER, VXUS: VANGUARD_QUARTER, VIG: VANGUARD_QUARTER,
+  QQQ:  { frequency: 'quarterly', exMonths: [3, 6, 9, 12], exDay: 22, payLag: 9 },
+  QQQM: { frequency: 'quarterly', exMonths: [3, 6, 9, 12], exDay: 22, payLag: 9 },
+  TQQQ: { frequency: 'quarterly', exMonths: [3, 6, 9, 12], exDay: 24, payLag: 5 },
+  SCHD: { frequency: 'quarterly', exMonths: [3, 6, 9, 12], exDay: 25, payLag: 5 },
+  IWM:  { frequency: 'quarterly', exMonths: [3, 6, 9, 12], exDay: 17, payLag: 5 },
+  SOXX: { frequency: 'quarterly', exMonths: [3, 6, 9, 12], exDay: 17, payLag: 5 },
+  AVUV: { frequency: 'quarterly', exMonths: [3, 6, 9, 12], exDay: 23, payLag: 2 },
+  EFA:  ISHARES_SEMI, EEM: ISHARES_SEMI, ACWI: ISHARES_SEMI,
+  JEPI: { frequency: 'monthly', exMonths: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12], exDay: 1, payLag: 3 },
+  JEPQ: { frequency: 'monthly', exMonths: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12], exDay: 1, payLag: 3 },
+  // Stocks on a different cycle from the Feb/May/Aug/Nov default
+  MSFT: { frequency: 'quarterly', exMonths: [2, 5, 8, 11], exDay: 20, payLag: 24 },
+  JNJ:  { frequency: 'quarterly', exMonths: [2, 5, 8, 11], exDay: 25, payLag: 14 },
+  JPM:  { frequency: 'quarterly', exMonths: [1, 4, 7, 10], exDay: 6,  payLag: 25 },
+  BAC:  { frequency: 'quarterly', exMonths: [3, 6, 9, 12], exDay: 6,  payLag: 22 },
+  WFC:  { frequency: 'quarterly', exMonths: [2, 5, 8, 11], exDay: 7,  payLag: 24 },
+  GS:   { frequency: 'quarterly', exMonths: [3, 6, 9, 12], exDay: 1,  payLag: 29 },
+  MS:   { frequency: 'quarterly', exMonths: [1, 4, 7, 10], exDay: 31, payLag: 15 },
+  KO:   { frequency: 'quarterly', exMonths: [3, 6, 9, 11], exDay: 14, payLag: 17 },
+  PEP:  { frequency: 'quarterly', exMonths: [3, 6, 9, 12], exDay: 6,  payLag: 25 },
+  PG:   { frequency: 'quarterly', exMonths: [1, 4, 7, 10], exDay: 20, payLag: 26 },
+  XOM:  { frequency: 'quarterly', exMonths: [2, 5, 8, 11], exDay: 14, payLag: 26 },
+  CVX:  { frequency: 'quarterly', exMonths: [2, 5, 8, 11], exDay: 18, payLag: 22 },
+  PFE:  { frequency: 'quarterly', exMonths: [1, 5, 7, 11], exDay: 8,  payLag: 37 },
+  VZ:   { frequency: 'quarterly', exMonths: [1, 4, 7, 10], exDay: 10, payLag: 23 },
+  T:    { frequency: 'quarterly', exMonths: [1, 4, 7, 10], exDay: 10, payLag: 23 },
+  HD:   { frequency: 'quarterly', exMonths: [3, 6, 9, 12], exDay: 1,  payLag: 19 },
+  MCD:  { frequency: 'quarterly', exMonths: [3, 6, 9, 12], exDay: 1,  payLag: 16 },
+  ABBV: { frequency: 'quarterly', exMonths: [1, 4, 7, 10], exDay: 15, payLag: 30 },
+  MRK:  { frequency: 'quarterly', exMonths: [3, 6, 9, 12], exDay: 15, payLag: 22 },
+  UPS:  { frequency: 'quarterly', exMonths: [2, 5, 8, 11], exDay: 17, payLag: 20 },
+  UNH:  { frequency: 'quarterly', exMonths: [3, 6, 9, 12], exDay: 9,  payLag: 15 },
+  V:    { frequency: 'quarterly', exMonths: [2, 5, 8, 11], exDay: 10, payLag: 22 },
+  NVDA: { frequency: 'quarterly', exMonths: [3, 6, 9, 12], exDay: 5,  payLag: 22 },
+  COST: { frequency: 'quarterly', exMonths: [2, 5, 8, 11], exDay: 1,  payLag: 14 },
+  WMT:  { frequency: 'quarterly', exMonths: [3, 5, 8, 12], exDay: 14, payLag: 20 },
+};
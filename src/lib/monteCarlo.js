@@ -0,0 +1,154 @@
+// ─── Monte Carlo projection ───────────────────────────────────────────────────
+// Projects a portfolio forward by resampling its own historical daily returns.
+// Pure functions only — callers pass the daily return history (see
+// getRealReturnHistory in finnhub.js).
+//
+// Methods:
+//   bootstrap  — draws historical days with replacement in 5-day blocks,
+//                keeping fat tails and short-term clustering
+//   parametric — normal daily returns with the history's mean and volatility
+//
+// Each simulated month: compound 21 trading days of (invested × r + cash ×
+// cashRate / 252), then add the month's contribution and take the month's
+// withdrawal, both indexed to inflation.  Reported values are deflated to
+// today's dollars so the target is compared in real terms.
+
+export const PROJECTION_METHODS = [
+  { value: 'bootstrap',  label: 'Bootstrap' },
+  { value: 'parametric', label: 'Normal' },
+];
+
+export const DEFAULT_PROJECTION = {
+  years: 20,
+  annual_contribution: 0,
+  annual_withdrawal: 0,
+  inflation_pct: 2.5,
+  target_value: null,
+  method: 'bootstrap',
+};
+
+export const PERCENTILES = [5, 25, 50, 75, 95];
+
+const DAYS_PER_MONTH = 21;
+const BLOCK_DAYS     = 5;
+const MIN_HISTORY    = 60;
+
+// Small seeded PRNG (mulberry32) so the same inputs draw the same paths
+function rng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Standard normal via Box-Muller
+function gaussian(random) {
+  let u = 0;
+  while (u === 0) u = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+function percentile(sorted, p) {
+  const idx = (p / 100) * (sorted.length - 1);
+  const lo = Math.floor(idx);
+  const hi = Math.ceil(idx);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
+}
+
+/**
+ * Run the simulation.
+ * @param {Object}   args
+ * @param {number[]} args.returns      — historical daily returns of the invested sleeve (fractions)
+ * @param {number}   args.startValue   — today's portfolio value, $
+ * @param {number}   [args.cashPercent=0]
+ * @param {number}   [args.cashRate=0] — annual fraction earned on cash
+ * @param {Object}   [args.assumptions] — DEFAULT_PROJECTION shape (years, annual_contribution,
+ *                                         annual_withdrawal, inflation_pct, target_value, method)
+ * @param {number}   [args.paths=1000]
+ * @param {number}   [args.seed=1]
+ * @returns {{
+ *   bands: Array<{ year: number, p5, p25, p50, p75, p95 }>,   today's dollars, year 0 = start
+ *   probability: number|null,  % of paths at or above target_value at the horizon
+ *   depleted: number,          % of paths that ran out of money
+ *   annualReturn: number, annualVolatility: number            % — of the history used
+ * } | null}  null when the history is too short
+ */
+export function simulateProjection({
+  returns, startValue, cashPercent = 0, cashRate = 0, assumptions = DEFAULT_PROJECTION, paths = 1000, seed = 1,
+}) {
+  if (!returns || returns.length < MIN_HISTORY || !(startValue > 0)) return null;
+  const {
+    years, annual_contribution: contribution, annual_withdrawal: withdrawal,
+    inflation_pct: inflationPct, target_value: target, method,
+  } = { ...DEFAULT_PROJECTION, ...assumptions };
+
+  const months = Math.max(1, Math.round(years * 12));
+  const invested = 1 - cashPercent / 100;
+  const cashDaily = cashRate / 252;
+  const monthlyInflation = Math.pow(1 + inflationPct / 100, 1 / 12) - 1;
+  const mean = returns.reduce((s, r) => s + r, 0) / returns.length;
+  const sd = Math.sqrt(returns.reduce((s, r) => s + (r - mean) ** 2, 0) / returns.length);
+  const random = rng(seed);
+
+  // One trading day's return for the chosen method; bootstrap walks blocks
+  let blockPos = BLOCK_DAYS;
+  let blockStart = 0;
+  const drawDay = method === 'parametric'
+    ? () => mean + sd * gaussian(random)
+    : () => {
+        if (blockPos >= BLOCK_DAYS) {
+          blockStart = Math.floor(random() * (returns.length - BLOCK_DAYS + 1));
+          blockPos = 0;
+        }
+        return returns[blockStart + blockPos++];
+      };
+
+  // yearEnd[y][path] — real value at the end of year y
+  const yearEnd = Array.from({ length: Math.ceil(months / 12) + 1 }, () => new Float64Array(paths));
+  let depleted = 0;
+
+  for (let p = 0; p < paths; p++) {
+    let value = startValue;
+    let priceLevel = 1;
+    let broke = false;
+    yearEnd[0][p] = startValue;
+    blockPos = BLOCK_DAYS;
+    for (let m = 1; m <= months; m++) {
+      if (!broke) {
+        for (let d = 0; d < DAYS_PER_MONTH; d++) {
+          value *= 1 + invested * drawDay() + (1 - invested) * cashDaily;
+        }
+        priceLevel *= 1 + monthlyInflation;
+        value += ((contribution - withdrawal) / 12) * priceLevel;
+        if (value <= 0) {
+          value = 0;
+          broke = true;
+          depleted++;
+        }
+      }
+      if (m % 12 === 0 || m === months) yearEnd[Math.ceil(m / 12)][p] = value / priceLevel;
+    }
+  }
+
+  const bands = yearEnd.map((values, year) => {
+    const sorted = Array.from(values).sort((a, b) => a - b);
+    const row = { year: Math.min(year, years) };
+    PERCENTILES.forEach((pct) => { row[`p${pct}`] = Math.round(percentile(sorted, pct)); });
+    return row;
+  });
+
+  const final = yearEnd[yearEnd.length - 1];
+  const hits = target > 0 ? final.reduce((n, v) => n + (v >= target ? 1 : 0), 0) : null;
+
+  return {
+    bands,
+    probability: hits != null ? parseFloat(((hits / paths) * 100).toFixed(1)) : null,
+    depleted: parseFloat(((depleted / paths) * 100).toFixed(1)),
+    annualReturn: parseFloat((mean * 252 * 100).toFixed(2)),
+    annualVolatility: parseFloat((sd * Math.sqrt(252) * 100).toFixed(2)),
+  };
+}
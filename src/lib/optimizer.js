@@ -0,0 +1,289 @@
+// ─── Mean-variance optimizer ──────────────────────────────────────────────────
+// Long-only portfolio construction over annualized expected returns (μ) and
+// covariance (Σ) — see expectedReturns / covarianceMatrix in riskStats.js.
+// Pure functions only; weights in and out are percent.
+//
+// Objectives:
+//   minVariance — lowest w'Σw
+//   maxSharpe   — highest (μ'w − rf) / σ, searched along the efficient frontier
+//   riskParity  — every holding contributes the same share of volatility
+//
+// Constraints: per-holding min/max weight and per-group (sleeve) min/max of
+// the summed weight, all inside a fixed budget (normally 100%).  The frontier
+// is traced by minimizing w'Σw − λ·μ'w for increasing λ with projected
+// gradient descent; projections onto the constraint set use Dykstra's
+// alternating projections.
+
+export const OPTIMIZER_OBJECTIVES = [
+  { value: 'minVariance', label: 'Min variance' },
+  { value: 'maxSharpe',   label: 'Max Sharpe' },
+  { value: 'riskParity',  label: 'Risk parity' },
+];
+
+const MAX_ITER        = 400;
+const DYKSTRA_ITER    = 100;
+const TOLERANCE       = 1e-9;
+const FRONTIER_POINTS = 25;
+
+// ── Linear algebra helpers ──────────────────────────────────────────────────
+
+const dot = (a, b) => a.reduce((s, x, i) => s + x * b[i], 0);
+const matVec = (m, v) => m.map(row => dot(row, v));
+
+// Largest eigenvalue of a symmetric PSD matrix (power iteration)
+function maxEigenvalue(m) {
+  let v = m.map(() => 1 / Math.sqrt(m.length));
+  let lambda = 0;
+  for (let k = 0; k < 100; k++) {
+    const mv = matVec(m, v);
+    const norm = Math.sqrt(dot(mv, mv));
+    if (!(norm > 0)) return 0;
+    v = mv.map(x => x / norm);
+    if (Math.abs(norm - lambda) < 1e-12) return norm;
+    lambda = norm;
+  }
+  return lambda;
+}
+
+// ── Constraint set ──────────────────────────────────────────────────────────
+
+// Box + budget: clip(v − τ, lo, hi) with τ found by bisection so Σw = budget
+function projectBudgetBox(v, lo, hi, budget) {
+  let a = Math.min(...v.map((x, i) => x - hi[i]));
+  let b = Math.max(...v.map((x, i) => x - lo[i]));
+  let w = v;
+  for (let k = 0; k < 100; k++) {
+    const tau = (a + b) / 2;
+    w = v.map((x, i) => Math.min(hi[i], Math.max(lo[i], x - tau)));
+    const sum = w.reduce((s, x) => s + x, 0);
+    if (Math.abs(sum - budget) < 1e-12) break;
+    if (sum > budget) a = tau; else b = tau;
+  }
+  return w;
+}
+
+// Slab lo ≤ Σ_{i∈members} w_i ≤ hi: shift the members equally
+function projectGroup(v, { members, min, max }) {
+  const sum = members.reduce((s, i) => s + v[i], 0);
+  const target = sum > max ? max : sum < min ? min : sum;
+  if (target === sum) return v;
+  const shift = (target - sum) / members.length;
+  const w = [...v];
+  members.forEach(i => { w[i] += shift; });
+  return w;
+}
+
+function makeProjector(lo, hi, groups, budget) {
+  if (!groups.length) return v => projectBudgetBox(v, lo, hi, budget);
+  // Dykstra — the box/budget set goes last so its constraints hold exactly
+  const sets = [...groups.map(g => v => projectGroup(v, g)), v => projectBudgetBox(v, lo, hi, budget)];
+  return (v) => {
+    let x = v;
+    const incr = sets.map(() => v.map(() => 0));
+    for (let k = 0; k < DYKSTRA_ITER; k++) {
+      let moved = 0;
+      sets.forEach((project, s) => {
+        const y = x.map((xi, i) => xi + incr[s][i]);
+        const next = project(y);
+        incr[s] = y.map((yi, i) => yi - next[i]);
+        moved += next.reduce((acc, ni, i) => acc + (ni - x[i]) ** 2, 0);
+        x = next;
+      });
+      if (moved < TOLERANCE * TOLERANCE) break;
+    }
+    return x;
+  };
+}
+
+/**
+ * Check that per-holding and per-group limits can be met together.
+ * @param {Array<{ticker?: string, min: number, max: number}>} bounds — percent per holding
+ * @param {Array<{members: number[], min: number, max: number}>} groups — percent, disjoint
+ * @param {number} [budget=100]
+ * @returns {string|null} reason the constraints are infeasible, or null
+ */
+export function constraintError(bounds, groups = [], budget = 100) {
+  const bad = bounds.findIndex(b => b.min > b.max);
+  if (bad >= 0) return `${bounds[bad].ticker ?? `Holding ${bad + 1}`} has a minimum above its maximum`;
+  const sumMin = bounds.reduce((s, b) => s + b.min, 0);
+  const sumMax = bounds.reduce((s, b) => s + b.max, 0);
+  if (sumMin > budget + 1e-6) return `Holding minimums add up to ${sumMin.toFixed(1)}%, above ${budget.toFixed(1)}%`;
+  if (sumMax < budget - 1e-6) return `Holding maximums add up to ${sumMax.toFixed(1)}%, below ${budget.toFixed(1)}%`;
+
+  let lowest = 0, highest = 0;
+  const grouped = new Set();
+  for (const g of groups) {
+    const gMin = g.members.reduce((s, i) => s + bounds[i].min, 0);
+    const gMax = g.members.reduce((s, i) => s + bounds[i].max, 0);
+    if (g.min > g.max) return `${g.name ?? 'A sleeve'} has a minimum above its maximum`;
+    if (gMin > g.max + 1e-6 || gMax < g.min - 1e-6) {
+      return `${g.name ?? 'A sleeve'} limits conflict with its holdings' limits`;
+    }
+    lowest += Math.max(g.min, gMin);
+    highest += Math.min(g.max, gMax);
+    g.members.forEach(i => grouped.add(i));
+  }
+  bounds.forEach((b, i) => {
+    if (!grouped.has(i)) { lowest += b.min; highest += b.max; }
+  });
+  if (lowest > budget + 1e-6 || highest < budget - 1e-6) return 'Sleeve limits cannot add up to the full allocation';
+  return null;
+}
+
+// ── Solvers ─────────────────────────────────────────────────────────────────
+
+// Normalize percent inputs to fractions and build the projector
+function setup({ covariance, bounds, groups = [], budget = 100 }) {
+  const lo = bounds.map(b => b.min / 100);
+  const hi = bounds.map(b => b.max / 100);
+  // Groups that can never bind are dropped — they'd only slow Dykstra down
+  const active = groups
+    .filter(g => g.members.length && (g.min > 0 || g.max < budget))
+    .map(g => ({ members: g.members, min: g.min / 100, max: g.max / 100 }));
+  const project = makeProjector(lo, hi, active, budget / 100);
+  const lipschitz = 2 * maxEigenvalue(covariance) || 1;
+  return { project, lipschitz, budget: budget / 100 };
+}
+
+// min w'Σw − λ·μ'w over the constraint set (accelerated projected gradient)
+function solveQuadratic(mu, covariance, lambda, { project, lipschitz }, start) {
+  let x = project(start);
+  let y = x;
+  let t = 1;
+  const step = 1 / lipschitz;
+  for (let k = 0; k < MAX_ITER; k++) {
+    const grad = matVec(covariance, y).map((g, i) => 2 * g - lambda * mu[i]);
+    const next = project(y.map((yi, i) => yi - step * grad[i]));
+    const tNext = (1 + Math.sqrt(1 + 4 * t * t)) / 2;
+    y = next.map((ni, i) => ni + ((t - 1) / tNext) * (ni - x[i]));
+    const change = next.reduce((s, ni, i) => s + (ni - x[i]) ** 2, 0);
+    x = next;
+    t = tNext;
+    if (change < TOLERANCE * TOLERANCE) break;
+  }
+  return x;
+}
+
+// Equal risk contribution: multiplicative fixed point, projected every step
+function solveRiskParity(covariance, { project, budget }, start) {
+  let w = project(start);
+  for (let k = 0; k < MAX_ITER * 2; k++) {
+    const sigmaW = matVec(covariance, w);
+    const variance = dot(w, sigmaW);
+    if (!(variance > 0)) break;
+    const target = variance / w.length;
+    const scaled = w.map((wi, i) => {
+      const rc = wi * sigmaW[i];
+      return rc > 0 ? wi * Math.sqrt(target / rc) : wi + 1e-4;
+    });
+    const sum = scaled.reduce((s, x) => s + x, 0);
+    const next = project(scaled.map(x => (x / sum) * budget));
+    const change = next.reduce((s, ni, i) => s + (ni - w[i]) ** 2, 0);
+    w = next;
+    if (change < TOLERANCE * TOLERANCE) break;
+  }
+  return w;
+}
+
+/**
+ * Expected return, volatility and Sharpe ratio of a weight vector.
+ * @param {number[]} weights — percent (any total; normalized to 100)
+ * @returns {{ return: number, volatility: number, sharpe: number|null }} percent / ratio
+ */
+export function portfolioStats(weights, mu, covariance, riskFreeRate) {
+  const total = weights.reduce((s, w) => s + w, 0);
+  if (!(total > 0)) return { return: 0, volatility: 0, sharpe: null };
+  const w = weights.map(x => x / total);
+  const ret = dot(w, mu);
+  const vol = Math.sqrt(Math.max(0, dot(w, matVec(covariance, w))));
+  return {
+    return: parseFloat((ret * 100).toFixed(2)),
+    volatility: parseFloat((vol * 100).toFixed(2)),
+    sharpe: vol > 0 ? parseFloat(((ret - riskFreeRate) / vol).toFixed(2)) : null,
+  };
+}
+
+function frontierLambdas(mu, lipschitz) {
+  // At λ ≈ 4·maxEig / spread(μ) the return term dominates the variance term,
+  // which pushes the solution to the max-return corner; square spacing puts
+  // more points near the low-risk end where the curve bends.
+  const spread = Math.max(...mu) - Math.min(...mu) || Math.abs(mu[0]) || 1;
+  const lambdaMax = (4 * lipschitz) / spread;
+  return Array.from({ length: FRONTIER_POINTS }, (_, k) => lambdaMax * (k / (FRONTIER_POINTS - 1)) ** 2);
+}
+
+/**
+ * Trace the constrained efficient frontier and solve each objective.
+ * @param {Object}   args
+ * @param {number[]} args.mu          — annualized expected returns (fractions)
+ * @param {number[][]} args.covariance — annualized covariance
+ * @param {Array<{min: number, max: number}>} args.bounds — percent per holding
+ * @param {Array<{name?: string, members: number[], min: number, max: number}>} [args.groups] — percent
+ * @param {number}   [args.budget=100]     — total weight to allocate, percent
+ * @param {number}   [args.riskFreeRate=0] — annual fraction, for Sharpe
+ * @returns {{
+ *   frontier: Array<{ volatility: number, return: number, sharpe: number|null }>,
+ *   portfolios: Object<string, { weights: number[], return: number, volatility: number, sharpe: number|null }>
+ * } | { error: string }}  portfolios keyed by OPTIMIZER_OBJECTIVES value; weights in percent
+ */
+export function optimizePortfolio({ mu, covariance, bounds, groups = [], budget = 100, riskFreeRate = 0 }) {
+  const error = constraintError(bounds, groups, budget);
+  if (error) return { error };
+
+  const ctx = setup({ covariance, bounds, groups, budget });
+  const equal = mu.map(() => ctx.budget / mu.length);
+  const pct = w => w.map(x => parseFloat((x * 100).toFixed(2)));
+  const stats = w => portfolioStats(w, mu, covariance, riskFreeRate);
+
+  // Frontier — warm-start each λ from the previous solution
+  const solutions = [];
+  let start = equal;
+  frontierLambdas(mu, ctx.lipschitz).forEach((lambda) => {
+    const w = solveQuadratic(mu, covariance, lambda, ctx, start);
+    solutions.push({ lambda, w, ...stats(w) });
+    start = w;
+  });
+
+  // Max Sharpe — best frontier point, refined by golden-section search on λ
+  let best = solutions.reduce((b, s) => ((s.sharpe ?? -Infinity) > (b.sharpe ?? -Infinity) ? s : b), solutions[0]);
+  const k = solutions.indexOf(best);
+  let a = solutions[Math.max(0, k - 1)].lambda;
+  let b = solutions[Math.min(solutions.length - 1, k + 1)].lambda;
+  const phi = (Math.sqrt(5) - 1) / 2;
+  const evalAt = (lambda) => {
+    const w = solveQuadratic(mu, covariance, lambda, ctx, best.w);
+    return { lambda, w, ...stats(w) };
+  };
+  for (let i = 0; i < 12 && b - a > 1e-9; i++) {
+    const c = evalAt(b - phi * (b - a));
+    const d = evalAt(a + phi * (b - a));
+    if ((c.sharpe ?? -Infinity) >= (d.sharpe ?? -Infinity)) {
+      b = d.lambda;
+      if ((c.sharpe ?? -Infinity) > (best.sharpe ?? -Infinity)) best = c;
+    } else {
+      a = c.lambda;
+      if ((d.sharpe ?? -Infinity) > (best.sharpe ?? -Infinity)) best = d;
+    }
+  }
+
+  const minVar = solutions[0].w;
+  const riskParity = solveRiskParity(covariance, ctx, equal);
+
+  // Drop frontier points that collapsed onto the same portfolio
+  const frontier = [];
+  solutions.forEach(({ volatility, return: ret, sharpe }) => {
+    const prev = frontier[frontier.length - 1];
+    if (!prev || Math.abs(prev.volatility - volatility) > 0.01 || Math.abs(prev.return - ret) > 0.01) {
+      frontier.push({ volatility, return: ret, sharpe });
+    }
+  });
+
+  return {
+    frontier,
+    portfolios: {
+      minVariance: { weights: pct(minVar), ...stats(minVar) },
+      maxSharpe:   { weights: pct(best.w), ...stats(best.w) },
+      riskParity:  { weights: pct(riskParity), ...stats(riskParity) },
+    },
+  };
+}
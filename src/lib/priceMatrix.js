@@ -0,0 +1,286 @@
+// ─── Calendar-aligned price matrix ────────────────────────────────────────────
+// Every chart, return and risk function works off the same date × ticker grid:
+//
+//   dates   — NYSE trading days in the requested range (weekends, exchange
+//             holidays and special closures removed), trimmed to the span
+//             where at least one ticker has data
+//   columns — per ticker, one row per date: { price, adjClose } or null
+//
+// A ticker missing a day is forward-filled from its last close for at most
+// `maxFill` trading days; longer holes stay null and are reported as gaps.
+// Nothing is ever back-filled — before a ticker's first candle its rows are
+// null, and coverage.startsLate tells the UI its history begins after the
+// range start.
+
+import { buildGrowthMap, growthBetween } from './totalReturn';
+
+export const MAX_FILL_DAYS = 5; // ≈ one trading week
+
+// ── Trading calendar ─────────────────────────────────────────────────────────
+
+// One-off full-day closures that don't follow the holiday rules
+const SPECIAL_CLOSURES = new Set([
+  '2001-09-11', '2001-09-12', '2001-09-13', '2001-09-14', // September 11 attacks
+  '2004-06-11',               // President Reagan national day of mourning
+  '2007-01-02',               // President Ford national day of mourning
+  '2012-10-29', '2012-10-30', // Hurricane Sandy
+  '2018-12-05',               // President G. H. W. Bush national day of mourning
+  '2025-01-09',               // President Carter national day of mourning
+]);
+
+function ymd(year, month, day) {
+  return new Date(Date.UTC(year, month, day)).toISOString().slice(0, 10);
+}
+
+// Saturday holidays close the Friday before, Sunday holidays the Monday after
+function observed(year, month, day) {
+  const dow = new Date(Date.UTC(year, month, day)).getUTCDay();
+  if (dow === 6) return ymd(year, month, day - 1);
+  if (dow === 0) return ymd(year, month, day + 1);
+  return ymd(year, month, day);
+}
+
+// nth weekday of a month (n = -1 → last)
+function nthWeekday(year, month, weekday, n) {
+  if (n > 0) {
+    const firstDow = new Date(Date.UTC(year, month, 1)).getUTCDay();
+    return ymd(year, month, 1 + ((weekday - firstDow + 7) % 7) + (n - 1) * 7);
+  }
+  const lastDay = new Date(Date.UTC(year, month + 1, 0));
+  const back = (lastDay.getUTCDay() - weekday + 7) % 7;
+  return ymd(year, month, lastDay.getUTCDate() - back);
+}
+
+// Gregorian Easter Sunday (anonymous algorithm)
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31) - 1;
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return { month, day };
+}
+
+const holidayCache = new Map(); // year → Set<'YYYY-MM-DD'>
+
+/** NYSE full-day holidays for a calendar year. */
+export function marketHolidays(year) {
+  if (holidayCache.has(year)) return holidayCache.get(year);
+
+  const days = new Set();
+  // New Year's Day — not observed on the Friday before when it falls on a Saturday
+  if (new Date(Date.UTC(year, 0, 1)).getUTCDay() !== 6) days.add(observed(year, 0, 1));
+  days.add(nthWeekday(year, 0, 1, 3));   // Martin Luther King Jr. Day
+  days.add(nthWeekday(year, 1, 1, 3));   // Washington's Birthday
+  const easter = easterSunday(year);
+  days.add(ymd(year, easter.month, easter.day - 2)); // Good Friday
+  days.add(nthWeekday(year, 4, 1, -1));  // Memorial Day
+  if (year >= 2022) days.add(observed(year, 5, 19)); // Juneteenth
+  days.add(observed(year, 6, 4));        // Independence Day
+  days.add(nthWeekday(year, 8, 1, 1));   // Labor Day
+  days.add(nthWeekday(year, 10, 4, 4));  // Thanksgiving
+  days.add(observed(year, 11, 25));      // Christmas
+
+  holidayCache.set(year, days);
+  return days;
+}
+
+/** True when NYSE is open for a full or half session on the given date. */
+export function isTradingDay(date) {
+  const d = new Date(`${date}T00:00:00Z`);
+  const dow = d.getUTCDay();
+  if (dow === 0 || dow === 6) return false;
+  if (SPECIAL_CLOSURES.has(date)) return false;
+  return !marketHolidays(d.getUTCFullYear()).has(date);
+}
+
+/** Trading days from fromDate to toDate inclusive, as 'YYYY-MM-DD' strings. */
+export function tradingCalendar(fromDate, toDate) {
+  const dates = [];
+  const end = new Date(`${toDate}T00:00:00Z`).getTime();
+  for (let t = new Date(`${fromDate}T00:00:00Z`).getTime(); t <= end; t += 86_400_000) {
+    const date = new Date(t).toISOString().slice(0, 10);
+    if (isTradingDay(date)) dates.push(date);
+  }
+  return dates;
+}
+
+// ── Matrix construction ─────────────────────────────────────────────────────
+
+/**
+ * Align candle sets onto the trading calendar.
+ * @param {Array<{ key: string, candles: Array<{date: string, price: number, adjClose?: number}> }>} series
+ * @param {{ fromDate: string, toDate: string, maxFill?: number }} opts
+ * @returns {{
+ *   dates: string[],
+ *   columns: Object<string, Array<{price: number, adjClose: number}|null>>,
+ *   filled: Object<string, boolean[]>,
+ *   coverage: Object<string, {
+ *     firstDate: string|null, lastDate: string|null, missing: boolean, startsLate: boolean,
+ *     filledDays: number, gaps: Array<{from: string, to: string, days: number}>, offCalendar: number
+ *   }>
+ * }}
+ */
+export function buildPriceMatrix(series, { fromDate, toDate, maxFill = MAX_FILL_DAYS }) {
+  const calendar = tradingCalendar(fromDate, toDate);
+  const calendarSet = new Set(calendar);
+
+  const byKey = series.map(({ candles }) => {
+    const m = new Map();
+    (candles ?? []).forEach(c => { if (c.price > 0) m.set(c.date, c); });
+    return m;
+  });
+
+  // Trim the calendar to the span where any ticker has data — leading days
+  // before the first candle and today's not-yet-printed bar would otherwise
+  // show up as flat points.
+  const hasAny = d => byKey.some(m => m.has(d));
+  const first = calendar.findIndex(hasAny);
+  let last = calendar.length - 1;
+  while (last >= 0 && !hasAny(calendar[last])) last--;
+  const dates = first < 0 ? [] : calendar.slice(first, last + 1);
+
+  const columns  = {};
+  const filled   = {};
+  const coverage = {};
+
+  series.forEach(({ key }, k) => {
+    const m = byKey[k];
+    const rows = [];
+    const fill = [];
+    const gaps = [];
+    let prev = null;       // last real or filled row
+    let run = 0;           // trading days since the last real candle
+    let filledDays = 0;
+    let firstDate = null;
+    let lastDate = null;
+
+    dates.forEach((date, i) => {
+      const c = m.get(date);
+      if (c) {
+        if (run > maxFill) gaps.push({ from: dates[i - run], to: dates[i - 1], days: run });
+        run = 0;
+        prev = { price: c.price, adjClose: c.adjClose ?? c.price };
+        rows.push(prev);
+        fill.push(false);
+        firstDate ??= date;
+        lastDate = date;
+        return;
+      }
+      if (prev) {
+        run++;
+        if (run <= maxFill) {
+          rows.push(prev);
+          fill.push(true);
+          filledDays++;
+          return;
+        }
+      }
+      rows.push(null);
+      fill.push(false);
+    });
+    if (run > maxFill) gaps.push({ from: dates[dates.length - run], to: dates[dates.length - 1], days: run });
+
+    let offCalendar = 0;
+    m.forEach((_, date) => {
+      if (date >= fromDate && date <= toDate && !calendarSet.has(date)) offCalendar++;
+    });
+
+    // A few missing sessions at the front are normal provider slack
+    const startIdx = firstDate ? calendar.indexOf(firstDate) : -1;
+
+    columns[key] = rows;
+    filled[key] = fill;
+    coverage[key] = {
+      firstDate,
+      lastDate,
+      missing: firstDate == null,
+      startsLate: startIdx > maxFill,
+      filledDays,
+      gaps,
+      offCalendar,
+    };
+  });
+
+  return { dates, columns, filled, coverage };
+}
+
+// ── Derived series ──────────────────────────────────────────────────────────
+
+function columnCandles(matrix, key, fromIdx = 0, toIdx = matrix.dates.length - 1) {
+  const rows = matrix.columns[key] ?? [];
+  const candles = [];
+  for (let i = fromIdx; i <= toIdx; i++) {
+    if (rows[i]) candles.push({ date: matrix.dates[i], ...rows[i] });
+  }
+  return candles;
+}
+
+/**
+ * Growth multiplier per matrix date for one column, relative to the
+ * column's first available row (see buildGrowthMap for opts).
+ * @returns {Array<number|null>} null where the column has no (filled) row
+ */
+export function growthColumn(matrix, key, opts) {
+  const map = buildGrowthMap(columnCandles(matrix, key), opts);
+  return matrix.dates.map(d => map[d] ?? null);
+}
+
+/**
+ * Growth multiplier of one column between two matrix indices, or null when
+ * either end has no row.
+ */
+export function windowGrowth(matrix, key, fromIdx, toIdx, opts) {
+  return growthBetween(
+    columnCandles(matrix, key, fromIdx, toIdx),
+    matrix.dates[fromIdx],
+    matrix.dates[toIdx],
+    opts,
+  );
+}
+
+/**
+ * Weighted composite of growth columns: Σ weight × growth per date.
+ * A holding counts as flat (growth 1) before its history starts and keeps its
+ * last value across unfilled gaps; columns with no data at all are left out.
+ * @param {Array<Array<number|null>>} growthCols
+ * @param {number[]} weights — fractions (0.25 = 25%)
+ * @returns {{ values: number[], weight: number }}  weight = Σ weights of included columns
+ */
+export function compositeGrowth(growthCols, weights) {
+  const included = growthCols.map(col => col.some(g => g != null));
+  const weight = weights.reduce((s, w, i) => s + (included[i] ? w : 0), 0);
+  const length = growthCols[0]?.length ?? 0;
+  const lastGrowth = growthCols.map(() => 1);
+
+  const values = [];
+  for (let d = 0; d < length; d++) {
+    let val = 0;
+    growthCols.forEach((col, i) => {
+      if (!included[i]) return;
+      if (col[d] != null) lastGrowth[i] = col[d];
+      val += weights[i] * lastGrowth[i];
+    });
+    values.push(val);
+  }
+  return { values, weight };
+}
+
+/**
+ * Tickers whose data doesn't cover the whole matrix, for UI warnings.
+ * @returns {Array<{ ticker: string, firstDate: string|null, missing: boolean, startsLate: boolean, gaps: Array }>}
+ */
+export function coverageIssues(matrix, tickers) {
+  return [...new Set(tickers)]
+    .map(ticker => ({ ticker, ...matrix.coverage[ticker] }))
+    .filter(c => c.missing || c.startsLate || c.gaps?.length);
+}
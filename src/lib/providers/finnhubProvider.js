@@ -0,0 +1,199 @@
+// ─── Finnhub market-data provider ─────────────────────────────────────────────
+// REST quotes, daily candles and symbol search plus the WebSocket trade feed.
+// API key is exposed client-side (VITE_ prefix). Acceptable for a read-only
+// market data key on the free tier — the key only grants market data read access.
+// REST calls are throttled under the 'finnhub' scheduler source.
+//
+// The free tier answers 403 on the candle endpoint; providers/index.js pairs
+// this provider with Yahoo for candles when that happens.
+
+import { schedule } from '../requestScheduler';
+
+const BASE = 'https://finnhub.io/api/v1';
+const KEY  = import.meta.env.VITE_FINNHUB_API_KEY;
+
+// ── Index ticker → ETF mapping ───────────────────────────────────────────────
+// CBOE/Yahoo-style index tickers don't work on Finnhub free tier.
+// Map them to their ETF equivalents for quotes, WebSocket, and candles.
+const INDEX_TO_ETF = {
+  // CBOE-style
+  'SPX':    'SPY',
+  'NDX':    'QQQ',
+  'RUT':    'IWM',
+  'DJI':    'DIA',
+  'DJIA':   'DIA',
+  // Yahoo-style (caret prefix)
+  '^GSPC':  'SPY',
+  '^DJI':   'DIA',
+  '^IXIC':  'QQQ',
+  '^RUT':   'IWM',
+  '^VIX':   'VIXY',
+  '^TNX':   'TLT',
+};
+
+/** Normalize a ticker: map index symbols to their ETF equivalents for Finnhub. */
+export function normalizeTicker(ticker) {
+  if (!ticker) return ticker;
+  const upper = ticker.toUpperCase();
+  return INDEX_TO_ETF[upper] || ticker;
+}
+
+// ── Quote (current price + daily change) ─────────────────────────────────────
+async function getQuote(ticker, { priority } = {}) {
+  const symbol = normalizeTicker(ticker);
+  const raw = await schedule('finnhub', `quote:${symbol}`, async () => {
+    const res = await fetch(`${BASE}/quote?symbol=${symbol}&token=${KEY}`);
+    if (!res.ok) throw new Error(`Quote fetch failed for ${ticker}: ${res.status}`);
+    return res.json();
+  }, { priority });
+  // If Finnhub returns all zeros, the symbol isn't supported — throw so caller falls back
+  if (!raw.c) throw new Error(`No data for ${ticker}`);
+
+  return {
+    price:         raw.c,
+    change:        raw.d,
+    changePercent: raw.dp,
+    prevClose:     raw.pc,
+    high:          raw.h,
+    low:           raw.l,
+    open:          raw.o,
+  };
+}
+
+// ── Historical daily candles ──────────────────────────────────────────────────
+// Finnhub has no dividend-adjusted closes, so adjClose === price here.
+async function getCandles(ticker, fromDate, toDate, { priority } = {}) {
+  const symbol = normalizeTicker(ticker);
+  const from = Math.floor(new Date(fromDate).getTime() / 1000);
+  const to   = Math.floor(new Date(toDate).getTime()   / 1000);
+
+  const raw = await schedule('finnhub', `candle:${symbol}:${from}:${to}`, async () => {
+    const res = await fetch(
+      `${BASE}/stock/candle?symbol=${symbol}&resolution=D&from=${from}&to=${to}&token=${KEY}`
+    );
+    if (!res.ok) throw new Error(`Candle fetch failed for ${ticker}: ${res.status}`);
+    return res.json();
+  }, { priority });
+  if (raw.s !== 'ok' || !raw.c?.length || !raw.t?.length) return [];
+
+  return raw.t.map((ts, i) => {
+    const d = new Date(ts * 1000);
+    return {
+      date:     isNaN(d.getTime()) ? '' : d.toISOString().slice(0, 10),
+      price:    raw.c[i],
+      adjClose: raw.c[i],
+    };
+  }).filter(d => d.date);
+}
+
+// ── Symbol search ─────────────────────────────────────────────────────────────
+// Typed into by the user, so always high priority
+async function searchSymbols(query) {
+  const json = await schedule('finnhub', `search:${query.toUpperCase()}`, async () => {
+    const res = await fetch(`${BASE}/search?q=${encodeURIComponent(query)}&token=${KEY}`);
+    if (!res.ok) throw new Error(`Search failed for ${query}: ${res.status}`);
+    return res.json();
+  }, { priority: 'high' }).catch(() => null);
+  if (!json) return [];
+
+  return (json.result ?? [])
+    // Keep US stocks and ETFs with simple symbols (no dots/slashes = likely US listed)
+    .filter(r =>
+      (r.type === 'Common Stock' || r.type === 'ETP') &&
+      /^[A-Z]{1,5}$/.test(r.symbol)
+    )
+    .slice(0, 10)
+    .map(r => ({
+      ticker:     r.symbol,
+      name:       r.description,
+      type:       r.type === 'ETP' ? 'ETF' : 'Stock',
+      exchange:   r.primaryExchange ?? '',
+      last_price: null, // will be fetched on demand by loadTickers
+    }));
+}
+
+// ── WebSocket — real-time trade feed ─────────────────────────────────────────
+let ws             = null;
+const wsSubscribed  = new Set();
+const tradeListeners = new Set();
+
+function ensureWS() {
+  if (ws && (ws.readyState === WebSocket.OPEN || ws.readyState === WebSocket.CONNECTING)) return;
+
+  ws = new WebSocket(`wss://ws.finnhub.io?token=${KEY}`);
+
+  ws.onopen = () => {
+    wsSubscribed.forEach(ticker => {
+      ws.send(JSON.stringify({ type: 'subscribe', symbol: ticker }));
+    });
+  };
+
+  ws.onmessage = e => {
+    try {
+      const msg = JSON.parse(e.data);
+      if (msg.type === 'trade' && msg.data) {
+        msg.data.forEach(trade => {
+          tradeListeners.forEach(cb => cb(trade.s, trade.p));
+        });
+      }
+    } catch { /* ignore malformed messages */ }
+  };
+
+  ws.onclose = () => {
+    if (wsSubscribed.size > 0) setTimeout(ensureWS, 5_000);
+  };
+
+  ws.onerror = () => {}; // errors handled via onclose
+}
+
+// Internally maps index tickers to ETF equivalents and maps trades back to original tickers.
+function subscribeTrades(tickers, onTrade) {
+  // Build a reverse mapping: normalized symbol → original ticker(s)
+  const reverseMap = {};
+  tickers.forEach(t => {
+    const norm = normalizeTicker(t);
+    if (!reverseMap[norm]) reverseMap[norm] = [];
+    reverseMap[norm].push(t);
+  });
+
+  // Wrap onTrade to translate ETF symbols back to original index tickers
+  const wrappedOnTrade = (symbol, price) => {
+    // Fire for the ETF symbol's mapped original tickers
+    const originals = reverseMap[symbol];
+    if (originals) {
+      originals.forEach(orig => onTrade(orig, price));
+    }
+    // Also fire for exact matches (non-mapped tickers)
+    if (!originals || !originals.includes(symbol)) {
+      onTrade(symbol, price);
+    }
+  };
+
+  tradeListeners.add(wrappedOnTrade);
+  ensureWS();
+
+  // Subscribe using normalized (ETF) symbols
+  Object.keys(reverseMap).forEach(symbol => {
+    if (!wsSubscribed.has(symbol)) {
+      wsSubscribed.add(symbol);
+      if (ws?.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify({ type: 'subscribe', symbol }));
+      }
+    }
+  });
+
+  return () => { tradeListeners.delete(wrappedOnTrade); };
+}
+
+/** @type {import('./index').MarketDataProvider} */
+export const finnhubProvider = {
+  id:              'finnhub',
+  label:           'Finnhub',
+  candleSources:   ['Finnhub'],
+  rateLimit:       { capacity: 10, refillPerSec: 1 }, // 60 calls/min on the free tier
+  isConfigured:    () => Boolean(KEY),
+  getQuote,
+  getCandles,
+  searchSymbols,
+  subscribeTrades,
+};
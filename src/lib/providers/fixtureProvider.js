@@ -0,0 +1,94 @@
+// ─── Fixture market-data provider ─────────────────────────────────────────────
+// Replays recorded market data from src/fixtures/market/ so the app and every
+// analytic run offline and give the same numbers on every run.  The files are
+// written by scripts/record-market-fixtures.js; a small seed set is committed
+// and other recordings stay local (see .gitignore):
+//
+//   manifest.json   { recordedAt: 'YYYY-MM-DD', tickers: ['SPY', …] }
+//   <TICKER>.json   { ticker, quote, candles: [{ date, price, adjClose }],
+//                     trades: [{ offsetMs, price }] }
+//
+// The market clock (see marketNow in providers/index.js) is pinned to
+// recordedAt, so '1Y' or YTD windows resolve to the same candles however long
+// ago the fixtures were recorded.  Trades replay once per subscription, each
+// `offsetMs` after subscribing.
+
+import { normalizeTicker } from './finnhubProvider';
+import { searchInstruments } from './instrumentSearch';
+
+const MANIFEST = Object.values(
+  import.meta.glob('../../fixtures/market/manifest.json', { eager: true, import: 'default' })
+)[0] ?? null;
+
+// Ticker files load on first use so they stay out of the main bundle
+const FILES = Object.fromEntries(
+  Object.entries(import.meta.glob(['../../fixtures/market/*.json', '!../../fixtures/market/manifest.json'], { import: 'default' }))
+    .map(([path, load]) => [decodeURIComponent(path.split('/').pop().replace(/\.json$/, '')), load])
+);
+
+const loaded = new Map(); // ticker → Promise<fixture | null>
+
+function loadFixture(ticker) {
+  const key = [ticker, ticker?.toUpperCase(), normalizeTicker(ticker)].find(k => FILES[k]);
+  if (!key) return Promise.resolve(null);
+  if (!loaded.has(key)) loaded.set(key, FILES[key]().catch(() => null));
+  return loaded.get(key);
+}
+
+/** The recording date as a Date (after the US close), or null without a manifest. */
+export function fixtureNow() {
+  return MANIFEST?.recordedAt ? new Date(`${MANIFEST.recordedAt}T21:00:00Z`) : null;
+}
+
+async function getQuote(ticker) {
+  const fixture = await loadFixture(ticker);
+  if (fixture?.quote) return fixture.quote;
+  const candles = fixture?.candles ?? [];
+  if (!candles.length) throw new Error(`No fixture for ${ticker}`);
+
+  const last = candles[candles.length - 1];
+  const prev = candles.length > 1 ? candles[candles.length - 2] : last;
+  return {
+    price:         last.price,
+    change:        last.price - prev.price,
+    changePercent: prev.price > 0 ? ((last.price / prev.price) - 1) * 100 : 0,
+    prevClose:     prev.price,
+    high:          null,
+    low:           null,
+    open:          null,
+  };
+}
+
+async function getCandles(ticker, fromDate, toDate) {
+  const fixture = await loadFixture(ticker);
+  return (fixture?.candles ?? []).filter(c => c.date >= fromDate && c.date <= toDate);
+}
+
+function subscribeTrades(tickers, onTrade) {
+  const timers = [];
+  let active = true;
+  tickers.forEach((ticker) => {
+    loadFixture(ticker).then((fixture) => {
+      if (!active) return;
+      (fixture?.trades ?? []).forEach(({ offsetMs, price }) => {
+        timers.push(setTimeout(() => onTrade(ticker, price), offsetMs));
+      });
+    });
+  });
+  return () => {
+    active = false;
+    timers.forEach(clearTimeout);
+  };
+}
+
+/** @type {import('./index').MarketDataProvider} */
+export const fixtureProvider = {
+  id:              'fixture',
+  label:           'Fixtures',
+  candleSources:   ['Fixtures'],
+  isConfigured:    () => Boolean(MANIFEST),
+  getQuote,
+  getCandles,
+  searchSymbols:   async query => searchInstruments(query, new Set(Object.keys(FILES))),
+  subscribeTrades,
+};
@@ -0,0 +1,124 @@
+// ─── Market-data provider selection ───────────────────────────────────────────
+// Every quote, candle, search and trade in the app goes through one provider,
+// chosen per environment by VITE_MARKET_DATA_PROVIDER:
+//
+//   finnhub (default)  Finnhub REST + WebSocket; candles switch to Yahoo for
+//                      good after the first 403 (the free tier has no candles)
+//   yahoo              Yahoo candles and close-based quotes, no key needed
+//   fixture            recorded JSON in src/fixtures/market/ — offline and
+//                      deterministic, for demos and tests
+//
+// MarketDataContext streams quotes and trades from `marketData`; finnhub.js
+// wraps it with caching and builds the analytics.  Nothing else should import
+// a provider module directly.  Each provider's network calls are throttled
+// by requestScheduler.js under a source named after its id, with the bucket
+// size taken from `rateLimit`.
+
+import { configureSource } from '../requestScheduler';
+import { finnhubProvider } from './finnhubProvider';
+import { yahooProvider } from './yahooProvider';
+import { fixtureProvider, fixtureNow } from './fixtureProvider';
+
+/**
+ * @typedef {Object} MarketDataProvider
+ * @property {string} id
+ * @property {string} label             shown in logs and status text; names the current candle source
+ * @property {string[]} candleSources   every label candles may come from (persisted bars are kept
+ *                                      only while their source is in this list)
+ * @property {{ capacity: number, refillPerSec: number }} [rateLimit]
+ *           token bucket for the provider's scheduler source; omitted for local data
+ * @property {() => boolean} isConfigured
+ * @property {(ticker: string, opts?: RequestOpts) => Promise<{ price, change, changePercent, prevClose, high, low, open }>} getQuote
+ * @property {(ticker: string, fromDate: string, toDate: string, opts?: RequestOpts) => Promise<Array<{ date, price, adjClose }>>} getCandles
+ * @property {(tickers: string[], fromDate: string, toDate: string, opts?: RequestOpts) => Promise<{ [ticker: string]: Array<{ date, price, adjClose }> }>} [getCandlesBatch]
+ *           many tickers over one range in one round trip, where the provider supports it;
+ *           tickers missing from the result are fetched singly
+ * @property {(ticker: string, interval: '5m'|'15m'|'1h', span: '1d'|'5d'|'1mo', opts?: RequestOpts) => Promise<{ bars: Array<{ t, price }>, prevClose }>} [getIntradayBars]
+ *           intraday closes for the latest session(s), where the provider has them
+ * @property {(query: string) => Promise<Array<{ ticker, name, type, exchange, last_price }>>} searchSymbols
+ * @property {(tickers: string[], onTrade: (ticker: string, price: number) => void) => () => void} subscribeTrades
+ *           returns an unsubscribe function
+ */
+
+/**
+ * @typedef {Object} RequestOpts
+ * @property {'high'|'normal'|'low'} [priority]  scheduler priority — 'high' for what's on screen
+ */
+
+export const PROVIDERS = { finnhub: finnhubProvider, yahoo: yahooProvider, fixture: fixtureProvider };
+
+Object.values(PROVIDERS).forEach((p) => { if (p.rateLimit) configureSource(p.id, p.rateLimit); });
+
+/**
+ * A provider whose candles come from `fallback` once `primary` answers 403.
+ * Everything else stays on `primary`.  Until `primary` has answered one candle
+ * request, that request is a probe and the rest wait on it — so a fan-out of
+ * tickers doesn't queue one doomed request each on the primary's rate limit.
+ * Batched candles are only available while the current candle source offers
+ * them; intraday bars come from `fallback` unless `primary` has its own.
+ */
+function withCandleFallback(primary, fallback) {
+  let candleSource = primary;
+  let confirmed = false; // primary has served candles
+  let probe = null;      // the in-flight first request while unconfirmed
+
+  async function viaPrimary(ticker, fromDate, toDate, opts) {
+    try {
+      const candles = await primary.getCandles(ticker, fromDate, toDate, opts);
+      confirmed = true;
+      return candles;
+    } catch (err) {
+      if (!err.message.includes('403')) throw err;
+      if (candleSource !== fallback) {
+        console.info(`[Market Data] ${primary.label} candles returned 403 — switching to ${fallback.label}`);
+        candleSource = fallback;
+      }
+      return fallback.getCandles(ticker, fromDate, toDate, opts);
+    }
+  }
+
+  async function getCandles(ticker, fromDate, toDate, opts) {
+    if (candleSource === fallback) return fallback.getCandles(ticker, fromDate, toDate, opts);
+    if (confirmed) return viaPrimary(ticker, fromDate, toDate, opts);
+    if (probe) {
+      await probe.catch(() => {});
+      return getCandles(ticker, fromDate, toDate, opts);
+    }
+    probe = viaPrimary(ticker, fromDate, toDate, opts).finally(() => { probe = null; });
+    return probe;
+  }
+
+  return {
+    ...primary,
+    candleSources: [primary.label, fallback.label],
+    getIntradayBars: primary.getIntradayBars ?? fallback.getIntradayBars,
+    get label() { return candleSource.label; },
+    getCandles,
+    async getCandlesBatch(tickers, fromDate, toDate, opts) {
+      return candleSource.getCandlesBatch ? candleSource.getCandlesBatch(tickers, fromDate, toDate, opts) : {};
+    },
+  };
+}
+
+function selectProvider(id) {
+  if (id === 'yahoo') return yahooProvider;
+  if (id === 'fixture') {
+    if (!fixtureProvider.isConfigured()) {
+      console.warn('[Market Data] No fixtures in src/fixtures/market — run `npm run record:fixtures` first');
+    }
+    return fixtureProvider;
+  }
+  if (id && id !== 'finnhub') console.warn(`[Market Data] Unknown provider "${id}" — using Finnhub`);
+  return withCandleFallback(finnhubProvider, yahooProvider);
+}
+
+/** The active provider for this build. */
+export const marketData = selectProvider(import.meta.env.VITE_MARKET_DATA_PROVIDER);
+
+/**
+ * "Now" for market-data date windows: the recording date under fixtures,
+ * otherwise the wall clock.
+ */
+export function marketNow() {
+  return (marketData.id === 'fixture' && fixtureNow()) || new Date();
+}
@@ -0,0 +1,15 @@
+import { INSTRUMENTS } from '../mockData';
+
+/**
+ * Symbol search against the static instrument list, for providers with no
+ * search endpoint.  `allowed` narrows the results to tickers the provider
+ * actually has data for.
+ * @returns {Array<{ ticker, name, type, exchange, last_price }>}
+ */
+export function searchInstruments(query, allowed = null) {
+  const q = query.toUpperCase();
+  return INSTRUMENTS
+    .filter(i => (!allowed || allowed.has(i.ticker)) && (i.ticker.startsWith(q) || i.name.toUpperCase().includes(q)))
+    .slice(0, 10)
+    .map(i => ({ ticker: i.ticker, name: i.name, type: i.type, exchange: i.exchange, last_price: null }));
+}
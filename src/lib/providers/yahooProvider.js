@@ -0,0 +1,46 @@
+// ─── Yahoo market-data provider ───────────────────────────────────────────────
+// Daily candles through the /api/yahoo-chart proxy (see yahoo.js), with quotes
+// taken from the last two closes.  Yahoo has no free search or streaming API:
+// search runs against the static instrument list and subscribeTrades is a
+// no-op, so prices refresh only when quotes are refetched.  Requests are
+// throttled in yahoo.js under the 'yahoo' scheduler source.
+
+import { getYahooCandles, getYahooCandlesBatch, getYahooIntraday } from '../yahoo';
+import { searchInstruments } from './instrumentSearch';
+
+// Far enough back to span a long weekend plus a holiday
+const QUOTE_LOOKBACK_DAYS = 10;
+
+async function getQuote(ticker, opts) {
+  const to = new Date();
+  const from = new Date(to.getTime() - QUOTE_LOOKBACK_DAYS * 86_400_000);
+  const candles = await getYahooCandles(ticker, from.toISOString().slice(0, 10), to.toISOString().slice(0, 10), opts);
+  if (!candles.length) throw new Error(`No data for ${ticker}`);
+
+  const last = candles[candles.length - 1];
+  const prev = candles.length > 1 ? candles[candles.length - 2] : last;
+  return {
+    price:         last.price,
+    change:        last.price - prev.price,
+    changePercent: prev.price > 0 ? ((last.price / prev.price) - 1) * 100 : 0,
+    prevClose:     prev.price,
+    high:          null,
+    low:           null,
+    open:          null,
+  };
+}
+
+/** @type {import('./index').MarketDataProvider} */
+export const yahooProvider = {
+  id:              'yahoo',
+  label:           'Yahoo',
+  candleSources:   ['Yahoo'],
+  rateLimit:       { capacity: 20, refillPerSec: 10 }, // no published limit — just keep bursts polite
+  isConfigured:    () => true,
+  getQuote,
+  getCandles:      getYahooCandles,
+  getCandlesBatch: getYahooCandlesBatch,
+  getIntradayBars: getYahooIntraday,
+  searchSymbols:   async query => searchInstruments(query),
+  subscribeTrades: () => () => {},
+};
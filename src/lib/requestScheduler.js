@@ -0,0 +1,206 @@
+// ─── Market-data request scheduler ────────────────────────────────────────────
+// Every network call a provider makes goes through schedule(), one queue per
+// source ('finnhub', 'yahoo').  Each source has a token bucket — `capacity`
+// requests in a burst, refilled at `refillPerSec` — set by its provider's
+// `rateLimit` (see providers/index.js) and overridable per environment:
+//
+//   VITE_MARKET_DATA_RATE_LIMITS=finnhub=60/min,yahoo=10/s:20
+//                                 source=count/(s|min)[:burst]
+//
+// Requests with the same key share one network call while it is queued or in
+// flight.  'high' priority (what's on screen now — chart, live quotes) jumps
+// ahead of 'normal' analytics and 'low' background work like dividend
+// history.  An HTTP 429 pauses the whole source with exponential backoff and
+// requeues the request; getSchedulerStats() feeds the debug overlay.
+
+export const PRIORITIES = { high: 0, normal: 1, low: 2 };
+
+const MAX_RETRIES = 4;
+const BACKOFF_BASE_MS = 2_000;
+const BACKOFF_MAX_MS = 60_000;
+const UNLIMITED = { capacity: Infinity, refillPerSec: Infinity };
+
+const sources = new Map(); // id  → { id, capacity, refillPerSec, tokens, updatedAt, pausedUntil, backoffs, queue, inFlight }
+const pending = new Map(); // key → task (queued or in flight)
+const totals = { completed: 0, deduped: 0, retried: 0, failed: 0 };
+let seq = 0;
+let timer = null;
+
+// ── Configuration ────────────────────────────────────────────────────────────
+const UNIT_SECONDS = { s: 1, sec: 1, min: 60, m: 60 };
+
+// "finnhub=60/min,yahoo=10/s:20" → { finnhub: { refillPerSec: 1 }, yahoo: { refillPerSec: 10, capacity: 20 } }
+function parseRateLimits(spec) {
+  const limits = {};
+  (spec ?? '').split(',').forEach((part) => {
+    const m = part.trim().match(/^([\w-]+)=(\d+(?:\.\d+)?)\/(s|sec|min|m)(?::(\d+))?$/);
+    if (!m) {
+      if (part.trim()) console.warn(`[Market Data] Ignoring rate limit "${part.trim()}"`);
+      return;
+    }
+    limits[m[1]] = {
+      refillPerSec: Number(m[2]) / UNIT_SECONDS[m[3]],
+      ...(m[4] ? { capacity: Number(m[4]) } : {}),
+    };
+  });
+  return limits;
+}
+
+const ENV_LIMITS = parseRateLimits(import.meta.env.VITE_MARKET_DATA_RATE_LIMITS);
+
+function sourceState(id) {
+  let src = sources.get(id);
+  if (!src) {
+    src = {
+      id, ...UNLIMITED, tokens: Infinity, updatedAt: Date.now(),
+      pausedUntil: 0, backoffs: 0, queue: [], inFlight: 0,
+    };
+    sources.set(id, src);
+  }
+  return src;
+}
+
+/**
+ * Set a source's token bucket.  Environment overrides win over `limit`.
+ * Sources never configured are unthrottled.
+ * @param {string} id
+ * @param {{ capacity: number, refillPerSec: number }} limit
+ */
+export function configureSource(id, limit) {
+  const src = sourceState(id);
+  const { capacity, refillPerSec } = { ...limit, ...ENV_LIMITS[id] };
+  src.capacity = Math.max(1, capacity ?? Math.ceil(refillPerSec));
+  src.refillPerSec = refillPerSec;
+  src.tokens = Math.min(src.tokens, src.capacity);
+}
+
+// ── Scheduling ───────────────────────────────────────────────────────────────
+
+/**
+ * Run `run` when `source` has a token to spare.  A request with the same key
+ * already queued or in flight is shared instead of repeated (and moved up if
+ * this caller needs it sooner).
+ * @param {string} source
+ * @param {string} key                       identifies identical requests
+ * @param {() => Promise<any>} run           performs the network call
+ * @param {{ priority?: 'high'|'normal'|'low' }} [opts]
+ * @returns {Promise<any>}
+ */
+export function schedule(source, key, run, { priority = 'normal' } = {}) {
+  const rank = PRIORITIES[priority] ?? PRIORITIES.normal;
+  const fullKey = `${source}:${key}`;
+  const existing = pending.get(fullKey);
+  if (existing) {
+    totals.deduped++;
+    existing.priority = Math.min(existing.priority, rank);
+    return existing.promise;
+  }
+
+  const task = { key: fullKey, run, priority: rank, seq: ++seq, attempts: 0 };
+  task.promise = new Promise((resolve, reject) => { task.resolve = resolve; task.reject = reject; });
+  pending.set(fullKey, task);
+  sourceState(source).queue.push(task);
+  pump();
+  return task.promise;
+}
+
+function refill(src, now) {
+  if (src.refillPerSec === Infinity) src.tokens = src.capacity;
+  else src.tokens = Math.min(src.capacity, src.tokens + ((now - src.updatedAt) / 1000) * src.refillPerSec);
+  src.updatedAt = now;
+}
+
+// Highest priority first, then first come first served
+function takeNext(queue) {
+  let best = 0;
+  for (let i = 1; i < queue.length; i++) {
+    const t = queue[i];
+    if (t.priority < queue[best].priority || (t.priority === queue[best].priority && t.seq < queue[best].seq)) best = i;
+  }
+  return queue.splice(best, 1)[0];
+}
+
+// Start whatever the buckets allow, then wake up when the next token is due
+function pump() {
+  clearTimeout(timer);
+  timer = null;
+  const now = Date.now();
+  let wait = Infinity;
+
+  sources.forEach((src) => {
+    refill(src, now);
+    if (!src.queue.length) return;
+    if (now < src.pausedUntil) {
+      wait = Math.min(wait, src.pausedUntil - now);
+      return;
+    }
+    while (src.queue.length && src.tokens >= 1) {
+      src.tokens -= 1;
+      start(src, takeNext(src.queue));
+    }
+    if (src.queue.length) wait = Math.min(wait, ((1 - src.tokens) / src.refillPerSec) * 1000);
+  });
+
+  if (wait < Infinity) timer = setTimeout(pump, Math.max(10, Math.ceil(wait)));
+}
+
+const isRateLimited = err => err?.status === 429 || /\b429\b/.test(err?.message ?? '');
+
+async function start(src, task) {
+  src.inFlight++;
+  task.attempts++;
+  try {
+    const result = await task.run();
+    src.backoffs = 0;
+    pending.delete(task.key);
+    totals.completed++;
+    task.resolve(result);
+  } catch (err) {
+    if (isRateLimited(err) && task.attempts <= MAX_RETRIES) {
+      // Pause the whole source — every queued request would get the same answer
+      const delay = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** src.backoffs);
+      src.backoffs++;
+      src.pausedUntil = Math.max(src.pausedUntil, Date.now() + delay);
+      src.tokens = 0;
+      totals.retried++;
+      src.queue.push(task);
+      console.info(`[Market Data] ${src.id} returned 429 — backing off ${Math.round(delay / 1000)}s`);
+    } else {
+      pending.delete(task.key);
+      totals.failed++;
+      task.reject(err);
+    }
+  } finally {
+    src.inFlight--;
+    pump();
+  }
+}
+
+// ── Debug stats ──────────────────────────────────────────────────────────────
+
+/**
+ * Queue depth per source plus lifetime counters, for the debug overlay.
+ * @returns {{ sources: Array<{ id, queued, inFlight, tokens, capacity, refillPerSec, pausedMs }>,
+ *             queued: number, inFlight: number, completed: number, deduped: number, retried: number, failed: number }}
+ */
+export function getSchedulerStats() {
+  const now = Date.now();
+  const list = [...sources.values()].map((src) => {
+    refill(src, now);
+    return {
+      id:           src.id,
+      queued:       src.queue.length,
+      inFlight:     src.inFlight,
+      tokens:       src.tokens,
+      capacity:     src.capacity,
+      refillPerSec: src.refillPerSec,
+      pausedMs:     Math.max(0, src.pausedUntil - now),
+    };
+  });
+  return {
+    sources:  list,
+    queued:   list.reduce((n, s) => n + s.queued, 0),
+    inFlight: list.reduce((n, s) => n + s.inFlight, 0),
+    ...totals,
+  };
+}
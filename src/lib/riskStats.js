@@ -0,0 +1,313 @@
+// ─── Risk statistics ──────────────────────────────────────────────────────────
+// Pure functions over daily price/growth series (one value per trading day,
+// see priceMatrix.js).  Everything is annualized with 252 trading days.
+
+export const RISK_FREE_RATE = 0.05;
+export const TRADING_DAYS = 252;
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+/** Simple daily returns of a price series. */
+export function dailyReturns(prices) {
+  const returns = [];
+  for (let i = 1; i < prices.length; i++) {
+    if (prices[i - 1] > 0) returns.push(prices[i] / prices[i - 1] - 1);
+  }
+  return returns;
+}
+
+/**
+ * Daily returns of two series over the days where both have a value on the
+ * day and the day before.  Input arrays must be aligned (nullable entries).
+ * @returns {{ a: number[], b: number[] }}
+ */
+export function pairedReturns(pricesA, pricesB) {
+  const a = [];
+  const b = [];
+  for (let i = 1; i < pricesA.length; i++) {
+    const a0 = pricesA[i - 1], a1 = pricesA[i];
+    const b0 = pricesB[i - 1], b1 = pricesB[i];
+    if (a0 > 0 && a1 != null && b0 > 0 && b1 != null) {
+      a.push(a1 / a0 - 1);
+      b.push(b1 / b0 - 1);
+    }
+  }
+  return { a, b };
+}
+
+const mean = xs => xs.reduce((s, x) => s + x, 0) / xs.length;
+
+function annualizedFromDaily(returns) {
+  const growth = returns.reduce((g, r) => g * (1 + r), 1);
+  return Math.pow(growth, TRADING_DAYS / returns.length) - 1;
+}
+
+// ── Standalone metrics ──────────────────────────────────────────────────────
+
+/**
+ * Volatility, max drawdown, Sharpe, Sortino and Calmar for one series.
+ * @param {number[]} prices       — growth or price series, oldest first
+ * @param {number}   tradingDays  — number of trading days the series spans
+ * @returns {{ volatility: number, maxDrawdown: number, sharpe: number, sortino: number, calmar: number }}
+ *   volatility / maxDrawdown in percent
+ */
+export function computeMetrics(prices, tradingDays, { riskFreeRate = RISK_FREE_RATE } = {}) {
+  if (prices.length < 2) return { volatility: 0, maxDrawdown: 0, sharpe: 0, sortino: 0, calmar: 0 };
+  const returns = dailyReturns(prices);
+  // Volatility
+  const avg = mean(returns);
+  const variance = returns.reduce((s, r) => s + (r - avg) ** 2, 0) / returns.length;
+  const vol = Math.sqrt(variance * TRADING_DAYS) * 100;
+  // Max drawdown
+  let peak = prices[0], worstDd = 0;
+  if (peak <= 0) peak = 1;
+  for (let i = 1; i < prices.length; i++) {
+    if (prices[i] > peak) peak = prices[i];
+    if (peak > 0) {
+      const dd = (prices[i] - peak) / peak;
+      if (dd < worstDd) worstDd = dd;
+    }
+  }
+  // Sharpe
+  const totalReturn = prices[prices.length - 1] / prices[0] - 1;
+  const annReturn = Math.pow(1 + totalReturn, TRADING_DAYS / tradingDays) - 1;
+  const sharpe = vol > 0 ? (annReturn - riskFreeRate) / (vol / 100) : 0;
+  // Sortino
+  const dailyRf = Math.pow(1 + riskFreeRate, 1 / TRADING_DAYS) - 1;
+  const downReturns = returns.filter(r => r < dailyRf).map(r => r - dailyRf);
+  const downVar = downReturns.length > 0
+    ? downReturns.reduce((s, r) => s + r ** 2, 0) / downReturns.length
+    : 0;
+  const downVol = Math.sqrt(downVar * TRADING_DAYS);
+  const sortino = downVol > 0 ? (annReturn - riskFreeRate) / downVol : (annReturn > riskFreeRate ? 99 : 0);
+  // Calmar — annualized return per unit of max drawdown
+  const calmar = worstDd < 0 ? annReturn / Math.abs(worstDd) : (annReturn > 0 ? 99 : 0);
+
+  return {
+    volatility: parseFloat(vol.toFixed(2)),
+    maxDrawdown: parseFloat((worstDd * 100).toFixed(2)),
+    sharpe: parseFloat(sharpe.toFixed(2)),
+    sortino: parseFloat(sortino.toFixed(2)),
+    calmar: parseFloat(calmar.toFixed(2)),
+  };
+}
+
+// ── Benchmark-relative metrics ──────────────────────────────────────────────
+
+/**
+ * Portfolio statistics relative to a benchmark, from aligned daily series.
+ *   beta             — cov(p, b) / var(b)
+ *   alpha            — Jensen's alpha, annualized %: Rp − [Rf + β(Rb − Rf)]
+ *   correlation, rSquared
+ *   trackingError    — annualized stdev of daily active return, %
+ *   informationRatio — (Rp − Rb) / tracking error
+ *   upCapture / downCapture — mean portfolio return on benchmark up (down)
+ *                      days as % of the benchmark's mean on those days
+ * @param {Array<number|null>} portPrices
+ * @param {Array<number|null>} benchPrices — same length and dates as portPrices
+ * @returns {object|null}  null when fewer than two overlapping returns
+ */
+export function computeRelativeMetrics(portPrices, benchPrices, { riskFreeRate = RISK_FREE_RATE } = {}) {
+  const { a: p, b } = pairedReturns(portPrices, benchPrices);
+  if (p.length < 2) return null;
+
+  const meanP = mean(p);
+  const meanB = mean(b);
+  let cov = 0, varP = 0, varB = 0, varActive = 0;
+  const meanActive = meanP - meanB;
+  for (let i = 0; i < p.length; i++) {
+    cov  += (p[i] - meanP) * (b[i] - meanB);
+    varP += (p[i] - meanP) ** 2;
+    varB += (b[i] - meanB) ** 2;
+    varActive += (p[i] - b[i] - meanActive) ** 2;
+  }
+  cov /= p.length; varP /= p.length; varB /= p.length; varActive /= p.length;
+
+  const beta = varB > 0 ? cov / varB : 0;
+  const correlation = varP > 0 && varB > 0 ? cov / Math.sqrt(varP * varB) : 0;
+
+  const annP = annualizedFromDaily(p);
+  const annB = annualizedFromDaily(b);
+  const alpha = annP - (riskFreeRate + beta * (annB - riskFreeRate));
+
+  const trackingError = Math.sqrt(varActive * TRADING_DAYS);
+  const informationRatio = trackingError > 0 ? (annP - annB) / trackingError : 0;
+
+  function capture(filter) {
+    const idx = b.map((r, i) => (filter(r) ? i : -1)).filter(i => i >= 0);
+    if (!idx.length) return null;
+    const benchAvg = mean(idx.map(i => b[i]));
+    return benchAvg !== 0 ? (mean(idx.map(i => p[i])) / benchAvg) * 100 : null;
+  }
+  const upCapture = capture(r => r > 0);
+  const downCapture = capture(r => r < 0);
+
+  return {
+    beta: parseFloat(beta.toFixed(2)),
+    alpha: parseFloat((alpha * 100).toFixed(2)),
+    correlation: parseFloat(correlation.toFixed(2)),
+    rSquared: parseFloat((correlation ** 2).toFixed(2)),
+    trackingError: parseFloat((trackingError * 100).toFixed(2)),
+    informationRatio: parseFloat(informationRatio.toFixed(2)),
+    upCapture: upCapture != null ? parseFloat(upCapture.toFixed(1)) : null,
+    downCapture: downCapture != null ? parseFloat(downCapture.toFixed(1)) : null,
+  };
+}
+
+// ── Value at Risk / Expected Shortfall ──────────────────────────────────────
+
+export const VAR_LEVELS   = [0.95, 0.99];
+export const VAR_HORIZONS = [1, 10]; // trading days
+
+// One-sided standard normal quantiles
+const Z_SCORES = { 0.95: 1.6449, 0.99: 2.3263 };
+// Below this many overlapping multi-day windows, scale the 1-day figure by √h
+const MIN_HORIZON_SAMPLES = 60;
+
+const normalPdf = z => Math.exp(-(z ** 2) / 2) / Math.sqrt(2 * Math.PI);
+
+function historicalTail(returns, level) {
+  const sorted = [...returns].sort((x, y) => x - y);
+  const k = Math.max(1, Math.ceil((1 - level) * sorted.length));
+  const tail = sorted.slice(0, k);
+  return { var: -sorted[k - 1], cvar: -mean(tail) };
+}
+
+const asPct = ({ var: v, cvar }) => ({
+  var: parseFloat((v * 100).toFixed(2)),
+  cvar: parseFloat((cvar * 100).toFixed(2)),
+});
+
+/**
+ * Historical and parametric (normal) VaR and CVaR for each horizon/level.
+ * Losses are positive percentages of portfolio value.
+ *   historical — empirical quantile of overlapping h-day returns (√h-scaled
+ *                1-day figures when the window is too short)
+ *   parametric — μh − zσ√h from the daily mean/stdev
+ * @param {number[]} prices — composite portfolio series, oldest first
+ * @returns {{ observations: number, historical: Object, parametric: Object } | null}
+ *   historical[h][level] = { var, cvar }, e.g. historical[10][0.99].cvar
+ */
+export function computeValueAtRisk(prices, { levels = VAR_LEVELS, horizons = VAR_HORIZONS } = {}) {
+  const daily = dailyReturns(prices);
+  if (daily.length < 20) return null;
+
+  const mu = mean(daily);
+  const sigma = Math.sqrt(daily.reduce((s, r) => s + (r - mu) ** 2, 0) / (daily.length - 1));
+
+  const historical = {};
+  const parametric = {};
+  horizons.forEach(h => {
+    historical[h] = {};
+    parametric[h] = {};
+
+    const windows = [];
+    if (h > 1) {
+      for (let i = h; i < prices.length; i++) {
+        if (prices[i - h] > 0) windows.push(prices[i] / prices[i - h] - 1);
+      }
+    }
+    const useWindows = h === 1 || windows.length >= MIN_HORIZON_SAMPLES;
+
+    levels.forEach(level => {
+      if (useWindows) {
+        historical[h][level] = asPct(historicalTail(h === 1 ? daily : windows, level));
+      } else {
+        const one = historicalTail(daily, level);
+        historical[h][level] = asPct({ var: one.var * Math.sqrt(h), cvar: one.cvar * Math.sqrt(h) });
+      }
+
+      const z = Z_SCORES[level] ?? 1.6449;
+      const scale = sigma * Math.sqrt(h);
+      parametric[h][level] = asPct({
+        var: -(mu * h - z * scale),
+        cvar: -(mu * h - scale * normalPdf(z) / (1 - level)),
+      });
+    });
+  });
+
+  return { observations: daily.length, historical, parametric };
+}
+
+// ── Correlation & risk contribution ─────────────────────────────────────────
+
+function pairStats(pricesA, pricesB) {
+  const { a, b } = pairedReturns(pricesA, pricesB);
+  if (a.length < 2) return null;
+  const meanA = mean(a);
+  const meanB = mean(b);
+  let cov = 0, varA = 0, varB = 0;
+  for (let i = 0; i < a.length; i++) {
+    cov  += (a[i] - meanA) * (b[i] - meanB);
+    varA += (a[i] - meanA) ** 2;
+    varB += (b[i] - meanB) ** 2;
+  }
+  return { cov: cov / a.length, varA: varA / a.length, varB: varB / a.length, n: a.length };
+}
+
+/**
+ * Annualized covariance and correlation matrices over pairwise-overlapping
+ * daily returns.  Columns are aligned (nullable) price/growth series.
+ * @returns {{ covariance: number[][], correlation: Array<Array<number|null>> }}
+ *   correlation entries are null when a pair has too little overlap
+ */
+export function covarianceMatrix(priceCols) {
+  const n = priceCols.length;
+  const covariance  = Array.from({ length: n }, () => Array(n).fill(0));
+  const correlation = Array.from({ length: n }, () => Array(n).fill(null));
+  for (let i = 0; i < n; i++) {
+    for (let j = i; j < n; j++) {
+      const s = pairStats(priceCols[i], priceCols[j]);
+      if (!s) continue;
+      const cov = s.cov * TRADING_DAYS;
+      covariance[i][j] = covariance[j][i] = cov;
+      const corr = s.varA > 0 && s.varB > 0 ? s.cov / Math.sqrt(s.varA * s.varB) : null;
+      correlation[i][j] = correlation[j][i] = i === j ? 1 : corr;
+    }
+  }
+  return { covariance, correlation };
+}
+
+/**
+ * Annualized arithmetic mean of each column's daily returns (fraction) — the
+ * expected-return input for mean-variance optimization.  null for columns
+ * with fewer than two prices.
+ */
+export function expectedReturns(priceCols) {
+  return priceCols.map(col => {
+    const returns = dailyReturns(col.filter(p => p != null));
+    return returns.length ? mean(returns) * TRADING_DAYS : null;
+  });
+}
+
+/**
+ * Each holding's share of portfolio volatility (Euler decomposition).
+ *   marginal     — ∂σp/∂wi = (Σw)i / σp, in % vol per unit weight
+ *   contribution — wi × marginal, in % vol (sums to portfolio volatility)
+ *   share        — contribution / σp, in % (sums to 100)
+ * @param {number[][]} covariance — annualized (see covarianceMatrix)
+ * @param {number[]}   weights    — any scale; normalized to sum to 1
+ * @returns {{ volatility: number, holdings: Array<{ weight, marginal, contribution, share }> } | null}
+ */
+export function volatilityContributions(covariance, weights) {
+  const total = weights.reduce((s, w) => s + (w || 0), 0);
+  if (!(total > 0)) return null;
+  const w = weights.map(x => (x || 0) / total);
+  const sigmaW = covariance.map(row => row.reduce((s, c, j) => s + c * w[j], 0));
+  const variance = w.reduce((s, wi, i) => s + wi * sigmaW[i], 0);
+  if (!(variance > 0)) return null;
+  const vol = Math.sqrt(variance);
+
+  return {
+    volatility: parseFloat((vol * 100).toFixed(2)),
+    holdings: w.map((wi, i) => {
+      const marginal = sigmaW[i] / vol;
+      return {
+        weight: parseFloat((wi * 100).toFixed(2)),
+        marginal: parseFloat((marginal * 100).toFixed(2)),
+        contribution: parseFloat((wi * marginal * 100).toFixed(2)),
+        share: parseFloat(((wi * marginal / vol) * 100).toFixed(1)),
+      };
+    }),
+  };
+}
@@ -0,0 +1,109 @@
+// ─── Rolling-window analytics ─────────────────────────────────────────────────
+// Trailing-window return, volatility, Sharpe, beta and excess return vs the
+// benchmark, evaluated at every date.  Pure functions only — callers pass
+// calendar-aligned growth series (see getRealRollingSeries in finnhub.js).
+// Each window is summed incrementally, so a full series is one O(n) pass.
+//
+// Definitions match computeMetrics / computeRelativeMetrics in riskStats.js:
+//   return     — cumulative over the window
+//   volatility — annualized stdev of daily returns
+//   sharpe     — (window return annualized − rf) / volatility
+//   beta       — cov(p, b) / var(b) of daily returns
+//   excess     — window return − benchmark window return
+
+import { TRADING_DAYS } from './riskStats';
+
+export const ROLLING_WINDOWS = [
+  { label: '3M', days: 63 },
+  { label: '6M', days: 126 },
+  { label: '1Y', days: 252 },
+];
+
+export const ROLLING_METRICS = [
+  { value: 'return',     label: 'Return',     unit: '%' },
+  { value: 'volatility', label: 'Volatility', unit: '%' },
+  { value: 'sharpe',     label: 'Sharpe',     unit: '' },
+  { value: 'beta',       label: 'Beta',       unit: '' },
+  { value: 'excess',     label: 'Excess',     unit: '%' },
+];
+
+// Daily returns aligned to the series (index 0 is null)
+function returnsOf(values) {
+  return values.map((v, i) => (i > 0 && values[i - 1] > 0 && v != null ? v / values[i - 1] - 1 : null));
+}
+
+/**
+ * Rolling statistics over a trailing window.
+ * @param {string[]} dates
+ * @param {number[]} portfolio — growth series aligned to dates
+ * @param {Array<number|null>|null} benchmark — growth series aligned to dates, or null
+ * @param {number} window — trading days
+ * @param {{ riskFreeRate?: number }} [opts] — annual fraction
+ * @returns {Array<{ date, return, volatility, sharpe, beta, excess,
+ *                   benchReturn, benchVolatility, benchSharpe }>}
+ *          one row per date with a full window behind it; benchmark fields
+ *          are null where the benchmark is missing any day of the window
+ */
+export function rollingStats(dates, portfolio, benchmark, window, { riskFreeRate = 0 } = {}) {
+  const p = returnsOf(portfolio);
+  const b = benchmark ? returnsOf(benchmark) : null;
+  const out = [];
+  if (dates.length <= window) return out;
+
+  // Running sums over the last `window` returns
+  let sp = 0, spp = 0, sb = 0, sbb = 0, spb = 0, nb = 0;
+  const add = (i, sign) => {
+    const rp = p[i] ?? 0;
+    sp += sign * rp;
+    spp += sign * rp * rp;
+    if (b && b[i] != null && p[i] != null) {
+      sb += sign * b[i];
+      sbb += sign * b[i] * b[i];
+      spb += sign * rp * b[i];
+      nb += sign;
+    }
+  };
+
+  const stats = (sum, sumSq, n) => {
+    const mean = sum / n;
+    const variance = Math.max(0, sumSq / n - mean * mean);
+    return Math.sqrt(variance * TRADING_DAYS);
+  };
+  const sharpeOf = (growth, vol) => {
+    const ann = Math.pow(growth, TRADING_DAYS / window) - 1;
+    return vol > 0 ? (ann - riskFreeRate) / vol : null;
+  };
+  const round = (v, dp = 2) => (v != null && Number.isFinite(v) ? parseFloat(v.toFixed(dp)) : null);
+
+  for (let i = 1; i < dates.length; i++) {
+    add(i, 1);
+    if (i > window) add(i - window, -1);
+    if (i < window) continue;
+
+    const start = i - window;
+    const growth = portfolio[start] > 0 ? portfolio[i] / portfolio[start] : null;
+    const vol = stats(sp, spp, window);
+    const benchFull = b && nb === window && benchmark[start] > 0 && benchmark[i] != null;
+    const benchGrowth = benchFull ? benchmark[i] / benchmark[start] : null;
+    const benchVol = benchFull ? stats(sb, sbb, nb) : null;
+    let beta = null;
+    if (benchFull) {
+      const cov = spb / nb - (sp / window) * (sb / nb);
+      const varB = sbb / nb - (sb / nb) ** 2;
+      beta = varB > 0 ? cov / varB : null;
+    }
+
+    out.push({
+      date: dates[i],
+      return: round(growth != null ? (growth - 1) * 100 : null),
+      volatility: round(vol * 100),
+      sharpe: round(growth != null ? sharpeOf(growth, vol) : null),
+      beta: round(beta),
+      excess: round(growth != null && benchGrowth != null ? (growth - benchGrowth) * 100 : null),
+      benchReturn: round(benchGrowth != null ? (benchGrowth - 1) * 100 : null),
+      benchVolatility: round(benchVol != null ? benchVol * 100 : null),
+      benchSharpe: round(benchGrowth != null ? sharpeOf(benchGrowth, benchVol) : null),
+    });
+  }
+  return out;
+}
@@ -13,6 +13,7 @@ export function sanitizeHolding(h) {
     weight_percent: Number(h.weight_percent) || 0,
     last_price: Number(h.last_price) || 0,
     entry_price: h.entry_price != null ? Number(h.entry_price) || 0 : undefined,
+    drip: typeof h.drip === 'boolean' ? h.drip : undefined,
   };
 }
 
@@ -35,6 +36,20 @@ export function sanitizePortfolio(p) {
       : [],
     weight_history: Array.isArray(p.weight_history) ? p.weight_history : [],
     schwab_account_hash: typeof p.schwab_account_hash === 'string' ? p.schwab_account_hash : null,
+    projection: sanitizeProjection(p.projection),
+  };
+}
+
+export function sanitizeProjection(pr) {
+  if (!pr || typeof pr !== 'object') return null;
+  const num = (v, fallback) => (Number.isFinite(Number(v)) ? Number(v) : fallback);
+  return {
+    years: num(pr.years, 20),
+    annual_contribution: num(pr.annual_contribution, 0),
+    annual_withdrawal: num(pr.annual_withdrawal, 0),
+    inflation_pct: num(pr.inflation_pct, 2.5),
+    target_value: pr.target_value != null ? num(pr.target_value, null) : null,
+    method: pr.method === 'parametric' ? 'parametric' : 'bootstrap',
   };
 }
 
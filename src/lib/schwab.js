@@ -32,13 +32,16 @@ async function getAuthHeaders() {
 // ── In-memory caches ─────────────────────────────────────────────────────────
 const positionsCache = new Map(); // accountHash → { data, ts }
 const accountsCache  = new Map(); // userId → { data, ts }
+const flowsCache     = new Map(); // `${userId}:${accountHash}:${fromDate}` → { data, ts }
 const POSITIONS_TTL  = 60_000;    // 60 s — positions don't change frequently
 const ACCOUNTS_TTL   = 300_000;   // 5 min
+const FLOWS_TTL      = 300_000;   // 5 min
 
 /** Clear all Schwab caches. */
 export function clearSchwabCache() {
   positionsCache.clear();
   accountsCache.clear();
+  flowsCache.clear();
 }
 
 // ── Ticker normalization ─────────────────────────────────────────────────────
@@ -144,6 +147,36 @@ export async function getSchwabPositions(userId, accountHash) {
   return data;
 }
 
+/**
+ * Fetch deposits, withdrawals and transfers for a Schwab account since `fromDate`.
+ * Returns: [{ id, date: 'YYYY-MM-DD', amount (+ in / − out), type, description }]
+ */
+export async function getSchwabCashFlows(userId, accountHash, fromDate) {
+  const cacheKey = `${userId}:${accountHash}:${fromDate}`;
+  const cached = flowsCache.get(cacheKey);
+  if (cached && Date.now() - cached.ts < FLOWS_TTL) return cached.data;
+
+  const headers = await getAuthHeaders();
+  const res = await fetch(
+    `/api/schwab-proxy?action=transactions&user_id=${encodeURIComponent(userId)}&account=${encodeURIComponent(accountHash)}&from=${encodeURIComponent(fromDate)}`,
+    { headers }
+  );
+  if (res.status === 401) {
+    const body = await res.json().catch(() => ({}));
+    logError({ level: 'error', message: `Schwab transactions 401: ${body.error || 'unknown'}`, source: 'schwab', metadata: { userId, accountHash, status: 401, body } });
+    if (body.error === 'reauth_required') throw new Error('reauth_required');
+    throw new Error('Unauthorized');
+  }
+  if (!res.ok) {
+    logError({ level: 'error', message: `Schwab transactions fetch failed: ${res.status}`, source: 'schwab', metadata: { userId, accountHash, status: res.status } });
+    throw new Error(`Schwab transactions fetch failed: ${res.status}`);
+  }
+
+  const data = (await res.json()).flows || [];
+  flowsCache.set(cacheKey, { data, ts: Date.now() });
+  return data;
+}
+
 /**
  * Unlink Schwab account for a user (deletes stored tokens).
  */
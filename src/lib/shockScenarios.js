@@ -0,0 +1,170 @@
+// ─── Hypothetical shock scenarios ─────────────────────────────────────────────
+// "What if" moves — equities −20%, rates +100bp, tech −30% — pushed through
+// each holding's estimated betas to a set of proxy ETFs.  Pure functions only;
+// callers pass calendar-aligned growth columns (see getRealFactorReturns in
+// finnhub.js).
+//
+// For a scenario, every holding's daily returns are regressed on the daily
+// returns of the shocked factors only.  Factors left out of the scenario are
+// not held at zero — their usual co-movement is absorbed into the betas of
+// the factors that are shocked.  Estimated holding return = Σ βk × shockk.
+
+import { BOND_METADATA } from './mockData';
+
+// Effective duration of the rates proxy (AGG), years — turns a yield move in
+// bp into a proxy return: −duration × Δy
+export const RATE_PROXY_DURATION = BOND_METADATA.AGG.duration;
+
+export const SHOCK_FACTORS = [
+  { id: 'equity',     label: 'US equities',      proxy: 'SPY', unit: '%' },
+  { id: 'smallcap',   label: 'US small caps',    proxy: 'IWM', unit: '%' },
+  { id: 'intl',       label: 'Intl developed',   proxy: 'EFA', unit: '%' },
+  { id: 'em',         label: 'Emerging markets', proxy: 'EEM', unit: '%' },
+  { id: 'tech',       label: 'Technology',       proxy: 'XLK', unit: '%' },
+  { id: 'financials', label: 'Financials',       proxy: 'XLF', unit: '%' },
+  { id: 'energy',     label: 'Energy',           proxy: 'XLE', unit: '%' },
+  { id: 'rates',      label: 'Rates',            proxy: 'AGG', unit: 'bp' },
+  { id: 'credit',     label: 'High yield',       proxy: 'HYG', unit: '%' },
+  { id: 'realestate', label: 'Real estate',      proxy: 'VNQ', unit: '%' },
+  { id: 'gold',       label: 'Gold',             proxy: 'GLD', unit: '%' },
+];
+
+// Built-in scenarios; user-defined ones are saved in settings.shock_scenarios
+export const PRESET_SHOCK_SCENARIOS = [
+  { id: 'preset-bear',     name: 'Equity bear market', shocks: { equity: -20 } },
+  { id: 'preset-tech',     name: 'Tech-led selloff',   shocks: { equity: -20, rates: 100, tech: -30 } },
+  { id: 'preset-rates',    name: 'Rates +100bp',       shocks: { rates: 100 } },
+  { id: 'preset-stagflat', name: 'Stagflation',        shocks: { equity: -15, rates: 150, energy: 20, gold: 10 } },
+];
+
+const MIN_OBSERVATIONS = 60;
+
+/**
+ * Proxy return (fraction) implied by a factor shock.
+ * @param {{ unit: '%'|'bp' }} factor
+ * @param {number} shock — percent, or basis points for 'bp' factors
+ */
+export function factorShockReturn(factor, shock) {
+  return factor.unit === 'bp'
+    ? -RATE_PROXY_DURATION * (shock / 10000)
+    : shock / 100;
+}
+
+// Daily returns aligned to the column, null where either day is missing
+function returnColumn(col) {
+  return col.slice(1).map((v, i) => (col[i] > 0 && v != null ? v / col[i] - 1 : null));
+}
+
+// Solve A·x = b by Gaussian elimination with partial pivoting
+function solve(a, b) {
+  const n = b.length;
+  const m = a.map((row, i) => [...row, b[i]]);
+  for (let c = 0; c < n; c++) {
+    let pivot = c;
+    for (let r = c + 1; r < n; r++) if (Math.abs(m[r][c]) > Math.abs(m[pivot][c])) pivot = r;
+    if (!(Math.abs(m[pivot][c]) > 1e-14)) return null;
+    [m[c], m[pivot]] = [m[pivot], m[c]];
+    for (let r = c + 1; r < n; r++) {
+      const f = m[r][c] / m[c][c];
+      for (let k = c; k <= n; k++) m[r][k] -= f * m[c][k];
+    }
+  }
+  const x = Array(n).fill(0);
+  for (let r = n - 1; r >= 0; r--) {
+    let s = m[r][n];
+    for (let k = r + 1; k < n; k++) s -= m[r][k] * x[k];
+    x[r] = s / m[r][r];
+  }
+  return x;
+}
+
+/**
+ * OLS of y on xs with an intercept, over the rows where every series has a value.
+ * @param {Array<number|null>}   y
+ * @param {Array<Array<number|null>>} xs — one return series per factor, aligned to y
+ * @returns {{ alpha: number, betas: number[], r2: number, observations: number } | null}
+ */
+export function regressBetas(y, xs) {
+  const rows = [];
+  for (let i = 0; i < y.length; i++) {
+    if (y[i] == null || xs.some(x => x[i] == null)) continue;
+    rows.push([1, ...xs.map(x => x[i]), y[i]]);
+  }
+  const k = xs.length + 1;
+  if (rows.length < Math.max(MIN_OBSERVATIONS, k * 10)) return null;
+
+  const xtx = Array.from({ length: k }, () => Array(k).fill(0));
+  const xty = Array(k).fill(0);
+  for (const r of rows) {
+    for (let i = 0; i < k; i++) {
+      xty[i] += r[i] * r[k];
+      for (let j = 0; j < k; j++) xtx[i][j] += r[i] * r[j];
+    }
+  }
+  const coef = solve(xtx, xty);
+  if (!coef) return null;
+
+  const yMean = rows.reduce((s, r) => s + r[k], 0) / rows.length;
+  let ssRes = 0;
+  let ssTot = 0;
+  for (const r of rows) {
+    const fit = coef.reduce((s, c, i) => s + c * r[i], 0);
+    ssRes += (r[k] - fit) ** 2;
+    ssTot += (r[k] - yMean) ** 2;
+  }
+  return {
+    alpha: coef[0],
+    betas: coef.slice(1),
+    r2: ssTot > 0 ? 1 - ssRes / ssTot : 0,
+    observations: rows.length,
+  };
+}
+
+/**
+ * Estimated P&L of a shock scenario.
+ * @param {Object} args
+ * @param {Array<{ ticker: string, weight: number, growth: Array<number|null> }>} args.holdings
+ *        weight in % of the invested sleeve; growth aligned to the factor columns
+ * @param {Object<string, Array<number|null>>} args.factors — proxy ticker → growth column
+ * @param {{ shocks: Object<string, number> }} args.scenario — factor id → shock
+ * @param {number} [args.investedFraction=1] — 1 − cash share; cash is assumed unshocked
+ * @returns {{
+ *   portfolioReturn: number,                       % of the whole portfolio
+ *   factors: Array<{ id, label, proxy, shock, unit, proxyReturn }>,
+ *   holdings: Array<{ ticker, weight, betas: Object<string, number>, r2, return, contribution }>,
+ *   unestimated: string[]                           tickers too short to regress (contribute 0)
+ * } | null}  null when the scenario shocks nothing
+ */
+export function applyShockScenario({ holdings, factors, scenario, investedFraction = 1 }) {
+  const shocked = SHOCK_FACTORS
+    .filter(f => scenario.shocks?.[f.id] != null && scenario.shocks[f.id] !== 0 && factors[f.proxy])
+    .map(f => ({ ...f, shock: scenario.shocks[f.id], proxyReturn: factorShockReturn(f, scenario.shocks[f.id]) }));
+  if (!shocked.length) return null;
+
+  const xs = shocked.map(f => returnColumn(factors[f.proxy]));
+  const totalWeight = holdings.reduce((s, h) => s + (h.weight || 0), 0) || 1;
+  const unestimated = [];
+
+  const rows = holdings.map((h) => {
+    const fit = regressBetas(returnColumn(h.growth), xs);
+    if (!fit) unestimated.push(h.ticker);
+    const betas = Object.fromEntries(shocked.map((f, i) => [f.id, fit ? fit.betas[i] : null]));
+    const ret = fit ? shocked.reduce((s, f, i) => s + fit.betas[i] * f.proxyReturn, 0) : 0;
+    const weight = (h.weight || 0) / totalWeight;
+    return {
+      ticker: h.ticker,
+      weight: h.weight || 0,
+      betas,
+      r2: fit ? fit.r2 : null,
+      return: ret * 100,
+      contribution: weight * investedFraction * ret * 100,
+    };
+  });
+
+  return {
+    portfolioReturn: rows.reduce((s, r) => s + r.contribution, 0),
+    factors: shocked.map(({ id, label, proxy, shock, unit, proxyReturn }) => ({ id, label, proxy, shock, unit, proxyReturn: proxyReturn * 100 })),
+    holdings: rows,
+    unestimated,
+  };
+}
@@ -0,0 +1,78 @@
+// ─── Historical stress tests ──────────────────────────────────────────────────
+// Replays a growth series through a stress window and measures how it held up.
+// Pure functions only — callers pass calendar-aligned growth values (see
+// getRealStressTests in finnhub.js).
+//
+// For each window:
+//   return      — start of window → end of window
+//   maxDrawdown — worst peak-to-trough fall inside the window
+//   worstDay    — worst single daily return inside the window
+//   recovery    — trading days from the trough until the pre-trough peak is
+//                 regained, searched past the window end; null if it never was
+
+export const STRESS_SCENARIOS = [
+  { id: 'gfc',   label: '2008 Financial Crisis', from: '2007-10-09', to: '2009-03-09' },
+  { id: 'q418',  label: '2018 Q4 Selloff',       from: '2018-09-20', to: '2018-12-24' },
+  { id: 'covid', label: '2020 COVID Crash',      from: '2020-02-19', to: '2020-03-23' },
+  { id: 'rates', label: '2022 Rate Shock',       from: '2022-01-03', to: '2022-10-12' },
+];
+
+// How far past a window's end to look for recovery
+export const RECOVERY_LOOKAHEAD_DAYS = 6 * 365;
+
+/**
+ * Stress statistics for one growth series.
+ * @param {Array<number|null>} values — growth/price per date, aligned to dates
+ * @param {string[]} dates
+ * @param {number} startIdx — first index of the window
+ * @param {number} endIdx   — last index of the window
+ * @returns {{
+ *   return: number, maxDrawdown: number, troughDate: string,
+ *   worstDay: number|null, worstDayDate: string|null,
+ *   recoveryDays: number|null, recoveryDate: string|null
+ * } | null}  percentages; null when the series has no value at the window start
+ */
+export function stressStats(values, dates, startIdx, endIdx) {
+  const base = values[startIdx];
+  if (!(base > 0)) return null;
+
+  let peak = base;
+  let peakBeforeTrough = base;
+  let maxDrawdown = 0;
+  let troughIdx = startIdx;
+  let worstDay = null;
+  let worstDayIdx = null;
+  let last = base;
+  let lastIdx = startIdx;
+
+  for (let i = startIdx + 1; i <= endIdx; i++) {
+    const v = values[i];
+    if (v == null) continue;
+    const daily = v / last - 1;
+    if (worstDay == null || daily < worstDay) { worstDay = daily; worstDayIdx = i; }
+    last = v;
+    lastIdx = i;
+    if (v > peak) peak = v;
+    const dd = v / peak - 1;
+    if (dd < maxDrawdown) { maxDrawdown = dd; troughIdx = i; peakBeforeTrough = peak; }
+  }
+
+  // Recovery — first close back at the peak that preceded the trough
+  let recoveryIdx = null;
+  if (maxDrawdown < 0) {
+    for (let i = troughIdx + 1; i < values.length; i++) {
+      if (values[i] != null && values[i] >= peakBeforeTrough) { recoveryIdx = i; break; }
+    }
+  }
+
+  const pct = v => parseFloat((v * 100).toFixed(2));
+  return {
+    return: pct(values[lastIdx] / base - 1),
+    maxDrawdown: pct(maxDrawdown),
+    troughDate: dates[troughIdx],
+    worstDay: worstDay != null ? pct(worstDay) : null,
+    worstDayDate: worstDayIdx != null ? dates[worstDayIdx] : null,
+    recoveryDays: maxDrawdown === 0 ? 0 : recoveryIdx != null ? recoveryIdx - troughIdx : null,
+    recoveryDate: recoveryIdx != null ? dates[recoveryIdx] : null,
+  };
+}
@@ -0,0 +1,85 @@
+// ─── Total-return series ──────────────────────────────────────────────────────
+// Turns raw candles ([{ date, price, adjClose }]) into growth multipliers that
+// account for dividends.  Yahoo's adjClose folds every dividend back into the
+// price history, which is exactly a DRIP-on total return.  For DRIP-off we
+// recover the per-share cash dividend from the jumps in the adjustment factor
+// (adjClose / price) and let it accumulate as uninvested cash.
+//
+// Finnhub candles carry adjClose === price, so they degrade to price return.
+
+// Ignore adjustment-factor wobble smaller than this (Yahoo rounds adjClose)
+const MIN_DIVIDEND_RATIO = 1e-4;
+
+/**
+ * Extract per-share cash dividends from the adjustment-factor steps.
+ * Yahoo scales every close before an ex-date by (1 − D / prevClose), so
+ * D = prevClose × (1 − factorBefore / factorOnExDate).
+ * @returns {Array<{date: string, amount: number}>}
+ */
+export function dividendsFromCandles(candles) {
+  const divs = [];
+  for (let i = 1; i < candles.length; i++) {
+    const prev = candles[i - 1];
+    const cur  = candles[i];
+    if (!prev.price || !cur.price || prev.adjClose == null || cur.adjClose == null) continue;
+    const prevFactor = prev.adjClose / prev.price;
+    const curFactor  = cur.adjClose / cur.price;
+    if (!(curFactor > 0)) continue;
+    const ratio = 1 - prevFactor / curFactor;
+    if (ratio > MIN_DIVIDEND_RATIO) divs.push({ date: cur.date, amount: prev.price * ratio });
+  }
+  return divs;
+}
+
+/**
+ * Growth multiplier for every candle date, relative to the first candle.
+ *   mode 'price'              → price / startPrice
+ *   mode 'total', drip: true  → adjClose / startAdjClose
+ *   mode 'total', drip: false → (price + dividends received so far) / startPrice
+ * @param {Array<{date: string, price: number, adjClose?: number}>} candles
+ * @param {{ mode?: 'price'|'total', drip?: boolean }} [opts]
+ * @returns {Object<string, number>}  date → multiplier (1 = flat)
+ */
+export function buildGrowthMap(candles, { mode = 'total', drip = true } = {}) {
+  const map = {};
+  if (!candles?.length) return map;
+
+  const start = candles[0];
+  if (mode === 'total' && drip) {
+    const base = start.adjClose ?? start.price;
+    if (!(base > 0)) return map;
+    candles.forEach(d => { map[d.date] = (d.adjClose ?? d.price) / base; });
+    return map;
+  }
+
+  if (!(start.price > 0)) return map;
+  if (mode === 'price') {
+    candles.forEach(d => { map[d.date] = d.price / start.price; });
+    return map;
+  }
+
+  // DRIP off — dividends pile up as cash alongside the (unchanged) share count
+  const divByDate = {};
+  dividendsFromCandles(candles).forEach(d => { divByDate[d.date] = d.amount; });
+  let cash = 0;
+  candles.forEach(d => {
+    cash += divByDate[d.date] ?? 0;
+    map[d.date] = (d.price + cash) / start.price;
+  });
+  return map;
+}
+
+/**
+ * Growth multiplier between two dates (inclusive start, inclusive end).
+ * Returns null when either end has no candle.
+ */
+export function growthBetween(candles, startDate, endDate, opts) {
+  const window = candles.filter(d => d.date >= startDate && d.date <= endDate);
+  if (!window.length || window[0].date !== startDate || window[window.length - 1].date !== endDate) return null;
+  return buildGrowthMap(window, opts)[endDate] ?? null;
+}
+
+/** Resolve a holding's DRIP flag: per-holding override, else the portfolio default. */
+export function holdingDrip(holding, portfolioDrip = true) {
+  return holding?.drip ?? portfolioDrip;
+}
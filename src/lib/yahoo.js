@@ -1,9 +1,15 @@
 // ─── Yahoo Finance historical candle client ──────────────────────────────────
 // Uses the /api/yahoo-chart serverless proxy (Vercel) or Vite dev proxy
-// to fetch free historical daily closing prices from Yahoo Finance.
+// to fetch free historical daily closing prices from Yahoo Finance, and
+// /api/yahoo-batch for many tickers over one range at once, plus intraday
+// bars for the 1D / 1W charts.
 //
 // Returns data in the same format as Finnhub's getCandles():
-//   [{ date: 'YYYY-MM-DD', price: number }, ...]
+//   [{ date: 'YYYY-MM-DD', price: number, adjClose: number }, ...]
+// adjClose is Yahoo's dividend-adjusted close (falls back to price).
+// Requests are rate-limited under the 'yahoo' source (see requestScheduler.js).
+
+import { schedule } from './requestScheduler';
 
 const yahooCache = new Map();
 const CACHE_TTL  = 300_000; // 5 min — same as Finnhub candle cache
@@ -32,9 +38,10 @@ export function clearYahooCache() { yahooCache.clear(); }
  * @param {string} ticker  — e.g. 'AAPL', 'SPY'
  * @param {string} fromDate — 'YYYY-MM-DD'
  * @param {string} toDate   — 'YYYY-MM-DD'
- * @returns {Promise<Array<{date: string, price: number}>>}
+ * @param {{ priority?: 'high'|'normal'|'low' }} [opts] — scheduler priority
+ * @returns {Promise<Array<{date: string, price: number, adjClose: number}>>}
  */
-export async function getYahooCandles(ticker, fromDate, toDate) {
+export async function getYahooCandles(ticker, fromDate, toDate, { priority } = {}) {
   const yahooSymbol = toYahooTicker(ticker);
   const cacheKey = `yf:${ticker}:${fromDate}:${toDate}`;
   const cached = yahooCache.get(cacheKey);
@@ -43,15 +50,15 @@ export async function getYahooCandles(ticker, fromDate, toDate) {
   const from = Math.floor(new Date(fromDate).getTime() / 1000);
   const to   = Math.floor(new Date(toDate).getTime()   / 1000);
 
-  const res = await fetch(
-    `/api/yahoo-chart?ticker=${encodeURIComponent(yahooSymbol)}&from=${from}&to=${to}`
-  );
-
-  if (!res.ok) {
-    throw new Error(`Yahoo chart failed for ${ticker}: ${res.status}`);
-  }
-
-  const json = await res.json();
+  const json = await schedule('yahoo', `chart:${yahooSymbol}:${from}:${to}`, async () => {
+    const res = await fetch(
+      `/api/yahoo-chart?ticker=${encodeURIComponent(yahooSymbol)}&from=${from}&to=${to}`
+    );
+    if (!res.ok) {
+      throw new Error(`Yahoo chart failed for ${ticker}: ${res.status}`);
+    }
+    return res.json();
+  }, { priority });
   const result = json.chart?.result?.[0];
 
   if (!result?.timestamp?.length) {
@@ -63,13 +70,15 @@ export async function getYahooCandles(ticker, fromDate, toDate) {
 
   const timestamps = result.timestamp;
   const closes     = result.indicators?.quote?.[0]?.close ?? [];
+  const adjCloses  = result.indicators?.adjclose?.[0]?.adjclose ?? [];
 
   const data = timestamps
     .map((ts, i) => {
       const d = new Date(ts * 1000);
       return {
-        date:  isNaN(d.getTime()) ? '' : d.toISOString().slice(0, 10),
-        price: closes[i],
+        date:     isNaN(d.getTime()) ? '' : d.toISOString().slice(0, 10),
+        price:    closes[i],
+        adjClose: adjCloses[i] ?? closes[i],
       };
     })
     .filter(d => d.date && d.price != null); // filter out invalid dates and null prices
@@ -77,3 +86,100 @@ export async function getYahooCandles(ticker, fromDate, toDate) {
   yahooCache.set(cacheKey, { data, ts: Date.now() });
   return data;
 }
+
+// Same limit as api/yahoo-batch.js
+const MAX_BATCH = 50;
+
+/**
+ * Daily closes for many tickers over one range through /api/yahoo-batch —
+ * one request per MAX_BATCH tickers instead of one each.  Results land in the
+ * same cache as getYahooCandles, so later single-ticker calls for the range
+ * are free.  Tickers that fail are left out; callers fetch those singly.
+ * @param {string[]} tickers
+ * @param {string} fromDate — 'YYYY-MM-DD'
+ * @param {string} toDate   — 'YYYY-MM-DD'
+ * @param {{ priority?: 'high'|'normal'|'low' }} [opts] — scheduler priority
+ * @returns {Promise<{ [ticker: string]: Array<{date: string, price: number, adjClose: number}> }>}
+ */
+export async function getYahooCandlesBatch(tickers, fromDate, toDate, { priority } = {}) {
+  const out = {};
+  const missing = [];
+  [...new Set(tickers)].forEach((ticker) => {
+    const cached = yahooCache.get(`yf:${ticker}:${fromDate}:${toDate}`);
+    if (cached && Date.now() - cached.ts < CACHE_TTL) out[ticker] = cached.data;
+    else missing.push(ticker);
+  });
+  if (!missing.length) return out;
+
+  const from = Math.floor(new Date(fromDate).getTime() / 1000);
+  const to   = Math.floor(new Date(toDate).getTime()   / 1000);
+  const chunks = [];
+  for (let i = 0; i < missing.length; i += MAX_BATCH) chunks.push(missing.slice(i, i + MAX_BATCH));
+
+  await Promise.all(chunks.map(async (chunk) => {
+    const symbols = chunk.map(toYahooTicker);
+    const json = await schedule('yahoo', `batch:${symbols.join(',')}:${from}:${to}`, async () => {
+      const res = await fetch(
+        `/api/yahoo-batch?tickers=${symbols.map(encodeURIComponent).join(',')}&from=${from}&to=${to}`
+      );
+      if (!res.ok) throw new Error(`Yahoo batch failed for ${chunk.length} tickers: ${res.status}`);
+      return res.json();
+    }, { priority });
+
+    chunk.forEach((ticker, i) => {
+      const data = json.results?.[symbols[i]];
+      if (!data) return;
+      yahooCache.set(`yf:${ticker}:${fromDate}:${toDate}`, { data, ts: Date.now() });
+      out[ticker] = data;
+    });
+  }));
+  return out;
+}
+
+// ── Intraday bars ────────────────────────────────────────────────────────────
+const INTRADAY_TTL = 60_000; // bars move every few minutes — match the proxy's CDN cache
+const INTERVAL_MS  = { '5m': 300_000, '15m': 900_000, '1h': 3_600_000 };
+
+/**
+ * Intraday closes for the latest session(s) through /api/yahoo-chart.
+ * Bar times are snapped to the interval, so Yahoo's trailing "now" point
+ * folds into the bar it belongs to.
+ * @param {string} ticker
+ * @param {'5m'|'15m'|'1h'} interval
+ * @param {'1d'|'5d'|'1mo'} span — Yahoo range: the latest 1 or 5 sessions, or a month
+ * @param {{ priority?: 'high'|'normal'|'low' }} [opts] — scheduler priority
+ * @returns {Promise<{ bars: Array<{ t: number, price: number }>, prevClose: number|null }>}
+ *          t in epoch ms; prevClose is the close before the first session
+ */
+export async function getYahooIntraday(ticker, interval, span, { priority } = {}) {
+  const yahooSymbol = toYahooTicker(ticker);
+  const cacheKey = `yi:${ticker}:${interval}:${span}`;
+  const cached = yahooCache.get(cacheKey);
+  if (cached && Date.now() - cached.ts < INTRADAY_TTL) return cached.data;
+
+  const json = await schedule('yahoo', `intraday:${yahooSymbol}:${interval}:${span}`, async () => {
+    const res = await fetch(
+      `/api/yahoo-chart?ticker=${encodeURIComponent(yahooSymbol)}&interval=${interval}&range=${span}`
+    );
+    if (!res.ok) {
+      throw new Error(`Yahoo intraday failed for ${ticker}: ${res.status}`);
+    }
+    return res.json();
+  }, { priority });
+
+  const result = json.chart?.result?.[0];
+  const stepMs = INTERVAL_MS[interval];
+  const closes = result?.indicators?.quote?.[0]?.close ?? [];
+  const byTime = new Map(); // later points win within a bar
+  (result?.timestamp ?? []).forEach((ts, i) => {
+    if (closes[i] == null) return;
+    byTime.set(Math.floor((ts * 1000) / stepMs) * stepMs, closes[i]);
+  });
+
+  const data = {
+    bars:      [...byTime].map(([t, price]) => ({ t, price })).sort((a, b) => a.t - b.t),
+    prevClose: result?.meta?.chartPreviousClose ?? result?.meta?.previousClose ?? null,
+  };
+  yahooCache.set(cacheKey, { data, ts: Date.now() });
+  return data;
+}
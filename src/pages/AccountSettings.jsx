@@ -1,8 +1,11 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth, getSettings, saveSettings } from '../context/AuthContext';
 import { BENCHMARKS, BENCHMARK_META } from '../lib/mockData';
 import { useToast } from '../context/ToastContext';
+import { clearMarketCaches } from '../lib/finnhub';
+import { candleStoreStats } from '../lib/candleStore';
+import { useTreasuryBillRate } from '../hooks/useRiskFreeRate';
 
 const TIMEFRAMES_ALL = ['1D', '7D', '1M', '3M', '6M', 'YTD', '1Y'];
 const CHART_RANGES = ['1M', '3M', '6M', '1Y', 'Max'];
@@ -13,6 +16,11 @@ const REFRESH_OPTIONS = [
   { label: '5 minutes',  value: 300 },
   { label: 'Manual',     value: 0 },
 ];
+const RISK_FREE_SOURCES = [
+  { label: 'Manual rate', value: 'manual' },
+  { label: 'BIL — SPDR 1-3 Month T-Bill ETF', value: 'BIL' },
+  { label: 'SGOV — iShares 0-3 Month Treasury Bond ETF', value: 'SGOV' },
+];
 const LOG_GRANULARITY = [
   { label: 'Standard — log major actions only', value: 'standard' },
   { label: 'Verbose — log every weight change',  value: 'verbose' },
@@ -38,6 +46,29 @@ export default function AccountSettings() {
   const [settings, setSettings] = useState(() => user ? getSettings(user.id) : {});
   const [deleteConfirm, setDeleteConfirm] = useState('');
   const [deleting, setDeleting] = useState(false);
+  const [cacheStats, setCacheStats] = useState(null); // { tickers, bars } in the IndexedDB candle store
+  const [clearingCache, setClearingCache] = useState(false);
+
+  useEffect(() => {
+    candleStoreStats().then(setCacheStats).catch(() => {});
+  }, []);
+
+  async function clearCache() {
+    setClearingCache(true);
+    try {
+      await clearMarketCaches({ persistent: true });
+      setCacheStats(await candleStoreStats());
+      toast.success('Market data cache cleared');
+    } catch (err) {
+      toast.error('Failed to clear cache: ' + (err.message || 'Unknown error'));
+    } finally {
+      setClearingCache(false);
+    }
+  }
+
+  // Preview the T-bill derived rate for the selected source
+  const riskFreeSource = settings.risk_free_source ?? 'manual';
+  const tbillRate = useTreasuryBillRate(riskFreeSource);
 
   function set(key, value) {
     setSettings((s) => ({ ...s, [key]: value }));
@@ -145,6 +176,43 @@ export default function AccountSettings() {
         </div>
       </SectionCard>
 
+      {/* Risk-Free Rate */}
+      <SectionCard title="Risk-Free Rate" onSave={() => persist('Risk-free rate')}>
+        <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">Source</label>
+            <select className="input" value={riskFreeSource} onChange={(e) => set('risk_free_source', e.target.value)}>
+              {RISK_FREE_SOURCES.map((opt) => <option key={opt.value} value={opt.value}>{opt.label}</option>)}
+            </select>
+            {riskFreeSource !== 'manual' && (
+              <p className="text-xs text-slate-400 mt-1">
+                {tbillRate != null
+                  ? `Current ${riskFreeSource} implied yield: ${(tbillRate * 100).toFixed(2)}% (trailing 3-month total return, annualized).`
+                  : `${riskFreeSource} yield unavailable right now — the manual rate below is used as a fallback.`}
+              </p>
+            )}
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">
+              {riskFreeSource === 'manual' ? 'Annual Rate' : 'Fallback Annual Rate'}
+            </label>
+            <div className="flex items-center gap-2">
+              <input
+                type="number"
+                min={0}
+                max={20}
+                step={0.05}
+                className="input w-28 text-right font-mono"
+                value={settings.risk_free_rate ?? 5}
+                onChange={(e) => set('risk_free_rate', Math.min(20, Math.max(0, parseFloat(e.target.value) || 0)))}
+              />
+              <span className="text-slate-400 text-sm">% p.a.</span>
+            </div>
+            <p className="text-xs text-slate-400 mt-1">Used for Sharpe, Sortino and alpha, and as the return earned by a portfolio's cash reserve.</p>
+          </div>
+        </div>
+      </SectionCard>
+
       {/* Real-Time Snapshot */}
       <SectionCard title="Live Snapshot" onSave={() => persist('Snapshot settings')}>
         <div>
@@ -159,6 +227,27 @@ export default function AccountSettings() {
         </div>
       </SectionCard>
 
+      {/* Market Data Cache */}
+      <div className="card p-5">
+        <h2 className="section-title mb-4">Market Data Cache</h2>
+        <p className="text-sm text-slate-600">
+          Daily price history is kept in this browser so pages load without re-downloading it — only bars added since
+          your last visit are fetched. Clear it if charts look out of date or to free up space.
+        </p>
+        <div className="mt-4 flex items-center justify-between gap-3">
+          <span className="text-xs text-slate-400">
+            {cacheStats == null
+              ? 'Not available in this browser'
+              : cacheStats.tickers
+                ? `${cacheStats.tickers} tickers · ${cacheStats.bars.toLocaleString('en-US')} daily bars stored`
+                : 'Empty'}
+          </span>
+          <button className="btn-secondary" disabled={clearingCache} onClick={clearCache}>
+            {clearingCache ? 'Clearing…' : 'Clear market cache'}
+          </button>
+        </div>
+      </div>
+
       {/* Portfolio Behavior */}
       <SectionCard title="Portfolio Behavior" onSave={() => persist('Behavior settings')}>
         <div className="space-y-4">
@@ -1,9 +1,11 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import { useAuth, getSettings, saveSettings } from '../context/AuthContext';
 import { BENCHMARKS, BENCHMARK_META } from '../lib/mockData';
 import { getRealPerformanceReturns, getRealHoldingsChartData, getRealRiskMetrics, isConfigured } from '../lib/finnhub';
 import { useMarketData } from '../context/MarketDataContext';
 import { useToast } from '../context/ToastContext';
+import { useRiskFreeRate } from '../hooks/useRiskFreeRate';
+import CalendarReturnsGrid from '../components/CalendarReturnsGrid';
 import {
   LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine,
 } from 'recharts';
@@ -43,6 +45,7 @@ export default function Benchmarks() {
   const { live } = useMarketData();
   const [settings, setSettings] = useState(() => user ? getSettings(user.id) : {});
   const [chartRange, setChartRange] = useState('1Y');
+  const [calendarTicker, setCalendarTicker] = useState(BENCHMARKS[0]);
 
   // Real benchmark returns: { SPY: { '1D': 0.45, 'YTD': ... }, ... }
   const [realBenchReturns, setRealBenchReturns] = useState({});
@@ -70,14 +73,18 @@ export default function Benchmarks() {
     return () => { cancelled = true; };
   }, [live]);
 
+  // Relative metrics (beta, capture, …) are measured against the saved primary benchmark
+  const referenceTicker = getSettings(user?.id).primary_benchmark || 'SPY';
+  const { rate: riskFreeRate } = useRiskFreeRate();
+
   // Fetch real risk metrics for each benchmark (in parallel)
   useEffect(() => {
     if (!isConfigured()) return;
     let cancelled = false;
     Promise.all(
       BENCHMARKS.map((ticker) =>
-        getRealRiskMetrics([{ ticker, weight_percent: 100 }], null, '1Y')
-          .then((data) => [ticker, data?.portfolio ?? null])
+        getRealRiskMetrics([{ ticker, weight_percent: 100 }], referenceTicker, '1Y', { riskFreeRate })
+          .then((data) => [ticker, data?.portfolio ? { ...data.portfolio, relative: data.relative ?? null } : null])
           .catch(() => [ticker, null])
       )
     ).then((entries) => {
@@ -89,7 +96,7 @@ export default function Benchmarks() {
       setRealBenchRiskMetrics(results);
     });
     return () => { cancelled = true; };
-  }, []);
+  }, [referenceTicker, riskFreeRate]);
 
   // Fetch real chart data for benchmark comparison
   useEffect(() => {
@@ -105,6 +112,9 @@ export default function Benchmarks() {
 
   const hasRealReturns = Object.keys(realBenchReturns).length > 0;
 
+  // Calendar grid: one benchmark as the series, against the primary benchmark
+  const calendarHoldings = useMemo(() => [{ ticker: calendarTicker, weight_percent: 100 }], [calendarTicker]);
+
   function handleSave() {
     if (user) {
       saveSettings(user.id, settings);
@@ -163,7 +173,9 @@ export default function Benchmarks() {
       <div className="card overflow-hidden">
         <div className="px-3 sm:px-5 py-3 sm:py-4 border-b border-slate-100">
           <h2 className="section-title">Risk Metrics (1Y)</h2>
-          <p className="text-xs text-slate-400">Annualized volatility, max drawdown, and risk-adjusted returns</p>
+          <p className="text-xs text-slate-400">
+            Annualized volatility, max drawdown, and risk-adjusted returns · relative statistics vs {BENCHMARK_META[referenceTicker]?.label ?? referenceTicker}
+          </p>
         </div>
         <div className="overflow-x-auto">
           <table className="min-w-full divide-y divide-slate-100">
@@ -175,12 +187,21 @@ export default function Benchmarks() {
                 <th className="th text-right">Max Drawdown</th>
                 <th className="th text-right">Sharpe</th>
                 <th className="th text-right">Sortino</th>
+                <th className="th text-right">Calmar</th>
+                <th className="th text-right" title={`Beta vs ${referenceTicker}`}>Beta</th>
+                <th className="th text-right" title="Jensen's alpha, annualized">Alpha</th>
+                <th className="th text-right">Corr.</th>
+                <th className="th text-right">R²</th>
+                <th className="th text-right" title="Tracking error, annualized">TE</th>
+                <th className="th text-right" title="Information ratio">IR</th>
+                <th className="th text-right" title="Upside / downside capture">Up / Down</th>
               </tr>
             </thead>
             <tbody className="divide-y divide-slate-100">
               {BENCHMARKS.map((ticker) => {
                 const meta = BENCHMARK_META[ticker];
                 const metrics = realBenchRiskMetrics[ticker] ?? null;
+                const rel = metrics?.relative ?? null;
                 return (
                   <tr key={ticker} className="hover:bg-slate-50">
                     <td className="td">
@@ -205,6 +226,36 @@ export default function Benchmarks() {
                         {metrics ? (metrics.sortino >= 99 ? '>99' : metrics.sortino.toFixed(2)) : '--'}
                       </span>
                     </td>
+                    <td className="td text-right">
+                      <span className="font-mono font-medium text-slate-700">
+                        {metrics ? (metrics.calmar >= 99 ? '>99' : metrics.calmar.toFixed(2)) : '--'}
+                      </span>
+                    </td>
+                    <td className="td text-right">
+                      <span className="font-mono font-medium text-slate-700">{rel ? rel.beta.toFixed(2) : '--'}</span>
+                    </td>
+                    <td className="td text-right">
+                      {rel ? <PctCell val={rel.alpha} /> : <span className="font-mono font-medium text-slate-400">--</span>}
+                    </td>
+                    <td className="td text-right">
+                      <span className="font-mono font-medium text-slate-700">{rel ? rel.correlation.toFixed(2) : '--'}</span>
+                    </td>
+                    <td className="td text-right">
+                      <span className="font-mono font-medium text-slate-700">{rel ? rel.rSquared.toFixed(2) : '--'}</span>
+                    </td>
+                    <td className="td text-right">
+                      <span className="font-mono font-medium text-slate-700">{rel ? `${rel.trackingError.toFixed(1)}%` : '--'}</span>
+                    </td>
+                    <td className="td text-right">
+                      <span className="font-mono font-medium text-slate-700">{rel ? rel.informationRatio.toFixed(2) : '--'}</span>
+                    </td>
+                    <td className="td text-right">
+                      <span className="font-mono font-medium text-slate-700">
+                        {rel && rel.upCapture != null && rel.downCapture != null
+                          ? `${rel.upCapture.toFixed(0)} / ${rel.downCapture.toFixed(0)}`
+                          : '--'}
+                      </span>
+                    </td>
                   </tr>
                 );
               })}
@@ -285,6 +336,38 @@ export default function Benchmarks() {
         </div>
       </div>
 
+      {/* Calendar returns */}
+      <div className="card p-5">
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+          <h2 className="section-title">Calendar Returns</h2>
+          <div className="flex items-center gap-1">
+            {BENCHMARKS.map((ticker) => (
+              <button
+                key={ticker}
+                onClick={() => setCalendarTicker(ticker)}
+                className={`px-2.5 py-1 rounded text-xs font-medium transition-colors ${
+                  calendarTicker === ticker ? 'bg-blue-600 text-white' : 'text-slate-600 hover:bg-slate-100'
+                }`}
+              >
+                {ticker}
+              </button>
+            ))}
+          </div>
+        </div>
+        {isConfigured() ? (
+          <CalendarReturnsGrid
+            holdings={calendarHoldings}
+            benchmarkTicker={calendarTicker !== referenceTicker ? referenceTicker : null}
+            label={calendarTicker}
+            cashRate={riskFreeRate}
+          />
+        ) : (
+          <div className="py-8 text-center text-sm text-slate-400">
+            Market data unavailable — connect Finnhub API to view calendar returns
+          </div>
+        )}
+      </div>
+
       {/* Account Default Benchmarks */}
       <div className="card p-5">
         <h2 className="section-title mb-4">Account Default Benchmarks</h2>
@@ -9,6 +9,8 @@ import { isConfigured as isSchwabConfigured, getSchwabPositions } from '../lib/s
 import PerformanceChart from '../components/PerformanceChart';
 import HoldingsPerformanceChart from '../components/HoldingsPerformanceChart';
 import AllocationPieChart from '../components/AllocationPieChart';
+import ProjectionPanel from '../components/ProjectionPanel';
+import CashFlowReturns from '../components/CashFlowReturns';
 import MessagePanel from '../components/MessagePanel';
 import TickerSummaryModal from '../components/TickerSummaryModal';
 
@@ -22,6 +24,7 @@ export default function ClientPortal() {
   const [realReturns, setRealReturns] = useState(null);
   const [liveQuotes, setLiveQuotes] = useState({});
   const [schwabData, setSchwabData] = useState(null);  // { totalValue, positions }
+  const [projectionOpen, setProjectionOpen] = useState(false); // long history loads only once opened
   const schwabValue = schwabData?.totalValue ?? null;
 
   const handleRefresh = useCallback(async () => {
@@ -43,6 +46,7 @@ export default function ClientPortal() {
   const portfolio = useMemo(() => portfolios[selectedIdx] || null, [portfolios, selectedIdx]);
   const holdings = useMemo(() => portfolio?.holdings ?? [], [portfolio]);
   const benchmark = portfolio?.primary_benchmark;
+  const drip = portfolio?.drip_enabled ?? true;
   const approval = useMemo(() => portfolio ? getLatestApproval(portfolio.id) : null, [portfolio]);
   const userName = useMemo(() => user ? (getSettings(user.id).display_name || '') : '', [user]);
 
@@ -50,11 +54,11 @@ export default function ClientPortal() {
   useEffect(() => {
     if (!holdings.length || !isFinnhubConfigured()) return;
     let cancelled = false;
-    getRealPerformanceReturns(holdings, benchmark || null)
+    getRealPerformanceReturns(holdings, benchmark || null, { drip })
       .then((data) => { if (!cancelled && data) setRealReturns(data); })
       .catch(() => {});
     return () => { cancelled = true; };
-  }, [holdings, benchmark, refreshKey]);
+  }, [holdings, benchmark, drip, refreshKey]);
 
   // Fetch live quotes for dynamic portfolio value
   useEffect(() => {
@@ -306,7 +310,7 @@ export default function ClientPortal() {
             benchmarkTicker={benchmark || null}
             createdAt={portfolio?.created_at}
             cashPercent={portfolio?.cash_percent ?? 0}
-            drip={portfolio?.drip_enabled ?? true}
+            drip={drip}
           />
         </div>
 
@@ -318,6 +322,43 @@ export default function ClientPortal() {
           </div>
         )}
 
+        {/* Monte Carlo projection (assumptions set by the advisor) */}
+        {portfolio?.projection && currentPortfolioValue > 0 && (
+          <div className="bg-white rounded-xl border border-slate-200 shadow-sm p-5">
+            <button className="flex items-center justify-between w-full" onClick={() => setProjectionOpen((o) => !o)}>
+              <h2 className="text-sm font-semibold text-slate-700">Projection</h2>
+              <ChevronDown className={`w-4 h-4 text-slate-400 transition-transform ${projectionOpen ? 'rotate-180' : ''}`} />
+            </button>
+            {projectionOpen && (
+              <div className="mt-4">
+                <ProjectionPanel
+                  holdings={holdings}
+                  startValue={currentPortfolioValue}
+                  cashPercent={portfolio?.cash_percent ?? 0}
+                  drip={drip}
+                  assumptions={portfolio.projection}
+                />
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Time- and money-weighted returns */}
+        {portfolio?.created_at && portfolio?.starting_value > 0 && holdings.length > 0 && (
+          <div className="bg-white rounded-xl border border-slate-200 shadow-sm p-5">
+            <h2 className="text-sm font-semibold text-slate-700 mb-4">Your Returns</h2>
+            <CashFlowReturns
+              holdings={holdings}
+              weightHistory={portfolio.weight_history}
+              inceptionDate={portfolio.created_at.slice(0, 10)}
+              startValue={portfolio.starting_value}
+              cashPercent={portfolio.cash_percent ?? 0}
+              drip={drip}
+              schwab={portfolio.schwab_account_hash ? { userId: user.id, accountHash: portfolio.schwab_account_hash } : null}
+            />
+          </div>
+        )}
+
         {/* Holdings table */}
         <div className="bg-white rounded-xl border border-slate-200 shadow-sm p-5">
           <h2 className="text-sm font-semibold text-slate-700 mb-4">
@@ -2,7 +2,7 @@ import { useState, useEffect, useRef, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { Plus, Trash2, ExternalLink, RefreshCw, BarChart3, Search, Star } from 'lucide-react';
 import { useAuth, getPortfolios, savePortfolio, deletePortfolios, logActivity, getSettings, saveSettings } from '../context/AuthContext';
-import { isConfigured as isFinnhubConfigured, getRealPerformanceReturns } from '../lib/finnhub';
+import { isConfigured as isFinnhubConfigured, getRealPerformanceReturns, getRealRiskMetrics } from '../lib/finnhub';
 import { isConfigured as isSchwabConfigured, getSchwabPositions } from '../lib/schwab';
 import StatusBadge, { getPortfolioStatus } from '../components/StatusBadge';
 import NewPortfolioModal from '../components/NewPortfolioModal';
@@ -29,6 +29,7 @@ export default function Dashboard() {
   const longPressedRef = useRef(false);
   const [realReturnsMap, setRealReturnsMap] = useState({});
   const [schwabValues, setSchwabValues] = useState({});  // portfolioId → totalValue
+  const [varMap, setVarMap] = useState({});              // portfolioId → valueAtRisk
 
   // Clients should always see the client portal, never the advisor dashboard
   useEffect(() => {
@@ -48,7 +49,7 @@ export default function Dashboard() {
     const promises = portfolios
       .filter((p) => p.holdings?.length)
       .map((p) =>
-        getRealPerformanceReturns(p.holdings, p.primary_benchmark || null)
+        getRealPerformanceReturns(p.holdings, p.primary_benchmark || null, { drip: p.drip_enabled ?? true })
           .then((data) => [p.id, data])
           .catch(() => [p.id, null])
       );
@@ -63,6 +64,29 @@ export default function Dashboard() {
     return () => { cancelled = true; };
   }, [portfolios]);
 
+  // Fetch 1Y Value at Risk for all portfolios (1Y candles are shared across portfolios via the cache)
+  useEffect(() => {
+    if (!isFinnhubConfigured() || !portfolios.length) return;
+    let cancelled = false;
+    Promise.all(
+      portfolios
+        .filter((p) => p.holdings?.length)
+        .map((p) =>
+          getRealRiskMetrics(p.holdings, null, '1Y', { drip: p.drip_enabled ?? true })
+            .then((data) => [p.id, data?.valueAtRisk ?? null])
+            .catch(() => [p.id, null])
+        )
+    ).then((entries) => {
+      if (cancelled) return;
+      const results = {};
+      for (const [id, data] of entries) {
+        if (data) results[id] = data;
+      }
+      setVarMap(results);
+    });
+    return () => { cancelled = true; };
+  }, [portfolios]);
+
   // Fetch Schwab account values for linked portfolios
   useEffect(() => {
     if (!isSchwabConfigured() || !user || !portfolios.length) return;
@@ -257,6 +281,15 @@ export default function Dashboard() {
     return sv * (growthFactor * investedFrac + cashPct / 100);
   }
 
+  // 1-day 95% historical VaR, scaled for the cash sleeve, in % and $ (starting value or Schwab value)
+  function portfolioVaR(p) {
+    const cell = varMap[p.id]?.historical?.[1]?.[0.95];
+    if (!cell) return null;
+    const pct = cell.var * (1 - (p.cash_percent ?? 0) / 100);
+    const value = schwabValues[p.id] ?? p.starting_value ?? 0;
+    return { pct, dollars: value ? (pct / 100) * value : null };
+  }
+
   const dataUnavailable = !isFinnhubConfigured() && portfolios.some(p => p.holdings?.length);
 
   return (
@@ -426,6 +459,7 @@ export default function Dashboard() {
                     <th className="th">Primary Benchmark</th>
                     <th className="th">Performance ({perfTimeframe})</th>
                     <th className="th text-right">Value</th>
+                    <th className="th text-right" title="1-day historical Value at Risk at 95% confidence">1D VaR 95%</th>
                     <th className="th">Holdings</th>
                     <th className="th">Last Updated</th>
                     <th className="th">Status</th>
@@ -491,6 +525,20 @@ export default function Dashboard() {
                             ? `$${Math.round(computeValue(p)).toLocaleString()}`
                             : '—'}
                         </td>
+                        <td className="td text-right">
+                          {(() => {
+                            const v = portfolioVaR(p);
+                            if (!v) return <span className="text-slate-400 text-xs">—</span>;
+                            return (
+                              <>
+                                <div className="font-mono text-sm text-red-500">
+                                  {v.dollars != null ? `$${Math.round(v.dollars).toLocaleString()}` : `${v.pct.toFixed(2)}%`}
+                                </div>
+                                {v.dollars != null && <div className="text-xs text-slate-400">{v.pct.toFixed(2)}%</div>}
+                              </>
+                            );
+                          })()}
+                        </td>
                         <td className="td">
                           <span className="text-slate-600">{p.holdings?.length ?? 0}</span>
                         </td>
@@ -2,6 +2,7 @@ import { useState, useEffect, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth, getActivity, getPortfolios } from '../context/AuthContext';
 import { isConfigured, getRealPerformanceReturns } from '../lib/finnhub';
+import { downloadCSV } from '../lib/csv';
 import { formatDistanceToNow, format, isValid } from 'date-fns';
 import { Download, ExternalLink } from 'lucide-react';
 
@@ -39,7 +40,7 @@ export default function History() {
     const promises = portfolios
       .filter((p) => p.holdings?.length)
       .map((p) =>
-        getRealPerformanceReturns(p.holdings, p.primary_benchmark || null)
+        getRealPerformanceReturns(p.holdings, p.primary_benchmark || null, { drip: p.drip_enabled ?? true })
           .then((data) => [p.id, data])
           .catch(() => [p.id, null])
       );
@@ -96,12 +97,7 @@ export default function History() {
         e.change_summary ?? '',
       ]),
     ];
-    const csv = rows.map((r) => r.map((c) => `"${String(c).replace(/"/g, '""')}"`).join(',')).join('\n');
-    const blob = new Blob([csv], { type: 'text/csv' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url; a.download = 'activity-log.csv'; a.click();
-    URL.revokeObjectURL(url);
+    downloadCSV('activity-log.csv', rows);
   }
 
   return (
@@ -3,11 +3,24 @@ import { useParams, useNavigate } from 'react-router-dom';
 import { Plus, Trash2, Copy, Save, AlertTriangle, TrendingUp, TrendingDown, DollarSign, Share2, ChevronDown, RefreshCw, User, X } from 'lucide-react';
 import { useAuth, getPortfolios, savePortfolio, deletePortfolios, logActivity, createShareToken, inviteClient, getLatestApproval, getSettings, getLinkedClient, unlinkClient, sendInviteEmail, getClientStatusForPortfolio } from '../context/AuthContext';
 import AllocationPieChart from '../components/AllocationPieChart';
+import AllocationBreakdown from '../components/AllocationBreakdown';
 import { INSTRUMENTS, BENCHMARKS, BENCHMARK_META } from '../lib/mockData';
+import { fixedIncomeSummary } from '../lib/fixedIncome';
 import { getRealPerformanceReturns, getRealRiskMetrics, clearMarketCaches } from '../lib/finnhub';
 import TickerSearch from '../components/TickerSearch';
 import PerformanceChart from '../components/PerformanceChart';
 import HoldingsPerformanceChart from '../components/HoldingsPerformanceChart';
+import VaRCard from '../components/VaRCard';
+import CorrelationHeatmap from '../components/CorrelationHeatmap';
+import LookThroughPanel from '../components/LookThroughPanel';
+import AttributionReport from '../components/AttributionReport';
+import OptimizerPanel from '../components/OptimizerPanel';
+import ProjectionPanel from '../components/ProjectionPanel';
+import IncomeProjectionPanel from '../components/IncomeProjectionPanel';
+import StressTestPanel from '../components/StressTestPanel';
+import ShockScenarioPanel from '../components/ShockScenarioPanel';
+import CashFlowReturns from '../components/CashFlowReturns';
+import CalendarReturnsGrid from '../components/CalendarReturnsGrid';
 import StatusBadge, { getPortfolioStatus } from '../components/StatusBadge';
 import ConfirmModal from '../components/ConfirmModal';
 import MessagePanel from '../components/MessagePanel';
@@ -16,6 +29,7 @@ import SchwabLinkButton from '../components/SchwabLinkButton';
 import { isConfigured as isSchwabConfigured } from '../lib/schwab';
 import { useToast } from '../context/ToastContext';
 import { useMarketData } from '../context/MarketDataContext';
+import { useRiskFreeRate } from '../hooks/useRiskFreeRate';
 
 const TIMEFRAMES = [
   { label: '1D', days: 1 },
@@ -34,6 +48,7 @@ export default function PortfolioBuilder() {
   const { user, role } = useAuth();
   const toast = useToast();
   const { live, prices, priceVersion, loadTickers, subscribeTickers } = useMarketData();
+  const { rate: riskFreeRate, source: riskFreeSource } = useRiskFreeRate();
 
   const isNew = id === 'new';
 
@@ -42,11 +57,13 @@ export default function PortfolioBuilder() {
   const [description, setDesc]        = useState('');
   const [benchmark, setBenchmark]     = useState('');
   const [holdings, setHoldings]       = useState([]);
+  const [savedHoldings, setSavedHoldings] = useState([]); // holdings as last saved — past weights rebuild from these
   const [portfolioId, setPortfolioId] = useState(isNew ? crypto.randomUUID() : id);
   const [createdAt, setCreatedAt]     = useState(null);
   const [drip, setDrip]               = useState(true);   // dividend reinvestment
   const [cashPercent, setCashPercent] = useState(0);      // % held as cash
   const [startingValue, setStartingValue] = useState(100_000); // $ portfolio size
+  const [projection, setProjection]       = useState(null);    // Monte Carlo assumptions (monteCarlo.js)
   const [weightHistory, setWeightHistory] = useState([]);      // log of weight changes
   const [historyOpen, setHistoryOpen]     = useState(false);   // history panel toggle
   const [pieOpen, setPieOpen]             = useState(true);    // allocation wheel toggle
@@ -54,6 +71,7 @@ export default function PortfolioBuilder() {
   const [shareUrl, setShareUrl]           = useState(null);    // generated share link
   const [erOpen, setErOpen]               = useState(false);   // ER breakdown toggle
   const [yieldOpen, setYieldOpen]         = useState(false);   // yield breakdown toggle
+  const [bondOpen, setBondOpen]           = useState(false);   // fixed-income breakdown toggle
   const [showInvite, setShowInvite]       = useState(false);   // invite client modal
   const [inviteEmail, setInviteEmail]     = useState('');
   const [inviteUrl, setInviteUrl]         = useState(null);
@@ -74,6 +92,17 @@ export default function PortfolioBuilder() {
   const [perfSummaryOpen, setPerfSummaryOpen]   = useState(true);
   const [liveSnapOpen, setLiveSnapOpen]         = useState(true);
   const [allocBarOpen, setAllocBarOpen]         = useState(true);
+  const [varOpen, setVarOpen]                   = useState(true);
+  const [correlationOpen, setCorrelationOpen]   = useState(false);
+  const [lookThroughOpen, setLookThroughOpen]   = useState(false);
+  const [attributionOpen, setAttributionOpen]   = useState(false);
+  const [optimizerOpen, setOptimizerOpen]       = useState(false);
+  const [projectionOpen, setProjectionOpen]     = useState(false);
+  const [incomeOpen, setIncomeOpen]             = useState(false);
+  const [stressOpen, setStressOpen]             = useState(false);
+  const [shockOpen, setShockOpen]               = useState(false);
+  const [flowReturnsOpen, setFlowReturnsOpen]   = useState(false);
+  const [calendarOpen, setCalendarOpen]         = useState(false);
 
   // UI state
   const [showUnlinkClient, setShowUnlinkClient] = useState(false);
@@ -95,6 +124,7 @@ export default function PortfolioBuilder() {
         setDesc(p.description ?? '');
         setBenchmark(p.primary_benchmark ?? '');
         setHoldings(p.holdings ?? []);
+        setSavedHoldings(p.holdings ?? []);
         setPortfolioId(p.id);
         setCreatedAt(p.created_at ?? null);
         setDrip(p.drip_enabled ?? true);
@@ -102,6 +132,7 @@ export default function PortfolioBuilder() {
         setStartingValue(p.starting_value ?? 100_000);
         setWeightHistory(p.weight_history ?? []);
         setSchwabAccountHash(p.schwab_account_hash ?? null);
+        setProjection(p.projection ?? null);
       }
     }
   }, [id, user, isNew]);
@@ -140,8 +171,8 @@ export default function PortfolioBuilder() {
     let cancelled = false;
     setPerfRefreshing(true);
     Promise.all([
-      getRealPerformanceReturns(holdings, benchmark || null),
-      getRealRiskMetrics(holdings, benchmark || null, '1Y'),
+      getRealPerformanceReturns(holdings, benchmark || null, { drip }),
+      getRealRiskMetrics(holdings, benchmark || null, '1Y', { drip, riskFreeRate }),
     ]).then(([data, riskData]) => {
       if (cancelled) return;
       if (data) {
@@ -157,7 +188,7 @@ export default function PortfolioBuilder() {
       if (!cancelled) setPerfRefreshing(false);
     });
     return () => { cancelled = true; };
-  }, [live, holdings, benchmark, perfRefreshKey]);
+  }, [live, holdings, benchmark, drip, riskFreeRate, perfRefreshKey]);
 
   // Interval-based auto-refresh driven by snapshot_refresh_interval setting
   useEffect(() => {
@@ -254,6 +285,19 @@ export default function PortfolioBuilder() {
     setHoldings((prev) => prev.map((h) => h.ticker === ticker ? { ...h, category: cat } : h));
   }
 
+  // Per-holding DRIP override — flipping back to the portfolio default clears it
+  function toggleHoldingDrip(ticker) {
+    setHoldings((prev) => prev.map((h) => {
+      if (h.ticker !== ticker) return h;
+      const next = !(h.drip ?? drip);
+      if (next === drip) {
+        const { drip: _omit, ...rest } = h;
+        return rest;
+      }
+      return { ...h, drip: next };
+    }));
+  }
+
   function normalize() {
     const safeTotal = holdings.reduce((s, h) => s + (Number(h.weight_percent) || 0), 0);
     if (!safeTotal || !isFinite(safeTotal)) return;
@@ -266,6 +310,15 @@ export default function PortfolioBuilder() {
     setWeightErrors({});
   }
 
+  // Replace draft weights with a computed set (optimizer); tickers missing
+  // from `weights` keep their current weight
+  function applyWeights(weights) {
+    setHoldings((prev) =>
+      prev.map((h) => (weights[h.ticker] != null ? { ...h, weight_percent: weights[h.ticker] } : h))
+    );
+    setWeightErrors({});
+  }
+
   // ── Save ────────────────────────────────────────────────────────────────────
   function handleSave() {
     if (!name.trim() || name.length > 200) return;
@@ -324,8 +377,10 @@ export default function PortfolioBuilder() {
       created_at:          createdAt ?? new Date().toISOString(),
       weight_history:      updatedHistory,
       schwab_account_hash: schwabAccountHash || null,
+      projection,
     };
     savePortfolio(portfolio);
+    setSavedHoldings(holdings);
     logActivity(user.id, {
       portfolio_id: portfolioId,
       portfolio_name: portfolio.name,
@@ -351,6 +406,7 @@ export default function PortfolioBuilder() {
       starting_value: startingValue,       // preserve starting value
       cash_percent: cashPercent,            // preserve cash allocation
       drip_enabled: drip,                   // preserve DRIP setting
+      projection,                           // preserve projection assumptions
       holdings: holdings.map((h) => {
         const currentPrice = (live && prices[h.ticker]?.price) || h.last_price;
         return {
@@ -359,6 +415,7 @@ export default function PortfolioBuilder() {
           type: h.type,
           exchange: h.exchange,
           category: h.category || 'Core',   // ensure role is always copied
+          drip: h.drip,                     // per-holding DRIP override (if any)
           weight_percent: h.weight_percent,
           last_price: currentPrice,
           entry_price: currentPrice,  // Reset entry to current live price
@@ -423,6 +480,7 @@ export default function PortfolioBuilder() {
       starting_value:      startingValue,
       created_at:          createdAt ?? new Date().toISOString(),
       weight_history:      newHistory,
+      projection,
     };
     savePortfolio(portfolio);
     setHoldings(rebalancedHoldings);
@@ -431,6 +489,38 @@ export default function PortfolioBuilder() {
     toast.success('Portfolio rebalanced to target weights');
   }
 
+  // ── Cash flows ───────────────────────────────────────────────────────────────
+  // Deposits/withdrawals are logged as 'cash_flow' events in weight_history and
+  // saved straight away, without touching any unsaved draft edits.
+  function persistWeightHistory(next) {
+    setWeightHistory(next);
+    const saved = getPortfolios(user.id).find((p) => p.id === portfolioId);
+    if (saved) savePortfolio({ ...saved, weight_history: next });
+  }
+
+  function handleLogCashFlow({ date, amount, note }) {
+    const event = {
+      id: crypto.randomUUID(),
+      date: new Date(`${date}T12:00:00Z`).toISOString(),
+      type: 'cash_flow',
+      amount,
+      note,
+      changes: [],
+    };
+    persistWeightHistory([...weightHistory, event].sort((a, b) => (a.date ?? '').localeCompare(b.date ?? '')));
+    logActivity(user.id, {
+      portfolio_id: portfolioId,
+      portfolio_name: name.trim(),
+      action_type: 'Update',
+      change_summary: `Logged ${amount > 0 ? 'deposit' : 'withdrawal'} of $${Math.abs(amount).toLocaleString('en-US')} on "${name.trim()}"`,
+    });
+    toast.success(amount > 0 ? 'Deposit logged' : 'Withdrawal logged');
+  }
+
+  function handleRemoveCashFlow(eventId) {
+    persistWeightHistory(weightHistory.filter((e) => e.id !== eventId));
+  }
+
   // ── Share with Client ────────────────────────────────────────────────────────
   async function handleShare() {
     if (isNew) {
@@ -483,6 +573,7 @@ export default function PortfolioBuilder() {
       starting_value: startingValue,
       cash_percent: cashPercent,
       drip_enabled: drip,
+      projection,
       created_at: createdAt,
     };
     try {
@@ -549,6 +640,9 @@ export default function PortfolioBuilder() {
     return sum + (h.weight_percent / 100) * (inst?.div_yield ?? 0);
   }, 0) * investedFraction;
 
+  // Duration, YTM and rate sensitivity of the bond holdings
+  const fixedIncome = fixedIncomeSummary(holdings, { investedFraction, portfolioValue: currentPortfolioValue });
+
   return (
     <div className="max-w-screen-xl mx-auto px-3 sm:px-4 py-6 sm:py-8">
       {/* Top toolbar */}
@@ -861,7 +955,8 @@ export default function PortfolioBuilder() {
                   <span className="text-slate-400 text-sm">%</span>
                   {cashPercent > 0 && (
                     <span className="text-xs text-blue-600 font-medium flex items-center gap-0.5">
-                      <DollarSign className="w-3 h-3" />{cashPercent}% cash earning ~5% p.a.
+                      <DollarSign className="w-3 h-3" />{cashPercent}% cash earning ~{(riskFreeRate * 100).toFixed(2)}% p.a.
+                      {riskFreeSource !== 'manual' && <span className="text-slate-400 font-normal">({riskFreeSource} yield)</span>}
                     </span>
                   )}
                 </div>
@@ -878,6 +973,9 @@ export default function PortfolioBuilder() {
                   <span className="text-sm text-slate-700">
                     {drip ? 'DRIP enabled — dividends auto-reinvested' : 'DRIP off — dividends go to cash'}
                   </span>
+                  {holdings.some((h) => h.drip != null && h.drip !== drip) && (
+                    <span className="text-xs text-amber-600">· some holdings override</span>
+                  )}
                 </label>
               </div>
             </div>
@@ -924,6 +1022,7 @@ export default function PortfolioBuilder() {
                         <th className="th hidden md:table-cell">Name</th>
                         <th className="th hidden lg:table-cell">Type</th>
                         <th className="th hidden lg:table-cell">Role</th>
+                        <th className="th hidden lg:table-cell" title="Dividend reinvestment per holding">DRIP</th>
                         <th className="th text-right hidden sm:table-cell">Last Price</th>
                         <th className="th text-right">Target %</th>
                         <th className="th text-right hidden sm:table-cell">{hasSchwab ? 'Actual %' : 'Current %'}</th>
@@ -970,6 +1069,24 @@ export default function PortfolioBuilder() {
                               })}
                             </div>
                           </td>
+                          <td className="td hidden lg:table-cell">
+                            {(() => {
+                              const on = h.drip ?? drip;
+                              const overridden = h.drip != null && h.drip !== drip;
+                              return (
+                                <button
+                                  type="button"
+                                  onClick={() => toggleHoldingDrip(h.ticker)}
+                                  className={`text-xs px-2 py-1 rounded-full font-medium transition-all ${
+                                    on ? 'bg-blue-100 text-blue-700' : 'bg-slate-100 text-slate-500'
+                                  } ${overridden ? 'ring-1 ring-amber-300' : ''}`}
+                                  title={overridden ? 'Overrides the portfolio DRIP setting' : 'Follows the portfolio DRIP setting'}
+                                >
+                                  {on ? 'On' : 'Off'}
+                                </button>
+                              );
+                            })()}
+                          </td>
                           <td className="td text-right font-mono text-slate-700 hidden sm:table-cell">
                             {(() => {
                               const lp = live && prices[h.ticker]?.price
@@ -1085,6 +1202,7 @@ export default function PortfolioBuilder() {
                         <td className="td hidden md:table-cell" />
                         <td className="td hidden lg:table-cell" />
                         <td className="td hidden lg:table-cell" />
+                        <td className="td hidden lg:table-cell" />
                         <td className="td hidden sm:table-cell" />
                         <td className={`td text-right font-semibold font-mono text-base sm:text-lg ${
                           isFullyAllocated ? 'text-green-600' : Math.abs(totalWeight - 100) < 5 ? 'text-yellow-600' : 'text-red-500'
@@ -1180,6 +1298,38 @@ export default function PortfolioBuilder() {
             );
           })()}
 
+          {/* Mean-variance optimizer */}
+          {holdings.length > 1 && (
+            <div className="card p-5">
+              <button className="flex items-center justify-between w-full" onClick={() => setOptimizerOpen((o) => !o)}>
+                <h2 className="section-title">Optimizer</h2>
+                <ChevronDown className={`w-4 h-4 text-slate-400 transition-transform ${optimizerOpen ? 'rotate-180' : ''}`} />
+              </button>
+              {optimizerOpen && (
+                <div className="mt-4">
+                  <p className="text-xs text-slate-400 mb-3">Minimum-variance, maximum-Sharpe and risk-parity weights from historical returns, within your holding and sleeve limits</p>
+                  <OptimizerPanel holdings={holdings} riskFreeRate={riskFreeRate} onApply={applyWeights} />
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Return attribution by holding, sleeve and sector */}
+          {holdings.length > 0 && (
+            <div className="card p-5">
+              <button className="flex items-center justify-between w-full" onClick={() => setAttributionOpen((o) => !o)}>
+                <h2 className="section-title">Return Attribution</h2>
+                <ChevronDown className={`w-4 h-4 text-slate-400 transition-transform ${attributionOpen ? 'rotate-180' : ''}`} />
+              </button>
+              {attributionOpen && (
+                <div className="mt-4">
+                  <p className="text-xs text-slate-400 mb-3">What drove the return over the period — by Core/Tilt/Satellite sleeve, by holding and by sector versus the benchmark</p>
+                  <AttributionReport holdings={holdings} benchmarkTicker={benchmark || null} drip={drip} />
+                </div>
+              )}
+            </div>
+          )}
+
           {/* Performance chart */}
           <div className="card p-5">
             <button className="flex items-center justify-between w-full" onClick={() => setPerfChartOpen(o => !o)}>
@@ -1200,6 +1350,7 @@ export default function PortfolioBuilder() {
                   benchmarkTicker={benchmark || null}
                   createdAt={createdAt}
                   cashPercent={cashPercent}
+                  cashRate={riskFreeRate}
                   drip={drip}
                 />
               </div>
@@ -1222,6 +1373,166 @@ export default function PortfolioBuilder() {
             </div>
           )}
 
+          {/* Correlation heatmap & risk contribution */}
+          {holdings.length > 1 && (
+            <div className="card p-5">
+              <button className="flex items-center justify-between w-full" onClick={() => setCorrelationOpen((o) => !o)}>
+                <h2 className="section-title">Diversification</h2>
+                <ChevronDown className={`w-4 h-4 text-slate-400 transition-transform ${correlationOpen ? 'rotate-180' : ''}`} />
+              </button>
+              {correlationOpen && (
+                <div className="mt-4">
+                  <p className="text-xs text-slate-400 mb-3">Correlation of daily returns between holdings and each holding's share of portfolio volatility</p>
+                  <CorrelationHeatmap holdings={holdings} />
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* ETF look-through exposure */}
+          {holdings.length > 0 && (
+            <div className="card p-5">
+              <button className="flex items-center justify-between w-full" onClick={() => setLookThroughOpen((o) => !o)}>
+                <h2 className="section-title">Look-Through Exposure</h2>
+                <ChevronDown className={`w-4 h-4 text-slate-400 transition-transform ${lookThroughOpen ? 'rotate-180' : ''}`} />
+              </button>
+              {lookThroughOpen && (
+                <div className="mt-4">
+                  <p className="text-xs text-slate-400 mb-3">Single-name exposure after splitting ETFs into the stocks they hold, and how much holdings overlap</p>
+                  <LookThroughPanel holdings={holdings} />
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Time- vs money-weighted returns with cash flows */}
+          {!isNew && savedHoldings.length > 0 && (
+            <div className="card p-5">
+              <button className="flex items-center justify-between w-full" onClick={() => setFlowReturnsOpen((o) => !o)}>
+                <h2 className="section-title">Reported Returns</h2>
+                <ChevronDown className={`w-4 h-4 text-slate-400 transition-transform ${flowReturnsOpen ? 'rotate-180' : ''}`} />
+              </button>
+              {flowReturnsOpen && (
+                <div className="mt-4">
+                  <p className="text-xs text-slate-400 mb-3">Time-weighted and money-weighted returns after deposits and withdrawals, per period</p>
+                  {/* Saved holdings: weight_history only runs back from what was saved, not the draft */}
+                  <CashFlowReturns
+                    holdings={savedHoldings}
+                    weightHistory={weightHistory}
+                    inceptionDate={(createdAt ?? new Date().toISOString()).slice(0, 10)}
+                    startValue={startingValue}
+                    cashPercent={cashPercent}
+                    cashRate={riskFreeRate}
+                    drip={drip}
+                    schwab={schwabAccountHash ? { userId: user.id, accountHash: schwabAccountHash } : null}
+                    onAddFlow={handleLogCashFlow}
+                    onRemoveFlow={handleRemoveCashFlow}
+                  />
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Calendar returns grid */}
+          {holdings.length > 0 && (
+            <div className="card p-5">
+              <button className="flex items-center justify-between w-full" onClick={() => setCalendarOpen((o) => !o)}>
+                <h2 className="section-title">Calendar Returns</h2>
+                <ChevronDown className={`w-4 h-4 text-slate-400 transition-transform ${calendarOpen ? 'rotate-180' : ''}`} />
+              </button>
+              {calendarOpen && (
+                <div className="mt-4">
+                  <p className="text-xs text-slate-400 mb-3">Month-by-month and yearly returns with today&apos;s weights, against the benchmark</p>
+                  <CalendarReturnsGrid
+                    holdings={holdings}
+                    benchmarkTicker={benchmark || null}
+                    drip={drip}
+                    cashPercent={cashPercent}
+                    cashRate={riskFreeRate}
+                  />
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Historical stress tests */}
+          {holdings.length > 0 && (
+            <div className="card p-5">
+              <button className="flex items-center justify-between w-full" onClick={() => setStressOpen((o) => !o)}>
+                <h2 className="section-title">Stress Tests</h2>
+                <ChevronDown className={`w-4 h-4 text-slate-400 transition-transform ${stressOpen ? 'rotate-180' : ''}`} />
+              </button>
+              {stressOpen && (
+                <div className="mt-4">
+                  <p className="text-xs text-slate-400 mb-3">How today&apos;s weights would have fared through past market crises — click a row to chart it</p>
+                  <StressTestPanel holdings={holdings} benchmarkTicker={benchmark || null} drip={drip} />
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Hypothetical factor shocks */}
+          {holdings.length > 0 && (
+            <div className="card p-5">
+              <button className="flex items-center justify-between w-full" onClick={() => setShockOpen((o) => !o)}>
+                <h2 className="section-title">Shock Scenarios</h2>
+                <ChevronDown className={`w-4 h-4 text-slate-400 transition-transform ${shockOpen ? 'rotate-180' : ''}`} />
+              </button>
+              {shockOpen && (
+                <div className="mt-4">
+                  <p className="text-xs text-slate-400 mb-3">Estimated P&amp;L if markets moved by the shocks below, through each holding&apos;s betas to proxy ETFs</p>
+                  <ShockScenarioPanel holdings={holdings} portfolioValue={currentPortfolioValue} cashPercent={cashPercent} />
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Monte Carlo projection */}
+          {holdings.length > 0 && (
+            <div className="card p-5">
+              <button className="flex items-center justify-between w-full" onClick={() => setProjectionOpen((o) => !o)}>
+                <h2 className="section-title">Projection</h2>
+                <ChevronDown className={`w-4 h-4 text-slate-400 transition-transform ${projectionOpen ? 'rotate-180' : ''}`} />
+              </button>
+              {projectionOpen && (
+                <div className="mt-4">
+                  <p className="text-xs text-slate-400 mb-3">Range of outcomes from today&apos;s value, with contributions, withdrawals and inflation — saved with the portfolio and shown to the client</p>
+                  <ProjectionPanel
+                    holdings={holdings}
+                    startValue={currentPortfolioValue}
+                    cashPercent={cashPercent}
+                    cashRate={riskFreeRate}
+                    drip={drip}
+                    assumptions={projection}
+                    onChange={setProjection}
+                  />
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Projected income and payout calendar */}
+          {holdings.length > 0 && (
+            <div className="card p-5">
+              <button className="flex items-center justify-between w-full" onClick={() => setIncomeOpen((o) => !o)}>
+                <h2 className="section-title">Projected Income</h2>
+                <ChevronDown className={`w-4 h-4 text-slate-400 transition-transform ${incomeOpen ? 'rotate-180' : ''}`} />
+              </button>
+              {incomeOpen && (
+                <div className="mt-4">
+                  <p className="text-xs text-slate-400 mb-3">Expected dividends and interest on the starting value, month by month by pay date, and what reinvesting them adds over time</p>
+                  <IncomeProjectionPanel
+                    holdings={holdings}
+                    value={startingValue}
+                    cashPercent={cashPercent}
+                    cashRate={riskFreeRate}
+                    drip={drip}
+                  />
+                </div>
+              )}
+            </div>
+          )}
+
           {/* Allocation Wheel (pie chart) — swipeable between current and historical snapshots */}
           {holdings.length > 0 && (
             <div className="card p-5">
@@ -1237,6 +1548,7 @@ export default function PortfolioBuilder() {
                 const snapshots = [];
                 let running = {}; // ticker → weight_percent
                 for (const event of weightHistory) {
+                  if (event.type === 'cash_flow') continue;
                   // Apply changes
                   for (const c of event.changes) {
                     if (c.to != null) running[c.ticker] = c.to;
@@ -1307,6 +1619,14 @@ export default function PortfolioBuilder() {
                       </div>
                     )}
                     <AllocationPieChart holdings={displayHoldings} schwabPositions={hasSchwab ? schwabPositions : null} />
+                    <div className="mt-4 pt-3 border-t border-slate-100">
+                      <h3 className="text-xs font-semibold text-slate-500 uppercase tracking-wider mb-2">Breakdown vs Benchmark</h3>
+                      <AllocationBreakdown
+                        holdings={displayHoldings}
+                        benchmarkTicker={benchmark || null}
+                        cashPercent={isCurrentSlide ? cashPercent : 0}
+                      />
+                    </div>
                   </div>
                 );
               })()}
@@ -1415,6 +1735,7 @@ export default function PortfolioBuilder() {
                 {holdings.length > 0 && (() => {
                   const metrics = realRiskMetrics?.portfolio ?? null;
                   const benchMetrics = realRiskMetrics?.benchmark ?? null;
+                  const relative = realRiskMetrics?.relative ?? null;
                   const isReal = !!realRiskMetrics;
                   if (!metrics) return (
                     <div className="mt-4 pt-4 border-t border-slate-100">
@@ -1432,8 +1753,11 @@ export default function PortfolioBuilder() {
                         <span className={`text-xs ${isReal ? 'text-green-500' : 'text-slate-400'}`}>
                           {isReal ? '● Real' : 'Unavailable'}
                         </span>
+                        <span className="ml-auto text-xs text-slate-400" title="Risk-free rate used for Sharpe, Sortino and alpha (Account Settings)">
+                          Rf {(riskFreeRate * 100).toFixed(2)}%
+                        </span>
                       </div>
-                      <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+                      <div className="grid grid-cols-2 sm:grid-cols-5 gap-2">
                         <div className="rounded p-3 bg-slate-50 text-center">
                           <div className="text-xs text-slate-500 mb-1">Volatility</div>
                           <div className="text-sm font-bold text-slate-700">{metrics.volatility.toFixed(1)}%</div>
@@ -1468,7 +1792,62 @@ export default function PortfolioBuilder() {
                             <div className="text-xs text-slate-400 mt-0.5">Bench: {benchMetrics.sortino >= 99 ? '>99' : benchMetrics.sortino.toFixed(2)}</div>
                           )}
                         </div>
+                        <div className="rounded p-3 bg-slate-50 text-center" title="Annualized return ÷ |max drawdown|">
+                          <div className="text-xs text-slate-500 mb-1">Calmar Ratio</div>
+                          <div className={`text-sm font-bold ${metrics.calmar > 1 ? 'text-green-600' : metrics.calmar > 0 ? 'text-slate-700' : 'text-red-500'}`}>
+                            {metrics.calmar >= 99 ? '>99' : metrics.calmar.toFixed(2)}
+                          </div>
+                          {benchMetrics && (
+                            <div className="text-xs text-slate-400 mt-0.5">Bench: {benchMetrics.calmar >= 99 ? '>99' : benchMetrics.calmar.toFixed(2)}</div>
+                          )}
+                        </div>
                       </div>
+
+                      {/* Benchmark-relative statistics */}
+                      {relative && (
+                        <>
+                          <h4 className="text-xs font-medium text-slate-400 mt-4 mb-2">
+                            Relative to {BENCHMARK_META[benchmark]?.label ?? benchmark}
+                          </h4>
+                          <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+                            {[
+                              { label: 'Beta', value: relative.beta.toFixed(2), hint: 'Sensitivity to benchmark moves' },
+                              {
+                                label: "Jensen's Alpha",
+                                value: `${relative.alpha > 0 ? '+' : ''}${relative.alpha.toFixed(2)}%`,
+                                color: relative.alpha > 0 ? 'text-green-600' : relative.alpha < 0 ? 'text-red-500' : 'text-slate-700',
+                                hint: 'Annualized return above what beta predicts',
+                              },
+                              { label: 'Correlation', value: relative.correlation.toFixed(2), hint: 'Daily return correlation' },
+                              { label: 'R²', value: relative.rSquared.toFixed(2), hint: 'Share of variance explained by the benchmark' },
+                              { label: 'Tracking Error', value: `${relative.trackingError.toFixed(2)}%`, hint: 'Annualized stdev of daily excess return' },
+                              {
+                                label: 'Information Ratio',
+                                value: relative.informationRatio.toFixed(2),
+                                color: relative.informationRatio > 0.5 ? 'text-green-600' : relative.informationRatio >= 0 ? 'text-slate-700' : 'text-red-500',
+                                hint: 'Annualized excess return ÷ tracking error',
+                              },
+                              {
+                                label: 'Upside Capture',
+                                value: relative.upCapture != null ? `${relative.upCapture.toFixed(0)}%` : '--',
+                                color: relative.upCapture > 100 ? 'text-green-600' : 'text-slate-700',
+                                hint: 'Avg return on benchmark up days vs benchmark',
+                              },
+                              {
+                                label: 'Downside Capture',
+                                value: relative.downCapture != null ? `${relative.downCapture.toFixed(0)}%` : '--',
+                                color: relative.downCapture != null && relative.downCapture < 100 ? 'text-green-600' : 'text-red-500',
+                                hint: 'Avg return on benchmark down days vs benchmark (lower is better)',
+                              },
+                            ].map((m) => (
+                              <div key={m.label} className="rounded px-3 py-2 bg-slate-50 text-center" title={m.hint}>
+                                <div className="text-xs text-slate-500 mb-0.5">{m.label}</div>
+                                <div className={`text-sm font-bold ${m.color ?? 'text-slate-700'}`}>{m.value}</div>
+                              </div>
+                            ))}
+                          </div>
+                        </>
+                      )}
                     </div>
                   );
                 })()}
@@ -1478,6 +1857,25 @@ export default function PortfolioBuilder() {
           </div>}
           </div>
 
+          {/* Value at Risk / Expected Shortfall */}
+          {holdings.length > 0 && realRiskMetrics && (
+            <div className="card p-5">
+              <button className="flex items-center justify-between w-full" onClick={() => setVarOpen((o) => !o)}>
+                <h2 className="section-title">Value at Risk</h2>
+                <ChevronDown className={`w-4 h-4 text-slate-400 transition-transform ${varOpen ? 'rotate-180' : ''}`} />
+              </button>
+              {varOpen && (
+                <div className="mt-4">
+                  <VaRCard
+                    valueAtRisk={realRiskMetrics.valueAtRisk}
+                    portfolioValue={schwabPositions?.totalValue ?? startingValue}
+                    investedFraction={1 - cashPercent / 100}
+                  />
+                </div>
+              )}
+            </div>
+          )}
+
           {/* Weight History — collapsible log of all weight changes, rebalances, and additions */}
           {weightHistory.length > 0 && (
             <div className="card p-5">
@@ -1502,6 +1900,9 @@ export default function PortfolioBuilder() {
                       adjustment:      { icon: '↕', color: 'text-amber-500', label: 'Weights adjusted' },
                       holding_added:   { icon: '+', color: 'text-blue-500',  label: 'Holdings added' },
                       holding_removed: { icon: '−', color: 'text-red-500',   label: 'Holdings removed' },
+                      cash_flow:       event.amount > 0
+                        ? { icon: '$', color: 'text-emerald-600', label: 'Deposit' }
+                        : { icon: '$', color: 'text-red-500',     label: 'Withdrawal' },
                     }[event.type] ?? { icon: '·', color: 'text-slate-400', label: event.type };
                     return (
                       <div key={event.id} className="flex gap-3 text-sm">
@@ -1515,6 +1916,12 @@ export default function PortfolioBuilder() {
                               {event.date && !isNaN(new Date(event.date).getTime()) ? new Date(event.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }) : '—'}
                             </span>
                           </div>
+                          {event.type === 'cash_flow' && (
+                            <p className="text-xs text-slate-500">
+                              <span className="font-mono">${Math.abs(event.amount).toLocaleString('en-US')}</span>
+                              {event.note && <> · {event.note}</>}
+                            </p>
+                          )}
                           <div className="flex flex-wrap gap-1">
                             {event.changes.map((c) => (
                               <span key={c.ticker} className="text-xs bg-slate-100 rounded px-1.5 py-0.5 text-slate-600 font-mono">
@@ -1715,7 +2122,7 @@ export default function PortfolioBuilder() {
                     )}
                   </div>
                 )}
-                {/* Expandable ER + Yield breakdown cards */}
+                {/* Expandable ER, yield and bond breakdown cards */}
                 <div className="mt-3 pt-3 border-t border-gray-100 space-y-2 text-xs">
                   {/* Expense Ratio card */}
                   <div className="bg-gray-50 rounded p-2 cursor-pointer select-none" onClick={() => setErOpen((o) => !o)}>
@@ -1796,6 +2203,87 @@ export default function PortfolioBuilder() {
                       );
                     })()}
                   </div>
+
+                  {/* Fixed-income card */}
+                  {fixedIncome && (
+                    <div className="bg-gray-50 rounded p-2 cursor-pointer select-none" onClick={() => setBondOpen((o) => !o)}>
+                      <div className="flex items-center justify-between">
+                        <p className="text-gray-400">Bonds · Wtd. Duration / YTM</p>
+                        <ChevronDown className={`w-3 h-3 text-gray-400 transition-transform ${bondOpen ? 'rotate-180' : ''}`} />
+                      </div>
+                      {fixedIncome.duration != null ? (
+                        <>
+                          <p className="font-semibold text-gray-700 mt-0.5">
+                            {fixedIncome.duration.toFixed(1)} yrs · {fixedIncome.ytm.toFixed(2)}%
+                            {fixedIncome.credit && <span className="ml-1.5 font-normal text-gray-400">avg {fixedIncome.credit}</span>}
+                          </p>
+                          {fixedIncome.dollarPer100bp != null && (
+                            <p
+                              className="text-gray-500 mt-0.5"
+                              title={`Portfolio duration ${fixedIncome.portfolioDuration.toFixed(2)} yrs — first-order estimate for a parallel move in yields`}
+                            >
+                              +100bp ≈{' '}
+                              <span className={`font-semibold ${fixedIncome.dollarPer100bp < 0 ? 'text-red-500' : 'text-gray-700'}`}>
+                                {fixedIncome.dollarPer100bp < 0 ? '−' : ''}${Math.abs(fixedIncome.dollarPer100bp).toLocaleString('en-US')}
+                              </span>
+                            </p>
+                          )}
+                        </>
+                      ) : (
+                        <p className="text-gray-400 italic mt-0.5">No bond data</p>
+                      )}
+                      {bondOpen && (
+                        <div className="mt-2 border-t border-gray-200">
+                          <table className="w-full">
+                            <thead>
+                              <tr className="text-gray-400">
+                                <td className="py-1">Ticker</td>
+                                <td className="py-1 text-right">Wt.</td>
+                                <td className="py-1 text-right">Dur.</td>
+                                <td className="py-1 text-right">YTM</td>
+                                <td className="py-1 text-right">Credit</td>
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {fixedIncome.rows.map((r) => (
+                                <tr key={r.ticker} className="border-t border-gray-100">
+                                  <td className="py-1 font-mono font-semibold text-gray-700">{r.ticker}</td>
+                                  <td className="py-1 text-right text-gray-500">{r.weight.toFixed(1)}%</td>
+                                  <td className="py-1 text-right text-gray-500">{r.duration.toFixed(1)}</td>
+                                  <td className="py-1 text-right text-gray-500">{r.ytm.toFixed(2)}%</td>
+                                  <td className="py-1 text-right font-semibold text-gray-700">{r.credit}</td>
+                                </tr>
+                              ))}
+                              {fixedIncome.unknown.map((t) => (
+                                <tr key={t} className="border-t border-gray-100">
+                                  <td className="py-1 font-mono font-semibold text-gray-700">{t}</td>
+                                  <td colSpan={4} className="py-1 text-right text-gray-300">N/A</td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                          {fixedIncome.maturity.length > 0 && (
+                            <div className="mt-2 space-y-1">
+                              <p className="text-gray-400">Maturity profile (bond sleeve)</p>
+                              {fixedIncome.maturity.map((m) => (
+                                <div key={m.bucket} className="flex items-center gap-2">
+                                  <span className="w-12 text-gray-500">{m.bucket}</span>
+                                  <div className="flex-1 bg-gray-200 rounded-full h-1.5">
+                                    <div className="bg-blue-500 h-1.5 rounded-full" style={{ width: `${Math.min(m.weight, 100)}%` }} />
+                                  </div>
+                                  <span className="w-10 text-right text-gray-500">{m.weight.toFixed(0)}%</span>
+                                </div>
+                              ))}
+                            </div>
+                          )}
+                          <p className="mt-2 text-gray-400">
+                            Bonds are {fixedIncome.weight.toFixed(1)}% of the portfolio
+                            {fixedIncome.portfolioDuration != null && `, adding ${fixedIncome.portfolioDuration.toFixed(2)} yrs of duration overall`}.
+                          </p>
+                        </div>
+                      )}
+                    </div>
+                  )}
                 </div>
               </div>
             )}
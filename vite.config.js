@@ -3,26 +3,30 @@ import react from '@vitejs/plugin-react';
 
 // Dev-only plugin: proxies /api/yahoo-chart to Yahoo Finance so we don't
 // need Vercel running locally.  In production Vercel handles this via
-// the serverless function at api/yahoo-chart.js.
+// the serverless function at api/yahoo-chart.js (same params, including
+// intraday `interval` + `range`).
 function yahooFinanceProxy() {
   return {
     name: 'yahoo-finance-proxy',
     configureServer(server) {
       server.middlewares.use('/api/yahoo-chart', async (req, res) => {
-        const params = new URL(req.url ?? '', 'http://localhost').searchParams;
-        const ticker = params.get('ticker');
-        const from   = params.get('from');
-        const to     = params.get('to');
+        const params   = new URL(req.url ?? '', 'http://localhost').searchParams;
+        const ticker   = params.get('ticker');
+        const from     = params.get('from');
+        const to       = params.get('to');
+        const interval = params.get('interval') ?? '1d';
+        const range    = params.get('range');
 
-        if (!ticker || !from || !to) {
+        if (!ticker || (!range && (!from || !to))) {
           res.statusCode = 400;
           res.setHeader('Content-Type', 'application/json');
           return res.end(JSON.stringify({ error: 'Missing params' }));
         }
 
+        const period = range ? `range=${encodeURIComponent(range)}` : `period1=${from}&period2=${to}`;
         const url =
           `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(ticker)}` +
-          `?period1=${from}&period2=${to}&interval=1d&includeAdjustedClose=true`;
+          `?${period}&interval=${encodeURIComponent(interval)}&includeAdjustedClose=true`;
 
         try {
           const resp = await fetch(url, {
@@ -31,7 +35,7 @@ function yahooFinanceProxy() {
           const body = await resp.text();
           res.statusCode = resp.ok ? 200 : resp.status;
           res.setHeader('Content-Type', 'application/json');
-          res.setHeader('Cache-Control', 'max-age=300');
+          res.setHeader('Cache-Control', interval === '1d' ? 'max-age=300' : 'max-age=60');
           res.end(body);
         } catch (err) {
           res.statusCode = 500;
@@ -43,6 +47,35 @@ function yahooFinanceProxy() {
   };
 }
 
+// Dev-only plugin: serves /api/yahoo-batch by running the serverless
+// handler in api/yahoo-batch.js, which fetches from Yahoo itself.
+function yahooBatchProxy() {
+  return {
+    name: 'yahoo-batch-proxy',
+    configureServer(server) {
+      server.middlewares.use('/api/yahoo-batch', async (req, res) => {
+        try {
+          const mod = await server.ssrLoadModule('/api/yahoo-batch.js');
+          const params = new URL(req.url ?? '', 'http://localhost').searchParams;
+          const query = Object.fromEntries(params.entries());
+          const fakeReq = { query, method: req.method, headers: req.headers };
+          const fakeRes = {
+            status(code) { res.statusCode = code; return this; },
+            json(data) { res.setHeader('Content-Type', 'application/json'); res.end(JSON.stringify(data)); },
+            setHeader(k, v) { res.setHeader(k, v); return this; },
+            end(body) { res.end(body); },
+          };
+          await mod.default(fakeReq, fakeRes);
+        } catch (err) {
+          res.statusCode = 500;
+          res.setHeader('Content-Type', 'application/json');
+          res.end(JSON.stringify({ error: err.message }));
+        }
+      });
+    },
+  };
+}
+
 // Dev-only plugin: proxies /api/schwab-proxy and /api/schwab-auth to the
 // Schwab API for local development (mirrors the Vercel serverless functions).
 // Requires SCHWAB_CLIENT_ID, SCHWAB_CLIENT_SECRET, SUPABASE_URL, and
@@ -128,7 +161,7 @@ function devDashboardProxy() {
 }
 
 export default defineConfig({
-  plugins: [react(), yahooFinanceProxy(), schwabProxy(), devDashboardProxy()],
+  plugins: [react(), yahooFinanceProxy(), yahooBatchProxy(), schwabProxy(), devDashboardProxy()],
   build: {
     sourcemap: true,
   },